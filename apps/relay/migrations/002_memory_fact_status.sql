@@ -0,0 +1,25 @@
+-- JARVIS MVP Schema Migration
+-- Version: 002
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- MEMORY FACTS: extraction status
+-- =============================================================================
+-- Facts extracted from conversations below MEMORY_EXTRACTION_MIN_CONFIDENCE are
+-- stored as 'pending' and left out of the LLM context until confirmed
+-- (re-stated with higher confidence, or set through POST /memory/fact).
+ALTER TABLE memory_facts
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'pending'));
+
+CREATE INDEX IF NOT EXISTS idx_memory_facts_user_status
+    ON memory_facts(user_id, status);
+
+COMMENT ON COLUMN memory_facts.status IS 'active = injected into LLM context; pending = low-confidence extraction awaiting confirmation';
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('002')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,38 @@
+-- JARVIS MVP Schema Migration
+-- Version: 003
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- PGVECTOR (optional)
+-- =============================================================================
+-- When the extension can be installed, recallFacts ranks facts in SQL
+-- (embedding::vector <=> query). Without it the relay ranks them in process,
+-- so a missing extension or missing privileges must not fail the migration.
+DO $$
+BEGIN
+    CREATE EXTENSION IF NOT EXISTS vector;
+EXCEPTION WHEN OTHERS THEN
+    RAISE NOTICE 'pgvector not available (%), memory recall will rank facts in process', SQLERRM;
+END
+$$;
+
+-- =============================================================================
+-- MEMORY FACTS: embeddings
+-- =============================================================================
+-- Stored as REAL[] so the column works with and without pgvector, and across
+-- embedding models of different sizes. embedding_model identifies the vector
+-- space; recall skips facts embedded by another model until the fact sweeper
+-- re-embeds them (embedStaleFacts in services/memory.mjs).
+ALTER TABLE memory_facts
+    ADD COLUMN IF NOT EXISTS embedding REAL[],
+    ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+
+COMMENT ON COLUMN memory_facts.embedding IS 'Embedding of "<fact_key>: <fact_value>", NULL until embedded';
+COMMENT ON COLUMN memory_facts.embedding_model IS 'Embedding provider model that produced embedding';
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('003')
+ON CONFLICT (version) DO NOTHING;
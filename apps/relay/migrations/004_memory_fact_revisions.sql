@@ -0,0 +1,50 @@
+-- JARVIS MVP Schema Migration
+-- Version: 004
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- MEMORY FACT REVISIONS: append-only history of every fact write
+-- =============================================================================
+-- Written in the same transaction as the upsert/delete it records. Keyed by
+-- (user_id, fact_key) rather than the fact's id, so the history of a key
+-- survives the fact being deleted and created again. The service only ever
+-- INSERTs here; rows go away with their user.
+CREATE TABLE IF NOT EXISTS memory_fact_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fact_key VARCHAR(255) NOT NULL,
+    operation VARCHAR(20) NOT NULL CHECK (operation IN ('create', 'update', 'delete', 'rollback')),
+    actor VARCHAR(20) NOT NULL CHECK (actor IN ('user', 'extractor', 'system')),
+    old_value TEXT,
+    new_value TEXT,
+    old_confidence DECIMAL(3,2),
+    new_confidence DECIMAL(3,2),
+    old_status VARCHAR(20),
+    new_status VARCHAR(20),
+    source_message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    rollback_of UUID REFERENCES memory_fact_revisions(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_fact_revisions_user_key
+    ON memory_fact_revisions(user_id, fact_key, created_at);
+
+COMMENT ON TABLE memory_fact_revisions IS 'Append-only history of memory_facts writes (what JARVIS believed, and why it changed)';
+COMMENT ON COLUMN memory_fact_revisions.actor IS 'user = memory API; extractor = automatic fact extraction; system = baseline for facts that predate this table';
+COMMENT ON COLUMN memory_fact_revisions.rollback_of IS 'For operation rollback: the revision whose state was restored';
+
+-- Baseline revision for facts written before history existed, so they can be rolled back to
+INSERT INTO memory_fact_revisions (user_id, fact_key, operation, actor, new_value, new_confidence, new_status, source_message_id, created_at)
+SELECT f.user_id, f.fact_key, 'create', 'system', f.fact_value, f.confidence, f.status, f.source_message_id, f.updated_at
+FROM memory_facts f
+WHERE NOT EXISTS (
+    SELECT 1 FROM memory_fact_revisions r
+    WHERE r.user_id = f.user_id AND r.fact_key = f.fact_key
+);
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('004')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,43 @@
+-- JARVIS MVP Schema Migration
+-- Version: 005
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- MEMORY FACTS: expiry and confidence decay
+-- =============================================================================
+-- Both optional. Effective confidence is computed at read time:
+--   confidence * 0.5 ^ ((now() - updated_at) / decay_half_life)
+-- so re-stating a fact (which bumps updated_at) resets its decay. Facts past
+-- expires_at are left out of the prompt and archived by the sweeper.
+ALTER TABLE memory_facts
+    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS decay_half_life INTERVAL;
+
+ALTER TABLE memory_facts
+    DROP CONSTRAINT IF EXISTS memory_facts_decay_half_life_check,
+    ADD CONSTRAINT memory_facts_decay_half_life_check CHECK (decay_half_life > INTERVAL '0');
+
+-- 'archived' = expired and swept; kept for history, never injected
+ALTER TABLE memory_facts
+    DROP CONSTRAINT IF EXISTS memory_facts_status_check,
+    ADD CONSTRAINT memory_facts_status_check CHECK (status IN ('active', 'pending', 'archived'));
+
+CREATE INDEX IF NOT EXISTS idx_memory_facts_expires_at
+    ON memory_facts(expires_at)
+    WHERE expires_at IS NOT NULL AND status <> 'archived';
+
+COMMENT ON COLUMN memory_facts.expires_at IS 'After this time the fact is left out of the prompt and archived by the sweeper';
+COMMENT ON COLUMN memory_facts.decay_half_life IS 'Effective confidence halves every decay_half_life since updated_at; NULL = no decay';
+COMMENT ON COLUMN memory_facts.status IS 'active = injected into LLM context; pending = low-confidence extraction awaiting confirmation; archived = expired';
+
+-- Revisions written by the sweeper
+ALTER TABLE memory_fact_revisions
+    DROP CONSTRAINT IF EXISTS memory_fact_revisions_operation_check,
+    ADD CONSTRAINT memory_fact_revisions_operation_check CHECK (operation IN ('create', 'update', 'delete', 'rollback', 'archive'));
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('005')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,34 @@
+-- JARVIS MVP Schema Migration
+-- Version: 006
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- SESSION SUMMARIES: one short recap per ended session
+-- =============================================================================
+-- Written in the background after /session/end, through the LLM fallback chain.
+-- The prompt gets the summaries of the last few sessions plus the tail of the
+-- most recent transcript, instead of replaying the whole last session.
+-- Re-summarizing a session replaces its row.
+CREATE TABLE IF NOT EXISTS session_summaries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL UNIQUE REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    provider VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_summaries_user_id
+    ON session_summaries(user_id, created_at DESC);
+
+COMMENT ON TABLE session_summaries IS 'LLM-written recap of each ended session, injected into later prompts';
+COMMENT ON COLUMN session_summaries.message_count IS 'Messages in the session when it was summarized';
+COMMENT ON COLUMN session_summaries.provider IS 'LLM provider that wrote the summary (mock in CI)';
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('006')
+ON CONFLICT (version) DO NOTHING;
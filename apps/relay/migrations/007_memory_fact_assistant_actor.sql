@@ -0,0 +1,22 @@
+-- JARVIS MVP Schema Migration
+-- Version: 007
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- MEMORY FACT REVISIONS: writes made by the assistant's tools
+-- =============================================================================
+-- remember_fact / forget_fact tool calls are recorded as actor 'assistant', so
+-- the history tells what the model chose to store apart from what the user or
+-- the background extractor did.
+ALTER TABLE memory_fact_revisions
+    DROP CONSTRAINT IF EXISTS memory_fact_revisions_actor_check,
+    ADD CONSTRAINT memory_fact_revisions_actor_check CHECK (actor IN ('user', 'extractor', 'assistant', 'system'));
+
+COMMENT ON COLUMN memory_fact_revisions.actor IS 'user = memory API; extractor = automatic fact extraction; assistant = tool call during a turn; system = baseline and sweeper';
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('007')
+ON CONFLICT (version) DO NOTHING;
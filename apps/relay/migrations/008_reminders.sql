@@ -0,0 +1,36 @@
+-- JARVIS MVP Schema Migration
+-- Version: 008
+-- Database: jarvis_mvp
+-- Created: 2026-10-19
+
+-- =============================================================================
+-- REMINDERS: timers and reminders the assistant sets through tool calls
+-- =============================================================================
+-- The relay's scheduler polls for due reminders of users with a bound voice
+-- socket and pushes them as assistant.notify. A reminder that comes due while
+-- the user is offline stays 'scheduled' and is delivered on their next
+-- session.bind.
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    text TEXT NOT NULL,
+    due_at TIMESTAMPTZ NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'delivered', 'cancelled')),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_due
+    ON reminders(user_id, due_at) WHERE status = 'scheduled';
+
+COMMENT ON TABLE reminders IS 'Timers and reminders, pushed to the user over the voice WebSocket when due';
+COMMENT ON COLUMN reminders.session_id IS 'Session the reminder was set in';
+COMMENT ON COLUMN reminders.text IS 'What to remind the user of, as the assistant phrased it';
+COMMENT ON COLUMN reminders.status IS 'scheduled = waiting or due but undelivered; delivered = pushed to a socket; cancelled = by the user';
+
+-- =============================================================================
+-- SCHEMA VERSION TRACKING
+-- =============================================================================
+INSERT INTO schema_migrations (version) VALUES ('008')
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,285 @@
+/**
+ * Provider Chain Configuration
+ * The TTS and LLM fallback chains, declared in one validated config
+ * @module config/provider-chains
+ *
+ * Source (read at call time; a file is read once per path):
+ * - PROVIDER_CHAINS_FILE: path to a JSON file
+ * - PROVIDER_CHAINS: the same JSON inline
+ * A section left out (or no config at all) keeps that factory's env-based
+ * defaults: TTS_PROVIDER + FALLBACK_ORDER, LLM_FALLBACK_ORDER + LLM_OPENAI_COMPATIBLE.
+ *
+ *   {
+ *     "tts": [
+ *       { "provider": "fishaudio", "voice": "<reference id>", "timeout_ms": 15000 },
+ *       { "provider": "cartesia", "model": "sonic-english" },
+ *       { "provider": "elevenlabs" }
+ *     ],
+ *     "llm": [
+ *       { "provider": "openai", "model": "gpt-4o-mini", "fallback_on": ["rate_limit", "server_error", "timeout"] },
+ *       { "provider": "local", "type": "openai_compatible", "base_url": "http://127.0.0.1:11434/v1", "model": "llama3.1:8b" },
+ *       { "provider": "gemini" }
+ *     ]
+ *   }
+ *
+ * Every entry takes provider, timeout_ms (a whole LLM attempt, or one TTS
+ * segment) and fallback_on (the error classes that move on to the next entry;
+ * anything else fails the request). TTS entries add voice and model; LLM
+ * entries add model, max_tokens and temperature, and openai_compatible entries
+ * the settings of LLM_OPENAI_COMPATIBLE.
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Error classes a fallback rule can name; 'any' matches every error
+ */
+export const ERROR_CLASSES = ['auth', 'rate_limit', 'server_error', 'client_error', 'timeout', 'network', 'not_configured', 'unknown', 'any'];
+
+/**
+ * Default rules: TTS falls back on anything (the user is waiting on audio);
+ * LLM keeps request errors (bad input, unknown model) on the provider that caused them
+ */
+export const DEFAULT_FALLBACK_ON = {
+    tts: ['any'],
+    llm: ['auth', 'rate_limit', 'server_error', 'timeout', 'network', 'not_configured']
+};
+
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+/**
+ * Settings each section accepts, besides provider/timeout_ms/fallback_on
+ */
+const SECTION_KEYS = {
+    tts: ['voice', 'model'],
+    llm: ['model', 'max_tokens', 'temperature', 'type', 'base_url', 'api_key', 'api_key_env', 'headers', 'context_window']
+};
+
+const COMMON_KEYS = ['provider', 'timeout_ms', 'fallback_on'];
+
+/**
+ * @typedef {Object} ChainEntry
+ * @property {string} provider - Provider name (a registered provider, or an openai_compatible instance name)
+ * @property {number} [timeout_ms] - Abort the attempt after this long
+ * @property {string[]} fallback_on - Error classes that move on to the next entry
+ * @property {string} [voice] - TTS: voice ID
+ * @property {string} [model]
+ * @property {number} [max_tokens] - LLM
+ * @property {number} [temperature] - LLM
+ * @property {'openai_compatible'} [type] - LLM: define a new OpenAI-compatible instance
+ */
+
+/**
+ * @typedef {Object} ProviderChainConfig
+ * @property {'file' | 'env' | 'default'} source
+ * @property {ChainEntry[] | null} tts - null: use the env-based TTS chain
+ * @property {ChainEntry[] | null} llm - null: use the env-based LLM chain
+ */
+
+/** @type {{ key: string, config: ProviderChainConfig } | null} */
+let cached = null;
+
+/** @type {Map<string, string>} path → file contents */
+const fileContents = new Map();
+
+/**
+ * Validate one chain entry
+ * @param {'tts' | 'llm'} section
+ * @param {unknown} entry
+ * @param {number} index
+ * @returns {ChainEntry}
+ */
+function validateEntry(section, entry, index) {
+    const at = `${section}[${index}]`;
+    const fail = (reason) => new Error(`Provider chains: ${at}: ${reason}`);
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw fail('must be an object');
+    }
+    if (typeof entry.provider !== 'string' || !PROVIDER_NAME_PATTERN.test(entry.provider)) {
+        throw fail('provider must be a lowercase name');
+    }
+
+    const allowed = [...COMMON_KEYS, ...SECTION_KEYS[section]];
+    const unknown = Object.keys(entry).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw fail(`unknown setting ${unknown.join(', ')}`);
+    }
+
+    if (entry.timeout_ms !== undefined && !(Number.isInteger(entry.timeout_ms) && entry.timeout_ms > 0)) {
+        throw fail('timeout_ms must be a positive integer');
+    }
+    if (entry.fallback_on !== undefined) {
+        if (!Array.isArray(entry.fallback_on) || entry.fallback_on.length === 0) {
+            throw fail('fallback_on must be a non-empty list');
+        }
+        const unknownClasses = entry.fallback_on.filter(c => !ERROR_CLASSES.includes(c));
+        if (unknownClasses.length > 0) {
+            throw fail(`unknown error class ${unknownClasses.join(', ')} (expected ${ERROR_CLASSES.join(', ')})`);
+        }
+    }
+    for (const key of ['voice', 'model']) {
+        if (entry[key] !== undefined && (typeof entry[key] !== 'string' || !entry[key])) {
+            throw fail(`${key} must be a non-empty string`);
+        }
+    }
+    for (const key of ['max_tokens', 'temperature']) {
+        if (entry[key] !== undefined && !Number.isFinite(entry[key])) {
+            throw fail(`${key} must be a number`);
+        }
+    }
+    if (entry.type !== undefined && entry.type !== 'openai_compatible') {
+        throw fail('type must be openai_compatible');
+    }
+
+    return { ...entry, fallback_on: entry.fallback_on ?? DEFAULT_FALLBACK_ON[section] };
+}
+
+/**
+ * Validate a parsed config
+ * @param {unknown} data
+ * @returns {{ tts: ChainEntry[] | null, llm: ChainEntry[] | null }}
+ * @throws {Error} Naming the entry at fault
+ */
+export function validateProviderChains(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Provider chains: config must be an object with tts and/or llm');
+    }
+    const unknown = Object.keys(data).filter(key => key !== 'tts' && key !== 'llm');
+    if (unknown.length > 0) {
+        throw new Error(`Provider chains: unknown section ${unknown.join(', ')}`);
+    }
+
+    const chains = { tts: null, llm: null };
+    for (const section of /** @type {const} */ (['tts', 'llm'])) {
+        if (data[section] === undefined) continue;
+        if (!Array.isArray(data[section]) || data[section].length === 0) {
+            throw new Error(`Provider chains: ${section} must be a non-empty list`);
+        }
+
+        chains[section] = data[section].map((entry, index) => validateEntry(section, entry, index));
+        const names = chains[section].map(e => e.provider);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            throw new Error(`Provider chains: ${section} lists ${duplicate} twice`);
+        }
+    }
+    return chains;
+}
+
+/**
+ * The provider chain config, from PROVIDER_CHAINS_FILE or PROVIDER_CHAINS
+ * @returns {ProviderChainConfig}
+ * @throws {Error} If the config is unreadable or invalid
+ */
+export function getProviderChains() {
+    const file = process.env.PROVIDER_CHAINS_FILE;
+    const inline = process.env.PROVIDER_CHAINS;
+    const key = `${file ?? ''}\0${inline ?? ''}`;
+    if (cached?.key === key) {
+        return cached.config;
+    }
+
+    if (file && inline) {
+        throw new Error('Set PROVIDER_CHAINS or PROVIDER_CHAINS_FILE, not both');
+    }
+
+    let config;
+    if (file) {
+        if (!fileContents.has(file)) {
+            fileContents.set(file, readFileSync(file, 'utf8'));
+        }
+        config = { source: 'file', ...validateProviderChains(parseJSON(fileContents.get(file), file)) };
+    } else if (inline) {
+        config = { source: 'env', ...validateProviderChains(parseJSON(inline, 'PROVIDER_CHAINS')) };
+    } else {
+        config = { source: 'default', tts: null, llm: null };
+    }
+
+    cached = { key, config };
+    return config;
+}
+
+/**
+ * @param {string} text
+ * @param {string} origin - For the error message
+ * @returns {unknown}
+ */
+function parseJSON(text, origin) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Provider chains: ${origin} is not valid JSON (${err.message})`);
+    }
+}
+
+/**
+ * Sort a provider error into one of ERROR_CLASSES
+ * @param {Error & { status?: number }} error
+ * @returns {string}
+ */
+export function classifyProviderError(error) {
+    if (error?.name === 'TimeoutError' || error?.cause?.name === 'TimeoutError') {
+        return 'timeout';
+    }
+    if (error?.message?.includes('not configured')) {
+        return 'not_configured';
+    }
+
+    const status = Number(error?.status);
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 429) return 'rate_limit';
+    if (status >= 500) return 'server_error';
+    if (status >= 400) return 'client_error';
+
+    if (/fetch|network|ECONN|ENOTFOUND|socket/i.test(error?.message ?? '')) {
+        return 'network';
+    }
+    return 'unknown';
+}
+
+/**
+ * Whether an error moves the request on to the next chain entry
+ * @param {Error} error
+ * @param {string[]} fallbackOn - The failing entry's rules
+ * @returns {boolean}
+ */
+export function shouldFallBack(error, fallbackOn) {
+    return fallbackOn.includes('any') || fallbackOn.includes(classifyProviderError(error));
+}
+
+/**
+ * A registered provider with a chain entry's settings applied
+ * The copy leaves the registry singleton untouched; without settings the
+ * singleton itself is returned.
+ * @template {Object} T
+ * @param {T} provider
+ * @param {Record<string, unknown>} settings - Instance fields to override (undefined = keep)
+ * @returns {T}
+ */
+export function withSettings(provider, settings) {
+    const defined = Object.entries(settings).filter(([, value]) => value !== undefined);
+    if (defined.length === 0) {
+        return provider;
+    }
+    return Object.assign(Object.create(Object.getPrototypeOf(provider)), provider, Object.fromEntries(defined));
+}
+
+/**
+ * Abort signal enforcing a chain entry's timeout_ms for one attempt
+ * Unlike AbortSignal.timeout(), the timer holds the process open while the
+ * attempt runs, so call clear() once it is over.
+ * @param {number} [timeoutMs]
+ * @param {string} providerName - For the error message
+ * @returns {{ signal: AbortSignal | undefined, clear: () => void }}
+ */
+export function attemptTimeout(timeoutMs, providerName) {
+    if (!timeoutMs) {
+        return { signal: undefined, clear: () => {} };
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new DOMException(`${providerName} timed out after ${timeoutMs}ms`, 'TimeoutError'));
+    }, timeoutMs);
+    return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
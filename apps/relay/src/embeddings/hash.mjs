@@ -0,0 +1,104 @@
+/**
+ * Hashing Embedding Provider (Local)
+ * Deterministic bag-of-features vectors, no network or model download
+ * @module embeddings/hash
+ *
+ * Each word and each of its character trigrams is hashed (FNV-1a) into a
+ * signed bucket, and the vector is L2-normalized. Similarity is lexical, not
+ * semantic: "favorite color" matches "colour" through shared trigrams, but
+ * "car" does not match "vehicle". Good enough for dev and tests, where the
+ * same text must always give the same vector.
+ *
+ * Config:
+ *   EMBEDDINGS_HASH_DIMENSIONS  vector size (default: 256)
+ */
+
+import { EmbeddingProvider } from './types.mjs';
+
+const DEFAULT_DIMENSIONS = 256;
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * Words too common to say anything about which fact is relevant
+ */
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'at', 'be', 'do', 'does', 'for', 'i', 'in', 'is', 'it', 'me',
+    'my', 'of', 'on', 'or', 's', 'the', 'to', 'was', 'what', 'whats', 'who', 'with', 'you', 'your'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text
+ * @returns {number} Unsigned 32-bit integer
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase words, accents and apostrophes removed, stopwords dropped
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    const words = text.toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, '')
+        .match(/[a-z0-9]+/g) || [];
+    return words.filter(w => !STOPWORDS.has(w));
+}
+
+export class HashEmbeddingProvider extends EmbeddingProvider {
+    name = 'hash';
+
+    constructor() {
+        super();
+        const dimensions = parseInt(process.env.EMBEDDINGS_HASH_DIMENSIONS || '', 10);
+        this.dimensions = dimensions > 0 ? dimensions : DEFAULT_DIMENSIONS;
+        this.model = `hash-v1-${this.dimensions}`;
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>}
+     */
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+
+    /**
+     * @param {string} text
+     * @returns {number[]} Unit vector, or all zeros if the text has no words
+     */
+    embedOne(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const add = (feature, weight) => {
+            const hash = fnv1a(feature);
+            vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+        };
+
+        for (const word of tokenize(text)) {
+            add(`w:${word}`, WORD_WEIGHT);
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+            }
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+}
+
+export default HashEmbeddingProvider;
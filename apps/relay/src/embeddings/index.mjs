@@ -0,0 +1,85 @@
+/**
+ * Embedding Provider Factory
+ * Picks the provider that embeds memory facts and recall queries
+ * @module embeddings/index
+ *
+ * Providers:
+ * - openai: OpenAI (or compatible) embeddings API
+ * - hash: deterministic local hashing embedder (dev/tests, no network)
+ *
+ * EMBEDDINGS_PROVIDER selects one; by default openai when OPENAI_API_KEY is set,
+ * hash otherwise. There is deliberately no fallback chain: vectors from different
+ * models can't be compared, so a failure is surfaced rather than silently mixing
+ * vector spaces.
+ */
+
+import { HashEmbeddingProvider } from './hash.mjs';
+import { OpenAIEmbeddingProvider } from './openai.mjs';
+
+/**
+ * Provider instances (singletons)
+ */
+const providers = {
+    openai: new OpenAIEmbeddingProvider(),
+    hash: new HashEmbeddingProvider()
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name
+ * @returns {import('./types.mjs').EmbeddingProvider | null}
+ */
+export function getProvider(name) {
+    return providers[name] || null;
+}
+
+/**
+ * Get the configured provider, read at call time so tests can switch it
+ * @returns {Promise<import('./types.mjs').EmbeddingProvider>}
+ * @throws {Error} If EMBEDDINGS_PROVIDER names an unknown provider
+ */
+export async function getEmbeddingProvider() {
+    const name = process.env.EMBEDDINGS_PROVIDER;
+    if (name) {
+        const provider = providers[name];
+        if (!provider) {
+            throw new Error(`Unknown embedding provider: ${name}`);
+        }
+        return provider;
+    }
+    return await providers.openai.isAvailable() ? providers.openai : providers.hash;
+}
+
+/**
+ * Embed texts with the configured provider
+ * @param {string[]} texts
+ * @returns {Promise<{ model: string, vectors: number[][] }>}
+ */
+export async function embedTexts(texts) {
+    const provider = await getEmbeddingProvider();
+    const vectors = await provider.embed(texts);
+    if (vectors.length !== texts.length) {
+        throw new Error(`Embedding provider '${provider.name}' returned ${vectors.length} vectors for ${texts.length} texts`);
+    }
+    return { model: provider.model, vectors };
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} -1..1, or 0 if either vector is all zeros
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export { HashEmbeddingProvider, OpenAIEmbeddingProvider };
@@ -0,0 +1,68 @@
+/**
+ * OpenAI Embedding Provider
+ * POST /v1/embeddings; EMBEDDINGS_API_URL points it at any server with the same shape
+ * @module embeddings/openai
+ *
+ * Config:
+ *   OPENAI_API_KEY          bearer token (required)
+ *   EMBEDDINGS_API_URL      endpoint (default: https://api.openai.com/v1/embeddings)
+ *   EMBEDDINGS_MODEL        model name (default: text-embedding-3-small)
+ */
+
+import { EmbeddingProvider } from './types.mjs';
+import { fetchWithPolicy } from '../services/request-policy.mjs';
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+export class OpenAIEmbeddingProvider extends EmbeddingProvider {
+    name = 'openai';
+
+    constructor() {
+        super();
+        this.apiKey = process.env.OPENAI_API_KEY;
+        this.apiUrl = process.env.EMBEDDINGS_API_URL || OPENAI_EMBEDDINGS_URL;
+        this.model = process.env.EMBEDDINGS_MODEL || DEFAULT_MODEL;
+    }
+
+    async isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>}
+     */
+    async embed(texts) {
+        if (!await this.isAvailable()) {
+            throw new Error('OpenAI embeddings not configured');
+        }
+        if (texts.length === 0) {
+            return [];
+        }
+
+        const response = await fetchWithPolicy(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({ model: this.model, input: texts })
+        }, { provider: 'embeddings:openai', idempotent: true });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            const error = new Error(`OpenAI embeddings error: ${response.status} - ${errorBody}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        // Results carry their input index; don't rely on response order
+        return [...data.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+export default OpenAIEmbeddingProvider;
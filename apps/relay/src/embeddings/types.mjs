@@ -0,0 +1,42 @@
+/**
+ * Embedding Provider Types and Interfaces
+ * @module embeddings/types
+ */
+
+/**
+ * Embedding provider interface
+ * All providers must implement this interface
+ */
+export class EmbeddingProvider {
+    /**
+     * Provider name
+     * @type {string}
+     */
+    name = 'base';
+
+    /**
+     * Identifies the vector space: vectors are only comparable when their model matches.
+     * Stored next to each embedding so a provider or model change triggers re-embedding.
+     * @type {string}
+     */
+    model = 'base';
+
+    /**
+     * Check if provider is configured and available
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        return false;
+    }
+
+    /**
+     * Embed a batch of texts
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     */
+    async embed(texts) {
+        throw new Error('embed() must be implemented by provider');
+    }
+}
+
+export default EmbeddingProvider;
@@ -3,11 +3,52 @@
  * @module llm/context-builder
  * 
  * Strict ordering:
- * 1. SYSTEM: Persona + Memory Facts
- * 2. CONTEXT: Last session transcript (user/assistant messages)
- * 3. USER: Current user input
+ * 1. SYSTEM: Persona + Memory Facts + Summaries of recent sessions
+ * 2. CONTEXT: Tail of the last session transcript (user/assistant messages)
+ * 3. CONTEXT: Turns so far in the current session
+ * 4. USER: Current user input
+ *
+ * Summaries and transcript share CONTEXT_HISTORY_TOKEN_BUDGET. Summaries are
+ * kept first (newest first), then the newest transcript messages fill what is
+ * left, so a long last session no longer crowds out everything else.
+ *
+ * The whole prompt must then fit the model's token budget (see
+ * getContextBudget). Over budget, content is dropped in this order until it
+ * fits: oldest transcript messages (the last session's, then the current
+ * session's), oldest session summaries, lowest-confidence memory facts. The persona and the user input are never dropped; a context
+ * that is still over budget is rejected by validateContext.
+ */
+
+import { getContextBudget } from './index.mjs';
+import { countMessageTokens, getDefaultTokenizer, MESSAGE_OVERHEAD_TOKENS } from './tokenizers/index.mjs';
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 2000;
+
+/**
+ * @typedef {Object} ContextBudgetReport
+ * @property {number} limit - Prompt token budget
+ * @property {number} used - Prompt tokens after trimming
+ * @property {string} tokenizer - Tokenizer that counted them
+ */
+
+/**
+ * What was left out of the prompt, by the history budget or the token budget
+ * @typedef {Object} ContextDropReport
+ * @property {number} transcript_messages - Oldest messages of the last session
+ * @property {number} session_messages - Oldest turns of the current session
+ * @property {number} session_summaries - Oldest session summaries
+ * @property {string[]} memory_facts - Keys of the facts dropped, lowest confidence first
  */
 
+/**
+ * Token budget for session summaries plus transcript tail, read at call time
+ * @returns {number}
+ */
+export function getHistoryTokenBudget() {
+    const value = parseInt(process.env.CONTEXT_HISTORY_TOKEN_BUDGET ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_HISTORY_TOKEN_BUDGET;
+}
+
 /**
  * Format memory facts into a structured summary for the system prompt
  * @param {Array<{fact_key: string, fact_value: string, confidence: number}>} facts 
@@ -22,66 +63,170 @@ function formatMemoryFacts(facts) {
     return `\n\n## User Memory\nThe following facts are known about the user:\n${factLines.join('\n')}`;
 }
 
+/**
+ * Take items from the end of a list while they fit in a token budget
+ * Stops at the first item that doesn't fit, so what is kept is contiguous.
+ * @template T
+ * @param {T[]} items - Oldest first
+ * @param {(item: T) => string} textOf
+ * @param {number} budget
+ * @param {import('./tokenizers/types.mjs').Tokenizer} tokenizer
+ * @returns {{ kept: T[], tokens: number }} kept is oldest first
+ */
+function takeNewestWithin(items, textOf, budget, tokenizer) {
+    const kept = [];
+    let tokens = 0;
+    for (let i = items.length - 1; i >= 0; i--) {
+        const cost = tokenizer.count(textOf(items[i]));
+        if (tokens + cost > budget) break;
+        kept.unshift(items[i]);
+        tokens += cost;
+    }
+    return { kept, tokens };
+}
+
+/**
+ * Format session summaries for the system prompt
+ * @param {Array<{summary: string}>} summaries - Oldest first
+ * @returns {string}
+ */
+function formatSessionSummaries(summaries) {
+    if (summaries.length === 0) {
+        return '';
+    }
+
+    const lines = summaries.map(s => `- ${s.summary}`);
+    return `\n\n## Previous Conversations\nRecaps of your recent conversations with the user, oldest first:\n${lines.join('\n')}`;
+}
+
+/**
+ * Index of the fact to drop first: lowest confidence, the later one on a tie
+ * (facts arrive best match first)
+ * @param {Array<{confidence: number}>} facts
+ * @returns {number}
+ */
+function leastConfidentIndex(facts) {
+    let index = facts.length - 1;
+    for (let i = facts.length - 2; i >= 0; i--) {
+        if (facts[i].confidence < facts[index].confidence) {
+            index = i;
+        }
+    }
+    return index;
+}
+
 /**
  * Build LLM context with deterministic ordering
  * 
  * @param {Object} params
  * @param {string} params.persona_prompt - System persona instructions
- * @param {Array<{fact_key: string, fact_value: string, confidence: number}>} params.memory_facts - User memory facts
- * @param {Array<{role: string, content: string, created_at: string}>|null} params.last_session_transcript - Previous session messages
+ * @param {Array<{fact_key: string, fact_value: string, confidence: number}>} params.memory_facts - Facts recalled for user_input (see recallFacts), injected in the given order
+ * @param {Array<{role: string, content: string, created_at: string}>|null} params.last_session_transcript - Previous session messages; only the newest that fit the budget are kept
+ * @param {Array<{session_id: string, summary: string}>} [params.session_summaries] - Recaps of recent sessions, oldest first
+ * @param {Array<{role: string, content: string}>} [params.current_session_transcript] - Turns already in the active session, oldest first
+ * @param {number} [params.history_token_budget] - Default: CONTEXT_HISTORY_TOKEN_BUDGET
+ * @param {number} [params.token_budget] - Prompt budget of the target model. Default: getContextBudget()
+ * @param {import('./tokenizers/types.mjs').Tokenizer} [params.tokenizer] - Default: character heuristic
  * @param {string} params.user_input - Current user message
- * @returns {{messages: Array<{role: string, content: string}>}}
+ * @returns {{ messages: Array<{role: string, content: string}>, budget: ContextBudgetReport, dropped: ContextDropReport }}
  */
-export function buildLLMContext({ persona_prompt, memory_facts, last_session_transcript, user_input }) {
-    const messages = [];
+export function buildLLMContext({
+    persona_prompt,
+    memory_facts,
+    last_session_transcript,
+    session_summaries = [],
+    current_session_transcript = [],
+    history_token_budget = getHistoryTokenBudget(),
+    token_budget = getContextBudget().budget,
+    tokenizer = getDefaultTokenizer(),
+    user_input
+}) {
+    // Summaries first, then as much of the transcript tail as still fits
+    const allSummaries = session_summaries || [];
+    const summaries = takeNewestWithin(allSummaries, s => s.summary, history_token_budget, tokenizer);
+    const conversation = (last_session_transcript || []).filter(m => m.role === 'user' || m.role === 'assistant');
+    const tail = takeNewestWithin(conversation, m => m.content, history_token_budget - summaries.tokens, tokenizer);
+    // The current session is only limited by the overall budget
+    const sessionTurns = (current_session_transcript || []).filter(m => m.role === 'user' || m.role === 'assistant');
+
+    /** @type {ContextDropReport} */
+    const dropped = {
+        transcript_messages: conversation.length - tail.kept.length,
+        session_messages: 0,
+        session_summaries: allSummaries.length - summaries.kept.length,
+        memory_facts: []
+    };
+
+    let facts = [...(memory_facts || [])];
+    let keptSummaries = summaries.kept;
+    let keptTail = tail.kept;
+    let keptTurns = sessionTurns;
 
     // ============================================================
-    // Position 0: SYSTEM message (Persona + Memory Facts)
+    // Position 0: SYSTEM message (Persona + Memory Facts + Summaries)
     // ============================================================
     // Persona instructions are immutable and cannot be overridden
-    let systemContent = persona_prompt;
-
-    // Inject memory facts as structured summary
-    const memorySection = formatMemoryFacts(memory_facts);
-    if (memorySection) {
-        systemContent += memorySection;
-    }
-
-    messages.push({
-        role: 'system',
-        content: systemContent
-    });
+    const systemContent = () => persona_prompt + formatMemoryFacts(facts) + formatSessionSummaries(keptSummaries);
 
     // ============================================================
-    // Positions 1..N: Last session transcript (CONTEXT)
+    // Positions 1..N: Tail of the last session transcript (CONTEXT)
+    // Positions N+1..M: Current session turns so far (CONTEXT)
+    // Position M+1: Current USER input
     // ============================================================
-    // Only include user and assistant messages (not system)
-    if (last_session_transcript && last_session_transcript.length > 0) {
-        for (const msg of last_session_transcript) {
-            if (msg.role === 'user' || msg.role === 'assistant') {
-                messages.push({
-                    role: msg.role,
-                    content: msg.content
-                });
-            }
+    // Only user and assistant messages (not system)
+    const assemble = () => [
+        { role: 'system', content: systemContent() },
+        ...keptTail.map(msg => ({ role: msg.role, content: msg.content })),
+        ...keptTurns.map(msg => ({ role: msg.role, content: msg.content })),
+        { role: 'user', content: user_input }
+    ];
+
+    let messages = assemble();
+    let used = countMessageTokens(messages, tokenizer);
+
+    // Trim in priority order until the prompt fits
+    while (used > token_budget) {
+        if (keptTail.length > 0) {
+            used -= MESSAGE_OVERHEAD_TOKENS + tokenizer.count(keptTail[0].content);
+            keptTail = keptTail.slice(1);
+            dropped.transcript_messages++;
+            continue;
         }
+        if (keptTurns.length > 0) {
+            used -= MESSAGE_OVERHEAD_TOKENS + tokenizer.count(keptTurns[0].content);
+            keptTurns = keptTurns.slice(1);
+            dropped.session_messages++;
+            continue;
+        }
+
+        const systemTokens = tokenizer.count(messages[0].content);
+        if (keptSummaries.length > 0) {
+            keptSummaries = keptSummaries.slice(1);
+            dropped.session_summaries++;
+        } else if (facts.length > 0) {
+            const [fact] = facts.splice(leastConfidentIndex(facts), 1);
+            dropped.memory_facts.push(fact.fact_key);
+        } else {
+            break;
+        }
+        messages = assemble();
+        used += tokenizer.count(messages[0].content) - systemTokens;
     }
 
-    // ============================================================
-    // Position N+1: Current USER input
-    // ============================================================
-    messages.push({
-        role: 'user',
-        content: user_input
-    });
+    messages = assemble();
 
-    return { messages };
+    return {
+        messages,
+        budget: { limit: token_budget, used, tokenizer: tokenizer.name },
+        dropped
+    };
 }
 
 /**
  * Validate that a context is properly formed
- * Throws if validation fails
- * @param {{messages: Array<{role: string, content: string}>}} context 
+ * Throws if validation fails, including when buildLLMContext could not fit
+ * it into its token budget
+ * @param {{messages: Array<{role: string, content: string}>, budget?: ContextBudgetReport}} context 
  */
 export function validateContext(context) {
     if (!context || !context.messages || !Array.isArray(context.messages)) {
@@ -113,5 +258,55 @@ export function validateContext(context) {
         }
     }
 
+    // Nothing left to trim and still too big for the model
+    if (context.budget && context.budget.used > context.budget.limit) {
+        throw new Error(`Invalid context: ${context.budget.used} tokens exceeds the budget of ${context.budget.limit}`);
+    }
+
     return true;
 }
+
+/**
+ * Cut a text down to a token budget, keeping its start
+ * @param {string} text
+ * @param {number} budget
+ * @param {import('./tokenizers/types.mjs').Tokenizer} [tokenizer] - Default: character heuristic
+ * @returns {string} The text itself if it fits
+ */
+export function truncateToTokens(text, budget, tokenizer = getDefaultTokenizer()) {
+    let cut = text;
+    let tokens = tokenizer.count(cut);
+    while (tokens > budget && cut.length > 0) {
+        // Shrink in proportion to the overshoot; counts aren't linear in length, hence the loop
+        cut = cut.slice(0, Math.min(cut.length - 1, Math.floor(cut.length * budget / tokens)));
+        tokens = tokenizer.count(cut);
+    }
+    return cut;
+}
+
+/**
+ * Take transcript lines from the front of a list while they fit a token budget
+ * For background requests that read a whole session (summaries, fact
+ * extraction) and so have to go through a long one in chunks. The first line is
+ * always taken, cut down to the budget if it alone is over it, so every call
+ * makes progress.
+ * @param {string[]} lines - Joined with newlines, each counted as a token
+ * @param {number} budget
+ * @param {import('./tokenizers/types.mjs').Tokenizer} [tokenizer] - Default: character heuristic
+ * @returns {string[]} At least one line unless lines is empty
+ */
+export function takeLinesWithin(lines, budget, tokenizer = getDefaultTokenizer()) {
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const taken = [truncateToTokens(lines[0], budget - 1, tokenizer)];
+    let tokens = tokenizer.count(taken[0]) + 1;
+    for (const line of lines.slice(1)) {
+        const cost = tokenizer.count(line) + 1;
+        if (tokens + cost > budget) break;
+        taken.push(line);
+        tokens += cost;
+    }
+    return taken;
+}
@@ -0,0 +1,43 @@
+/**
+ * Model Context Windows
+ * @module llm/context-window
+ *
+ * How many tokens (prompt + reply) each model accepts, matched by model name
+ * prefix. Unknown models get a conservative default; CONTEXT_WINDOW_TOKENS
+ * overrides the table, e.g. for a self-hosted model.
+ */
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * [prefix, tokens] - first match wins, so longer prefixes come first
+ * @type {Array<[string, number]>}
+ */
+const MODEL_CONTEXT_WINDOWS = [
+    ['gpt-4o', 128000],
+    ['gpt-4.1', 1047576],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4', 8192],
+    ['gpt-3.5-turbo', 16385],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+    ['gemini-1.5', 1048576],
+    ['gemini-2', 1048576],
+    ['claude', 200000],
+    ['mock-jarvis', 128000]
+];
+
+/**
+ * Context window of a model
+ * @param {string} [model]
+ * @returns {number} Tokens
+ */
+export function getContextWindow(model = '') {
+    const override = parseInt(process.env.CONTEXT_WINDOW_TOKENS ?? '', 10);
+    if (Number.isFinite(override) && override > 0) {
+        return override;
+    }
+    const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
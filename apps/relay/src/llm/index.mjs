@@ -3,18 +3,33 @@
  * Manages provider selection, fallback, and response orchestration
  * @module llm/index
  * 
- * FALLBACK ORDER (MANDATORY):
- * 1. OpenAI (primary)
- * 2. Gemini (fallback)
+ * FALLBACK ORDER:
+ * Default: 1. OpenAI (primary) 2. Gemini (fallback)
+ * LLM_FALLBACK_ORDER=openai,anthropic,gemini picks and orders the chain from
+ * the registered providers (openai, gemini, anthropic, plus any named
+ * OpenAI-compatible instances from LLM_OPENAI_COMPATIBLE). Read at call time.
+ * The "llm" section of the provider chain config (config/provider-chains)
+ * replaces both, and sets each entry's model, timeout and fallback rules.
+ * Providers whose circuit breaker is open (services/provider-health) are
+ * skipped; a forced provider is always tried.
  * 
  * MOCK MODE:
  * When LLM_MOCK_MODE=true, uses deterministic mock provider only.
  * Enables local dev and CI testing without real API keys.
+ *
+ * STREAMING:
+ * streamWithFallback() walks the same chain using provider.generateStream().
+ * A provider can only be swapped out before its first delta reaches the caller.
  */
 
 import { OpenAIProvider } from './providers/openai.mjs';
 import { GeminiProvider } from './providers/gemini.mjs';
+import { AnthropicProvider } from './providers/anthropic.mjs';
+import { OpenAICompatibleProvider, parseCompatibleInstances, toCompatibleOptions } from './providers/openai-compatible.mjs';
 import { MockProvider } from './providers/mock.mjs';
+import { getContextWindow } from './context-window.mjs';
+import { getProviderChains, shouldFallBack, withSettings, attemptTimeout, DEFAULT_FALLBACK_ON } from '../config/provider-chains.mjs';
+import { allowRequest, recordSuccess, recordFailure, getProviderHealth } from '../services/provider-health.mjs';
 import { randomUUID } from 'crypto';
 
 /**
@@ -31,12 +46,28 @@ export function getMockMode() {
 const providers = {
     mock: new MockProvider(),
     openai: new OpenAIProvider(),
-    gemini: new GeminiProvider()
+    gemini: new GeminiProvider(),
+    anthropic: new AnthropicProvider()
 };
 
+// Self-hosted servers join the registry under their configured names
+for (const options of parseCompatibleInstances(process.env.LLM_OPENAI_COMPATIBLE, Object.keys(providers))) {
+    providers[options.name] = new OpenAICompatibleProvider(options);
+}
+
+/**
+ * Get a provider by name
+ * Configured chain entries come first, so their settings apply.
+ * @param {string} name
+ * @returns {import('./providers/types.mjs').LLMProvider | null}
+ */
+export function getProvider(name) {
+    return findLink(name)?.provider ?? null;
+}
+
 /**
- * Explicit fallback order - this defines the priority chain
- * OpenAI first, Gemini second (as mandated)
+ * Default fallback order - the priority chain when LLM_FALLBACK_ORDER is unset
+ * OpenAI first, Gemini second
  */
 const LLM_FALLBACK_ORDER = ['openai', 'gemini'];
 
@@ -46,69 +77,212 @@ const LLM_FALLBACK_ORDER = ['openai', 'gemini'];
 const MOCK_FALLBACK_ORDER = ['mock'];
 
 /**
- * Error codes that trigger fallback
- * 401 = Unauthorized, 429 = Rate limit, 5xx = Server errors
+ * Reply tokens reserved for providers that don't set max_tokens (mock)
  */
-const FALLBACK_ERROR_CODES = [401, 403, 429, 500, 502, 503, 504];
+const DEFAULT_REPLY_TOKENS = 1024;
 
 /**
- * Check if error should trigger fallback
- * @param {Error} error
- * @returns {boolean}
+ * Fallback order from LLM_FALLBACK_ORDER (comma-separated), read at call time
+ * @returns {string[]}
+ * @throws {Error} If it names an unknown provider or no provider at all
  */
-function shouldFallback(error) {
-    // Network errors
-    if (error.message?.includes('fetch') || error.message?.includes('network')) {
-        return true;
+export function getFallbackOrder() {
+    const value = process.env.LLM_FALLBACK_ORDER;
+    if (!value) {
+        return LLM_FALLBACK_ORDER;
     }
 
-    // HTTP error codes that warrant fallback
-    if (error.status && FALLBACK_ERROR_CODES.includes(error.status)) {
-        return true;
+    const order = [...new Set(value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    const unknown = order.filter(name => !providers[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown LLM provider in LLM_FALLBACK_ORDER: ${unknown.join(', ')}`);
+    }
+    if (order.length === 0) {
+        throw new Error('LLM_FALLBACK_ORDER names no providers');
     }
+    return order;
+}
+
+/**
+ * @typedef {Object} ChainLink
+ * @property {string} name
+ * @property {import('./providers/types.mjs').LLMProvider} provider - With the entry's settings applied
+ * @property {string[]} fallbackOn - Error classes that move on to the next link
+ * @property {number} [timeoutMs] - Abort the attempt after this long
+ */
 
-    // API configuration errors
-    if (error.message?.includes('not configured')) {
-        return true;
+/**
+ * Links built from the config, per validated config section
+ * @type {WeakMap<Object[], ChainLink[]>}
+ */
+const configuredLinks = new WeakMap();
+
+/**
+ * Chain link for a registered provider with default settings
+ * @param {string} name
+ * @returns {ChainLink}
+ */
+function defaultLink(name) {
+    return { name, provider: providers[name], fallbackOn: DEFAULT_FALLBACK_ON.llm };
+}
+
+/**
+ * Build the links of the configured "llm" section
+ * @param {import('../config/provider-chains.mjs').ChainEntry[]} entries
+ * @returns {ChainLink[]}
+ * @throws {Error} If an entry names an unknown provider or has invalid instance settings
+ */
+function buildConfiguredLinks(entries) {
+    return entries.map((entry) => {
+        const { provider: name, type, fallback_on, timeout_ms, ...settings } = entry;
+        let provider;
+
+        if (type === 'openai_compatible') {
+            provider = new OpenAICompatibleProvider(
+                toCompatibleOptions(name, settings, `Provider chains: llm ${name}`, Object.keys(providers))
+            );
+        } else if (providers[name] && name !== 'mock') {
+            const unsupported = Object.keys(settings).filter(key => !['model', 'max_tokens', 'temperature'].includes(key));
+            if (unsupported.length > 0) {
+                throw new Error(`Provider chains: llm ${name}: ${unsupported.join(', ')} needs type openai_compatible`);
+            }
+            provider = withSettings(providers[name], {
+                model: settings.model,
+                maxTokens: settings.max_tokens,
+                temperature: settings.temperature
+            });
+        } else {
+            throw new Error(`Unknown LLM provider in provider chains: ${name}`);
+        }
+
+        return { name, provider, fallbackOn: fallback_on, timeoutMs: timeout_ms };
+    });
+}
+
+/**
+ * The chain requests walk when no provider is forced
+ * Mock mode uses the mock chain; otherwise the configured chain, else LLM_FALLBACK_ORDER.
+ * @returns {ChainLink[]}
+ */
+function getActiveChain() {
+    if (getMockMode()) {
+        return MOCK_FALLBACK_ORDER.map(defaultLink);
     }
 
-    return false;
+    const { llm } = getProviderChains();
+    if (!llm) {
+        return getFallbackOrder().map(defaultLink);
+    }
+    if (!configuredLinks.has(llm)) {
+        configuredLinks.set(llm, buildConfiguredLinks(llm));
+    }
+    return configuredLinks.get(llm);
+}
+
+/**
+ * Find a provider's link: its configured entry, else the registry default
+ * @param {string} name
+ * @returns {ChainLink | null}
+ */
+function findLink(name) {
+    const { llm } = getProviderChains();
+    const configured = llm && !getMockMode() ? getActiveChain().find(l => l.name === name) : null;
+    return configured ?? (providers[name] ? defaultLink(name) : null);
+}
+
+/**
+ * Resolve the provider chain for a request
+ * @param {string} [forceProvider] - Force a specific provider, bypasses fallback chain
+ * @param {string} correlationId
+ * @returns {ChainLink[]}
+ * @throws {Error} If the forced provider is unknown
+ */
+function resolveProviderChain(forceProvider, correlationId) {
+    // A forced provider is used alone, with no fallback (for testing)
+    if (forceProvider) {
+        const link = findLink(forceProvider);
+        if (!link) {
+            throw new Error(`Unknown LLM provider: ${forceProvider}`);
+        }
+        console.log(`[LLM:${correlationId}] Forcing provider: ${forceProvider}`);
+        return [link];
+    }
+
+    // Use mock chain when in mock mode, otherwise use real provider chain
+    return getActiveChain();
+}
+
+/**
+ * Signal for one provider attempt: its chain entry timeout plus the caller's signal
+ * @param {AbortSignal | undefined} timeoutSignal
+ * @param {AbortSignal | undefined} callerSignal
+ * @returns {AbortSignal | undefined}
+ */
+function withCallerSignal(timeoutSignal, callerSignal) {
+    return timeoutSignal && callerSignal ? AbortSignal.any([timeoutSignal, callerSignal]) : (timeoutSignal || callerSignal);
+}
+
+/**
+ * Prompt token budget for a request, before it is sent
+ * Any provider in the chain may end up answering, so the budget is the
+ * smallest context window in the chain minus the reply tokens that provider
+ * reserves (max_tokens).
+ * @param {string} [forceProvider] - Budget for this provider only
+ * @returns {{ model: string, budget: number }} model is the first provider's, for picking a tokenizer
+ */
+export function getContextBudget(forceProvider) {
+    const chain = forceProvider && findLink(forceProvider) ? [findLink(forceProvider)] : getActiveChain();
+
+    const budgets = chain.map(({ provider }) => {
+        const window = provider.contextWindow ?? getContextWindow(provider.getStatus().model);
+        return window - (provider.maxTokens ?? DEFAULT_REPLY_TOKENS);
+    });
+
+    return {
+        model: chain[0].provider.getStatus().model,
+        budget: Math.max(0, Math.min(...budgets))
+    };
 }
 
 /**
  * Generate LLM response with automatic fallback
  * @param {import('./providers/types.mjs').LLMRequest} request
  * @param {Object} [options] - Optional configuration
- * @param {string} [options.forceProvider] - Force a specific provider (openai|gemini), bypasses fallback chain
+ * @param {string} [options.forceProvider] - Force a specific provider (openai|gemini|anthropic or a compatible instance), bypasses fallback chain
  * @param {string} [options.correlationId] - Use provided correlation ID instead of generating new one
+ * @param {AbortSignal} [options.signal] - Cancels the request (no fallback); the abort reason is thrown
  * @returns {Promise<import('./providers/types.mjs').LLMResponse & { fallback_used: boolean, correlation_id: string }>}
- * @throws {Error} If all providers fail or forced provider fails
+ * @throws {Error} If all providers fail ('All LLM providers failed', with provider_errors), or
+ *   a provider fails in a way the chain doesn't fall back from (the provider's error, tagged with provider and correlation_id)
  */
 export async function generateWithFallback(request, options = {}) {
     const correlationId = options.correlationId || randomUUID();
     const errors = [];
     let fallbackUsed = false;
 
-    // Use mock chain when in mock mode, otherwise use real provider chain
-    let providerChain = getMockMode() ? MOCK_FALLBACK_ORDER : LLM_FALLBACK_ORDER;
-
-    // If a specific provider is forced, use only that provider (for testing)
-    if (options.forceProvider && providers[options.forceProvider]) {
-        console.log(`[LLM:${correlationId}] Forcing provider: ${options.forceProvider}`);
-        providerChain = [options.forceProvider];
-    }
+    const providerChain = resolveProviderChain(options.forceProvider, correlationId);
 
-    for (const providerName of providerChain) {
-        const provider = providers[providerName];
+    for (const link of providerChain) {
+        const { name: providerName, provider } = link;
 
         if (!await provider.isAvailable()) {
             console.log(`[LLM:${correlationId}] Provider '${providerName}' not available, skipping`);
             continue;
         }
 
+        if (!options.forceProvider && !allowRequest('llm', providerName)) {
+            console.log(`[LLM:${correlationId}] Provider '${providerName}' circuit open, skipping`);
+            errors.push({ provider: providerName, error: 'circuit open' });
+            continue;
+        }
+
         try {
             console.log(`[LLM:${correlationId}] Attempting provider: ${providerName}`);
-            const response = await provider.generate(request);
+            const startedAt = Date.now();
+            const timeout = attemptTimeout(link.timeoutMs, providerName);
+            const signal = withCallerSignal(timeout.signal, options.signal);
+            const response = await provider.generate({ ...request, signal }).finally(timeout.clear);
+            recordSuccess('llm', providerName, Date.now() - startedAt);
 
             if (fallbackUsed) {
                 console.log(`[LLM:${correlationId}] Fallback to '${providerName}' succeeded`);
@@ -123,12 +297,18 @@ export async function generateWithFallback(request, options = {}) {
                 correlation_id: correlationId
             };
         } catch (error) {
+            if (options.signal?.aborted) {
+                console.log(`[LLM:${correlationId}] Request aborted during '${providerName}'`);
+                throw error;
+            }
+
             // Log error without exposing secrets
             console.error(`[LLM:${correlationId}] Provider '${providerName}' failed:`, {
                 message: error.message,
                 status: error.status,
                 // Do NOT log error.body as it may contain secrets in the request
             });
+            recordFailure('llm', providerName, error);
 
             errors.push({
                 provider: providerName,
@@ -136,13 +316,15 @@ export async function generateWithFallback(request, options = {}) {
                 status: error.status
             });
 
-            if (shouldFallback(error)) {
+            if (shouldFallBack(error, link.fallbackOn)) {
                 console.log(`[LLM:${correlationId}] Error is recoverable, trying next provider`);
                 fallbackUsed = true;
                 continue;
             }
 
             // Non-recoverable error (e.g., invalid request format)
+            error.provider = providerName;
+            error.correlation_id = correlationId;
             throw error;
         }
     }
@@ -154,13 +336,115 @@ export async function generateWithFallback(request, options = {}) {
     throw aggregatedError;
 }
 
+/**
+ * Stream LLM response with automatic fallback
+ * Fallback is only possible until the first delta has been yielded; after that
+ * the caller has already consumed partial output, so errors are rethrown.
+ * @param {import('./providers/types.mjs').LLMRequest} request
+ * @param {Object} [options] - Optional configuration
+ * @param {string} [options.forceProvider] - Force a specific provider (openai|gemini|anthropic or a compatible instance), bypasses fallback chain
+ * @param {string} [options.correlationId] - Use provided correlation ID instead of generating new one
+ * @param {AbortSignal} [options.signal] - Cancels the stream (no fallback); the abort reason is thrown
+ * @yields {import('./providers/types.mjs').LLMStreamEvent & { fallback_used?: boolean, correlation_id?: string }}
+ * @throws {Error} If all providers fail before producing output
+ */
+export async function* streamWithFallback(request, options = {}) {
+    const correlationId = options.correlationId || randomUUID();
+    const errors = [];
+    let fallbackUsed = false;
+
+    const providerChain = resolveProviderChain(options.forceProvider, correlationId);
+
+    for (const link of providerChain) {
+        const { name: providerName, provider } = link;
+
+        if (!await provider.isAvailable()) {
+            console.log(`[LLM:${correlationId}] Provider '${providerName}' not available, skipping`);
+            continue;
+        }
+
+        if (!options.forceProvider && !allowRequest('llm', providerName)) {
+            console.log(`[LLM:${correlationId}] Provider '${providerName}' circuit open, skipping`);
+            errors.push({ provider: providerName, error: 'circuit open' });
+            continue;
+        }
+
+        let deltaCount = 0;
+        let firstDeltaMs = null;
+        const startedAt = Date.now();
+        const timeout = attemptTimeout(link.timeoutMs, providerName);
+        try {
+            console.log(`[LLM:${correlationId}] Attempting streaming provider: ${providerName}`);
+
+            const signal = withCallerSignal(timeout.signal, options.signal);
+            for await (const event of provider.generateStream({ ...request, signal })) {
+                if (event.type === 'delta') {
+                    deltaCount++;
+                    firstDeltaMs ??= Date.now() - startedAt;
+                    yield event;
+                } else if (event.type === 'done') {
+                    recordSuccess('llm', providerName, firstDeltaMs ?? Date.now() - startedAt);
+                    console.log(`[LLM:${correlationId}] provider_used=${providerName} fallback_used=${fallbackUsed} deltas=${deltaCount}`);
+                    yield {
+                        ...event,
+                        fallback_used: fallbackUsed,
+                        correlation_id: correlationId
+                    };
+                }
+            }
+            return;
+        } catch (error) {
+            if (options.signal?.aborted) {
+                console.log(`[LLM:${correlationId}] Stream aborted during '${providerName}' after ${deltaCount} deltas`);
+                throw error;
+            }
+
+            console.error(`[LLM:${correlationId}] Streaming provider '${providerName}' failed after ${deltaCount} deltas:`, {
+                message: error.message,
+                status: error.status
+            });
+            recordFailure('llm', providerName, error);
+
+            // Output already reached the caller - cannot transparently switch providers
+            if (deltaCount > 0) {
+                error.correlation_id = correlationId;
+                throw error;
+            }
+
+            errors.push({
+                provider: providerName,
+                error: error.message,
+                status: error.status
+            });
+
+            if (shouldFallBack(error, link.fallbackOn)) {
+                console.log(`[LLM:${correlationId}] Error is recoverable, trying next provider`);
+                fallbackUsed = true;
+                continue;
+            }
+
+            error.provider = providerName;
+            error.correlation_id = correlationId;
+            throw error;
+        } finally {
+            timeout.clear();
+        }
+    }
+
+    // All providers failed
+    const aggregatedError = new Error('All LLM providers failed');
+    aggregatedError.correlation_id = correlationId;
+    aggregatedError.provider_errors = errors;
+    throw aggregatedError;
+}
+
 /**
  * Get provider status for health checks
  * @returns {Promise<Object>}
  */
 export async function getProviderStatus() {
     const mockMode = getMockMode();
-    const activeChain = mockMode ? MOCK_FALLBACK_ORDER : LLM_FALLBACK_ORDER;
+    const activeChain = getActiveChain();
 
     const status = {
         llm_enabled: false,
@@ -168,19 +452,31 @@ export async function getProviderStatus() {
         primary: null,
         fallback: null,
         persona: 'jarvis',
-        fallback_order: activeChain,
+        fallback_order: activeChain.map(l => l.name),
+        chain_source: mockMode ? 'mock' : getProviderChains().source,
+        chain: [],
         providers: {}
     };
 
-    // In mock mode, only report mock provider; otherwise report real providers
-    const activeProviders = mockMode
-        ? { mock: providers.mock }
-        : { openai: providers.openai, gemini: providers.gemini };
-
-    for (const [name, provider] of Object.entries(activeProviders)) {
+    // Only the providers in the chain (just mock in mock mode), in chain order
+    for (const { name, provider, fallbackOn, timeoutMs } of activeChain) {
         const available = await provider.isAvailable();
-        status.providers[name] = provider.getStatus();
-        status.providers[name].available = available;
+        status.providers[name] = {
+            ...provider.getStatus(),
+            available,
+            isPrimary: name === activeChain[0].name,
+            timeout_ms: timeoutMs ?? null,
+            fallback_on: fallbackOn,
+            health: getProviderHealth('llm', name)
+        };
+        status.chain.push({
+            provider: name,
+            available,
+            model: status.providers[name].model,
+            timeout_ms: timeoutMs ?? null,
+            fallback_on: fallbackOn,
+            circuit: status.providers[name].health.circuit
+        });
 
         if (available && status.primary === null) {
             status.primary = name;
@@ -194,11 +490,11 @@ export async function getProviderStatus() {
 }
 
 /**
- * Check if any LLM provider is configured
+ * Check if any LLM provider in the chain is configured
  * @returns {Promise<boolean>}
  */
 export async function isConfigured() {
-    for (const provider of Object.values(providers)) {
+    for (const { provider } of getActiveChain()) {
         if (await provider.isAvailable()) {
             return true;
         }
@@ -206,5 +502,14 @@ export async function isConfigured() {
     return false;
 }
 
-export { OpenAIProvider, GeminiProvider, MockProvider };
+/**
+ * Whether a provider can be forced by name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasProvider(name) {
+    return findLink(name) !== null;
+}
+
+export { OpenAIProvider, GeminiProvider, AnthropicProvider, OpenAICompatibleProvider, MockProvider };
 export { LLM_FALLBACK_ORDER, MOCK_FALLBACK_ORDER };
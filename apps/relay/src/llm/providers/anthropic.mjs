@@ -0,0 +1,291 @@
+/**
+ * Anthropic LLM Provider
+ * LLM provider using the Anthropic Messages API
+ * @module llm/providers/anthropic
+ */
+
+import { LLMProvider } from './types.mjs';
+import { readSSE } from '../sse.mjs';
+import { fetchWithPolicy } from '../../services/request-policy.mjs';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * The Messages API has no JSON mode, so structured-output requests say so in the system prompt
+ */
+const JSON_INSTRUCTION = 'Respond with only a single JSON object, no other text.';
+
+/**
+ * Stands in for the user turn the API requires first, when the context starts with an assistant message
+ */
+const CONVERSATION_RESUMED = '(conversation resumed)';
+
+/**
+ * Content blocks of one provider-neutral message
+ * Tool calls become tool_use blocks and tool results tool_result blocks.
+ * @param {import('./types.mjs').LLMMessage} msg
+ * @returns {Array<Object>}
+ */
+function toContentBlocks(msg) {
+    if (msg.role === 'tool') {
+        return [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }];
+    }
+    // The API rejects empty text blocks
+    const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+    for (const call of msg.tool_calls || []) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments ?? {} });
+    }
+    return blocks;
+}
+
+export class AnthropicProvider extends LLMProvider {
+    name = 'anthropic';
+
+    constructor() {
+        super();
+        this.apiKey = process.env.ANTHROPIC_API_KEY;
+        this.apiUrl = process.env.ANTHROPIC_API_URL || ANTHROPIC_API_URL;
+        this.model = process.env.LLM_MODEL_ANTHROPIC || DEFAULT_MODEL;
+        this.maxTokens = parseInt(process.env.LLM_MAX_TOKENS || String(DEFAULT_MAX_TOKENS), 10);
+        this.temperature = parseFloat(process.env.LLM_TEMPERATURE || String(DEFAULT_TEMPERATURE));
+    }
+
+    async isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Convert OpenAI-style messages to the Messages API format
+     * System messages move to the top-level system field. The API wants strictly
+     * alternating user/assistant turns starting with the user, so consecutive
+     * turns of one role are merged (tool results travel as user turns) and a
+     * placeholder user turn is added when the context opens with the assistant.
+     * @param {import('./types.mjs').LLMMessage[]} messages
+     * @returns {{ system: string, messages: Array<{role: 'user' | 'assistant', content: Array<Object>}> }}
+     */
+    _convertMessages(messages) {
+        let system = '';
+        const turns = [];
+
+        for (const msg of messages) {
+            if (msg.role === 'system') {
+                system += (system ? '\n\n' : '') + msg.content;
+                continue;
+            }
+
+            const role = msg.role === 'assistant' ? 'assistant' : 'user';
+            const blocks = toContentBlocks(msg);
+            if (blocks.length === 0) {
+                continue;
+            }
+
+            const previous = turns[turns.length - 1];
+            if (previous?.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                turns.push({ role, content: blocks });
+            }
+        }
+
+        if (turns[0]?.role === 'assistant') {
+            turns.unshift({ role: 'user', content: [{ type: 'text', text: CONVERSATION_RESUMED }] });
+        }
+
+        return { system, messages: turns };
+    }
+
+    /**
+     * Generate a response from Anthropic
+     * @param {import('./types.mjs').LLMRequest} request
+     * @returns {Promise<import('./types.mjs').LLMResponse>}
+     */
+    async generate(request) {
+        if (!await this.isAvailable()) {
+            throw new Error('Anthropic not configured');
+        }
+
+        const model = request.model || this.model;
+
+        console.log(`[Anthropic] Calling ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, false);
+        const data = await response.json();
+
+        if (!Array.isArray(data.content)) {
+            throw new Error('Anthropic returned no content');
+        }
+
+        const content = data.content.filter(b => b.type === 'text').map(b => b.text).join('');
+        const toolCalls = data.content
+            .filter(b => b.type === 'tool_use')
+            .map(b => ({ id: b.id, name: b.name, arguments: b.input ?? {} }));
+        const usage = {
+            prompt_tokens: data.usage?.input_tokens || 0,
+            completion_tokens: data.usage?.output_tokens || 0
+        };
+
+        console.log(`[Anthropic] Response: ${content.length} chars, ${toolCalls.length} tool calls, ${usage.prompt_tokens + usage.completion_tokens} tokens`);
+
+        const result = {
+            content,
+            model: data.model || model,
+            provider: this.name,
+            usage
+        };
+        if (toolCalls.length > 0) {
+            result.tool_calls = toolCalls;
+        }
+        return result;
+    }
+
+    /**
+     * Stream a response from Anthropic (Messages API over SSE)
+     * Input tokens arrive in message_start, output tokens in message_delta. A
+     * tool_use block's input arrives as JSON fragments; the calls are reported
+     * on the done event.
+     * @param {import('./types.mjs').LLMRequest} request
+     * @yields {import('./types.mjs').LLMStreamEvent}
+     */
+    async *generateStream(request) {
+        if (!await this.isAvailable()) {
+            throw new Error('Anthropic not configured');
+        }
+
+        const model = request.model || this.model;
+
+        console.log(`[Anthropic] Streaming ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, true);
+
+        let content = '';
+        let responseModel = model;
+        const usage = { prompt_tokens: 0, completion_tokens: 0 };
+        /** @type {Map<number, {id: string, name: string, json: string}>} tool_use blocks by index */
+        const toolBlocks = new Map();
+
+        for await (const data of readSSE(response.body)) {
+            const event = JSON.parse(data);
+
+            switch (event.type) {
+                case 'error': {
+                    const error = new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+                    // overloaded_error mid-stream is the streaming form of HTTP 529
+                    error.status = event.error?.type === 'overloaded_error' ? 529 : undefined;
+                    throw error;
+                }
+                case 'message_start':
+                    responseModel = event.message?.model || responseModel;
+                    usage.prompt_tokens = event.message?.usage?.input_tokens || 0;
+                    break;
+                case 'content_block_start':
+                    if (event.content_block?.type === 'tool_use') {
+                        toolBlocks.set(event.index, { id: event.content_block.id, name: event.content_block.name, json: '' });
+                    }
+                    break;
+                case 'content_block_delta':
+                    if (event.delta?.type === 'text_delta' && event.delta.text) {
+                        content += event.delta.text;
+                        yield { type: 'delta', text: event.delta.text };
+                    } else if (event.delta?.type === 'input_json_delta' && toolBlocks.has(event.index)) {
+                        toolBlocks.get(event.index).json += event.delta.partial_json || '';
+                    }
+                    break;
+                case 'message_delta':
+                    usage.completion_tokens = event.usage?.output_tokens || usage.completion_tokens;
+                    break;
+            }
+        }
+
+        const toolCalls = [...toolBlocks.values()].map(({ id, name, json }) => {
+            let args;
+            try {
+                args = JSON.parse(json || '{}');
+            } catch {
+                args = null;
+            }
+            return { id, name, arguments: args };
+        });
+
+        console.log(`[Anthropic] Stream complete: ${content.length} chars, ${toolCalls.length} tool calls, ${usage.prompt_tokens + usage.completion_tokens} tokens`);
+
+        const done = {
+            type: 'done',
+            content,
+            model: responseModel,
+            provider: this.name,
+            usage
+        };
+        if (toolCalls.length > 0) {
+            done.tool_calls = toolCalls;
+        }
+        yield done;
+    }
+
+    /**
+     * POST a Messages API request, throwing on HTTP errors
+     * @private
+     * @param {import('./types.mjs').LLMRequest} request
+     * @param {boolean} stream
+     * @returns {Promise<Response>}
+     */
+    async _post(request, stream) {
+        const { system, messages } = this._convertMessages(request.messages);
+        const instructions = request.response_format === 'json'
+            ? [system, JSON_INSTRUCTION].filter(Boolean).join('\n\n')
+            : system;
+
+        const body = {
+            model: request.model || this.model,
+            messages,
+            max_tokens: request.max_tokens || this.maxTokens,
+            temperature: request.temperature ?? this.temperature
+        };
+        if (instructions) {
+            body.system = instructions;
+        }
+        if (request.tools?.length) {
+            body.tools = request.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+        if (stream) {
+            body.stream = true;
+        }
+
+        const response = await fetchWithPolicy(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION
+            },
+            body: JSON.stringify(body)
+        }, { provider: 'llm:anthropic', signal: request.signal });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            const error = new Error(`Anthropic API error: ${response.status}`);
+            error.status = response.status;
+            error.body = errorBody;
+            throw error;
+        }
+
+        return response;
+    }
+
+    getStatus() {
+        return {
+            available: Boolean(this.apiKey),
+            isPrimary: false,
+            model: this.model
+        };
+    }
+}
+
+export default AnthropicProvider;
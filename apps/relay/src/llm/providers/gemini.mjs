@@ -4,19 +4,75 @@
  * @module llm/providers/gemini
  */
 
+import { randomUUID } from 'crypto';
 import { LLMProvider } from './types.mjs';
+import { readSSE } from '../sse.mjs';
+import { fetchWithPolicy } from '../../services/request-policy.mjs';
 
 const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
 const DEFAULT_MODEL = 'gemini-2.0-flash';
 const DEFAULT_MAX_TOKENS = 1024;
 const DEFAULT_TEMPERATURE = 0.7;
 
+/**
+ * JSON schema keywords Gemini function declarations reject
+ */
+const UNSUPPORTED_SCHEMA_KEYS = ['additionalProperties', '$schema'];
+
+/**
+ * Strip a JSON schema down to the OpenAPI subset Gemini accepts
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toGeminiSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    return Object.fromEntries(
+        Object.entries(schema)
+            .filter(([key]) => !UNSUPPORTED_SCHEMA_KEYS.includes(key))
+            .map(([key, value]) => [key, key === 'enum' || key === 'required' ? value : toGeminiSchema(value)])
+    );
+}
+
+/**
+ * Tool results go back to Gemini as an object
+ * @param {string} content - JSON text of the result
+ * @returns {Object}
+ */
+function toFunctionResponse(content) {
+    try {
+        const value = JSON.parse(content);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+    } catch {
+        return { result: content };
+    }
+}
+
+/**
+ * Convert a functionCall part to a tool call
+ * @param {{ id?: string, name: string, args?: Object }} functionCall
+ * @returns {import('./types.mjs').LLMToolCall}
+ */
+function toToolCall(functionCall) {
+    // Gemini has no call IDs of its own on older models
+    return {
+        id: functionCall.id || `call_${randomUUID()}`,
+        name: functionCall.name,
+        arguments: functionCall.args ?? {}
+    };
+}
+
 export class GeminiProvider extends LLMProvider {
     name = 'gemini';
 
     constructor() {
         super();
         this.apiKey = process.env.GEMINI_API_KEY;
+        this.apiUrl = process.env.GEMINI_API_URL || GEMINI_API_URL;
         this.model = process.env.LLM_MODEL_GEMINI || DEFAULT_MODEL;
         this.maxTokens = parseInt(process.env.LLM_MAX_TOKENS || String(DEFAULT_MAX_TOKENS), 10);
         this.temperature = parseFloat(process.env.LLM_TEMPERATURE || String(DEFAULT_TEMPERATURE));
@@ -28,8 +84,10 @@ export class GeminiProvider extends LLMProvider {
 
     /**
      * Convert OpenAI-style messages to Gemini format
-     * @param {Array<{role: string, content: string}>} messages
-     * @returns {{ systemInstruction: string, contents: Array<{role: string, parts: Array<{text: string}>}> }}
+     * Tool calls become functionCall parts of a model turn; consecutive tool
+     * results are sent together as one user turn of functionResponse parts.
+     * @param {import('./types.mjs').LLMMessage[]} messages
+     * @returns {{ systemInstruction: string, contents: Array<{role: string, parts: Array<Object>}> }}
      */
     _convertMessages(messages) {
         let systemInstruction = '';
@@ -39,13 +97,22 @@ export class GeminiProvider extends LLMProvider {
             if (msg.role === 'system') {
                 // Gemini uses systemInstruction separately
                 systemInstruction += (systemInstruction ? '\n\n' : '') + msg.content;
+            } else if (msg.role === 'tool') {
+                const part = { functionResponse: { name: msg.name, response: toFunctionResponse(msg.content) } };
+                const previous = contents[contents.length - 1];
+                if (previous?.parts.every(p => p.functionResponse)) {
+                    previous.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
             } else {
                 // Gemini uses 'user' and 'model' (not 'assistant')
                 const role = msg.role === 'assistant' ? 'model' : 'user';
-                contents.push({
-                    role,
-                    parts: [{ text: msg.content }]
-                });
+                const parts = msg.content ? [{ text: msg.content }] : [];
+                for (const call of msg.tool_calls || []) {
+                    parts.push({ functionCall: { name: call.name, args: call.arguments ?? {} } });
+                }
+                contents.push({ role, parts });
             }
         }
 
@@ -62,15 +129,125 @@ export class GeminiProvider extends LLMProvider {
             throw new Error('Gemini not configured');
         }
 
+        const model = request.model || this.model;
+
+        console.log(`[Gemini] Calling ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, 'generateContent');
+        const data = await response.json();
+
+        if (!data.candidates || data.candidates.length === 0) {
+            throw new Error('Gemini returned no candidates');
+        }
+
+        const candidate = data.candidates[0];
+        const parts = candidate.content?.parts || [];
+        const content = parts.map(p => p.text || '').join('');
+        const toolCalls = parts.filter(p => p.functionCall).map(p => toToolCall(p.functionCall));
+
+        // Gemini uses different token counting
+        const promptTokens = data.usageMetadata?.promptTokenCount || 0;
+        const completionTokens = data.usageMetadata?.candidatesTokenCount || 0;
+
+        console.log(`[Gemini] Response: ${content.length} chars, ${toolCalls.length} tool calls, ${promptTokens + completionTokens} tokens`);
+
+        const result = {
+            content,
+            model,
+            provider: this.name,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens
+            }
+        };
+        if (toolCalls.length > 0) {
+            result.tool_calls = toolCalls;
+        }
+        return result;
+    }
+
+    /**
+     * Stream a response from Gemini (streamGenerateContent over SSE)
+     * usageMetadata is cumulative, so the last value seen is the total.
+     * functionCall parts arrive whole and are reported on the done event.
+     * @param {import('./types.mjs').LLMRequest} request
+     * @yields {import('./types.mjs').LLMStreamEvent}
+     */
+    async *generateStream(request) {
+        if (!await this.isAvailable()) {
+            throw new Error('Gemini not configured');
+        }
+
+        const model = request.model || this.model;
+
+        console.log(`[Gemini] Streaming ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, 'streamGenerateContent', 'alt=sse');
+
+        let content = '';
+        let promptTokens = 0;
+        let completionTokens = 0;
+        const toolCalls = [];
+
+        for await (const data of readSSE(response.body)) {
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                const error = new Error(`Gemini stream error: ${chunk.error.message || 'unknown'}`);
+                error.status = chunk.error.code;
+                throw error;
+            }
+
+            if (chunk.usageMetadata) {
+                promptTokens = chunk.usageMetadata.promptTokenCount || promptTokens;
+                completionTokens = chunk.usageMetadata.candidatesTokenCount || completionTokens;
+            }
+
+            const parts = chunk.candidates?.[0]?.content?.parts || [];
+            for (const { functionCall } of parts.filter(p => p.functionCall)) {
+                toolCalls.push(toToolCall(functionCall));
+            }
+            const text = parts.map(p => p.text || '').join('');
+            if (text) {
+                content += text;
+                yield { type: 'delta', text };
+            }
+        }
+
+        console.log(`[Gemini] Stream complete: ${content.length} chars, ${toolCalls.length} tool calls, ${promptTokens + completionTokens} tokens`);
+
+        const done = {
+            type: 'done',
+            content,
+            model,
+            provider: this.name,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens
+            }
+        };
+        if (toolCalls.length > 0) {
+            done.tool_calls = toolCalls;
+        }
+        yield done;
+    }
+
+    /**
+     * POST a request to a Gemini model method, throwing on HTTP errors
+     * @private
+     * @param {import('./types.mjs').LLMRequest} request
+     * @param {'generateContent' | 'streamGenerateContent'} method
+     * @param {string} [extraQuery] - Additional query string (e.g. 'alt=sse')
+     * @returns {Promise<Response>}
+     */
+    async _post(request, method, extraQuery) {
         const model = request.model || this.model;
         const maxTokens = request.max_tokens || this.maxTokens;
         const temperature = request.temperature ?? this.temperature;
 
         const { systemInstruction, contents } = this._convertMessages(request.messages);
 
-        console.log(`[Gemini] Calling ${model} with ${contents.length} messages`);
-
-        const url = `${GEMINI_API_URL}/${model}:generateContent?key=${this.apiKey}`;
+        const query = extraQuery ? `${extraQuery}&key=${this.apiKey}` : `key=${this.apiKey}`;
+        const url = `${this.apiUrl}/${model}:${method}?${query}`;
 
         const requestBody = {
             contents,
@@ -80,6 +257,20 @@ export class GeminiProvider extends LLMProvider {
             }
         };
 
+        if (request.response_format === 'json') {
+            requestBody.generationConfig.responseMimeType = 'application/json';
+        }
+
+        if (request.tools?.length) {
+            requestBody.tools = [{
+                functionDeclarations: request.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: toGeminiSchema(tool.parameters)
+                }))
+            }];
+        }
+
         // Add system instruction if present
         if (systemInstruction) {
             requestBody.systemInstruction = {
@@ -87,13 +278,13 @@ export class GeminiProvider extends LLMProvider {
             };
         }
 
-        const response = await fetch(url, {
+        const response = await fetchWithPolicy(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(requestBody)
-        });
+        }, { provider: 'llm:gemini', signal: request.signal });
 
         if (!response.ok) {
             const errorBody = await response.text();
@@ -103,30 +294,7 @@ export class GeminiProvider extends LLMProvider {
             throw error;
         }
 
-        const data = await response.json();
-
-        if (!data.candidates || data.candidates.length === 0) {
-            throw new Error('Gemini returned no candidates');
-        }
-
-        const candidate = data.candidates[0];
-        const content = candidate.content?.parts?.[0]?.text || '';
-
-        // Gemini uses different token counting
-        const promptTokens = data.usageMetadata?.promptTokenCount || 0;
-        const completionTokens = data.usageMetadata?.candidatesTokenCount || 0;
-
-        console.log(`[Gemini] Response: ${content.length} chars, ${promptTokens + completionTokens} tokens`);
-
-        return {
-            content,
-            model,
-            provider: this.name,
-            usage: {
-                prompt_tokens: promptTokens,
-                completion_tokens: completionTokens
-            }
-        };
+        return response;
     }
 
     getStatus() {
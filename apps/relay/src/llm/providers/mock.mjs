@@ -4,11 +4,25 @@
  * 
  * Enables end-to-end testing without real LLM API keys.
  * Produces stable, JARVIS-persona responses seeded by user input hash.
+ * Structured-output requests (response_format 'json') get the memory fact
+ * extraction shape, built from "my <thing> is <value>" statements, and
+ * session summary requests get a recap quoting the user's lines.
+ * "What did I just say?" is answered from the earlier turns in the request,
+ * which shows the conversation made it into the prompt.
+ *
+ * Tool calls are scripted: scriptToolCalls() queues rounds of calls, and each
+ * generate() or generateStream() request that offers tools takes the next
+ * round. Once the tool results come back the mock acknowledges them by name.
  */
 
 import { LLMProvider } from './types.mjs';
 import { createHash } from 'crypto';
 
+/**
+ * Delay between streamed chunks (ms)
+ */
+const MOCK_CHUNK_DELAY_MS = 10;
+
 /**
  * Simple deterministic hash function for seed generation
  * @param {string} input 
@@ -45,6 +59,26 @@ function extractUserInput(messages) {
     return '';
 }
 
+/**
+ * Get the user message before the current input, if the request carries one
+ * @param {Array<{role: string, content: string}>} messages 
+ * @returns {string|null}
+ */
+function extractPreviousUserInput(messages) {
+    let seenCurrent = false;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role !== 'user') continue;
+        if (seenCurrent) return messages[i].content;
+        seenCurrent = true;
+    }
+    return null;
+}
+
+/**
+ * Questions the mock answers by quoting the previous user message
+ */
+const RECALL_PATTERN = /\bwhat did i (just )?(say|tell you)\b/i;
+
 /**
  * Response templates with placeholders
  * Each includes "Sir" as per JARVIS persona requirements
@@ -70,12 +104,55 @@ const ROLE_AWARE_TEMPLATES = [
     'Of course, Sir. Recognizing you as {role}, I\'ve taken note of "{input}". Shall I elaborate further?'
 ];
 
+/**
+ * "my <thing> is <value>" - the statements the mock treats as facts
+ */
+const FACT_PATTERN = /\bmy ([a-z][a-z ]{0,30}?) is ([^.,!?;]+)/gi;
+
+/**
+ * Hedged statements get a low confidence
+ */
+const HEDGE_PATTERN = /\b(i think|maybe|probably|might)\b/i;
+
+/**
+ * First line of a session summary request (see services/session-summaries)
+ */
+const SUMMARY_REQUEST_PATTERN = /^Summarize this conversation:\n/;
+
+/**
+ * Line carrying the recap of earlier chunks in a chunked summary request
+ */
+const RECAP_LINE_PATTERN = /^Recap of the conversation so far: (.*)$/;
+
+/**
+ * User lines quoted in a mock summary
+ */
+const MAX_SUMMARY_QUOTES = 5;
+
 export class MockProvider extends LLMProvider {
     name = 'mock';
 
     constructor() {
         super();
         this.mockMode = process.env.LLM_MOCK_MODE === 'true';
+        /** @type {Array<Array<{name: string, arguments: Object|null}>>} Rounds of tool calls still to emit */
+        this.toolScript = [];
+        this.toolCallCount = 0;
+    }
+
+    /**
+     * Queue tool calls for upcoming requests that offer tools, one round per request
+     * @param {...Array<{name: string, arguments: Object|null}>} rounds
+     */
+    scriptToolCalls(...rounds) {
+        this.toolScript.push(...rounds);
+    }
+
+    /**
+     * Drop any scripted tool calls not yet emitted
+     */
+    clearToolScript() {
+        this.toolScript = [];
     }
 
     /**
@@ -87,20 +164,21 @@ export class MockProvider extends LLMProvider {
     }
 
     /**
-     * Generate a deterministic mock response
-     * @param {import('./types.mjs').LLMRequest} request
-     * @returns {Promise<import('./types.mjs').LLMResponse>}
+     * Compose the deterministic reply text for a request
+     * @private
+     * @param {Array<{role: string, content: string}>} messages
+     * @returns {{ userInput: string, responseText: string }}
      */
-    async generate(request) {
-        if (!await this.isAvailable()) {
-            throw new Error('Mock provider not enabled. Set LLM_MOCK_MODE=true');
-        }
-
-        const messages = request.messages || [];
+    _composeResponse(messages) {
         const userInput = extractUserInput(messages);
         const systemMessage = messages.find(m => m.role === 'system');
         const userRole = systemMessage ? extractUserRole(systemMessage.content) : null;
 
+        const previousInput = RECALL_PATTERN.test(userInput) ? extractPreviousUserInput(messages) : null;
+        if (previousInput) {
+            return { userInput, responseText: `You said "${previousInput.substring(0, 100)}", Sir.` };
+        }
+
         // Generate deterministic index from user input
         const hash = hashInput(userInput);
 
@@ -117,17 +195,198 @@ export class MockProvider extends LLMProvider {
             responseText = template.replace('{input}', userInput.substring(0, 50));
         }
 
-        console.log(`[Mock] Generated deterministic response for input: "${userInput.substring(0, 30)}..."`);
+        return { userInput, responseText };
+    }
+
+    /**
+     * Compose a structured-output reply in the shape the memory fact extractor asks for
+     * Only the numbered user lines ("[n] user: ...") of the last user message are read.
+     * @private
+     * @param {Array<{role: string, content: string}>} messages
+     * @returns {{ userInput: string, responseText: string }}
+     */
+    _composeFacts(messages) {
+        const userInput = extractUserInput(messages);
+        const facts = [];
+
+        for (const line of userInput.split('\n')) {
+            const turn = line.match(/^\[(\d+)\] user: (.*)$/);
+            if (!turn) continue;
+
+            const confidence = HEDGE_PATTERN.test(turn[2]) ? 0.5 : 0.9;
+            for (const [, subject, value] of turn[2].matchAll(FACT_PATTERN)) {
+                facts.push({
+                    key: subject.trim().toLowerCase().replace(/\s+/g, '_'),
+                    value: value.trim(),
+                    confidence,
+                    source: Number(turn[1])
+                });
+            }
+        }
+
+        return { userInput, responseText: JSON.stringify({ facts }) };
+    }
+
+    /**
+     * Compose a session recap: how many turns there were, quoting the first user lines
+     * A recap of earlier chunks, if the request carries one, is kept in front.
+     * @private
+     * @param {Array<{role: string, content: string}>} messages
+     * @returns {{ userInput: string, responseText: string }}
+     */
+    _composeSummary(messages) {
+        const userInput = extractUserInput(messages);
+        const userLines = [];
+        let recap = '';
+
+        for (const line of userInput.split('\n')) {
+            const turn = line.match(/^\[\d+\] user: (.*)$/);
+            if (turn) userLines.push(turn[1]);
+            recap = line.match(RECAP_LINE_PATTERN)?.[1] ?? recap;
+        }
+
+        const quotes = userLines.slice(0, MAX_SUMMARY_QUOTES).map(text => `"${text.substring(0, 80)}"`);
+        const more = userLines.length > MAX_SUMMARY_QUOTES ? ` and ${userLines.length - MAX_SUMMARY_QUOTES} more` : '';
+        const summary = `The user spoke ${userLines.length} time(s) in this session: ${quotes.join('; ')}${more}.`;
+        const responseText = recap ? `${recap} ${summary}` : summary;
+
+        return { userInput, responseText };
+    }
+
+    /**
+     * Acknowledge the tool results that end the request
+     * @private
+     * @param {Array<{role: string, content: string, name?: string}>} messages
+     * @returns {{ userInput: string, responseText: string }}
+     */
+    _composeToolFollowUp(messages) {
+        const names = [];
+        for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+            names.unshift(messages[i].name);
+        }
+        return { userInput: extractUserInput(messages), responseText: `Very good, Sir. I've run ${names.join(', ')}.` };
+    }
+
+    /**
+     * Reply text for a request - structured, summary, tool follow-up or persona
+     * @private
+     * @param {import('./types.mjs').LLMRequest} request
+     * @returns {{ userInput: string, responseText: string }}
+     */
+    _compose(request) {
+        const messages = request.messages || [];
+        if (request.response_format === 'json') {
+            return this._composeFacts(messages);
+        }
+        if (SUMMARY_REQUEST_PATTERN.test(extractUserInput(messages))) {
+            return this._composeSummary(messages);
+        }
+        if (messages[messages.length - 1]?.role === 'tool') {
+            return this._composeToolFollowUp(messages);
+        }
+        return this._composeResponse(messages);
+    }
+
+    /**
+     * The next scripted round of tool calls, if the request offers tools
+     * @private
+     * @param {import('./types.mjs').LLMRequest} request
+     * @returns {import('./types.mjs').LLMToolCall[] | null}
+     */
+    _takeToolCalls(request) {
+        if (!request.tools?.length || this.toolScript.length === 0) {
+            return null;
+        }
+        const toolCalls = this.toolScript.shift().map(call => ({
+            id: `mock_call_${++this.toolCallCount}`,
+            name: call.name,
+            arguments: call.arguments
+        }));
+        console.log(`[Mock] Generated scripted tool calls: ${toolCalls.map(c => c.name).join(', ')}`);
+        return toolCalls;
+    }
+
+    /**
+     * Generate a deterministic mock response
+     * @param {import('./types.mjs').LLMRequest} request
+     * @returns {Promise<import('./types.mjs').LLMResponse>}
+     */
+    async generate(request) {
+        if (!await this.isAvailable()) {
+            throw new Error('Mock provider not enabled. Set LLM_MOCK_MODE=true');
+        }
+
+        const messages = request.messages || [];
 
         // Simulate small latency for realistic testing
         await new Promise(resolve => setTimeout(resolve, 50));
 
+        const usage = { prompt_tokens: messages.reduce((sum, m) => sum + (m.content?.length || 0), 0), completion_tokens: 0 };
+
+        const toolCalls = this._takeToolCalls(request);
+        if (toolCalls) {
+            return { content: '', model: 'mock-jarvis-v1', provider: this.name, usage, tool_calls: toolCalls };
+        }
+
+        const { userInput, responseText } = this._compose(request);
+
+        console.log(`[Mock] Generated deterministic response for input: "${userInput.substring(0, 30)}..."`);
+
         return {
+            content: responseText,
+            model: 'mock-jarvis-v1',
+            provider: this.name,
+            usage: { ...usage, completion_tokens: responseText.length }
+        };
+    }
+
+    /**
+     * Stream a deterministic mock response in word-sized chunks
+     * Concatenated deltas always equal the generate() content for the same request.
+     * @param {import('./types.mjs').LLMRequest} request
+     * @yields {import('./types.mjs').LLMStreamEvent}
+     */
+    async *generateStream(request) {
+        if (!await this.isAvailable()) {
+            throw new Error('Mock provider not enabled. Set LLM_MOCK_MODE=true');
+        }
+
+        const messages = request.messages || [];
+        const promptTokens = messages.reduce((sum, m) => sum + (m.content?.length || 0), 0);
+
+        const toolCalls = this._takeToolCalls(request);
+        if (toolCalls) {
+            await new Promise(resolve => setTimeout(resolve, MOCK_CHUNK_DELAY_MS));
+            yield {
+                type: 'done',
+                content: '',
+                model: 'mock-jarvis-v1',
+                provider: this.name,
+                usage: { prompt_tokens: promptTokens, completion_tokens: 0 },
+                tool_calls: toolCalls
+            };
+            return;
+        }
+
+        const { userInput, responseText } = this._compose(request);
+
+        console.log(`[Mock] Streaming deterministic response for input: "${userInput.substring(0, 30)}..."`);
+
+        // Each chunk is a word plus its trailing whitespace
+        const chunks = responseText.match(/\S+\s*/g) || [];
+        for (const text of chunks) {
+            // Simulate token latency
+            await new Promise(resolve => setTimeout(resolve, MOCK_CHUNK_DELAY_MS));
+            yield { type: 'delta', text };
+        }
+
+        yield {
+            type: 'done',
             content: responseText,
             model: 'mock-jarvis-v1',
             provider: this.name,
             usage: {
-                prompt_tokens: messages.reduce((sum, m) => sum + (m.content?.length || 0), 0),
+                prompt_tokens: promptTokens,
                 completion_tokens: responseText.length
             }
         };
@@ -0,0 +1,374 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * LLM provider for any server speaking the chat completions API: OpenAI itself
+ * and self-hosted servers (llama.cpp server, vLLM, Ollama's /v1 endpoint)
+ * @module llm/providers/openai-compatible
+ *
+ * Named instances come from LLM_OPENAI_COMPATIBLE, a JSON object keyed by the
+ * name used in LLM_FALLBACK_ORDER and the x-jarvis-test-llm header:
+ *
+ *   LLM_OPENAI_COMPATIBLE={"local": {"base_url": "http://127.0.0.1:8081/v1", "model": "llama-3.1-8b-instruct"}}
+ *
+ * Per instance: base_url and model (required), api_key or api_key_env,
+ * headers, max_tokens, temperature, context_window.
+ */
+
+import { LLMProvider } from './types.mjs';
+import { readSSE } from '../sse.mjs';
+import { fetchWithPolicy } from '../../services/request-policy.mjs';
+
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Instance names double as provider names, so they follow the built-in ones
+ */
+const INSTANCE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+const INSTANCE_KEYS = ['base_url', 'model', 'api_key', 'api_key_env', 'headers', 'max_tokens', 'temperature', 'context_window'];
+
+/**
+ * @typedef {Object} OpenAICompatibleOptions
+ * @property {string} name - Provider name in the registry
+ * @property {string} [label] - Log prefix (defaults to the name)
+ * @property {string} apiUrl - Full chat completions URL
+ * @property {string} model
+ * @property {string} [apiKey] - Sent as a Bearer token when set
+ * @property {boolean} [requireApiKey=false] - Unavailable without a key (hosted APIs)
+ * @property {Record<string, string>} [headers] - Extra request headers
+ * @property {number} [maxTokens] - Defaults to LLM_MAX_TOKENS
+ * @property {number} [temperature] - Defaults to LLM_TEMPERATURE
+ * @property {number} [contextWindow] - Overrides the model table, for models it doesn't know
+ */
+
+/**
+ * Convert a provider-neutral message to a chat completions message
+ * @param {import('./types.mjs').LLMMessage} msg
+ * @returns {Object}
+ */
+function toOpenAIMessage(msg) {
+    if (msg.role === 'assistant' && msg.tool_calls?.length) {
+        return {
+            role: 'assistant',
+            content: msg.content || null,
+            tool_calls: msg.tool_calls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+            }))
+        };
+    }
+    if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.tool_call_id, content: msg.content };
+    }
+    return { role: msg.role, content: msg.content };
+}
+
+/**
+ * Parse the tool calls of a chat completion message
+ * @param {Array<{id: string, function: {name: string, arguments: string}}>} [toolCalls]
+ * @returns {import('./types.mjs').LLMToolCall[]}
+ */
+function parseToolCalls(toolCalls = []) {
+    return toolCalls.map((call, index) => {
+        let args;
+        try {
+            args = JSON.parse(call.function?.arguments || '{}');
+        } catch {
+            args = null;
+        }
+        // Some local servers leave out the call ID
+        return { id: call.id || `call_${index}`, name: call.function?.name, arguments: args };
+    });
+}
+
+export class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * @param {OpenAICompatibleOptions} options
+     */
+    constructor(options) {
+        super();
+        this.name = options.name;
+        this.label = options.label || options.name;
+        this.apiUrl = options.apiUrl;
+        this.apiKey = options.apiKey;
+        this.requireApiKey = options.requireApiKey ?? false;
+        this.model = options.model;
+        this.headers = options.headers || {};
+        this.maxTokens = options.maxTokens ?? parseInt(process.env.LLM_MAX_TOKENS || String(DEFAULT_MAX_TOKENS), 10);
+        this.temperature = options.temperature ?? parseFloat(process.env.LLM_TEMPERATURE || String(DEFAULT_TEMPERATURE));
+        this.contextWindow = options.contextWindow;
+    }
+
+    /**
+     * Local servers usually need no key; hosted APIs set requireApiKey
+     * @private
+     * @returns {boolean}
+     */
+    _isConfigured() {
+        return Boolean(this.apiUrl && this.model && (this.apiKey || !this.requireApiKey));
+    }
+
+    async isAvailable() {
+        return this._isConfigured();
+    }
+
+    /**
+     * Generate a chat completion
+     * @param {import('./types.mjs').LLMRequest} request
+     * @returns {Promise<import('./types.mjs').LLMResponse>}
+     */
+    async generate(request) {
+        if (!await this.isAvailable()) {
+            throw new Error(`${this.label} not configured`);
+        }
+
+        const model = request.model || this.model;
+
+        console.log(`[${this.label}] Calling ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, false);
+        const data = await response.json();
+
+        if (!data.choices || data.choices.length === 0) {
+            throw new Error(`${this.label} returned no choices`);
+        }
+
+        const content = data.choices[0].message?.content || '';
+        const toolCalls = parseToolCalls(data.choices[0].message?.tool_calls);
+
+        console.log(`[${this.label}] Response: ${content.length} chars, ${toolCalls.length} tool calls, ${data.usage?.total_tokens || 0} tokens`);
+
+        const result = {
+            content,
+            model: data.model || model,
+            provider: this.name,
+            usage: {
+                prompt_tokens: data.usage?.prompt_tokens || 0,
+                completion_tokens: data.usage?.completion_tokens || 0
+            }
+        };
+        if (toolCalls.length > 0) {
+            result.tool_calls = toolCalls;
+        }
+        return result;
+    }
+
+    /**
+     * Stream a chat completion (SSE)
+     * Requests usage in the final chunk via stream_options.include_usage; servers
+     * that ignore it report zero usage. Tool calls arrive as fragments keyed by
+     * index and are reported, whole, on the done event.
+     * @param {import('./types.mjs').LLMRequest} request
+     * @yields {import('./types.mjs').LLMStreamEvent}
+     */
+    async *generateStream(request) {
+        if (!await this.isAvailable()) {
+            throw new Error(`${this.label} not configured`);
+        }
+
+        const model = request.model || this.model;
+
+        console.log(`[${this.label}] Streaming ${model} with ${request.messages.length} messages`);
+
+        const response = await this._post(request, true);
+
+        let content = '';
+        let responseModel = model;
+        let usage = { prompt_tokens: 0, completion_tokens: 0 };
+        /** @type {Array<{id?: string, function: {name?: string, arguments: string}}>} */
+        const callFragments = [];
+
+        for await (const data of readSSE(response.body)) {
+            if (data === '[DONE]') {
+                break;
+            }
+
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                const error = new Error(`${this.label} stream error: ${chunk.error.message || 'unknown'}`);
+                error.status = chunk.error.code;
+                throw error;
+            }
+
+            responseModel = chunk.model || responseModel;
+            if (chunk.usage) {
+                usage = {
+                    prompt_tokens: chunk.usage.prompt_tokens || 0,
+                    completion_tokens: chunk.usage.completion_tokens || 0
+                };
+            }
+
+            const delta = chunk.choices?.[0]?.delta;
+            for (const fragment of delta?.tool_calls || []) {
+                const call = callFragments[fragment.index ?? callFragments.length] ??= { function: { arguments: '' } };
+                call.id ||= fragment.id;
+                call.function.name ||= fragment.function?.name;
+                call.function.arguments += fragment.function?.arguments || '';
+            }
+
+            const text = delta?.content;
+            if (text) {
+                content += text;
+                yield { type: 'delta', text };
+            }
+        }
+
+        const toolCalls = parseToolCalls(callFragments.filter(Boolean));
+
+        console.log(`[${this.label}] Stream complete: ${content.length} chars, ${toolCalls.length} tool calls, ${usage.prompt_tokens + usage.completion_tokens} tokens`);
+
+        const done = {
+            type: 'done',
+            content,
+            model: responseModel,
+            provider: this.name,
+            usage
+        };
+        if (toolCalls.length > 0) {
+            done.tool_calls = toolCalls;
+        }
+        yield done;
+    }
+
+    /**
+     * POST a chat completion request, throwing on HTTP errors
+     * @private
+     * @param {import('./types.mjs').LLMRequest} request
+     * @param {boolean} stream
+     * @returns {Promise<Response>}
+     */
+    async _post(request, stream) {
+        const body = {
+            model: request.model || this.model,
+            messages: request.messages.map(toOpenAIMessage),
+            max_tokens: request.max_tokens || this.maxTokens,
+            temperature: request.temperature ?? this.temperature
+        };
+        if (request.response_format === 'json') {
+            body.response_format = { type: 'json_object' };
+        }
+        if (request.tools?.length) {
+            body.tools = request.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        }
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetchWithPolicy(this.apiUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        }, { provider: `llm:${this.name}`, signal: request.signal });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            const error = new Error(`${this.label} API error: ${response.status}`);
+            error.status = response.status;
+            error.body = errorBody;
+            throw error;
+        }
+
+        return response;
+    }
+
+    getStatus() {
+        return {
+            available: this._isConfigured(),
+            isPrimary: false,
+            model: this.model
+        };
+    }
+}
+
+/**
+ * Parse LLM_OPENAI_COMPATIBLE into provider options
+ * @param {string | undefined} value - JSON object of instance name → settings
+ * @param {string[]} [reservedNames] - Names already taken by built-in providers
+ * @returns {OpenAICompatibleOptions[]}
+ * @throws {Error} If the JSON or an instance is invalid
+ */
+export function parseCompatibleInstances(value, reservedNames = []) {
+    if (!value || !value.trim()) {
+        return [];
+    }
+
+    let config;
+    try {
+        config = JSON.parse(value);
+    } catch {
+        throw new Error('LLM_OPENAI_COMPATIBLE is not valid JSON');
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('LLM_OPENAI_COMPATIBLE must be a JSON object of instance name to settings');
+    }
+
+    return Object.entries(config).map(([name, settings]) =>
+        toCompatibleOptions(name, settings, `LLM_OPENAI_COMPATIBLE.${name}`, reservedNames));
+}
+
+/**
+ * Validate one instance's settings and turn them into provider options
+ * @param {string} name
+ * @param {unknown} settings - base_url, model, api_key, api_key_env, headers, max_tokens, temperature, context_window
+ * @param {string} origin - Where the settings came from, for error messages
+ * @param {string[]} [reservedNames] - Names already taken by built-in providers
+ * @returns {OpenAICompatibleOptions}
+ * @throws {Error} If the settings are invalid
+ */
+export function toCompatibleOptions(name, settings, origin, reservedNames = []) {
+    const fail = (reason) => new Error(`${origin}: ${reason}`);
+
+    if (!INSTANCE_NAME_PATTERN.test(name)) {
+        throw fail('name must be lowercase letters, digits, _ or -');
+    }
+    if (reservedNames.includes(name)) {
+        throw fail('name is taken by a built-in provider');
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw fail('settings must be an object');
+    }
+
+    const unknown = Object.keys(settings).filter(key => !INSTANCE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw fail(`unknown setting ${unknown.join(', ')}`);
+    }
+    if (typeof settings.base_url !== 'string' || !/^https?:\/\//.test(settings.base_url)) {
+        throw fail('base_url must be an http(s) URL');
+    }
+    if (typeof settings.model !== 'string' || !settings.model) {
+        throw fail('model is required');
+    }
+    if (settings.headers !== undefined && (typeof settings.headers !== 'object' || Array.isArray(settings.headers)
+        || Object.values(settings.headers).some(v => typeof v !== 'string'))) {
+        throw fail('headers must map names to strings');
+    }
+    for (const key of ['max_tokens', 'temperature', 'context_window']) {
+        if (settings[key] !== undefined && !Number.isFinite(settings[key])) {
+            throw fail(`${key} must be a number`);
+        }
+    }
+
+    return {
+        name,
+        apiUrl: `${settings.base_url.replace(/\/+$/, '')}/chat/completions`,
+        model: settings.model,
+        // api_key_env keeps the secret out of the JSON itself
+        apiKey: settings.api_key_env ? process.env[settings.api_key_env]?.trim() : settings.api_key,
+        headers: settings.headers,
+        maxTokens: settings.max_tokens,
+        temperature: settings.temperature,
+        contextWindow: settings.context_window
+    };
+}
+
+export default OpenAICompatibleProvider;
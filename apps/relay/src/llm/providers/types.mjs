@@ -4,9 +4,31 @@
  */
 
 /**
+ * A tool the model asked to run
+ * @typedef {Object} LLMToolCall
+ * @property {string} id - Provider call ID (generated where the provider has none)
+ * @property {string} name
+ * @property {Object|null} arguments - Parsed arguments; null if the model sent malformed JSON
+ */
+
+/**
+ * A tool offered to the model
+ * @typedef {Object} LLMToolDefinition
+ * @property {string} name
+ * @property {string} description
+ * @property {Object} parameters - JSON schema of the arguments object
+ */
+
+/**
+ * Messages are provider-neutral; each provider converts them to its wire format.
+ * An assistant message may carry the tool calls it made, and each result goes
+ * back as a 'tool' message with the call's ID and the result as JSON text.
  * @typedef {Object} LLMMessage
- * @property {'system' | 'user' | 'assistant'} role
+ * @property {'system' | 'user' | 'assistant' | 'tool'} role
  * @property {string} content
+ * @property {LLMToolCall[]} [tool_calls] - assistant only
+ * @property {string} [tool_call_id] - tool only
+ * @property {string} [name] - tool only: the tool that produced the result
  */
 
 /**
@@ -15,6 +37,9 @@
  * @property {string} [model]
  * @property {number} [max_tokens]
  * @property {number} [temperature]
+ * @property {'text' | 'json'} [response_format] - 'json' asks for a single JSON object (structured output)
+ * @property {LLMToolDefinition[]} [tools] - Tools the model may call instead of answering
+ * @property {AbortSignal} [signal] - Aborts the provider call (caller abort, chain entry timeouts)
  */
 
 /**
@@ -23,6 +48,14 @@
  * @property {string} model
  * @property {string} provider
  * @property {{ prompt_tokens: number, completion_tokens: number }} usage
+ * @property {LLMToolCall[]} [tool_calls] - Set when the model called tools rather than (or as well as) answering
+ */
+
+/**
+ * Streaming event emitted by generateStream()
+ * A stream yields zero or more 'delta' events followed by exactly one 'done'
+ * event, which carries the tool calls if the model made any
+ * @typedef {{ type: 'delta', text: string } | ({ type: 'done' } & LLMResponse)} LLMStreamEvent
  */
 
 /**
@@ -57,6 +90,21 @@ export class LLMProvider {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Stream a response from the LLM
+     * Default implementation wraps generate() and emits the whole reply as one delta
+     * @param {LLMRequest} request
+     * @yields {LLMStreamEvent}
+     * @returns {AsyncGenerator<LLMStreamEvent>}
+     */
+    async *generateStream(request) {
+        const response = await this.generate(request);
+        if (response.content) {
+            yield { type: 'delta', text: response.content };
+        }
+        yield { type: 'done', ...response };
+    }
+
     /**
      * Get provider status for health checks
      * @returns {LLMProviderStatus}
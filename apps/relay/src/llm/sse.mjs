@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events reader for streaming LLM responses
+ * @module llm/sse
+ */
+
+/**
+ * Read an SSE response body and yield the payload of each `data:` event
+ * Multi-line data fields are joined with '\n' as per the SSE spec.
+ * Cancels the underlying body if the consumer stops early.
+ * @param {ReadableStream<Uint8Array>} body - fetch() response body
+ * @yields {string}
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readSSE(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+    let finished = false;
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                finished = true;
+                buffer += decoder.decode();
+            } else {
+                buffer += decoder.decode(value, { stream: true });
+            }
+
+            let newlineIndex;
+            while ((newlineIndex = buffer.search(/\r?\n/)) !== -1) {
+                const line = buffer.slice(0, newlineIndex);
+                buffer = buffer.slice(newlineIndex + (buffer[newlineIndex] === '\r' ? 2 : 1));
+
+                if (line === '') {
+                    // Blank line dispatches the event
+                    if (dataLines.length > 0) {
+                        yield dataLines.join('\n');
+                        dataLines = [];
+                    }
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).replace(/^ /, ''));
+                }
+                // Ignore comments (':'), event:, id:, retry: fields
+            }
+
+            if (done) {
+                if (buffer.startsWith('data:')) {
+                    dataLines.push(buffer.slice(5).replace(/^ /, ''));
+                }
+                if (dataLines.length > 0) {
+                    yield dataLines.join('\n');
+                }
+                return;
+            }
+        }
+    } finally {
+        if (!finished) {
+            await reader.cancel().catch(() => { });
+        }
+        reader.releaseLock();
+    }
+}
+
+export default readSSE;
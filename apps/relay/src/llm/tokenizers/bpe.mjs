@@ -0,0 +1,60 @@
+/**
+ * BPE Tokenizer
+ * Exact token counts for OpenAI vocabularies, through js-tiktoken
+ * @module llm/tokenizers/bpe
+ *
+ * Vocabularies are a few MB each, so they are only imported when a BPE
+ * tokenizer is first asked for (see BpeTokenizer.load). Other providers'
+ * models (Gemini) use their own vocabularies; cl100k_base is a close enough
+ * stand-in for budgeting.
+ */
+
+import { Tokenizer } from './types.mjs';
+
+/**
+ * Vocabularies js-tiktoken ships that we load
+ */
+export const BPE_ENCODINGS = ['cl100k_base', 'o200k_base'];
+
+export class BpeTokenizer extends Tokenizer {
+    name = 'bpe';
+
+    /**
+     * @param {string} encoding - Vocabulary name, e.g. 'o200k_base'
+     * @param {{ encode: (text: string) => number[] }} encoder - Loaded js-tiktoken encoder
+     */
+    constructor(encoding, encoder) {
+        super();
+        this.encoding = encoding;
+        this.encoder = encoder;
+    }
+
+    /**
+     * Load a vocabulary and build a tokenizer for it
+     * @param {string} encoding - One of BPE_ENCODINGS
+     * @returns {Promise<BpeTokenizer>}
+     * @throws {Error} If the encoding is unknown
+     */
+    static async load(encoding) {
+        if (!BPE_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unknown BPE encoding: ${encoding}`);
+        }
+        const [{ Tiktoken }, { default: ranks }] = await Promise.all([
+            import('js-tiktoken/lite'),
+            import(`js-tiktoken/ranks/${encoding}`)
+        ]);
+        return new BpeTokenizer(encoding, new Tiktoken(ranks));
+    }
+
+    /**
+     * @param {string|null|undefined} text
+     * @returns {number}
+     */
+    count(text) {
+        if (!text) return 0;
+        // Special-token text in user input is counted as plain text, not rejected
+        return this.encoder.encode(text, [], []).length;
+    }
+}
+
+export default BpeTokenizer;
@@ -0,0 +1,28 @@
+/**
+ * Character Heuristic Tokenizer
+ * ~4 characters per token, no vocabulary to load
+ * @module llm/tokenizers/heuristic
+ *
+ * The usual rule of thumb for English text with GPT-style vocabularies. It
+ * overcounts dense prose a little and undercounts code and non-Latin
+ * scripts, so budgets built on it should keep some headroom.
+ */
+
+import { Tokenizer } from './types.mjs';
+
+const CHARS_PER_TOKEN = 4;
+
+export class HeuristicTokenizer extends Tokenizer {
+    name = 'heuristic';
+
+    /**
+     * @param {string|null|undefined} text
+     * @returns {number}
+     */
+    count(text) {
+        if (!text) return 0;
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+}
+
+export default HeuristicTokenizer;
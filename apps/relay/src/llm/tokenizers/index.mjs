@@ -0,0 +1,96 @@
+/**
+ * Tokenizer Factory
+ * Picks how prompt tokens are counted for context budgets
+ * @module llm/tokenizers/index
+ *
+ * Tokenizers:
+ * - heuristic (default): ~4 characters per token, nothing to load
+ * - bpe: exact counts with the model's OpenAI vocabulary (o200k_base for the
+ *   gpt-4o family and o-series, cl100k_base otherwise)
+ *
+ * CONTEXT_TOKENIZER selects one, read at call time so tests can switch it.
+ */
+
+import { HeuristicTokenizer } from './heuristic.mjs';
+import { BpeTokenizer } from './bpe.mjs';
+
+/**
+ * Tokens a chat message costs beyond its content (role and delimiters)
+ */
+export const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Tokens that prime the assistant's reply
+ */
+const REPLY_PRIMING_TOKENS = 3;
+
+/**
+ * Model name prefixes that use the o200k_base vocabulary
+ */
+const O200K_MODEL_PREFIXES = ['gpt-4o', 'gpt-4.1', 'gpt-5', 'o1', 'o3', 'o4'];
+
+const heuristic = new HeuristicTokenizer();
+
+/**
+ * Loaded BPE tokenizers, by encoding
+ * @type {Map<string, Promise<BpeTokenizer>>}
+ */
+const bpeTokenizers = new Map();
+
+/**
+ * The character heuristic, for callers that can't wait for a vocabulary
+ * @returns {HeuristicTokenizer}
+ */
+export function getDefaultTokenizer() {
+    return heuristic;
+}
+
+/**
+ * BPE vocabulary for a model
+ * @param {string} [model]
+ * @returns {'o200k_base' | 'cl100k_base'}
+ */
+export function encodingForModel(model = '') {
+    return O200K_MODEL_PREFIXES.some(prefix => model.startsWith(prefix)) ? 'o200k_base' : 'cl100k_base';
+}
+
+/**
+ * Get the configured tokenizer for a model
+ * @param {string} [model] - Picks the BPE vocabulary
+ * @returns {Promise<import('./types.mjs').Tokenizer>}
+ * @throws {Error} If CONTEXT_TOKENIZER names an unknown tokenizer
+ */
+export async function getTokenizer(model) {
+    const name = process.env.CONTEXT_TOKENIZER || 'heuristic';
+    if (name === 'heuristic') {
+        return heuristic;
+    }
+    if (name !== 'bpe') {
+        throw new Error(`Unknown tokenizer: ${name}`);
+    }
+
+    const encoding = encodingForModel(model);
+    if (!bpeTokenizers.has(encoding)) {
+        const loading = BpeTokenizer.load(encoding);
+        // A failed load is retried on the next call
+        loading.catch(() => bpeTokenizers.delete(encoding));
+        bpeTokenizers.set(encoding, loading);
+    }
+    return bpeTokenizers.get(encoding);
+}
+
+/**
+ * Tokens a list of chat messages takes as a prompt
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {import('./types.mjs').Tokenizer} [tokenizer] - Default: character heuristic
+ * @returns {number}
+ */
+export function countMessageTokens(messages, tokenizer = heuristic) {
+    let tokens = REPLY_PRIMING_TOKENS;
+    for (const msg of messages) {
+        tokens += MESSAGE_OVERHEAD_TOKENS + tokenizer.count(msg.content);
+    }
+    return tokens;
+}
+
+export { HeuristicTokenizer, BpeTokenizer };
@@ -0,0 +1,28 @@
+/**
+ * Tokenizer Types and Interfaces
+ * @module llm/tokenizers/types
+ */
+
+/**
+ * Tokenizer interface
+ * Counts are used to fit prompts into a model's context window, so an
+ * estimate is fine as long as it doesn't badly undercount.
+ */
+export class Tokenizer {
+    /**
+     * Tokenizer name (as selected by CONTEXT_TOKENIZER)
+     * @type {string}
+     */
+    name = 'base';
+
+    /**
+     * Count the tokens in a text
+     * @param {string} text
+     * @returns {number}
+     */
+    count(text) {
+        throw new Error('count() must be implemented by tokenizer');
+    }
+}
+
+export default Tokenizer;
@@ -1,7 +1,7 @@
 // Migration runner - applies SQL migrations using DATABASE_URL
 import 'dotenv/config';
 import pg from 'pg';
-import { readFileSync } from 'fs';
+import { readFileSync, readdirSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -21,13 +21,15 @@ async function runMigrations() {
         const client = await pool.connect();
 
         try {
-            // Read and execute migration file
-            const migrationPath = join(__dirname, '..', 'migrations', '001_init.sql');
-            const migrationSQL = readFileSync(migrationPath, 'utf8');
-
-            console.log('Applying migration 001_init.sql...');
-            await client.query(migrationSQL);
-            console.log('Migration applied successfully!');
+            // Apply every migration file in version order (each one is idempotent)
+            const migrationsDir = join(__dirname, '..', 'migrations');
+            const migrationFiles = readdirSync(migrationsDir).filter(f => f.endsWith('.sql')).sort();
+
+            for (const file of migrationFiles) {
+                console.log(`Applying migration ${file}...`);
+                await client.query(readFileSync(join(migrationsDir, file), 'utf8'));
+            }
+            console.log('Migrations applied successfully!');
 
             // Verify tables were created
             const result = await client.query(`
@@ -7,7 +7,10 @@ import { getSessionById } from '../services/sessions.mjs';
 import { appendMessage } from '../services/messages.mjs';
 import { buildBootstrapContext } from '../services/bootstrap.mjs';
 import { buildLLMContext, validateContext } from '../llm/context-builder.mjs';
-import { generateWithFallback, getProviderStatus, isConfigured } from '../llm/index.mjs';
+import { getContextBudget, getProviderStatus, hasProvider, isConfigured } from '../llm/index.mjs';
+import { getTokenizer } from '../llm/tokenizers/index.mjs';
+import { extractFactsFromTurn } from '../services/fact-extraction.mjs';
+import { generateWithTools } from '../tools/loop.mjs';
 
 /**
  * Register assistant routes
@@ -22,12 +25,16 @@ export function registerAssistantRoutes(app) {
      * 1. Validate session ownership
      * 2. Load persona from registry (JARVIS enforced at SYSTEM level)
      * 3. Load memory facts
-     * 4. Load last session transcript
+     * 4. Load last session transcript, recent session summaries and this session's turns
      * 5. Build LLM context
-     * 6. Call LLM with fallback (OpenAI → Gemini)
+     * 6. Call LLM with fallback (LLM_FALLBACK_ORDER, default OpenAI → Gemini), running any tools it calls
+     *    (remember_fact, forget_fact, ...) until it answers
      * 7. Store user message in messages table
      * 8. Store assistant response in messages table
-     * 9. Return response text with provider info
+     * 9. Extract memory facts from the turn in the background (MEMORY_EXTRACTION_MODE=turn)
+     * 10. Return response text with provider info
+     *
+     * A client that disconnects mid-request cancels the upstream LLM call.
      */
     app.post('/assistant/respond', {
         schema: {
@@ -49,7 +56,18 @@ export function registerAssistantRoutes(app) {
                         user_message_id: { type: 'string' },
                         provider: { type: 'string' },
                         fallback_used: { type: 'boolean' },
-                        correlation_id: { type: 'string' }
+                        correlation_id: { type: 'string' },
+                        tool_calls: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    ok: { type: 'boolean' },
+                                    error: { type: 'string' }
+                                }
+                            }
+                        }
                     }
                 }
             }
@@ -63,18 +81,29 @@ export function registerAssistantRoutes(app) {
         // Check LLM configuration
         if (!await isConfigured()) {
             return reply.status(503).send({
-                error: 'LLM not configured. Set OPENAI_API_KEY or GEMINI_API_KEY.'
+                error: 'LLM not configured. Set an API key for a provider in LLM_FALLBACK_ORDER (default: OPENAI_API_KEY or GEMINI_API_KEY).'
             });
         }
 
         const { session_id, user_text, persona_id = 'jarvis' } = request.body;
 
-        // Test header: x-jarvis-test-llm allows forcing a specific provider (openai|gemini)
+        // Test header: x-jarvis-test-llm forces one provider from the chain or registry, with no fallback
         const forceProvider = request.headers['x-jarvis-test-llm'];
         if (forceProvider) {
+            if (!hasProvider(forceProvider)) {
+                return reply.status(400).send({ error: `Unknown LLM provider: ${forceProvider}` });
+            }
             app.log.info({ forceProvider }, 'LLM provider override requested via header');
         }
 
+        // Aborted when the client goes away before the response is written
+        const clientGone = new AbortController();
+        reply.raw.once('close', () => {
+            if (!reply.raw.writableFinished) {
+                clientGone.abort(new Error('Client closed the request'));
+            }
+        });
+
         try {
             // Step 1: Validate session ownership
             const session = await getSessionById(session_id);
@@ -88,19 +117,28 @@ export function registerAssistantRoutes(app) {
                 return reply.status(400).send({ error: 'Cannot respond to ended session' });
             }
 
-            // Steps 2-4: Load persona, memory, and last session transcript
+            // Steps 2-4: Load persona, memory relevant to this input, last session transcript,
+            // session summaries and this session's turns so far
             // Persona is ALWAYS jarvis (enforced at SYSTEM level)
             const bootstrapContext = await buildBootstrapContext({
                 userId,
                 personaId: 'jarvis', // Enforced - frontend cannot override
-                kbPackId: 'none'
+                kbPackId: 'none',
+                userInput: user_text,
+                sessionId: session_id
             });
 
-            // Step 5: Build LLM context with deterministic ordering
+            // Step 5: Build LLM context with deterministic ordering, fitted into the
+            // smallest context window the provider chain may use
+            const { model, budget } = getContextBudget(forceProvider || undefined);
             const llmContext = buildLLMContext({
                 persona_prompt: bootstrapContext.persona_prompt,
                 memory_facts: bootstrapContext.memory_facts,
                 last_session_transcript: bootstrapContext.last_session_transcript,
+                session_summaries: bootstrapContext.session_summaries,
+                current_session_transcript: bootstrapContext.current_session_transcript,
+                token_budget: budget,
+                tokenizer: await getTokenizer(model),
                 user_input: user_text
             });
 
@@ -112,14 +150,20 @@ export function registerAssistantRoutes(app) {
                 persona_id: 'jarvis',
                 memory_fact_count: bootstrapContext.memory_facts.length,
                 transcript_length: bootstrapContext.last_session_transcript?.length || 0,
+                session_summary_count: bootstrapContext.session_summaries.length,
+                session_turn_count: bootstrapContext.current_session_transcript.length,
+                prompt_tokens: llmContext.budget.used,
+                token_budget: llmContext.budget.limit,
+                dropped: llmContext.dropped,
                 message_count: llmContext.messages.length
             }, 'Calling LLM with fallback');
 
-            // Step 6: Call LLM with automatic fallback (OpenAI → Gemini)
+            // Step 6: Call LLM with automatic fallback (OpenAI → Gemini), running the
+            // tools it calls on behalf of this user
             // If x-jarvis-test-llm header is set, force that provider for testing
-            const llmResponse = await generateWithFallback(
+            const llmResponse = await generateWithTools(
                 { messages: llmContext.messages },
-                { forceProvider: forceProvider || undefined }
+                { context: { userId, sessionId: session_id }, forceProvider: forceProvider || undefined, signal: clientGone.signal }
             );
             const responseText = llmResponse.content;
 
@@ -136,10 +180,19 @@ export function registerAssistantRoutes(app) {
                 response_length: responseText.length,
                 provider: llmResponse.provider,
                 fallback_used: llmResponse.fallback_used,
+                tool_calls: llmResponse.tool_results.map(r => r.name),
                 correlation_id: llmResponse.correlation_id
             }, 'LLM response stored');
 
-            // Step 9: Return response with provider info
+            // Step 9: Propose memory facts from the turn - does not delay the reply
+            extractFactsFromTurn({
+                userId,
+                userMessage: { id: userMessage.id, role: 'user', content: user_text },
+                assistantMessage: { id: assistantMessage.id, role: 'assistant', content: responseText },
+                correlationId: llmResponse.correlation_id
+            }, app.log);
+
+            // Step 10: Return response with provider info
             // Set correlation_id header for easy access
             reply.header('x-correlation-id', llmResponse.correlation_id);
             return {
@@ -148,9 +201,15 @@ export function registerAssistantRoutes(app) {
                 user_message_id: userMessage.id,
                 provider: llmResponse.provider,
                 fallback_used: llmResponse.fallback_used,
-                correlation_id: llmResponse.correlation_id
+                correlation_id: llmResponse.correlation_id,
+                tool_calls: llmResponse.tool_results.map(({ name, ok, error }) => ({ name, ok, error }))
             };
         } catch (err) {
+            if (clientGone.signal.aborted) {
+                app.log.info({ session_id }, 'Client disconnected, LLM request cancelled');
+                return reply.status(499).send({ error: 'Client closed request' });
+            }
+
             app.log.error({
                 err,
                 session_id,
@@ -166,9 +225,13 @@ export function registerAssistantRoutes(app) {
                 });
             }
 
-            // Single provider error
-            if (err.message?.includes('OpenAI') || err.message?.includes('Gemini')) {
-                return reply.status(502).send({ error: 'LLM service error' });
+            // A provider error the chain doesn't fall back from (e.g. a 400, or a reply it couldn't read)
+            if (err.provider || Number.isInteger(err.status)) {
+                return reply.status(502).send({
+                    error: 'LLM service error',
+                    provider: err.provider,
+                    correlation_id: err.correlation_id
+                });
             }
 
             return reply.status(500).send({ error: err.message || 'Failed to generate response' });
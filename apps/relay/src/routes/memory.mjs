@@ -3,7 +3,121 @@
  * @module routes/memory
  */
 
-import { upsertFact, getAllFacts } from '../services/memory.mjs';
+import { upsertFact, getAllFacts, deleteFact, writeFacts, getFactHistory, rollbackFact, FACT_STATUSES } from '../services/memory.mjs';
+
+/**
+ * A stored fact as returned by the memory routes
+ */
+const FACT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        fact_key: { type: 'string' },
+        fact_value: { type: 'string' },
+        confidence: { type: 'number' },
+        status: { type: 'string' },
+        source_message_id: { type: 'string', nullable: true },
+        expires_at: { type: 'string', nullable: true },
+        decay_half_life: { type: 'string', nullable: true },
+        effective_confidence: { type: 'number' },
+        created_at: { type: 'string' },
+        updated_at: { type: 'string' }
+    }
+};
+
+/**
+ * Optional fact lifetime accepted on writes; null clears, omitted keeps the stored value
+ */
+const LIFETIME_PROPERTIES = {
+    expires_at: { type: 'string', format: 'date-time', nullable: true },
+    decay_half_life: { type: 'string', format: 'duration', nullable: true }
+};
+
+/**
+ * Whether a decay_half_life is a zero duration ("PT0S", "P0D")
+ * The duration format only admits unsigned whole numbers, so a zero is the only
+ * value it passes that the memory_facts check (> 0) rejects.
+ * @param {string|null|undefined} value
+ * @returns {boolean}
+ */
+function isZeroDuration(value) {
+    return typeof value === 'string' && !/[1-9]/.test(value);
+}
+
+/**
+ * A fact revision as returned by the history and rollback routes
+ */
+const REVISION_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        operation: { type: 'string' },
+        actor: { type: 'string' },
+        old_value: { type: 'string', nullable: true },
+        new_value: { type: 'string', nullable: true },
+        old_confidence: { type: 'number', nullable: true },
+        new_confidence: { type: 'number', nullable: true },
+        old_status: { type: 'string', nullable: true },
+        new_status: { type: 'string', nullable: true },
+        source_message_id: { type: 'string', nullable: true },
+        rollback_of: { type: 'string', nullable: true },
+        created_at: { type: 'string' }
+    }
+};
+
+/**
+ * fact_key route parameter (memory_facts.fact_key is VARCHAR(255))
+ */
+const FACT_KEY_PARAMS = {
+    type: 'object',
+    required: ['key'],
+    properties: {
+        key: { type: 'string', minLength: 1, maxLength: 255 }
+    }
+};
+
+/**
+ * Shape a fact row for a response (confidence is DECIMAL, so pg returns a string)
+ * @param {Object} f
+ */
+function toFactResponse(f) {
+    return {
+        id: f.id,
+        fact_key: f.fact_key,
+        fact_value: f.fact_value,
+        confidence: parseFloat(f.confidence),
+        status: f.status,
+        source_message_id: f.source_message_id,
+        expires_at: f.expires_at,
+        // pg parses INTERVAL into an object; answer with the ISO 8601 duration the API accepts
+        decay_half_life: f.decay_half_life ? f.decay_half_life.toISOString() : null,
+        effective_confidence: f.effective_confidence,
+        created_at: f.created_at,
+        updated_at: f.updated_at
+    };
+}
+
+/**
+ * Shape a revision row for a response
+ * @param {import('../services/memory.mjs').FactRevision} r
+ */
+function toRevisionResponse(r) {
+    const toConfidence = (value) => value === null ? null : parseFloat(value);
+    return {
+        id: r.id,
+        operation: r.operation,
+        actor: r.actor,
+        old_value: r.old_value,
+        new_value: r.new_value,
+        old_confidence: toConfidence(r.old_confidence),
+        new_confidence: toConfidence(r.new_confidence),
+        old_status: r.old_status,
+        new_status: r.new_status,
+        source_message_id: r.source_message_id,
+        rollback_of: r.rollback_of,
+        created_at: r.created_at
+    };
+}
 
 /**
  * Register memory routes
@@ -13,6 +127,9 @@ export function registerMemoryRoutes(app) {
     /**
      * POST /memory/fact
      * Upsert a memory fact for the current user
+     * Facts set here are always active, which also confirms a pending extracted fact
+     * (or revives an archived one). Optional expires_at (ISO 8601 time) and
+     * decay_half_life (ISO 8601 duration, e.g. "P14D") bound how long it is believed.
      */
     app.post('/memory/fact', {
         schema: {
@@ -22,17 +139,177 @@ export function registerMemoryRoutes(app) {
                 properties: {
                     fact_key: { type: 'string', minLength: 1 },
                     fact_value: { type: 'string' },
-                    confidence: { type: 'number', minimum: 0, maximum: 1, default: 1.0 }
+                    confidence: { type: 'number', minimum: 0, maximum: 1, default: 1.0 },
+                    ...LIFETIME_PROPERTIES
+                }
+            },
+            response: {
+                200: FACT_SCHEMA
+            }
+        }
+    }, async (request, reply) => {
+        const userId = request.userId;
+        if (!userId) {
+            return reply.status(401).send({ error: 'User identity required' });
+        }
+
+        const { fact_key, fact_value, confidence = 1.0, expires_at, decay_half_life } = request.body;
+
+        if (isZeroDuration(decay_half_life)) {
+            return reply.status(400).send({ error: 'decay_half_life must be longer than zero' });
+        }
+
+        try {
+            const fact = await upsertFact(userId, fact_key, fact_value, confidence, {
+                expiresAt: expires_at,
+                decayHalfLife: decay_half_life
+            });
+
+            return toFactResponse(fact);
+        } catch (err) {
+            app.log.error({ err }, 'Failed to upsert fact');
+            return reply.status(500).send({ error: 'Failed to upsert fact' });
+        }
+    });
+
+    /**
+     * GET /memory/facts
+     * Get memory facts for the current user, pending ones included, archived ones
+     * only on request. Each has its effective_confidence (after expiry and decay).
+     *
+     * Query (all optional):
+     *   prefix          only keys starting with this
+     *   min_confidence  only facts at or above this stored confidence
+     *   updated_since   only facts updated at or after this ISO 8601 time
+     *   status          active | pending | archived
+     */
+    app.get('/memory/facts', {
+        schema: {
+            querystring: {
+                type: 'object',
+                properties: {
+                    prefix: { type: 'string', minLength: 1 },
+                    min_confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    updated_since: { type: 'string', format: 'date-time' },
+                    status: { type: 'string', enum: FACT_STATUSES }
+                }
+            },
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        facts: { type: 'array', items: FACT_SCHEMA }
+                    }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        const userId = request.userId;
+        if (!userId) {
+            return reply.status(401).send({ error: 'User identity required' });
+        }
+
+        const { prefix, min_confidence, updated_since, status } = request.query;
+
+        try {
+            const facts = await getAllFacts(userId, {
+                status,
+                keyPrefix: prefix,
+                minConfidence: min_confidence,
+                updatedSince: updated_since
+            });
+
+            return {
+                facts: facts.map(toFactResponse)
+            };
+        } catch (err) {
+            app.log.error({ err }, 'Failed to get facts');
+            return reply.status(500).send({ error: 'Failed to get facts' });
+        }
+    });
+
+    /**
+     * PUT /memory/facts
+     * Write a set of facts for the current user in one transaction
+     * mode=merge (default) upserts them; mode=replace also deletes every fact not in the set
+     */
+    app.put('/memory/facts', {
+        schema: {
+            body: {
+                type: 'object',
+                required: ['facts'],
+                properties: {
+                    facts: {
+                        type: 'array',
+                        maxItems: 500,
+                        items: {
+                            type: 'object',
+                            required: ['fact_key', 'fact_value'],
+                            properties: {
+                                fact_key: { type: 'string', minLength: 1, maxLength: 255 },
+                                fact_value: { type: 'string' },
+                                confidence: { type: 'number', minimum: 0, maximum: 1, default: 1.0 },
+                                ...LIFETIME_PROPERTIES
+                            }
+                        }
+                    },
+                    mode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' }
                 }
             },
             response: {
                 200: {
                     type: 'object',
                     properties: {
-                        id: { type: 'string' },
+                        facts: { type: 'array', items: FACT_SCHEMA },
+                        deleted: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        const userId = request.userId;
+        if (!userId) {
+            return reply.status(401).send({ error: 'User identity required' });
+        }
+
+        const { facts, mode = 'merge' } = request.body;
+
+        const keys = facts.map(f => f.fact_key);
+        if (new Set(keys).size !== keys.length) {
+            return reply.status(400).send({ error: 'Each fact_key may appear only once' });
+        }
+        if (facts.some(f => isZeroDuration(f.decay_half_life))) {
+            return reply.status(400).send({ error: 'decay_half_life must be longer than zero' });
+        }
+
+        try {
+            const result = await writeFacts(userId, facts, mode);
+
+            app.log.info({ userId, mode, written: result.facts.length, deleted: result.deleted.length }, 'Memory facts written');
+
+            return {
+                facts: result.facts.map(toFactResponse),
+                deleted: result.deleted
+            };
+        } catch (err) {
+            app.log.error({ err }, 'Failed to write facts');
+            return reply.status(500).send({ error: 'Failed to write facts' });
+        }
+    });
+
+    /**
+     * DELETE /memory/fact/:key
+     * Forget one of the current user's facts
+     */
+    app.delete('/memory/fact/:key', {
+        schema: {
+            params: FACT_KEY_PARAMS,
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
                         fact_key: { type: 'string' },
-                        fact_value: { type: 'string' },
-                        confidence: { type: 'number' }
+                        deleted: { type: 'boolean' }
                     }
                 }
             }
@@ -43,47 +320,86 @@ export function registerMemoryRoutes(app) {
             return reply.status(401).send({ error: 'User identity required' });
         }
 
-        const { fact_key, fact_value, confidence = 1.0 } = request.body;
+        const { key } = request.params;
 
         try {
-            const fact = await upsertFact(userId, fact_key, fact_value, confidence);
+            // Scoped to the user, so another user's fact with the same key is "not found"
+            const deleted = await deleteFact(userId, key);
+            if (!deleted) {
+                return reply.status(404).send({ error: 'Fact not found' });
+            }
+
+            app.log.info({ userId, fact_key: key }, 'Memory fact deleted');
+            return { fact_key: key, deleted: true };
+        } catch (err) {
+            app.log.error({ err }, 'Failed to delete fact');
+            return reply.status(500).send({ error: 'Failed to delete fact' });
+        }
+    });
+
+    /**
+     * GET /memory/fact/:key/history
+     * Every write to one of the current user's facts, oldest first, with who made
+     * it (user API, extractor or an assistant tool call) and the message it came from
+     */
+    app.get('/memory/fact/:key/history', {
+        schema: {
+            params: FACT_KEY_PARAMS,
+            response: {
+                200: {
+                    type: 'object',
+                    properties: {
+                        fact_key: { type: 'string' },
+                        revisions: { type: 'array', items: REVISION_SCHEMA }
+                    }
+                }
+            }
+        }
+    }, async (request, reply) => {
+        const userId = request.userId;
+        if (!userId) {
+            return reply.status(401).send({ error: 'User identity required' });
+        }
+
+        const { key } = request.params;
+
+        try {
+            const revisions = await getFactHistory(userId, key);
+            if (revisions.length === 0) {
+                return reply.status(404).send({ error: 'Fact not found' });
+            }
 
             return {
-                id: fact.id,
-                fact_key: fact.fact_key,
-                fact_value: fact.fact_value,
-                confidence: parseFloat(fact.confidence)
+                fact_key: key,
+                revisions: revisions.map(toRevisionResponse)
             };
         } catch (err) {
-            app.log.error({ err }, 'Failed to upsert fact');
-            return reply.status(500).send({ error: err.message || 'Failed to upsert fact' });
+            app.log.error({ err }, 'Failed to get fact history');
+            return reply.status(500).send({ error: 'Failed to get fact history' });
         }
     });
 
     /**
-     * GET /memory/facts
-     * Get all memory facts for the current user
+     * POST /memory/fact/:key/rollback
+     * Restore a fact to the state one of its revisions left it in
+     * (rolling back to a delete revision deletes the fact)
      */
-    app.get('/memory/facts', {
+    app.post('/memory/fact/:key/rollback', {
         schema: {
+            params: FACT_KEY_PARAMS,
+            body: {
+                type: 'object',
+                required: ['revision_id'],
+                properties: {
+                    revision_id: { type: 'string', format: 'uuid' }
+                }
+            },
             response: {
                 200: {
                     type: 'object',
                     properties: {
-                        facts: {
-                            type: 'array',
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    id: { type: 'string' },
-                                    fact_key: { type: 'string' },
-                                    fact_value: { type: 'string' },
-                                    confidence: { type: 'number' },
-                                    created_at: { type: 'string' },
-                                    updated_at: { type: 'string' }
-                                }
-                            }
-                        }
+                        fact: { ...FACT_SCHEMA, nullable: true },
+                        revision: { ...REVISION_SCHEMA, nullable: true }
                     }
                 }
             }
@@ -94,22 +410,24 @@ export function registerMemoryRoutes(app) {
             return reply.status(401).send({ error: 'User identity required' });
         }
 
+        const { key } = request.params;
+        const { revision_id } = request.body;
+
         try {
-            const facts = await getAllFacts(userId);
+            // Scoped to the user and key, so another user's revision is "not found"
+            const result = await rollbackFact(userId, key, revision_id);
+            if (!result) {
+                return reply.status(404).send({ error: 'Revision not found' });
+            }
 
+            app.log.info({ userId, fact_key: key, revision_id, deleted: result.fact === null }, 'Memory fact rolled back');
             return {
-                facts: facts.map(f => ({
-                    id: f.id,
-                    fact_key: f.fact_key,
-                    fact_value: f.fact_value,
-                    confidence: parseFloat(f.confidence),
-                    created_at: f.created_at,
-                    updated_at: f.updated_at
-                }))
+                fact: result.fact && toFactResponse(result.fact),
+                revision: result.revision && toRevisionResponse(result.revision)
             };
         } catch (err) {
-            app.log.error({ err }, 'Failed to get facts');
-            return reply.status(500).send({ error: 'Failed to get facts' });
+            app.log.error({ err }, 'Failed to roll back fact');
+            return reply.status(500).send({ error: 'Failed to roll back fact' });
         }
     });
 }
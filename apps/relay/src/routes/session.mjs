@@ -6,6 +6,8 @@
 import { createSession, endSession, getSessionById, getActiveSession } from '../services/sessions.mjs';
 import { appendMessage } from '../services/messages.mjs';
 import { buildBootstrapContext } from '../services/bootstrap.mjs';
+import { extractFactsFromSession } from '../services/fact-extraction.mjs';
+import { summarizeEndedSession } from '../services/session-summaries.mjs';
 
 /**
  * Register session routes
@@ -72,6 +74,8 @@ export function registerSessionRoutes(app) {
     /**
      * POST /session/end
      * Ends the current session
+     * The session is then summarized in the background, and with
+     * MEMORY_EXTRACTION_MODE=session_end memory facts are extracted from it
      */
     app.post('/session/end', {
         schema: {
@@ -112,6 +116,8 @@ export function registerSessionRoutes(app) {
 
             // End the session
             const ended = await endSession(session_id);
+            summarizeEndedSession({ userId, sessionId: ended.id }, app.log);
+            extractFactsFromSession({ userId, sessionId: ended.id }, app.log);
 
             return {
                 session_id: ended.id,
@@ -8,11 +8,16 @@ import { registerUserIdentity } from './middleware/user-identity.mjs';
 import { registerSessionRoutes } from './routes/session.mjs';
 import { registerMemoryRoutes } from './routes/memory.mjs';
 import { registerAssistantRoutes } from './routes/assistant.mjs';
-import { registerSTTRoutes, isSTTConfigured } from './routes/stt.mjs';
-import { registerVoiceWebSocket } from './ws/handler.mjs';
+import { registerSTTRoutes } from './routes/stt.mjs';
+import { isConfigured as isSTTConfigured, getProviderStatus as getSTTStatus } from './stt/index.mjs';
+import { registerVoiceWebSocket, deliverDueReminders } from './ws/handler.mjs';
 import { getProviderStatus } from './tts/index.mjs';
+import { getNormalizationRules } from './tts/normalize.mjs';
 import { initPersonaRegistry } from './personas/registry.mjs';
-import { getStatus as getLLMStatus } from './llm/openai-client.mjs';
+import { startFactSweeper } from './services/fact-sweeper.mjs';
+import { startReminderScheduler } from './services/reminder-scheduler.mjs';
+import { getProviderStatus as getLLMStatus } from './llm/index.mjs';
+import { getRequestPolicyOverrides } from './services/request-policy.mjs';
 
 const PORT = parseInt(process.env.PORT || '8080', 10);
 
@@ -50,7 +55,9 @@ registerUserIdentity(app);
 app.get('/health', async (request, reply) => {
     const dbHealthy = await checkDatabase();
     const ttsStatus = await getProviderStatus();
-    const llmStatus = getLLMStatus();
+    const llmStatus = await getLLMStatus();
+    const llmPrimary = llmStatus.primary ?? llmStatus.fallback_order[0];
+    const sttStatus = await getSTTStatus();
 
     return {
         status: dbHealthy ? 'ok' : 'degraded',
@@ -61,12 +68,24 @@ app.get('/health', async (request, reply) => {
             database: dbHealthy,
             tts: {
                 primary: ttsStatus.activeFallback,
+                chain_source: ttsStatus.chainSource,
+                chain: ttsStatus.chain,
                 providers: ttsStatus
             },
-            llm: llmStatus,
+            llm: {
+                configured: llmStatus.llm_enabled,
+                mock_mode: llmStatus.mock_mode,
+                model: llmStatus.providers[llmPrimary]?.model,
+                primary: llmStatus.primary,
+                fallback_order: llmStatus.fallback_order,
+                chain_source: llmStatus.chain_source,
+                chain: llmStatus.chain
+            },
             stt: {
-                configured: isSTTConfigured(),
-                mock_mode: process.env.STT_MOCK_MODE === 'true'
+                configured: await isSTTConfigured(),
+                mock_mode: process.env.STT_MOCK_MODE === 'true',
+                primary: sttStatus.activeFallback,
+                providers: sttStatus
             }
         }
     };
@@ -87,6 +106,14 @@ registerSTTRoutes(app);
 // Register voice WebSocket handler (replaces old minimal handler)
 registerVoiceWebSocket(app);
 
+// Archive expired memory facts and embed stale ones in the background
+const stopFactSweeper = startFactSweeper(app.log);
+app.addHook('onClose', async () => stopFactSweeper());
+
+// Push due reminders to users with a bound voice socket
+const stopReminderScheduler = startReminderScheduler(() => deliverDueReminders(app), app.log);
+app.addHook('onClose', async () => stopReminderScheduler());
+
 // Start server
 try {
     // Initialize persona registry before listening
@@ -95,8 +122,10 @@ try {
     await app.listen({ port: PORT, host: '0.0.0.0' });
     app.log.info(`JARVIS Relay MVP listening on port ${PORT}`);
     app.log.info(`TTS Provider: ${process.env.TTS_PROVIDER || 'cartesia (default)'}`);
-    app.log.info(`LLM Model: ${process.env.LLM_MODEL || 'gpt-4o'}`);
-    app.log.info(`STT: ${isSTTConfigured() ? 'configured' : 'NOT configured'} (mock=${process.env.STT_MOCK_MODE === 'true'})`);
+    app.log.info(`LLM Chain: ${(await getLLMStatus()).fallback_order.join(', ')}`);
+    app.log.info(`Request Policy overrides: ${Object.keys(getRequestPolicyOverrides()).join(', ') || 'none'}`);
+    app.log.info(`TTS Normalization: ${getNormalizationRules().join(', ') || 'off'}`);
+    app.log.info(`STT: ${await isSTTConfigured() ? 'configured' : 'NOT configured'} (primary=${process.env.STT_PROVIDER || 'openai'}, mock=${process.env.STT_MOCK_MODE === 'true'})`);
     app.log.info(`Mock Modes: TTS=${process.env.TTS_MOCK_MODE === 'true'}, LLM=${process.env.LLM_MOCK_MODE === 'true'}, STT=${process.env.STT_MOCK_MODE === 'true'}`);
 
 } catch (err) {
@@ -4,7 +4,9 @@
  * @module services/bootstrap
  */
 
-import { getAllFacts, getLastSessionTranscript } from './memory.mjs';
+import { getAllFacts, getLastSessionTranscript, getMinEffectiveConfidence, getRecallLimit, recallFacts } from './memory.mjs';
+import { getRecentSessionSummaries } from './session-summaries.mjs';
+import { getSessionMessages } from './messages.mjs';
 import { getPersonaPrompt } from '../personas/registry.mjs';
 
 const SYSTEM_INSTRUCTIONS_VERSION = '1.1.0-persona';
@@ -17,25 +19,67 @@ const KB_PACKS = {
     default: ''
 };
 
+/**
+ * Active facts that are still believed: unexpired and not decayed below
+ * MEMORY_MIN_EFFECTIVE_CONFIDENCE
+ * @param {string} userId
+ */
+function getPromptFacts(userId) {
+    return getAllFacts(userId, { status: 'active', minEffectiveConfidence: getMinEffectiveConfidence() });
+}
+
+/**
+ * Recall the facts relevant to a turn
+ * If recall fails (e.g. the embedding API is down) the turn still gets the k
+ * most confident facts rather than none.
+ * @param {string} userId
+ * @param {string} userInput
+ * @returns {Promise<Array<{fact_key: string, fact_value: string, confidence: number|string, effective_confidence: number}>>}
+ */
+async function recallMemoryFacts(userId, userInput) {
+    const k = getRecallLimit();
+    try {
+        return await recallFacts(userId, userInput, k);
+    } catch (err) {
+        console.warn(`[Memory] Recall failed, using the ${k} most confident facts: ${err.message}`);
+        const facts = await getPromptFacts(userId);
+        return facts
+            .sort((a, b) => b.effective_confidence - a.effective_confidence)
+            .slice(0, k);
+    }
+}
+
 /**
  * Build bootstrap context for agent prompts
+ * With userInput, memory_facts holds only the top MEMORY_RECALL_K facts relevant
+ * to it (best match first); without, every active fact. Either way, expired and
+ * decayed facts are left out.
  * @param {Object} params
  * @param {string} params.userId - Internal user UUID
  * @param {string} [params.personaId='jarvis'] - Persona identifier
  * @param {string} [params.kbPackId='none'] - Knowledge base pack identifier
+ * @param {string} [params.userInput] - Current user input, to recall facts for
+ * @param {string} [params.sessionId] - Active session, whose turns so far become current_session_transcript
  * @returns {Promise<{
  *   persona_prompt: string,
  *   kb_prompt: string,
  *   memory_facts: Array<{fact_key: string, fact_value: string, confidence: number}>,
  *   last_session_transcript: Array<{role: string, content: string, created_at: string}> | null,
+ *   session_summaries: Array<{session_id: string, summary: string, ended_at: string}>,
+ *   current_session_transcript: Array<{role: string, content: string, created_at: string}>,
  *   system_instructions_version: string
  * }>}
  */
-export async function buildBootstrapContext({ userId, personaId = 'jarvis', kbPackId = 'none' }) {
-    // Fetch memory facts and last session transcript in parallel
-    const [memoryFacts, lastSessionTranscript] = await Promise.all([
-        getAllFacts(userId),
-        getLastSessionTranscript(userId)
+export async function buildBootstrapContext({ userId, personaId = 'jarvis', kbPackId = 'none', userInput, sessionId }) {
+    // Fetch memory facts, last session transcript, recent session summaries and
+    // the active session's turns in parallel
+    // Pending (low-confidence extracted) facts stay out of the prompt until confirmed
+    // The transcript is returned whole; buildLLMContext keeps the tail that fits its budget
+    const [memoryFacts, lastSessionTranscript, sessionSummaries, currentSessionMessages] = await Promise.all([
+        userInput ? recallMemoryFacts(userId, userInput) : getPromptFacts(userId),
+        getLastSessionTranscript(userId),
+        getRecentSessionSummaries(userId),
+        sessionId ? getSessionMessages(sessionId) : []
     ]);
 
     // Get persona prompt from file-based registry (with fallback)
@@ -47,16 +91,27 @@ export async function buildBootstrapContext({ userId, personaId = 'jarvis', kbPa
     return {
         persona_prompt: personaPrompt,
         kb_prompt: kbPrompt,
+        // Confidence as of now, after decay (memory_facts.confidence is DECIMAL(3,2))
         memory_facts: memoryFacts.map(f => ({
             fact_key: f.fact_key,
             fact_value: f.fact_value,
-            confidence: parseFloat(f.confidence)
+            confidence: Math.round(f.effective_confidence * 100) / 100
         })),
         last_session_transcript: lastSessionTranscript ? lastSessionTranscript.map(m => ({
             role: m.role,
             content: m.content,
             created_at: m.created_at
         })) : null,
+        session_summaries: sessionSummaries.map(s => ({
+            session_id: s.session_id,
+            summary: s.summary,
+            ended_at: s.ended_at
+        })),
+        current_session_transcript: currentSessionMessages.map(m => ({
+            role: m.role,
+            content: m.content,
+            created_at: m.created_at
+        })),
         system_instructions_version: SYSTEM_INSTRUCTIONS_VERSION
     };
 }
@@ -0,0 +1,339 @@
+/**
+ * Fact Extraction Service - Proposes memory facts from conversation turns
+ * @module services/fact-extraction
+ *
+ * Runs in the background, never on the reply path:
+ * - MEMORY_EXTRACTION_MODE=turn (default): after each stored user turn
+ * - MEMORY_EXTRACTION_MODE=session_end: over the whole session on /session/end,
+ *   in chunks that fit the LLM chain's prompt budget
+ * - MEMORY_EXTRACTION_MODE=off
+ *
+ * The LLM fallback chain is asked for structured output (response_format 'json').
+ * Each proposal is stored through upsertFact with its confidence and the user
+ * message it came from. Proposals below MEMORY_EXTRACTION_MIN_CONFIDENCE are
+ * stored as 'pending' and stay out of buildLLMContext until confirmed; they
+ * never replace an active fact.
+ */
+
+import { generateWithFallback, getContextBudget } from '../llm/index.mjs';
+import { takeLinesWithin } from '../llm/context-builder.mjs';
+import { countMessageTokens, getTokenizer } from '../llm/tokenizers/index.mjs';
+import { getAllFacts, upsertFact } from './memory.mjs';
+import { getSessionMessages } from './messages.mjs';
+
+const EXTRACTION_MODES = ['turn', 'session_end', 'off'];
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+
+/**
+ * Conversation tokens per request even when known facts fill the prompt budget
+ */
+const MIN_CHUNK_TOKENS = 256;
+
+/**
+ * memory_facts.fact_key is VARCHAR(255)
+ */
+const MAX_FACT_KEY_LENGTH = 255;
+
+const EXTRACTION_PROMPT = `You extract durable facts about the user from a conversation, for long-term memory.
+
+Respond with only a JSON object:
+{"facts": [{"key": "home_city", "value": "Malibu", "confidence": 0.9, "source": 1}]}
+
+- key: short snake_case name for the fact (e.g. "name", "home_city", "favorite_drink"). Reuse a known key when the conversation updates that fact.
+- value: the fact as a short phrase, in the user's words where possible.
+- confidence: 0.0-1.0, how sure you are this is true and lasting. Plainly stated facts are 0.9 or higher; implied, hedged or joking ones 0.6 or lower.
+- source: the line number of the user line the fact comes from.
+
+Only extract what the user says about themselves: identity, preferences, relationships, routines, plans. Use assistant lines only as context. Skip questions, small talk and known facts that did not change. If there is nothing new, respond with {"facts": []}.`;
+
+/**
+ * @typedef {Object} ExtractionMessage
+ * @property {string} id - Message ID (becomes source_message_id)
+ * @property {string} role - user | assistant | system
+ * @property {string} content
+ */
+
+/**
+ * @typedef {Object} FactProposal
+ * @property {string} fact_key
+ * @property {string} fact_value
+ * @property {number} confidence
+ * @property {string|null} source_message_id
+ */
+
+/**
+ * Extractions still running, for waitForFactExtraction()
+ * @type {Set<Promise<Array<Object>>>}
+ */
+const inFlight = new Set();
+
+/**
+ * When extraction runs, read at call time so tests can switch it
+ * @returns {'turn' | 'session_end' | 'off'}
+ */
+export function getExtractionMode() {
+    const mode = process.env.MEMORY_EXTRACTION_MODE || 'turn';
+    return EXTRACTION_MODES.includes(mode) ? mode : 'turn';
+}
+
+/**
+ * Confidence at or above which an extracted fact is active rather than pending
+ * @returns {number}
+ */
+export function getMinConfidence() {
+    const value = parseFloat(process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE ?? '');
+    return Number.isFinite(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+/**
+ * Number the user and assistant lines of a conversation
+ * Lines are numbered so proposals can cite the user message they came from.
+ * @param {ExtractionMessage[]} messages
+ * @returns {{ lines: string[], sources: Map<number, string> }} sources maps line number → user message ID
+ */
+function numberConversation(messages) {
+    const sources = new Map();
+    const lines = [];
+
+    for (const msg of messages) {
+        if (msg.role !== 'user' && msg.role !== 'assistant') continue;
+        const lineNumber = lines.length + 1;
+        if (msg.role === 'user') {
+            sources.set(lineNumber, msg.id);
+        }
+        lines.push(`[${lineNumber}] ${msg.role}: ${msg.content.replace(/\s*\n\s*/g, ' ')}`);
+    }
+
+    return { lines, sources };
+}
+
+/**
+ * Build the structured-output request for numbered conversation lines
+ * @param {string[]} lines
+ * @param {Array<{fact_key: string, fact_value: string}>} knownFacts
+ * @returns {import('../llm/providers/types.mjs').LLMRequest}
+ */
+function extractionRequest(lines, knownFacts) {
+    const known = knownFacts.length > 0
+        ? knownFacts.map(f => `- ${f.fact_key}: "${f.fact_value}"`).join('\n')
+        : '(none)';
+
+    return {
+        messages: [
+            { role: 'system', content: EXTRACTION_PROMPT },
+            { role: 'user', content: `Known facts:\n${known}\n\nConversation:\n${lines.join('\n')}` }
+        ],
+        response_format: 'json',
+        temperature: 0
+    };
+}
+
+/**
+ * Build the structured-output request for a set of messages
+ * @param {ExtractionMessage[]} messages
+ * @param {Array<{fact_key: string, fact_value: string}>} knownFacts
+ * @returns {{ request: import('../llm/providers/types.mjs').LLMRequest, sources: Map<number, string> }}
+ */
+export function buildExtractionRequest(messages, knownFacts) {
+    const { lines, sources } = numberConversation(messages);
+    return { request: extractionRequest(lines, knownFacts), sources };
+}
+
+/**
+ * Normalize a proposed key to snake_case
+ * @param {unknown} key
+ * @returns {string} - '' if nothing usable is left
+ */
+export function normalizeFactKey(key) {
+    if (typeof key !== 'string') return '';
+    return key.trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, MAX_FACT_KEY_LENGTH);
+}
+
+/**
+ * Parse and validate the LLM's proposals; malformed entries are dropped
+ * @param {string} content - LLM reply (a JSON object, possibly in a code fence)
+ * @param {Map<number, string>} sources - line number → user message ID
+ * @returns {FactProposal[]}
+ * @throws {Error} If the reply is not JSON
+ */
+export function parseExtractedFacts(content, sources) {
+    let data;
+    try {
+        data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch {
+        throw new Error('Fact extraction returned invalid JSON');
+    }
+
+    const proposals = Array.isArray(data?.facts) ? data.facts : [];
+    // A proposal without a valid source is attributed to the latest user message
+    const latestSource = [...sources.values()].pop() ?? null;
+
+    return proposals.flatMap((proposal) => {
+        const factKey = normalizeFactKey(proposal?.key);
+        const factValue = typeof proposal?.value === 'string' ? proposal.value.trim() : '';
+        const confidence = Number(proposal?.confidence);
+        if (!factKey || !factValue || !Number.isFinite(confidence)) {
+            return [];
+        }
+
+        return [{
+            fact_key: factKey,
+            fact_value: factValue,
+            // memory_facts.confidence is DECIMAL(3,2)
+            confidence: Math.round(Math.min(Math.max(confidence, 0), 1) * 100) / 100,
+            source_message_id: sources.get(Number(proposal.source)) ?? latestSource
+        }];
+    });
+}
+
+/**
+ * Whether a proposal should overwrite a fact the user already has
+ * Extraction never downgrades memory: an active fact is only replaced by a
+ * proposal that would be stored active too, with at least its confidence, and a
+ * restated value only when the confidence rises (which is how a pending fact
+ * gets promoted).
+ * @param {{ fact_value: string, confidence: number|string, status: string }} existing
+ * @param {FactProposal} proposal
+ * @param {number} minConfidence - See getMinConfidence
+ * @returns {boolean}
+ */
+function shouldReplace(existing, proposal, minConfidence) {
+    if (existing.status === 'active' && proposal.confidence < minConfidence) {
+        return false;
+    }
+    const existingConfidence = parseFloat(existing.confidence);
+    if (existing.fact_value.trim().toLowerCase() === proposal.fact_value.toLowerCase()) {
+        return proposal.confidence > existingConfidence;
+    }
+    return existing.status !== 'active' || proposal.confidence >= existingConfidence;
+}
+
+/**
+ * Extract facts from messages and store them
+ * A conversation too long for the prompt budget of the LLM chain (see
+ * getContextBudget) goes out in chunks of consecutive lines, each with the
+ * facts known so far, including those stored from earlier chunks.
+ * @param {Object} params
+ * @param {string} params.userId - Internal user UUID
+ * @param {ExtractionMessage[]} params.messages - Turn or session to extract from
+ * @param {string} [params.correlationId]
+ * @returns {Promise<Array<{id: string, fact_key: string, fact_value: string, confidence: number, status: string, source_message_id: string|null}>>} Stored facts
+ */
+export async function extractFacts({ userId, messages, correlationId }) {
+    if (!messages.some(m => m.role === 'user')) {
+        return [];
+    }
+
+    const { lines, sources } = numberConversation(messages);
+    const { model, budget } = getContextBudget();
+    const tokenizer = await getTokenizer(model);
+    const minConfidence = getMinConfidence();
+    const factsByKey = new Map((await getAllFacts(userId)).map(f => [f.fact_key, f]));
+    const stored = [];
+
+    for (let start = 0; start < lines.length;) {
+        const knownFacts = [...factsByKey.values()];
+        const overhead = countMessageTokens(extractionRequest([], knownFacts).messages, tokenizer);
+        const chunk = takeLinesWithin(lines.slice(start), Math.max(budget - overhead, MIN_CHUNK_TOKENS), tokenizer);
+        const chunkSources = new Map([...sources].filter(([line]) => line > start && line <= start + chunk.length));
+        start += chunk.length;
+        if (chunkSources.size === 0) {
+            continue;
+        }
+
+        const response = await generateWithFallback(extractionRequest(chunk, knownFacts), { correlationId });
+        for (const proposal of parseExtractedFacts(response.content, chunkSources)) {
+            const existing = factsByKey.get(proposal.fact_key);
+            if (existing && !shouldReplace(existing, proposal, minConfidence)) {
+                continue;
+            }
+
+            const fact = await upsertFact(userId, proposal.fact_key, proposal.fact_value, proposal.confidence, {
+                sourceMessageId: proposal.source_message_id,
+                status: proposal.confidence >= minConfidence ? 'active' : 'pending',
+                actor: 'extractor'
+            });
+            factsByKey.set(fact.fact_key, fact);
+            stored.push(fact);
+        }
+    }
+
+    return stored;
+}
+
+/**
+ * Run an extraction in the background; failures are logged, never thrown
+ * @param {() => Promise<Array<Object>>} extract
+ * @param {string} correlationId
+ * @param {Object} [logger]
+ * @returns {Promise<Array<Object>>} Stored facts ([] on failure)
+ */
+function runInBackground(extract, correlationId, logger) {
+    const task = extract()
+        .then((facts) => {
+            logger?.info({
+                correlation_id: correlationId,
+                stored: facts.length,
+                pending: facts.filter(f => f.status === 'pending').length
+            }, '[memory] fact extraction complete');
+            return facts;
+        })
+        .catch((err) => {
+            logger?.warn({ correlation_id: correlationId, err: err.message }, '[memory] fact extraction failed');
+            return [];
+        })
+        .finally(() => inFlight.delete(task));
+
+    inFlight.add(task);
+    return task;
+}
+
+/**
+ * Extract from a just-stored turn (MEMORY_EXTRACTION_MODE=turn)
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {ExtractionMessage} params.userMessage
+ * @param {ExtractionMessage} [params.assistantMessage] - The reply, as context
+ * @param {string} [params.correlationId] - Correlation ID of the turn
+ * @param {Object} [logger]
+ * @returns {Promise<Array<Object>> | null} The background task, or null if turn extraction is off
+ */
+export function extractFactsFromTurn({ userId, userMessage, assistantMessage, correlationId }, logger) {
+    if (getExtractionMode() !== 'turn') {
+        return null;
+    }
+    const extractionId = `${correlationId || userMessage.id}:facts`;
+    const messages = assistantMessage ? [userMessage, assistantMessage] : [userMessage];
+    return runInBackground(() => extractFacts({ userId, messages, correlationId: extractionId }), extractionId, logger);
+}
+
+/**
+ * Extract from a whole session once it ends (MEMORY_EXTRACTION_MODE=session_end)
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.sessionId
+ * @param {Object} [logger]
+ * @returns {Promise<Array<Object>> | null} The background task, or null if session-end extraction is off
+ */
+export function extractFactsFromSession({ userId, sessionId }, logger) {
+    if (getExtractionMode() !== 'session_end') {
+        return null;
+    }
+    const extractionId = `session-${sessionId}:facts`;
+    return runInBackground(
+        async () => extractFacts({ userId, messages: await getSessionMessages(sessionId), correlationId: extractionId }),
+        extractionId,
+        logger
+    );
+}
+
+/**
+ * Wait for every running extraction to settle
+ * @returns {Promise<void>}
+ */
+export async function waitForFactExtraction() {
+    await Promise.all([...inFlight]);
+}
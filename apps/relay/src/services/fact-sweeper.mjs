@@ -0,0 +1,109 @@
+/**
+ * Fact Sweeper - Archives expired memory facts and re-embeds stale ones on a timer
+ * @module services/fact-sweeper
+ *
+ * Expired facts are already left out of the prompt at read time; the sweeper
+ * makes that visible in the data (status 'archived', plus an 'archive'
+ * revision) so they drop out of GET /memory/facts and recall queries.
+ *
+ * It also embeds active facts that lack an embedding from the current model
+ * (the provider failed on write, or EMBEDDINGS_PROVIDER/MODEL changed), so
+ * recall never waits on that work. The first sweep runs at start.
+ *
+ * Config:
+ *   MEMORY_SWEEP_INTERVAL_MS  how often to sweep (default: 600000 = 10 min; 0 disables)
+ */
+
+import { archiveExpiredFacts, embedStaleFacts } from './memory.mjs';
+
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 500;
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Sweep interval, read at start
+ * @returns {number} Milliseconds; 0 = sweeper disabled
+ */
+export function getSweepInterval() {
+    const value = parseInt(process.env.MEMORY_SWEEP_INTERVAL_MS ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SWEEP_INTERVAL_MS;
+}
+
+/**
+ * Archive every expired fact, in batches; failures are logged, never thrown
+ * @param {Object} [logger]
+ * @returns {Promise<number>} Facts archived
+ */
+export async function sweepExpiredFacts(logger) {
+    let archived = 0;
+    try {
+        let batch;
+        do {
+            batch = await archiveExpiredFacts(SWEEP_BATCH_SIZE);
+            archived += batch.length;
+        } while (batch.length === SWEEP_BATCH_SIZE);
+    } catch (err) {
+        logger?.warn({ err: err.message, archived }, '[memory] fact sweep failed');
+        return archived;
+    }
+
+    if (archived > 0) {
+        logger?.info({ archived }, '[memory] archived expired facts');
+    }
+    return archived;
+}
+
+/**
+ * Embed every stale fact, in batches; failures are logged, never thrown
+ * @param {Object} [logger]
+ * @returns {Promise<number>} Facts embedded
+ */
+export async function sweepStaleEmbeddings(logger) {
+    let embedded = 0;
+    try {
+        let batch;
+        do {
+            batch = await embedStaleFacts(EMBED_BATCH_SIZE);
+            embedded += batch;
+        } while (batch === EMBED_BATCH_SIZE);
+    } catch (err) {
+        logger?.warn({ err: err.message, embedded }, '[memory] fact embedding sweep failed');
+        return embedded;
+    }
+
+    if (embedded > 0) {
+        logger?.info({ embedded }, '[memory] embedded stale facts');
+    }
+    return embedded;
+}
+
+/**
+ * Start sweeping now and then on an interval
+ * The timer doesn't keep the process alive, and a sweep never overlaps the previous one.
+ * @param {Object} [logger]
+ * @param {number} [intervalMs] - Default: MEMORY_SWEEP_INTERVAL_MS
+ * @returns {() => void} Stops the sweeper
+ */
+export function startFactSweeper(logger, intervalMs = getSweepInterval()) {
+    if (intervalMs <= 0) {
+        logger?.info('[memory] fact sweeper disabled');
+        return () => {};
+    }
+
+    let sweeping = false;
+    const sweep = async () => {
+        if (sweeping) return;
+        sweeping = true;
+        try {
+            await sweepExpiredFacts(logger);
+            await sweepStaleEmbeddings(logger);
+        } finally {
+            sweeping = false;
+        }
+    };
+    const timer = setInterval(sweep, intervalMs);
+    timer.unref();
+    sweep();
+
+    return () => clearInterval(timer);
+}
@@ -4,56 +4,475 @@
  */
 
 import { query, withTransaction } from '../db-client.mjs';
+import { embedTexts, cosineSimilarity, getEmbeddingProvider } from '../embeddings/index.mjs';
 import { getLastEndedSession } from './sessions.mjs';
 import { getSessionMessages } from './messages.mjs';
 
+/**
+ * Fact statuses: only active facts are injected into the LLM context
+ * (archived = expired and swept, kept for history)
+ */
+export const FACT_STATUSES = ['active', 'pending', 'archived'];
+
+const DEFAULT_RECALL_LIMIT = 8;
+const DEFAULT_MIN_EFFECTIVE_CONFIDENCE = 0.3;
+
+/**
+ * A fact's confidence as of now(): 0 once expired, halved every decay_half_life
+ * since it was last written (see migration 005)
+ */
+const EFFECTIVE_CONFIDENCE_SQL = `(CASE
+    WHEN expires_at IS NOT NULL AND expires_at <= now() THEN 0
+    WHEN decay_half_life IS NULL THEN confidence::float8
+    ELSE confidence::float8 * power(0.5, (extract(epoch FROM now() - updated_at) / extract(epoch FROM decay_half_life))::float8)
+END)`;
+
+/**
+ * Columns returned for a stored fact
+ */
+const FACT_COLUMNS = `id, fact_key, fact_value, confidence, status, source_message_id, expires_at, decay_half_life,
+    ${EFFECTIVE_CONFIDENCE_SQL} AS effective_confidence, created_at, updated_at`;
+
 /**
  * Upsert a memory fact for a user
  * @param {string} userId 
  * @param {string} factKey 
  * @param {string} factValue 
  * @param {number} [confidence=1.0] 
- * @returns {Promise<{id: string, fact_key: string, fact_value: string, confidence: number}>}
+ * @param {Object} [options]
+ * @param {string|null} [options.sourceMessageId] - Message the fact was extracted from
+ * @param {'active'|'pending'} [options.status='active']
+ * @param {'user'|'extractor'|'assistant'} [options.actor='user'] - Recorded in the fact's history
+ * @param {string|Date|null} [options.expiresAt] - null clears it; omitted keeps an expiry that hasn't passed yet
+ * @param {string|null} [options.decayHalfLife] - Interval, e.g. 'P14D'; null clears it; omitted keeps it
+ * @returns {Promise<{id: string, fact_key: string, fact_value: string, confidence: number, status: string, source_message_id: string|null, effective_confidence: number}>}
+ */
+export async function upsertFact(userId, factKey, factValue, confidence = 1.0, { sourceMessageId = null, status = 'active', actor = 'user', expiresAt, decayHalfLife } = {}) {
+    validateFact(confidence, status);
+    const [{ embedding, model }] = await embedFacts([{ fact_key: factKey, fact_value: factValue }]);
+
+    // Use transaction to ensure commit
+    const { fact } = await withTransaction(client => upsertFactWith(client, userId, factKey, factValue, confidence, {
+        sourceMessageId,
+        status,
+        embedding,
+        embeddingModel: model,
+        actor,
+        expiresAt,
+        decayHalfLife
+    }));
+    return fact;
+}
+
+/**
+ * Throw if a fact's confidence or status is out of range
+ * @param {number} confidence
+ * @param {string} status
  */
-export async function upsertFact(userId, factKey, factValue, confidence = 1.0) {
-    // Validate confidence
+function validateFact(confidence, status) {
     if (confidence < 0 || confidence > 1) {
         throw new Error('Confidence must be between 0 and 1');
     }
+    if (!FACT_STATUSES.includes(status)) {
+        throw new Error(`Status must be one of: ${FACT_STATUSES.join(', ')}`);
+    }
+}
+
+/**
+ * Text embedded for a fact; the key carries meaning too ("home city: Malibu")
+ * @param {string} factKey
+ * @param {string} factValue
+ * @returns {string}
+ */
+function factText(factKey, factValue) {
+    return `${factKey.replace(/[_.]+/g, ' ')}: ${factValue}`;
+}
+
+/**
+ * Embed facts for storage
+ * A failing embedding provider must not lose the write: the facts are stored
+ * without an embedding and the fact sweeper embeds them later (embedStaleFacts).
+ * @param {Array<{fact_key: string, fact_value: string}>} facts
+ * @returns {Promise<Array<{embedding: number[]|null, model: string|null}>>} One entry per fact
+ */
+async function embedFacts(facts) {
+    try {
+        const { model, vectors } = await embedTexts(facts.map(f => factText(f.fact_key, f.fact_value)));
+        return vectors.map(embedding => ({ embedding, model }));
+    } catch (err) {
+        console.warn(`[Memory] Embedding ${facts.length} fact(s) failed, deferring to the fact sweeper: ${err.message}`);
+        return facts.map(() => ({ embedding: null, model: null }));
+    }
+}
+
+/**
+ * @typedef {Object} FactRevision
+ * @property {string} id
+ * @property {string} fact_key
+ * @property {'create'|'update'|'delete'|'rollback'} operation
+ * @property {'user'|'extractor'|'assistant'|'system'} actor
+ * @property {string|null} old_value - null when the fact did not exist before
+ * @property {string|null} new_value - null when the fact was deleted
+ * @property {number|string|null} old_confidence
+ * @property {number|string|null} new_confidence
+ * @property {string|null} old_status
+ * @property {string|null} new_status
+ * @property {string|null} source_message_id
+ * @property {string|null} rollback_of - Revision restored by a rollback
+ * @property {string} created_at
+ */
+
+/**
+ * Append a revision for a fact write, on the write's transaction client
+ * @param {import('pg').PoolClient} client
+ * @param {string} userId
+ * @param {string} factKey
+ * @param {Object} change
+ * @param {FactRevision['operation']} change.operation
+ * @param {string} change.actor
+ * @param {{fact_value: string, confidence: number|string, status: string}|null} change.before
+ * @param {{fact_value: string, confidence: number|string, status: string}|null} change.after
+ * @param {string|null} [change.sourceMessageId]
+ * @param {string|null} [change.rollbackOf]
+ * @returns {Promise<FactRevision>}
+ */
+async function recordRevision(client, userId, factKey, { operation, actor, before, after, sourceMessageId = null, rollbackOf = null }) {
+    const result = await client.query(
+        `INSERT INTO memory_fact_revisions
+           (user_id, fact_key, operation, actor, old_value, new_value, old_confidence, new_confidence,
+            old_status, new_status, source_message_id, rollback_of)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING id, fact_key, operation, actor, old_value, new_value, old_confidence, new_confidence,
+                   old_status, new_status, source_message_id, rollback_of, created_at`,
+        [
+            userId, factKey, operation, actor,
+            before?.fact_value ?? null, after?.fact_value ?? null,
+            before?.confidence ?? null, after?.confidence ?? null,
+            before?.status ?? null, after?.status ?? null,
+            sourceMessageId, rollbackOf
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Upsert a fact on an open transaction client, recording the revision
+ * @param {import('pg').PoolClient} client
+ * @param {string} userId
+ * @param {string} factKey
+ * @param {string} factValue
+ * @param {number} confidence
+ * @param {{ sourceMessageId: string|null, status: string, embedding: number[]|null, embeddingModel: string|null, actor: string, rollbackOf?: string, expiresAt?: string|Date|null, decayHalfLife?: string|null }} options
+ *   expiresAt / decayHalfLife: undefined keeps the stored value (an expiry only while it is still ahead,
+ *   so re-stating an expired fact revives it), null clears it
+ * @returns {Promise<{fact: Object, revision: FactRevision}>}
+ */
+async function upsertFactWith(client, userId, factKey, factValue, confidence, { sourceMessageId, status, embedding, embeddingModel, actor, rollbackOf = null, expiresAt, decayHalfLife }) {
+    // Lock the current row so the revision records exactly what this write replaced
+    const previous = await client.query(
+        `SELECT fact_value, confidence, status FROM memory_facts
+         WHERE user_id = $1 AND fact_key = $2
+         FOR UPDATE`,
+        [userId, factKey]
+    );
+    const before = previous.rows[0] ?? null;
+
+    const result = await client.query(
+        `INSERT INTO memory_facts (user_id, fact_key, fact_value, confidence, source_message_id, status, embedding, embedding_model,
+                                   expires_at, decay_half_life)
+         VALUES ($1, $2, $3, $4, $5, $6, $7::real[], $8, $9::timestamptz, $11::interval)
+         ON CONFLICT (user_id, fact_key) 
+         DO UPDATE SET 
+           fact_value = EXCLUDED.fact_value,
+           confidence = EXCLUDED.confidence,
+           source_message_id = EXCLUDED.source_message_id,
+           status = EXCLUDED.status,
+           embedding = EXCLUDED.embedding,
+           embedding_model = EXCLUDED.embedding_model,
+           expires_at = CASE
+             WHEN $10::boolean THEN EXCLUDED.expires_at
+             WHEN memory_facts.expires_at > now() THEN memory_facts.expires_at
+           END,
+           decay_half_life = CASE WHEN $12::boolean THEN EXCLUDED.decay_half_life ELSE memory_facts.decay_half_life END,
+           updated_at = now()
+         RETURNING ${FACT_COLUMNS}`,
+        [
+            userId, factKey, factValue, confidence, sourceMessageId, status, embedding, embeddingModel,
+            expiresAt ?? null, expiresAt !== undefined, decayHalfLife ?? null, decayHalfLife !== undefined
+        ]
+    );
+    const fact = result.rows[0];
+
+    const revision = await recordRevision(client, userId, factKey, {
+        operation: rollbackOf ? 'rollback' : before ? 'update' : 'create',
+        actor,
+        before,
+        after: fact,
+        sourceMessageId,
+        rollbackOf
+    });
+    return { fact, revision };
+}
+
+/**
+ * Delete a fact on an open transaction client, recording the revision
+ * @param {import('pg').PoolClient} client
+ * @param {string} userId
+ * @param {string} factKey
+ * @param {{ actor: string, rollbackOf?: string }} options
+ * @returns {Promise<FactRevision|null>} null if the user has no such fact
+ */
+async function deleteFactWith(client, userId, factKey, { actor, rollbackOf = null }) {
+    const result = await client.query(
+        `DELETE FROM memory_facts
+         WHERE user_id = $1 AND fact_key = $2
+         RETURNING fact_value, confidence, status`,
+        [userId, factKey]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    return recordRevision(client, userId, factKey, {
+        operation: rollbackOf ? 'rollback' : 'delete',
+        actor,
+        before: result.rows[0],
+        after: null,
+        rollbackOf
+    });
+}
+
+/**
+ * Write a set of facts in one transaction
+ * - merge: upsert the given facts, leave the rest alone
+ * - replace: upsert the given facts and delete every other fact of the user
+ * Facts written here are user-supplied, so they are active and have no source message.
+ * expires_at / decay_half_life follow upsertFact: omitted keeps, null clears.
+ * @param {string} userId
+ * @param {Array<{fact_key: string, fact_value: string, confidence?: number, expires_at?: string|null, decay_half_life?: string|null}>} facts - Keys must be unique
+ * @param {'merge'|'replace'} [mode='merge']
+ * @returns {Promise<{facts: Array<Object>, deleted: string[]}>} Written facts and the keys replace removed
+ */
+export async function writeFacts(userId, facts, mode = 'merge') {
+    const keys = facts.map(f => f.fact_key);
+    if (new Set(keys).size !== keys.length) {
+        throw new Error('Duplicate fact_key in facts');
+    }
+    facts.forEach(f => validateFact(f.confidence ?? 1.0, 'active'));
+    const embeddings = facts.length > 0 ? await embedFacts(facts) : [];
 
-    // Use transaction to ensure commit
     return withTransaction(async (client) => {
-        const result = await client.query(
-            `INSERT INTO memory_facts (user_id, fact_key, fact_value, confidence)
-             VALUES ($1, $2, $3, $4)
-             ON CONFLICT (user_id, fact_key) 
-             DO UPDATE SET 
-               fact_value = EXCLUDED.fact_value,
-               confidence = EXCLUDED.confidence,
-               updated_at = now()
-             RETURNING id, fact_key, fact_value, confidence`,
-            [userId, factKey, factValue, confidence]
-        );
-        return result.rows[0];
+        let deleted = [];
+        if (mode === 'replace') {
+            const result = await client.query(
+                `DELETE FROM memory_facts
+                 WHERE user_id = $1 AND NOT (fact_key = ANY($2::text[]))
+                 RETURNING fact_key, fact_value, confidence, status`,
+                [userId, keys]
+            );
+            for (const row of result.rows) {
+                await recordRevision(client, userId, row.fact_key, { operation: 'delete', actor: 'user', before: row, after: null });
+            }
+            deleted = result.rows.map(r => r.fact_key);
+        }
+
+        const written = [];
+        for (const [i, fact] of facts.entries()) {
+            const { fact: stored } = await upsertFactWith(client, userId, fact.fact_key, fact.fact_value, fact.confidence ?? 1.0, {
+                sourceMessageId: null,
+                status: 'active',
+                embedding: embeddings[i].embedding,
+                embeddingModel: embeddings[i].model,
+                actor: 'user',
+                expiresAt: fact.expires_at,
+                decayHalfLife: fact.decay_half_life
+            });
+            written.push(stored);
+        }
+        return { facts: written, deleted };
     });
 }
 
 /**
  * Get all memory facts for a user
+ * Every filter is optional; without any, all of the user's facts except archived ones are returned.
+ * Each fact carries its effective_confidence as of now.
  * @param {string} userId 
- * @returns {Promise<Array<{id: string, fact_key: string, fact_value: string, confidence: number, created_at: string}>>}
+ * @param {Object} [filters]
+ * @param {'active'|'pending'|'archived'} [filters.status] - Only facts with this status
+ * @param {string} [filters.keyPrefix] - Only keys starting with this (literal, no wildcards)
+ * @param {number} [filters.minConfidence] - Only facts at or above this stored confidence
+ * @param {number} [filters.minEffectiveConfidence] - Only unexpired facts at or above this effective confidence
+ * @param {string|Date} [filters.updatedSince] - Only facts updated at or after this time
+ * @returns {Promise<Array<{id: string, fact_key: string, fact_value: string, confidence: number, status: string, source_message_id: string|null, expires_at: Date|null, decay_half_life: Object|null, effective_confidence: number, created_at: string}>>}
  */
-export async function getAllFacts(userId) {
+export async function getAllFacts(userId, { status, keyPrefix, minConfidence, minEffectiveConfidence, updatedSince } = {}) {
     const result = await query(
-        `SELECT id, fact_key, fact_value, confidence, created_at, updated_at
+        `SELECT ${FACT_COLUMNS}
          FROM memory_facts
          WHERE user_id = $1
+           AND (status = $2 OR ($2::text IS NULL AND status <> 'archived'))
+           AND ($3::text IS NULL OR left(fact_key, length($3)) = $3)
+           AND ($4::numeric IS NULL OR confidence >= $4)
+           AND ($5::timestamptz IS NULL OR updated_at >= $5)
+           AND ($6::float8 IS NULL OR ((expires_at IS NULL OR expires_at > now()) AND ${EFFECTIVE_CONFIDENCE_SQL} >= $6))
          ORDER BY created_at ASC, id ASC`,
-        [userId]
+        [userId, status || null, keyPrefix || null, minConfidence ?? null, updatedSince || null, minEffectiveConfidence ?? null]
+    );
+    return result.rows;
+}
+
+/**
+ * Effective confidence below which a fact is left out of the prompt
+ * (MEMORY_MIN_EFFECTIVE_CONFIDENCE, read at call time)
+ * @returns {number}
+ */
+export function getMinEffectiveConfidence() {
+    const value = parseFloat(process.env.MEMORY_MIN_EFFECTIVE_CONFIDENCE ?? '');
+    return Number.isFinite(value) ? value : DEFAULT_MIN_EFFECTIVE_CONFIDENCE;
+}
+
+/**
+ * Archive facts whose expiry has passed, across all users
+ * One statement, so each fact's status change and its 'archive' revision
+ * (actor 'system') commit together. Locked rows are skipped, not waited for.
+ * @param {number} [limit=500] - Most facts to archive in this call
+ * @returns {Promise<Array<{user_id: string, fact_key: string}>>} Archived facts
+ */
+export async function archiveExpiredFacts(limit = 500) {
+    const result = await query(
+        `WITH expired AS (
+             SELECT id, status FROM memory_facts
+             WHERE status <> 'archived' AND expires_at <= now()
+             ORDER BY expires_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         ), archived AS (
+             UPDATE memory_facts f SET status = 'archived', updated_at = now()
+             FROM expired e
+             WHERE f.id = e.id
+             RETURNING f.user_id, f.fact_key, f.fact_value, f.confidence, e.status AS old_status
+         )
+         INSERT INTO memory_fact_revisions
+           (user_id, fact_key, operation, actor, old_value, new_value, old_confidence, new_confidence, old_status, new_status)
+         SELECT user_id, fact_key, 'archive', 'system', fact_value, fact_value, confidence, confidence, old_status, 'archived'
+         FROM archived
+         RETURNING user_id, fact_key`,
+        [limit]
     );
     return result.rows;
 }
 
+/**
+ * How many facts recallFacts injects per turn (MEMORY_RECALL_K)
+ * @returns {number}
+ */
+export function getRecallLimit() {
+    const value = parseInt(process.env.MEMORY_RECALL_K || '', 10);
+    return value > 0 ? value : DEFAULT_RECALL_LIMIT;
+}
+
+/**
+ * Whether the pgvector extension is installed, checked once per process
+ * @type {Promise<boolean>|null}
+ */
+let pgvectorCheck = null;
+
+function hasPgvector() {
+    pgvectorCheck ??= query(`SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'vector') AS installed`)
+        .then(result => result.rows[0].installed)
+        .catch(() => {
+            pgvectorCheck = null;
+            return false;
+        });
+    return pgvectorCheck;
+}
+
+/**
+ * Embed active facts that have no embedding from the current model, across all
+ * users (written while the provider was failing, before migration 003, or by
+ * another model). Run by the fact sweeper, off the reply path; recall leaves
+ * these facts out until then.
+ * @param {number} [limit=100] - Most facts to embed in this call
+ * @returns {Promise<number>} Facts embedded
+ */
+export async function embedStaleFacts(limit = 100) {
+    const { model } = await getEmbeddingProvider();
+    const stale = await query(
+        `SELECT id, fact_key, fact_value
+         FROM memory_facts
+         WHERE status = 'active' AND (embedding IS NULL OR embedding_model IS DISTINCT FROM $1)
+         ORDER BY updated_at ASC, id ASC
+         LIMIT $2`,
+        [model, limit]
+    );
+    if (stale.rows.length === 0) {
+        return 0;
+    }
+
+    const embedded = await embedTexts(stale.rows.map(f => factText(f.fact_key, f.fact_value)));
+    if (embedded.model !== model) {
+        throw new Error(`Embedding model changed while re-embedding (${model} → ${embedded.model})`);
+    }
+
+    return withTransaction(async (client) => {
+        let updated = 0;
+        for (const [i, fact] of stale.rows.entries()) {
+            // Skip facts rewritten meanwhile; their new value was embedded on write
+            const result = await client.query(
+                `UPDATE memory_facts SET embedding = $2::real[], embedding_model = $3
+                 WHERE id = $1 AND fact_value = $4`,
+                [fact.id, embedded.vectors[i], model, fact.fact_value]
+            );
+            updated += result.rowCount;
+        }
+        return updated;
+    });
+}
+
+/**
+ * Recall the active facts most relevant to a query
+ * Ranked by cosine similarity of embeddings: in SQL when pgvector is installed,
+ * in process otherwise. Ties keep creation order. Expired facts and facts below
+ * MEMORY_MIN_EFFECTIVE_CONFIDENCE are never recalled, nor are facts not yet
+ * embedded with the current model (see embedStaleFacts).
+ * @param {string} userId 
+ * @param {string} queryText - Usually the current user input
+ * @param {number} [k] - Maximum facts to return (default: MEMORY_RECALL_K)
+ * @returns {Promise<Array<{id: string, fact_key: string, fact_value: string, confidence: number, effective_confidence: number, score: number}>>} Best match first
+ */
+export async function recallFacts(userId, queryText, k = getRecallLimit()) {
+    const { model, vectors: [queryVector] } = await embedTexts([queryText]);
+
+    const live = `(expires_at IS NULL OR expires_at > now()) AND ${EFFECTIVE_CONFIDENCE_SQL} >= $3`;
+    // A query with no usable words has no direction for pgvector to compare against
+    const rankable = queryVector.some(v => v !== 0);
+
+    if (rankable && await hasPgvector()) {
+        const result = await query(
+            `SELECT id, fact_key, fact_value, confidence, ${EFFECTIVE_CONFIDENCE_SQL} AS effective_confidence,
+                    1 - (embedding::vector <=> $4::vector) AS score
+             FROM memory_facts
+             WHERE user_id = $1 AND status = 'active' AND embedding_model = $2 AND ${live}
+             ORDER BY embedding::vector <=> $4::vector, created_at ASC, id ASC
+             LIMIT $5`,
+            [userId, model, getMinEffectiveConfidence(), `[${queryVector.join(',')}]`, k]
+        );
+        return result.rows;
+    }
+
+    const result = await query(
+        `SELECT id, fact_key, fact_value, confidence, ${EFFECTIVE_CONFIDENCE_SQL} AS effective_confidence, embedding
+         FROM memory_facts
+         WHERE user_id = $1 AND status = 'active' AND embedding_model = $2 AND ${live}
+         ORDER BY created_at ASC, id ASC`,
+        [userId, model, getMinEffectiveConfidence()]
+    );
+    return result.rows
+        .map(({ embedding, ...fact }) => ({ ...fact, score: cosineSimilarity(queryVector, embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+}
+
 /**
  * Get the transcript of the last ended session for a user
  * @param {string} userId 
@@ -74,14 +493,70 @@ export async function getLastSessionTranscript(userId) {
  * Delete a memory fact
  * @param {string} userId 
  * @param {string} factKey 
+ * @param {Object} [options]
+ * @param {'user'|'extractor'|'assistant'} [options.actor='user'] - Recorded in the fact's history
  * @returns {Promise<boolean>}
  */
-export async function deleteFact(userId, factKey) {
+export async function deleteFact(userId, factKey, { actor = 'user' } = {}) {
+    const revision = await withTransaction(client => deleteFactWith(client, userId, factKey, { actor }));
+    return revision !== null;
+}
+
+/**
+ * Get the revisions of one of a user's facts, oldest first
+ * Includes revisions from before the fact was last deleted.
+ * @param {string} userId 
+ * @param {string} factKey 
+ * @returns {Promise<FactRevision[]>}
+ */
+export async function getFactHistory(userId, factKey) {
     const result = await query(
-        `DELETE FROM memory_facts
+        `SELECT id, fact_key, operation, actor, old_value, new_value, old_confidence, new_confidence,
+                old_status, new_status, source_message_id, rollback_of, created_at
+         FROM memory_fact_revisions
          WHERE user_id = $1 AND fact_key = $2
-         RETURNING id`,
+         ORDER BY created_at ASC, id ASC`,
         [userId, factKey]
     );
-    return result.rows.length > 0;
+    return result.rows;
+}
+
+/**
+ * Restore a fact to the state a previous revision left it in
+ * Rolling back to a delete revision deletes the fact. The rollback is itself
+ * recorded as a new revision (actor 'user'), so it can be rolled back too.
+ * Expiry and decay are not part of revisions: a rollback keeps them, except an
+ * expiry that has already passed, so restoring an archived fact revives it.
+ * @param {string} userId 
+ * @param {string} factKey 
+ * @param {string} revisionId - A revision of this user's fact_key
+ * @returns {Promise<{fact: Object|null, revision: FactRevision|null} | null>}
+ *   null if there is no such revision; revision null if the fact was already deleted
+ */
+export async function rollbackFact(userId, factKey, revisionId) {
+    const result = await query(
+        `SELECT id, new_value, new_confidence, new_status, source_message_id
+         FROM memory_fact_revisions
+         WHERE id = $1 AND user_id = $2 AND fact_key = $3`,
+        [revisionId, userId, factKey]
+    );
+    const target = result.rows[0];
+    if (!target) {
+        return null;
+    }
+
+    if (target.new_value === null) {
+        const revision = await withTransaction(client => deleteFactWith(client, userId, factKey, { actor: 'user', rollbackOf: target.id }));
+        return { fact: null, revision };
+    }
+
+    const [{ embedding, model }] = await embedFacts([{ fact_key: factKey, fact_value: target.new_value }]);
+    return withTransaction(client => upsertFactWith(client, userId, factKey, target.new_value, parseFloat(target.new_confidence), {
+        sourceMessageId: target.source_message_id,
+        status: target.new_status,
+        embedding,
+        embeddingModel: model,
+        actor: 'user',
+        rollbackOf: target.id
+    }));
 }
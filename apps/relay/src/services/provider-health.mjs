@@ -0,0 +1,263 @@
+/**
+ * Provider Health - Circuit breakers and health scores for TTS and LLM providers
+ * @module services/provider-health
+ *
+ * The fallback chains report every attempt here. Each provider keeps a rolling
+ * window of outcomes (error rate, latency) and a circuit breaker:
+ * - closed: requests go through
+ * - open: after BREAKER_FAILURES consecutive failures, or an error rate of
+ *   BREAKER_ERROR_RATE over at least MIN_RATE_SAMPLES recent attempts; the
+ *   chains skip the provider
+ * - half_open: once the cooldown has passed, one request probes the provider;
+ *   success closes the circuit, failure opens it for another cooldown
+ *
+ * Client errors (4xx other than auth/rate limits) are the request's fault and
+ * count as a working provider. Caller aborts are not recorded.
+ *
+ * Config (read at call time):
+ *   PROVIDER_BREAKER_FAILURES     consecutive failures that open the circuit (default: 5)
+ *   PROVIDER_BREAKER_ERROR_RATE   windowed error rate that opens it (default: 0.5)
+ *   PROVIDER_BREAKER_COOLDOWN_MS  how long it stays open before a probe (default: 30000)
+ *   PROVIDER_HEALTH_WINDOW_MS     how far back error rates and latencies look (default: 300000)
+ */
+
+import { classifyProviderError } from '../config/provider-chains.mjs';
+
+const DEFAULT_FAILURES = 5;
+const DEFAULT_ERROR_RATE = 0.5;
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+const DEFAULT_WINDOW_MS = 5 * 60 * 1000;
+
+/** Fewer attempts than this say too little for the error-rate rule */
+const MIN_RATE_SAMPLES = 10;
+
+/** Outcomes kept per provider, however busy it is */
+const MAX_WINDOW_SAMPLES = 100;
+
+/**
+ * @typedef {'tts' | 'llm'} ProviderKind
+ */
+
+/**
+ * @typedef {Object} ProviderHealthState
+ * @property {'closed' | 'open' | 'half_open'} state
+ * @property {Array<{ at: number, ok: boolean, latencyMs: number | null }>} outcomes - Oldest first
+ * @property {number} consecutiveFailures
+ * @property {number | null} openedAt
+ * @property {number | null} retryAt - When an open circuit lets a probe through
+ * @property {number | null} probeStartedAt - The half-open probe in flight
+ * @property {{ class: string, message: string, at: number } | null} lastError
+ */
+
+/** @type {Map<string, ProviderHealthState>} "kind:name" → state */
+const states = new Map();
+
+/**
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name] ?? '');
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Breaker settings from the environment
+ * @returns {{ failures: number, errorRate: number, cooldownMs: number, windowMs: number }}
+ */
+export function getBreakerConfig() {
+    return {
+        failures: Math.round(readNumber('PROVIDER_BREAKER_FAILURES', DEFAULT_FAILURES)),
+        errorRate: Math.min(1, readNumber('PROVIDER_BREAKER_ERROR_RATE', DEFAULT_ERROR_RATE)),
+        cooldownMs: readNumber('PROVIDER_BREAKER_COOLDOWN_MS', DEFAULT_COOLDOWN_MS),
+        windowMs: readNumber('PROVIDER_HEALTH_WINDOW_MS', DEFAULT_WINDOW_MS)
+    };
+}
+
+/**
+ * @param {ProviderKind} kind
+ * @param {string} name
+ * @returns {ProviderHealthState}
+ */
+function getState(kind, name) {
+    const key = `${kind}:${name}`;
+    let state = states.get(key);
+    if (!state) {
+        state = {
+            state: 'closed',
+            outcomes: [],
+            consecutiveFailures: 0,
+            openedAt: null,
+            retryAt: null,
+            probeStartedAt: null,
+            lastError: null
+        };
+        states.set(key, state);
+    }
+    return state;
+}
+
+/**
+ * Outcomes inside the window, dropping older ones
+ * @param {ProviderHealthState} state
+ * @param {number} now
+ * @returns {ProviderHealthState['outcomes']}
+ */
+function recentOutcomes(state, now) {
+    const since = now - getBreakerConfig().windowMs;
+    while (state.outcomes.length > 0 && state.outcomes[0].at < since) {
+        state.outcomes.shift();
+    }
+    return state.outcomes;
+}
+
+/**
+ * @param {ProviderHealthState} state
+ * @param {{ at: number, ok: boolean, latencyMs: number | null }} outcome
+ */
+function pushOutcome(state, outcome) {
+    state.outcomes.push(outcome);
+    if (state.outcomes.length > MAX_WINDOW_SAMPLES) {
+        state.outcomes.shift();
+    }
+}
+
+/**
+ * Whether the chain may try this provider now
+ * An open circuit turns half-open once its cooldown has passed and lets one
+ * probe through; a probe that never reports back (the caller aborted) is
+ * replaced after another cooldown.
+ * @param {ProviderKind} kind
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function allowRequest(kind, name) {
+    const state = getState(kind, name);
+    const now = Date.now();
+
+    if (state.state === 'closed') {
+        return true;
+    }
+    if (state.state === 'open') {
+        if (now < state.retryAt) {
+            return false;
+        }
+        state.state = 'half_open';
+        console.log(`[Health] ${kind}:${name} circuit half-open, probing`);
+    } else if (state.probeStartedAt !== null && now - state.probeStartedAt < getBreakerConfig().cooldownMs) {
+        return false;
+    }
+
+    state.probeStartedAt = now;
+    return true;
+}
+
+/**
+ * Record an attempt that worked
+ * @param {ProviderKind} kind
+ * @param {string} name
+ * @param {number | null} latencyMs - Time to the first audio frame or token, or to the whole response
+ */
+export function recordSuccess(kind, name, latencyMs) {
+    const state = getState(kind, name);
+    pushOutcome(state, { at: Date.now(), ok: true, latencyMs });
+    state.consecutiveFailures = 0;
+
+    if (state.state !== 'closed') {
+        console.log(`[Health] ${kind}:${name} circuit closed`);
+        state.state = 'closed';
+        state.openedAt = null;
+        state.retryAt = null;
+        state.probeStartedAt = null;
+    }
+}
+
+/**
+ * Record a failed attempt, opening the circuit when it crosses a threshold
+ * @param {ProviderKind} kind
+ * @param {string} name
+ * @param {Error & { status?: number }} error
+ */
+export function recordFailure(kind, name, error) {
+    const errorClass = classifyProviderError(error);
+    if (errorClass === 'client_error') {
+        recordSuccess(kind, name, null);
+        return;
+    }
+
+    const state = getState(kind, name);
+    const now = Date.now();
+    const config = getBreakerConfig();
+
+    pushOutcome(state, { at: now, ok: false, latencyMs: null });
+    state.consecutiveFailures++;
+    state.lastError = { class: errorClass, message: error.message, at: now };
+
+    let reason = null;
+    if (state.state === 'half_open') {
+        reason = 'probe failed';
+    } else if (state.state === 'closed') {
+        const outcomes = recentOutcomes(state, now);
+        const errorRate = outcomes.filter(o => !o.ok).length / outcomes.length;
+        if (state.consecutiveFailures >= config.failures) {
+            reason = `${state.consecutiveFailures} consecutive failures`;
+        } else if (outcomes.length >= MIN_RATE_SAMPLES && errorRate >= config.errorRate) {
+            reason = `error rate ${Math.round(errorRate * 100)}% over ${outcomes.length} attempts`;
+        }
+    }
+
+    if (reason) {
+        state.state = 'open';
+        state.openedAt = now;
+        state.retryAt = now + config.cooldownMs;
+        state.probeStartedAt = null;
+        console.warn(`[Health] ${kind}:${name} circuit opened (${reason}), retry in ${config.cooldownMs}ms`);
+    }
+}
+
+/**
+ * Health report for one provider, as shown on the status endpoints
+ * score is the windowed success rate as 0-100, and 0 while the circuit is open.
+ * @param {ProviderKind} kind
+ * @param {string} name
+ * @returns {Object}
+ */
+export function getProviderHealth(kind, name) {
+    const state = getState(kind, name);
+    const now = Date.now();
+    const outcomes = recentOutcomes(state, now);
+
+    const failures = outcomes.filter(o => !o.ok).length;
+    const errorRate = outcomes.length > 0 ? failures / outcomes.length : 0;
+    const latencies = outcomes.filter(o => o.latencyMs !== null).map(o => o.latencyMs).sort((a, b) => a - b);
+
+    // An open circuit past its cooldown lets the next request probe
+    const circuit = state.state === 'open' && now >= state.retryAt ? 'half_open' : state.state;
+
+    return {
+        circuit,
+        score: circuit === 'open' ? 0 : Math.round((1 - errorRate) * 100),
+        requests: outcomes.length,
+        error_rate: Math.round(errorRate * 1000) / 1000,
+        consecutive_failures: state.consecutiveFailures,
+        latency_ms: latencies.length > 0
+            ? {
+                avg: Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length),
+                p95: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+            }
+            : null,
+        opened_at: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+        retry_at: state.retryAt ? new Date(state.retryAt).toISOString() : null,
+        last_error: state.lastError
+            ? { class: state.lastError.class, message: state.lastError.message, at: new Date(state.lastError.at).toISOString() }
+            : null
+    };
+}
+
+/**
+ * Forget all recorded outcomes and close every circuit (for testing)
+ */
+export function resetProviderHealth() {
+    states.clear();
+}
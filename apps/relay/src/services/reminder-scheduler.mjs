@@ -0,0 +1,57 @@
+/**
+ * Reminder Scheduler - Delivers due reminders on a timer
+ * @module services/reminder-scheduler
+ *
+ * The scheduler only keeps time; delivery is handed in by the caller (the voice
+ * WebSocket handler, which knows which users have a bound socket). Reminders of
+ * users who are offline wait for their next session.bind.
+ *
+ * Config:
+ *   REMINDER_POLL_INTERVAL_MS  how often to look for due reminders (default: 1000; 0 disables)
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+/**
+ * Poll interval, read at start
+ * @returns {number} Milliseconds; 0 = scheduler disabled
+ */
+export function getReminderPollInterval() {
+    const value = parseInt(process.env.REMINDER_POLL_INTERVAL_MS ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_POLL_INTERVAL_MS;
+}
+
+/**
+ * Start delivering due reminders on an interval
+ * The timer doesn't keep the process alive, and a poll never overlaps the
+ * previous one; a failed poll is logged and retried on the next tick.
+ * @param {() => Promise<number>} deliverDue - Delivers what is due, returns how many
+ * @param {Object} [logger]
+ * @param {number} [intervalMs] - Default: REMINDER_POLL_INTERVAL_MS
+ * @returns {() => void} Stops the scheduler
+ */
+export function startReminderScheduler(deliverDue, logger, intervalMs = getReminderPollInterval()) {
+    if (intervalMs <= 0) {
+        logger?.info('[reminders] scheduler disabled');
+        return () => {};
+    }
+
+    let polling = false;
+    const timer = setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            const delivered = await deliverDue();
+            if (delivered > 0) {
+                logger?.info({ delivered }, '[reminders] delivered due reminders');
+            }
+        } catch (err) {
+            logger?.warn({ err: err.message }, '[reminders] delivery failed');
+        } finally {
+            polling = false;
+        }
+    }, intervalMs);
+    timer.unref();
+
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,114 @@
+/**
+ * Reminders Service - Timers and reminders set by the assistant
+ * @module services/reminders
+ *
+ * A reminder is 'scheduled' until it is pushed to one of the user's voice
+ * sockets ('delivered') or cancelled. Delivery claims due reminders with a
+ * single UPDATE, so two relay instances never deliver the same one.
+ */
+
+import { query } from '../db-client.mjs';
+
+const REMINDER_COLUMNS = 'id, session_id, text, due_at, status, created_at, delivered_at';
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} id
+ * @property {string|null} session_id - Session it was set in
+ * @property {string} text
+ * @property {Date} due_at
+ * @property {'scheduled'|'delivered'|'cancelled'} status
+ * @property {Date} created_at
+ * @property {Date|null} delivered_at
+ */
+
+/**
+ * Schedule a reminder
+ * @param {string} userId - Internal user UUID
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {Date} params.dueAt
+ * @param {string|null} [params.sessionId]
+ * @returns {Promise<Reminder>}
+ */
+export async function createReminder(userId, { text, dueAt, sessionId = null }) {
+    const result = await query(
+        `INSERT INTO reminders (user_id, session_id, text, due_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING ${REMINDER_COLUMNS}`,
+        [userId, sessionId, text, dueAt]
+    );
+    return result.rows[0];
+}
+
+/**
+ * A user's reminders, soonest first
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {'scheduled'|'delivered'|'cancelled'} [options.status='scheduled']
+ * @returns {Promise<Reminder[]>}
+ */
+export async function listReminders(userId, { status = 'scheduled' } = {}) {
+    const result = await query(
+        `SELECT ${REMINDER_COLUMNS} FROM reminders
+         WHERE user_id = $1 AND status = $2
+         ORDER BY due_at ASC`,
+        [userId, status]
+    );
+    return result.rows;
+}
+
+/**
+ * Cancel a reminder that hasn't been delivered yet
+ * @param {string} userId
+ * @param {string} reminderId
+ * @returns {Promise<Reminder|null>} null if the user has no such scheduled reminder
+ */
+export async function cancelReminder(userId, reminderId) {
+    const result = await query(
+        `UPDATE reminders SET status = 'cancelled'
+         WHERE id = $1 AND user_id = $2 AND status = 'scheduled'
+         RETURNING ${REMINDER_COLUMNS}`,
+        [reminderId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Mark the due reminders of the given users delivered and return them
+ * Callers that fail to deliver one should hand it back with unclaimReminder.
+ * @param {string[]} userIds
+ * @param {number} [limit]
+ * @returns {Promise<Array<Reminder & { user_id: string }>>} Oldest due first
+ */
+export async function claimDueReminders(userIds, limit = 100) {
+    if (userIds.length === 0) {
+        return [];
+    }
+    const result = await query(
+        `UPDATE reminders SET status = 'delivered', delivered_at = NOW()
+         WHERE id IN (
+             SELECT id FROM reminders
+             WHERE user_id = ANY($1::uuid[]) AND status = 'scheduled' AND due_at <= NOW()
+             ORDER BY due_at ASC
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING user_id, ${REMINDER_COLUMNS}`,
+        [userIds, limit]
+    );
+    return result.rows.sort((a, b) => a.due_at - b.due_at);
+}
+
+/**
+ * Put a claimed reminder back, for the next bind or poll to deliver
+ * @param {string} reminderId
+ * @returns {Promise<void>}
+ */
+export async function unclaimReminder(reminderId) {
+    await query(
+        `UPDATE reminders SET status = 'scheduled', delivered_at = NULL
+         WHERE id = $1 AND status = 'delivered'`,
+        [reminderId]
+    );
+}
@@ -0,0 +1,292 @@
+/**
+ * Request Policy - Timeouts and bounded retries for outbound provider calls
+ * @module services/request-policy
+ *
+ * Every HTTP call to a TTS, LLM, STT or embeddings provider goes through
+ * fetchWithPolicy(), which enforces three timeouts:
+ * - connect_ms: until the response headers arrive (for a non-streaming call
+ *   that includes the whole generation, hence the generous LLM/STT defaults)
+ * - first_byte_ms: from the headers to the first body chunk
+ * - total_ms: the whole call, retries and body included
+ *
+ * Network errors, connect timeouts and 408/429 responses are retried up to
+ * `retries` times with full-jitter exponential backoff (or the response's
+ * Retry-After, capped at retry_max_ms). 502/503/504 are only retried for callers
+ * that pass idempotent: true, since a gateway error can come after the upstream
+ * did (and billed) the work. Nothing is retried once a body has been handed
+ * back, since part of it may already have reached the user.
+ * The caller's AbortSignal (barge-in, client disconnect, a chain entry's
+ * timeout_ms) cancels the call at any point, backoff included.
+ *
+ * Config (read at call time): PROVIDER_REQUEST_POLICY, a JSON object keyed by
+ * provider kind (tts, llm, stt, embeddings) or kind:name; a kind:name entry
+ * overrides its kind, which overrides the built-in defaults:
+ *
+ *   PROVIDER_REQUEST_POLICY={"llm": {"retries": 1}, "tts:fishaudio": {"connect_ms": 5000, "first_byte_ms": 3000}}
+ *
+ * Settings: connect_ms, first_byte_ms, total_ms, retries, retry_base_ms, retry_max_ms.
+ */
+
+/**
+ * @typedef {Object} RequestPolicy
+ * @property {number} connect_ms
+ * @property {number} first_byte_ms
+ * @property {number} total_ms
+ * @property {number} retries - Extra attempts after the first
+ * @property {number} retry_base_ms - Backoff ceiling for the first retry, doubled for each one after
+ * @property {number} retry_max_ms - Largest backoff, Retry-After included
+ */
+
+/** @type {Record<string, RequestPolicy>} */
+const DEFAULT_POLICIES = {
+    tts: { connect_ms: 10000, first_byte_ms: 10000, total_ms: 60000, retries: 1, retry_base_ms: 250, retry_max_ms: 2000 },
+    llm: { connect_ms: 60000, first_byte_ms: 30000, total_ms: 120000, retries: 2, retry_base_ms: 500, retry_max_ms: 4000 },
+    stt: { connect_ms: 30000, first_byte_ms: 10000, total_ms: 60000, retries: 1, retry_base_ms: 250, retry_max_ms: 2000 },
+    embeddings: { connect_ms: 10000, first_byte_ms: 10000, total_ms: 30000, retries: 2, retry_base_ms: 250, retry_max_ms: 2000 }
+};
+
+const POLICY_KEYS = ['connect_ms', 'first_byte_ms', 'total_ms', 'retries', 'retry_base_ms', 'retry_max_ms'];
+
+const MAX_RETRIES = 5;
+
+/** Upstream turned the request away before doing the work */
+const RETRY_STATUSES = [408, 429];
+
+/** Upstream may or may not have done the work; retried for idempotent callers only */
+const GATEWAY_RETRY_STATUSES = [502, 503, 504];
+
+const PROVIDER_KEY_PATTERN = /^(tts|llm|stt|embeddings)(:[a-z][a-z0-9_-]{0,31})?$/;
+
+/** @type {{ value: string, overrides: Record<string, Partial<RequestPolicy>> } | null} */
+let cached = null;
+
+/**
+ * Parse and validate PROVIDER_REQUEST_POLICY
+ * @returns {Record<string, Partial<RequestPolicy>>} Provider key → overrides
+ * @throws {Error} Naming the setting at fault
+ */
+export function getRequestPolicyOverrides() {
+    const value = process.env.PROVIDER_REQUEST_POLICY?.trim() || '';
+    if (cached?.value === value) {
+        return cached.overrides;
+    }
+
+    let overrides = {};
+    if (value) {
+        try {
+            overrides = JSON.parse(value);
+        } catch (err) {
+            throw new Error(`Request policy: PROVIDER_REQUEST_POLICY is not valid JSON (${err.message})`);
+        }
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('Request policy: PROVIDER_REQUEST_POLICY must be an object of provider key to settings');
+        }
+
+        for (const [key, settings] of Object.entries(overrides)) {
+            const fail = (reason) => new Error(`Request policy: ${key}: ${reason}`);
+            if (!PROVIDER_KEY_PATTERN.test(key)) {
+                throw fail('key must be tts, llm, stt, embeddings or kind:name');
+            }
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                throw fail('settings must be an object');
+            }
+            for (const [setting, number] of Object.entries(settings)) {
+                if (!POLICY_KEYS.includes(setting)) {
+                    throw fail(`unknown setting ${setting}`);
+                }
+                if (setting === 'retries') {
+                    if (!Number.isInteger(number) || number < 0 || number > MAX_RETRIES) {
+                        throw fail(`retries must be an integer from 0 to ${MAX_RETRIES}`);
+                    }
+                } else if (!Number.isInteger(number) || number <= 0) {
+                    throw fail(`${setting} must be a positive integer`);
+                }
+            }
+        }
+    }
+
+    cached = { value, overrides };
+    return overrides;
+}
+
+/**
+ * The policy for one provider
+ * @param {string} provider - kind:name, e.g. 'llm:openai' or 'tts:fishaudio'
+ * @returns {RequestPolicy}
+ */
+export function getRequestPolicy(provider) {
+    const [kind] = provider.split(':');
+    const overrides = getRequestPolicyOverrides();
+    return { ...DEFAULT_POLICIES[kind], ...overrides[kind], ...overrides[provider] };
+}
+
+/**
+ * Error for a timeout enforced by the policy; classified as 'timeout' by the chains
+ * @param {string} provider
+ * @param {'connect' | 'first_byte' | 'total'} phase
+ * @param {number} ms
+ * @returns {Error & { phase: string }}
+ */
+export function policyTimeoutError(provider, phase, ms) {
+    const error = new Error(`${provider} ${phase.replace('_', ' ')} timeout after ${ms}ms`);
+    error.name = 'TimeoutError';
+    error.phase = phase;
+    return error;
+}
+
+/**
+ * Whether a failed attempt that produced no response is worth repeating
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    // fetch() reports connection failures as a TypeError with the cause attached
+    return (error.name === 'TimeoutError' && error.phase === 'connect') || error.name === 'TypeError';
+}
+
+/**
+ * Backoff before a retry: full jitter, or the server's Retry-After
+ * @param {RequestPolicy} policy
+ * @param {number} attempt - 0 for the first retry
+ * @param {Response} [response]
+ * @returns {number}
+ */
+function retryDelay(policy, attempt, response) {
+    const retryAfter = Number(response?.headers.get('retry-after'));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        return Math.min(policy.retry_max_ms, retryAfter * 1000);
+    }
+    return Math.round(Math.random() * Math.min(policy.retry_max_ms, policy.retry_base_ms * 2 ** attempt));
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>} Rejects with the signal's reason if it aborts first
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * fetch() under a provider's request policy
+ * The returned Response's body keeps enforcing first_byte_ms and total_ms
+ * while it is read. Errors are the caller's abort reason, a TimeoutError
+ * (with .phase), or whatever fetch() threw.
+ * @param {string | URL} url
+ * @param {RequestInit} init - Its body must be re-sendable (string, FormData, Blob)
+ * @param {Object} options
+ * @param {string} options.provider - kind:name, picks the policy and names the provider in errors
+ * @param {AbortSignal} [options.signal] - The caller's signal
+ * @param {boolean} [options.idempotent] - Repeating the call is harmless, so 502/503/504 are retried too
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithPolicy(url, init, { provider, signal, idempotent = false }) {
+    if (signal?.aborted) {
+        throw signal.reason;
+    }
+
+    const policy = getRequestPolicy(provider);
+    const retryStatuses = idempotent ? [...RETRY_STATUSES, ...GATEWAY_RETRY_STATUSES] : RETRY_STATUSES;
+    const call = new AbortController();
+    // Timers don't hold the process open for a response the caller dropped without reading
+    const totalTimer = setTimeout(() => call.abort(policyTimeoutError(provider, 'total', policy.total_ms)), policy.total_ms);
+    totalTimer.unref();
+    let firstByteTimer = null;
+    const finish = () => {
+        clearTimeout(totalTimer);
+        clearTimeout(firstByteTimer);
+        signal?.removeEventListener('abort', onCallerAbort);
+    };
+    const onCallerAbort = () => {
+        call.abort(signal.reason);
+        finish();
+    };
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    for (let attempt = 0; ; attempt++) {
+        const connect = new AbortController();
+        const connectTimer = setTimeout(() => connect.abort(policyTimeoutError(provider, 'connect', policy.connect_ms)), policy.connect_ms);
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: AbortSignal.any([call.signal, connect.signal]) });
+        } catch (caught) {
+            const error = call.signal.aborted ? call.signal.reason : (connect.signal.aborted ? connect.signal.reason : caught);
+            if (!call.signal.aborted && attempt < policy.retries && isRetryableError(error)) {
+                const delay = retryDelay(policy, attempt);
+                console.warn(`[Policy] ${provider} ${error.message}, retry ${attempt + 1}/${policy.retries} in ${delay}ms`);
+                try {
+                    await sleep(delay, call.signal);
+                } catch (reason) {
+                    finish();
+                    throw reason;
+                }
+                continue;
+            }
+            finish();
+            throw error;
+        } finally {
+            clearTimeout(connectTimer);
+        }
+
+        if (retryStatuses.includes(response.status) && attempt < policy.retries) {
+            const delay = retryDelay(policy, attempt, response);
+            console.warn(`[Policy] ${provider} HTTP ${response.status}, retry ${attempt + 1}/${policy.retries} in ${delay}ms`);
+            await response.body?.cancel().catch(() => { });
+            try {
+                await sleep(delay, call.signal);
+            } catch (reason) {
+                finish();
+                throw reason;
+            }
+            continue;
+        }
+
+        if (!response.body) {
+            finish();
+            return response;
+        }
+
+        firstByteTimer = setTimeout(() => call.abort(policyTimeoutError(provider, 'first_byte', policy.first_byte_ms)), policy.first_byte_ms);
+        firstByteTimer.unref();
+        const reader = response.body.getReader();
+        const body = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        finish();
+                        controller.close();
+                        return;
+                    }
+                    clearTimeout(firstByteTimer);
+                    controller.enqueue(value);
+                } catch (err) {
+                    finish();
+                    controller.error(call.signal.aborted ? call.signal.reason : err);
+                }
+            },
+            cancel(reason) {
+                finish();
+                return reader.cancel(reason);
+            }
+        });
+
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }
+}
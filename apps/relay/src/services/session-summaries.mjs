@@ -0,0 +1,211 @@
+/**
+ * Session Summaries Service - Short recaps of ended sessions
+ * @module services/session-summaries
+ *
+ * When a session ends, its transcript is summarized in the background through
+ * the LLM fallback chain (the mock provider writes a deterministic summary in
+ * CI) and stored in session_summaries; a long transcript is summarized in
+ * chunks that fit the chain's prompt budget. buildLLMContext then injects the
+ * summaries of the last CONTEXT_SUMMARY_SESSIONS sessions instead of replaying
+ * a whole transcript.
+ */
+
+import { query } from '../db-client.mjs';
+import { generateWithFallback, getContextBudget } from '../llm/index.mjs';
+import { takeLinesWithin, truncateToTokens } from '../llm/context-builder.mjs';
+import { countMessageTokens, getTokenizer } from '../llm/tokenizers/index.mjs';
+import { getSessionMessages } from './messages.mjs';
+
+const DEFAULT_SUMMARY_SESSIONS = 3;
+
+/**
+ * Opens the conversation in the summary request; the mock provider keys off it
+ */
+const SUMMARY_HEADER = 'Summarize this conversation:';
+
+/**
+ * Starts the line that carries the recap of earlier chunks; the mock provider keys off it
+ */
+const RECAP_PREFIX = 'Recap of the conversation so far: ';
+
+/**
+ * Transcript tokens per request, however long the recap so far
+ */
+const MIN_CHUNK_TOKENS = 256;
+
+const SUMMARY_PROMPT = `You write short recaps of conversations between a user and their assistant, J.A.R.V.I.S., so the assistant can pick up where they left off in a later conversation.
+
+Write 2 to 5 plain sentences, in the third person ("The user asked..."). Keep what later turns may need: topics, requests and whether they were handled, decisions, open questions and anything the user asked to be reminded of. Leave out greetings and small talk. If a recap of the conversation so far is given, the lines continue it: write one recap of the whole. Respond with the recap only.`;
+
+/**
+ * @typedef {Object} SessionSummary
+ * @property {string} session_id
+ * @property {string} summary
+ * @property {number} message_count
+ * @property {string|null} provider
+ * @property {string} [ended_at]
+ */
+
+/**
+ * Summaries still being written, for waitForSessionSummaries()
+ * @type {Set<Promise<SessionSummary|null>>}
+ */
+const inFlight = new Set();
+
+/**
+ * How many past sessions' summaries go into the prompt, read at call time
+ * @returns {number} 0 = none
+ */
+export function getSummarySessionCount() {
+    const value = parseInt(process.env.CONTEXT_SUMMARY_SESSIONS ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SUMMARY_SESSIONS;
+}
+
+/**
+ * Number the user and assistant lines of a transcript
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string[]}
+ */
+function numberTranscript(messages) {
+    return messages
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .map((m, i) => `[${i + 1}] ${m.role}: ${m.content.replace(/\s*\n\s*/g, ' ')}`);
+}
+
+/**
+ * Build the summarization request for transcript lines
+ * @param {string[]} lines
+ * @param {string|null} recap - Recap of the lines before these, when summarizing in chunks
+ * @returns {import('../llm/providers/types.mjs').LLMRequest}
+ */
+function summaryRequest(lines, recap) {
+    const earlier = recap ? `${RECAP_PREFIX}${recap}\n` : '';
+    return {
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            { role: 'user', content: `${SUMMARY_HEADER}\n${earlier}${lines.join('\n')}` }
+        ],
+        temperature: 0
+    };
+}
+
+/**
+ * Build the summarization request for a transcript
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {import('../llm/providers/types.mjs').LLMRequest}
+ */
+export function buildSummaryRequest(messages) {
+    return summaryRequest(numberTranscript(messages), null);
+}
+
+/**
+ * Summarize a session and store the result
+ * A transcript too long for the prompt budget of the LLM chain (see
+ * getContextBudget) is summarized progressively: chunk by chunk, each request
+ * carrying the recap so far (cut down if it leaves too little room), and the
+ * last recap covers the whole session.
+ * @param {Object} params
+ * @param {string} params.userId - Internal user UUID
+ * @param {string} params.sessionId
+ * @param {string} [params.correlationId]
+ * @returns {Promise<SessionSummary|null>} null if the session has no conversation to summarize
+ */
+export async function summarizeSession({ userId, sessionId, correlationId }) {
+    const messages = await getSessionMessages(sessionId);
+    if (!messages.some(m => m.role === 'user')) {
+        return null;
+    }
+
+    const lines = numberTranscript(messages);
+    const { model, budget } = getContextBudget();
+    const tokenizer = await getTokenizer(model);
+    const recapBudget = budget - countMessageTokens(summaryRequest([], null).messages, tokenizer) - MIN_CHUNK_TOKENS;
+    let summary = null;
+    let provider = null;
+
+    for (let start = 0; start < lines.length;) {
+        // A recap that runs long must still leave room for the next lines
+        const recap = summary && truncateToTokens(summary, recapBudget, tokenizer);
+        const overhead = countMessageTokens(summaryRequest([], recap).messages, tokenizer);
+        const chunk = takeLinesWithin(lines.slice(start), Math.max(budget - overhead, MIN_CHUNK_TOKENS), tokenizer);
+        start += chunk.length;
+
+        const response = await generateWithFallback(summaryRequest(chunk, recap), { correlationId });
+        summary = response.content.trim();
+        provider = response.provider;
+        if (!summary) {
+            throw new Error('Session summary was empty');
+        }
+    }
+
+    const result = await query(
+        `INSERT INTO session_summaries (session_id, user_id, summary, message_count, provider)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (session_id)
+         DO UPDATE SET summary = EXCLUDED.summary,
+                       message_count = EXCLUDED.message_count,
+                       provider = EXCLUDED.provider,
+                       created_at = now()
+         RETURNING session_id, summary, message_count, provider`,
+        [sessionId, userId, summary, messages.length, provider]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Summarize a just-ended session in the background; failures are logged, never thrown
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.sessionId
+ * @param {Object} [logger]
+ * @returns {Promise<SessionSummary|null>} The background task (null on failure)
+ */
+export function summarizeEndedSession({ userId, sessionId }, logger) {
+    const correlationId = `session-${sessionId}:summary`;
+    const task = summarizeSession({ userId, sessionId, correlationId })
+        .then((summary) => {
+            if (summary) {
+                logger?.info({ correlation_id: correlationId, provider: summary.provider }, '[memory] session summarized');
+            }
+            return summary;
+        })
+        .catch((err) => {
+            logger?.warn({ correlation_id: correlationId, err: err.message }, '[memory] session summary failed');
+            return null;
+        })
+        .finally(() => inFlight.delete(task));
+
+    inFlight.add(task);
+    return task;
+}
+
+/**
+ * Summaries of a user's most recently ended sessions, oldest first
+ * @param {string} userId
+ * @param {number} [limit] - Default: CONTEXT_SUMMARY_SESSIONS
+ * @returns {Promise<SessionSummary[]>}
+ */
+export async function getRecentSessionSummaries(userId, limit = getSummarySessionCount()) {
+    if (limit <= 0) {
+        return [];
+    }
+
+    const result = await query(
+        `SELECT ss.session_id, ss.summary, ss.message_count, ss.provider, s.ended_at
+         FROM session_summaries ss
+         JOIN sessions s ON s.id = ss.session_id
+         WHERE ss.user_id = $1 AND s.ended_at IS NOT NULL
+         ORDER BY s.ended_at DESC, s.id DESC
+         LIMIT $2`,
+        [userId, limit]
+    );
+    return result.rows.reverse();
+}
+
+/**
+ * Wait for every running summary to settle
+ * @returns {Promise<void>}
+ */
+export async function waitForSessionSummaries() {
+    await Promise.all([...inFlight]);
+}
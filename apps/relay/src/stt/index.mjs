@@ -0,0 +1,190 @@
+/**
+ * STT Provider Factory
+ * Manages provider selection, fallback, and transcription orchestration
+ * @module stt/index
+ *
+ * Fallback Order (explicit):
+ * 1. openai (primary - Whisper)
+ * 2. openai_compatible (self-hosted / local Whisper-compatible server)
+ * 3. mock (test/dev only)
+ */
+
+import { randomUUID } from 'crypto';
+import { OpenAISTTProvider } from './openai.mjs';
+import { OpenAICompatibleSTTProvider } from './openai-compatible.mjs';
+import { MockSTTProvider } from './mock.mjs';
+
+/**
+ * Provider instances (singletons)
+ */
+const providers = {
+    openai: new OpenAISTTProvider(),
+    openai_compatible: new OpenAICompatibleSTTProvider(),
+    mock: new MockSTTProvider()
+};
+
+/**
+ * Explicit fallback order - this defines the priority chain
+ * When a provider fails, we try the next one in this list
+ */
+const FALLBACK_ORDER = ['openai', 'openai_compatible'];
+
+/**
+ * Get the configured primary provider
+ * @returns {string}
+ */
+function getPrimaryProviderName() {
+    return process.env.STT_PROVIDER || 'openai';
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name
+ * @returns {import('./types.mjs').STTProvider | null}
+ */
+export function getProvider(name) {
+    return providers[name] || null;
+}
+
+/**
+ * Get the fallback order starting from a given provider
+ * @param {string} startProvider - The provider that failed
+ * @returns {string[]} - List of providers to try next
+ */
+export function getFallbackChain(startProvider) {
+    const startIndex = FALLBACK_ORDER.indexOf(startProvider);
+    if (startIndex === -1 || startIndex >= FALLBACK_ORDER.length - 1) {
+        return [];
+    }
+    return FALLBACK_ORDER.slice(startIndex + 1);
+}
+
+/**
+ * Transcribe audio with automatic fallback chain
+ * Every provider in the chain gets the whole file, so any failure can fall back.
+ * @param {import('./types.mjs').STTTranscribeOptions} options - Audio and logging options
+ * @param {Object} [chainOptions] - Chain control options
+ * @param {string} [chainOptions.preferredProvider] - Override provider selection
+ * @param {string[]} [chainOptions.stt_disable] - Providers to skip (for testing fallback)
+ * @returns {Promise<import('./types.mjs').STTResult>}
+ * @throws {Error} 'All STT providers failed' with provider_errors when the chain is exhausted,
+ *   or the abort reason if options.signal aborts
+ */
+export async function transcribeWithFallback(options, chainOptions = {}) {
+    const { preferredProvider, stt_disable = [] } = chainOptions;
+    const correlationId = options.correlationId || randomUUID();
+    const logPrefix = `[STT:${correlationId}]`;
+    const transcribeOptions = { ...options, correlationId };
+
+    // Mock mode takes priority for testing - bypass fallback chain entirely
+    if (await providers.mock.isAvailable()) {
+        const text = await providers.mock.transcribe(transcribeOptions);
+        return { text, provider: 'mock', fallback_used: false, correlation_id: correlationId };
+    }
+
+    const primaryName = preferredProvider || getPrimaryProviderName();
+
+    // Build the provider chain starting from primary
+    let providerChain = [primaryName, ...getFallbackChain(primaryName)];
+
+    // If preferred provider is not in standard chain, just use it alone
+    if (preferredProvider && !FALLBACK_ORDER.includes(preferredProvider)) {
+        providerChain = [preferredProvider];
+    }
+
+    // Filter out disabled providers (for per-request testing)
+    if (stt_disable.length > 0) {
+        const originalChain = [...providerChain];
+        providerChain = providerChain.filter(p => !stt_disable.includes(p));
+        console.log(`${logPrefix} Disabled providers: [${stt_disable.join(', ')}]. Chain: [${originalChain.join(' → ')}] → [${providerChain.join(' → ')}]`);
+    }
+
+    const errors = [];
+
+    for (const providerName of providerChain) {
+        const provider = providers[providerName];
+        if (!provider) continue;
+
+        if (!await provider.isAvailable()) {
+            console.warn(`${logPrefix} Provider '${providerName}' not available, skipping`);
+            continue;
+        }
+
+        if (errors.length > 0) {
+            console.warn(`${logPrefix} Attempting fallback to '${providerName}'...`);
+        }
+
+        try {
+            const text = await provider.transcribe(transcribeOptions);
+            console.log(`${logPrefix} provider=${providerName} fallback_used=${errors.length > 0} status=success`);
+            return {
+                text: text || '',
+                provider: providerName,
+                fallback_used: errors.length > 0,
+                correlation_id: correlationId
+            };
+        } catch (error) {
+            if (options.signal?.aborted) {
+                console.log(`${logPrefix} Request aborted during '${providerName}'`);
+                throw error;
+            }
+
+            console.error(`${logPrefix} Provider '${providerName}' failed:`, {
+                message: error.message,
+                status: error.status
+            });
+            errors.push({
+                provider: providerName,
+                error: error.message,
+                status: error.status
+            });
+            // Continue to next provider in chain
+        }
+    }
+
+    // All providers failed (or none were available)
+    const aggregatedError = new Error(errors.length > 0 ? 'All STT providers failed' : 'No STT providers available');
+    aggregatedError.correlation_id = correlationId;
+    aggregatedError.provider_errors = errors;
+    throw aggregatedError;
+}
+
+/**
+ * Get provider status for health checks
+ * @returns {Promise<Object>}
+ */
+export async function getProviderStatus() {
+    const status = {};
+
+    for (const [name, provider] of Object.entries(providers)) {
+        status[name] = {
+            available: await provider.isAvailable(),
+            isPrimary: name === getPrimaryProviderName()
+        };
+    }
+
+    status.fallbackOrder = FALLBACK_ORDER;
+    status.activeFallback = process.env.STT_MOCK_MODE === 'true' ? 'mock' : getPrimaryProviderName();
+
+    return status;
+}
+
+/**
+ * Check if any STT provider is configured
+ * @returns {Promise<boolean>}
+ */
+export async function isConfigured() {
+    for (const provider of Object.values(providers)) {
+        if (await provider.isAvailable()) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Export the explicit fallback order for testing
+ */
+export { FALLBACK_ORDER };
+
+export { OpenAISTTProvider, OpenAICompatibleSTTProvider, MockSTTProvider };
@@ -0,0 +1,163 @@
+/**
+ * Mock STT Provider (CI Testing)
+ * Returns a transcript the test controls instead of recognizing speech
+ * @module stt/mock
+ *
+ * Resolution order (every step is deterministic, so a test can assert on the transcript):
+ * 1. mockTranscript option - the `mock_transcript` form field / audio.input start field
+ * 2. Transcript embedded in the file: the ICMT (comment) tag of a WAV LIST/INFO chunk
+ * 3. Fixtures: sha256 of the audio bytes → transcript (STT_MOCK_FIXTURES)
+ * 4. A phrase from MOCK_PHRASES picked by the same hash
+ *
+ * STT_MOCK_FIXTURES is either a JSON file ({ "<sha256 hex>": "transcript" }) or a
+ * directory of audio files, each with a sidecar <name>.txt holding its transcript.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { STTProvider } from './types.mjs';
+
+/**
+ * Phrases the mock "hears" when nothing else identifies the audio
+ */
+export const MOCK_PHRASES = [
+    "Hello JARVIS, how are you today?",
+    "What's the weather like?",
+    "Tell me a joke, please.",
+    "JARVIS, run a systems check.",
+    "Good morning, sir. What's on the agenda?",
+];
+
+export class MockSTTProvider extends STTProvider {
+    name = 'mock';
+
+    /**
+     * @param {Object} [options]
+     * @param {Record<string, string>} [options.fixtures] - sha256 hex of audio → transcript; overrides STT_MOCK_FIXTURES
+     */
+    constructor({ fixtures } = {}) {
+        super();
+        this.fixtures = fixtures || null;
+    }
+
+    /**
+     * Read at call time (not construction) so tests can switch mock mode after import
+     */
+    async isAvailable() {
+        return process.env.STT_MOCK_MODE === 'true';
+    }
+
+    /**
+     * @param {import('./types.mjs').STTTranscribeOptions} options
+     * @returns {Promise<string>}
+     */
+    async transcribe({ audio, mockTranscript }) {
+        if (typeof mockTranscript === 'string') {
+            return mockTranscript;
+        }
+        return this.lookup(audio) ?? phraseForAudio(audio);
+    }
+
+    /**
+     * Transcript the audio itself identifies (WAV metadata or a fixture)
+     * @param {Buffer} audio
+     * @returns {string|null} - null if neither knows the audio
+     */
+    lookup(audio) {
+        return readWavComment(audio) ?? this.getFixtures()[hashAudio(audio)] ?? null;
+    }
+
+    /**
+     * @returns {Record<string, string>}
+     */
+    getFixtures() {
+        if (!this.fixtures) {
+            const path = process.env.STT_MOCK_FIXTURES;
+            this.fixtures = path ? loadFixtures(path) : {};
+        }
+        return this.fixtures;
+    }
+}
+
+/**
+ * Load a fixture map from a JSON file or a directory of audio files with .txt sidecars
+ * @param {string} path
+ * @returns {Record<string, string>} sha256 hex of audio → transcript
+ */
+export function loadFixtures(path) {
+    if (!statSync(path).isDirectory()) {
+        return JSON.parse(readFileSync(path, 'utf8'));
+    }
+
+    /** @type {Record<string, string>} */
+    const fixtures = {};
+    const files = readdirSync(path);
+    for (const file of files) {
+        const ext = extname(file);
+        if (ext === '.txt' || ext === '.json') continue;
+
+        const sidecar = `${basename(file, ext)}.txt`;
+        if (!files.includes(sidecar)) continue;
+
+        fixtures[hashAudio(readFileSync(join(path, file)))] = readFileSync(join(path, sidecar), 'utf8').trim();
+    }
+    return fixtures;
+}
+
+/**
+ * Fixture map key for a piece of audio
+ * @param {Buffer} audio
+ * @returns {string} sha256 hex
+ */
+export function hashAudio(audio) {
+    return createHash('sha256').update(audio).digest('hex');
+}
+
+/**
+ * Read the ICMT tag from a WAV file's LIST/INFO chunk
+ * @param {Buffer} audio
+ * @returns {string|null} - null if the file is not a WAV or has no comment
+ */
+export function readWavComment(audio) {
+    if (audio.length < 12 || audio.toString('ascii', 0, 4) !== 'RIFF' || audio.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    let offset = 12;
+    while (offset + 8 <= audio.length) {
+        const id = audio.toString('ascii', offset, offset + 4);
+        const size = audio.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        const end = Math.min(body + size, audio.length);
+
+        if (id === 'LIST' && audio.toString('ascii', body, body + 4) === 'INFO') {
+            let sub = body + 4;
+            while (sub + 8 <= end) {
+                const subId = audio.toString('ascii', sub, sub + 4);
+                const subSize = audio.readUInt32LE(sub + 4);
+                if (subId === 'ICMT') {
+                    const text = audio.toString('utf8', sub + 8, Math.min(sub + 8 + subSize, end)).replace(/\0+$/, '').trim();
+                    return text || null;
+                }
+                sub += 8 + subSize + (subSize % 2);
+            }
+        }
+
+        // Chunks are padded to an even length
+        offset = body + size + (size % 2);
+    }
+    return null;
+}
+
+/**
+ * Stock phrase for audio nothing else identifies - the same bytes always get the same phrase
+ * @param {Buffer} audio
+ * @returns {string}
+ */
+export function phraseForAudio(audio) {
+    const digest = createHash('sha256').update(audio).digest();
+    return MOCK_PHRASES[digest[0] % MOCK_PHRASES.length];
+}
+
+export default MockSTTProvider;
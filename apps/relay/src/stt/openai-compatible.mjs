@@ -0,0 +1,51 @@
+/**
+ * OpenAI-Compatible STT Provider (Fallback)
+ * Any server exposing POST /v1/audio/transcriptions with the OpenAI request shape,
+ * e.g. a local faster-whisper / whisper.cpp server standing in for Whisper
+ * @module stt/openai-compatible
+ *
+ * Config:
+ *   STT_COMPAT_API_URL  base URL, e.g. http://localhost:8000/v1 (required)
+ *   STT_COMPAT_API_KEY  bearer token (optional - local servers usually need none)
+ *   STT_COMPAT_MODEL    model name sent in the form (default: whisper-1)
+ */
+
+import { STTProvider } from './types.mjs';
+import { requestTranscription } from './openai.mjs';
+
+const DEFAULT_MODEL = 'whisper-1';
+
+export class OpenAICompatibleSTTProvider extends STTProvider {
+    name = 'openai_compatible';
+
+    constructor() {
+        super();
+        this.baseUrl = process.env.STT_COMPAT_API_URL?.trim().replace(/\/+$/, '');
+        this.apiKey = process.env.STT_COMPAT_API_KEY?.trim();
+        this.model = process.env.STT_COMPAT_MODEL || DEFAULT_MODEL;
+    }
+
+    async isAvailable() {
+        return !!this.baseUrl;
+    }
+
+    /**
+     * @param {import('./types.mjs').STTTranscribeOptions} options
+     * @returns {Promise<string>}
+     */
+    async transcribe(options) {
+        if (!this.baseUrl) {
+            throw new Error('OpenAI-compatible STT not configured - STT_COMPAT_API_URL not set');
+        }
+        return requestTranscription({
+            ...options,
+            url: `${this.baseUrl}/audio/transcriptions`,
+            apiKey: this.apiKey,
+            model: this.model,
+            label: 'OpenAI-compatible STT',
+            policy: 'stt:openai_compatible'
+        });
+    }
+}
+
+export default OpenAICompatibleSTTProvider;
@@ -0,0 +1,134 @@
+/**
+ * OpenAI Whisper STT Provider (Primary)
+ * Uses native fetch() instead of OpenAI SDK to avoid node-fetch ECONNRESET issues in Cloud Run
+ * @module stt/openai
+ *
+ * API Reference: https://platform.openai.com/docs/api-reference/audio/createTranscription
+ */
+
+import { STTProvider } from './types.mjs';
+import { fetchWithPolicy } from '../services/request-policy.mjs';
+
+const OPENAI_TRANSCRIPTIONS_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const DEFAULT_MODEL = 'whisper-1';
+
+export class OpenAISTTProvider extends STTProvider {
+    name = 'openai';
+
+    constructor() {
+        super();
+        // Trim values to ensure no trailing newlines from secret injection
+        this.apiKey = process.env.OPENAI_API_KEY?.trim();
+        this.url = process.env.OPENAI_STT_API_URL || OPENAI_TRANSCRIPTIONS_URL;
+        this.model = process.env.OPENAI_STT_MODEL || DEFAULT_MODEL;
+    }
+
+    async isAvailable() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * @param {import('./types.mjs').STTTranscribeOptions} options
+     * @returns {Promise<string>}
+     */
+    async transcribe(options) {
+        if (!this.apiKey) {
+            throw new Error('OpenAI STT not configured - OPENAI_API_KEY not set');
+        }
+        return requestTranscription({
+            ...options,
+            url: this.url,
+            apiKey: this.apiKey,
+            model: this.model,
+            label: 'OpenAI Whisper',
+            policy: 'stt:openai'
+        });
+    }
+}
+
+/**
+ * POST audio to an OpenAI-style /audio/transcriptions endpoint with raw fetch()
+ * Shared by the OpenAI and OpenAI-compatible providers.
+ * @param {import('./types.mjs').STTTranscribeOptions & { url: string, apiKey?: string, model: string, label: string, policy: string }} params
+ *   policy is the request policy key (stt:name) for timeouts and retries
+ * @returns {Promise<string>} - Transcribed text
+ */
+export async function requestTranscription({ audio, filename, logger, correlationId, signal, url, apiKey, model, label, policy }) {
+    const mimeType = getMimeType(filename);
+    logger?.info({ correlation_id: correlationId, filename, mimeType, bufferSize: audio.length }, `[stt] preparing ${label} transcription request (raw fetch)`);
+
+    // Build FormData with audio file
+    // Using native FormData + Blob for maximum compatibility
+    const formData = new FormData();
+    const audioBlob = new Blob([audio], { type: mimeType });
+    formData.append('file', audioBlob, filename);
+    formData.append('model', model);
+    formData.append('language', 'en');
+
+    // Note: Do NOT set Content-Type header - let fetch set it with boundary for FormData
+    const headers = {};
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    logger?.info({ correlation_id: correlationId }, `[stt] calling ${label} API (raw fetch)`);
+    const startTime = Date.now();
+
+    try {
+        const response = await fetchWithPolicy(url, {
+            method: 'POST',
+            headers,
+            body: formData,
+        }, { provider: policy, signal });
+
+        const elapsed = Date.now() - startTime;
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            logger?.error({ correlation_id: correlationId, status: response.status, error: errorText, elapsed_ms: elapsed }, `[stt] ${label} API HTTP error`);
+            const error = new Error(`${label} API error: ${response.status} - ${errorText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        logger?.info({ correlation_id: correlationId, elapsed_ms: elapsed, transcript_len: data.text?.length }, `[stt] ${label} API success`);
+
+        return data.text;
+    } catch (fetchError) {
+        const elapsed = Date.now() - startTime;
+        // Capture error details for debugging
+        const errorDetails = {
+            correlation_id: correlationId,
+            elapsed_ms: elapsed,
+            error_name: fetchError.name,
+            error_message: fetchError.message,
+            error_status: fetchError.status,
+            error_code: fetchError.code,
+            cause_name: fetchError.cause?.name,
+            cause_message: fetchError.cause?.message,
+            cause_code: fetchError.cause?.code,
+        };
+        logger?.error(errorDetails, `[stt] ${label} API failed (raw fetch)`);
+        throw fetchError;
+    }
+}
+
+/**
+ * Get MIME type from filename
+ */
+export function getMimeType(filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    const mimeTypes = {
+        'webm': 'audio/webm',
+        'ogg': 'audio/ogg',
+        'mp3': 'audio/mpeg',
+        'wav': 'audio/wav',
+        'm4a': 'audio/mp4',
+        'mp4': 'audio/mp4',
+        'flac': 'audio/flac',
+    };
+    return mimeTypes[ext] || 'audio/webm';
+}
+
+export default OpenAISTTProvider;
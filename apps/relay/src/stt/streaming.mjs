@@ -0,0 +1,283 @@
+/**
+ * Streaming STT sessions
+ * One session per audio.input utterance: chunks are pushed as they arrive over
+ * the voice WebSocket, partial transcripts are reported along the way and the
+ * final transcript is produced when the client sends stop.
+ *
+ * Backends:
+ * - mock:     deterministic partials, one word per chunk (STT_MOCK_MODE=true)
+ * - buffered: buffers the utterance and transcribes it through the STT provider
+ *             chain (transcribeWithFallback) on stop; partials re-transcribe it
+ *             periodically, by default only for a self-hosted provider
+ * @module stt/streaming
+ */
+
+import { transcribeWithFallback, getProvider } from './index.mjs';
+import { phraseForAudio } from './mock.mjs';
+
+/**
+ * Whisper's upload limit; also caps how much audio one utterance may buffer
+ */
+export const MAX_UTTERANCE_BYTES = parseInt(process.env.STT_MAX_AUDIO_BYTES || String(25 * 1024 * 1024), 10);
+
+/**
+ * Partial interval when STT_PARTIAL_INTERVAL_MS is unset, by primary STT provider
+ * Each partial re-uploads the whole utterance so far, so an utterance of n
+ * intervals is billed for about n²/2 intervals of audio by a per-minute
+ * provider; partials are off there unless asked for. A self-hosted server only
+ * spends CPU on them.
+ */
+const DEFAULT_PARTIAL_INTERVAL_MS = { openai: 0, openai_compatible: 1500 };
+
+const PCM_SAMPLE_RATE = 16000;
+
+/**
+ * @typedef {Object} StreamingSTTOptions
+ * @property {string} codec - One of AUDIO_INPUT_CODECS (ws/protocol)
+ * @property {string} [correlationId]
+ * @property {(text: string) => void} [onPartial] - Called with the transcript so far
+ * @property {Object} [logger]
+ * @property {string} [mockTranscript] - Transcript the mock backend reports (ignored by real backends)
+ */
+
+/**
+ * @typedef {Object} StreamingSTTResult
+ * @property {string} text - Final transcript ('' if nothing was said)
+ * @property {string} provider - Provider that produced it
+ */
+
+/**
+ * How often the buffered backend re-transcribes the buffered audio for a partial, read at call time
+ * @returns {number} 0 = final only
+ */
+export function getPartialInterval() {
+    const value = parseInt(process.env.STT_PARTIAL_INTERVAL_MS ?? '', 10);
+    if (Number.isFinite(value) && value >= 0) {
+        return value;
+    }
+    return DEFAULT_PARTIAL_INTERVAL_MS[process.env.STT_PROVIDER || 'openai'] ?? 0;
+}
+
+/**
+ * Base class for streaming STT sessions
+ * @abstract
+ */
+export class StreamingSTTSession {
+    /**
+     * @param {StreamingSTTOptions} options
+     */
+    constructor({ codec, correlationId, onPartial, logger, mockTranscript }) {
+        this.codec = codec;
+        this.correlationId = correlationId;
+        this.onPartial = onPartial || (() => { });
+        this.logger = logger;
+        this.mockTranscript = mockTranscript;
+        /** @type {Buffer[]} */
+        this.chunks = [];
+        this.byteLength = 0;
+        this.closed = false;
+    }
+
+    /**
+     * Add an audio chunk to the utterance
+     * @param {Buffer} chunk
+     */
+    push(chunk) {
+        if (this.closed) return;
+        this.chunks.push(chunk);
+        this.byteLength += chunk.length;
+        this.onChunk(chunk);
+    }
+
+    /**
+     * Hook for backends that react to each chunk
+     * @param {Buffer} chunk
+     * @protected
+     */
+    onChunk(chunk) { }
+
+    /**
+     * The utterance so far as an uploadable file (raw PCM is wrapped as WAV)
+     * @returns {{ audio: Buffer, filename: string }}
+     * @protected
+     */
+    utteranceFile() {
+        const audio = Buffer.concat(this.chunks);
+        return this.codec === 'pcm_16000'
+            ? { audio: pcmToWav(audio, PCM_SAMPLE_RATE, 1), filename: 'audio.wav' }
+            : { audio, filename: 'audio.webm' };
+    }
+
+    /**
+     * End of utterance - produce the final transcript
+     * @returns {Promise<StreamingSTTResult>}
+     */
+    async finish() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Drop the utterance without a final transcript
+     */
+    abort() {
+        this.closed = true;
+        this.chunks = [];
+    }
+}
+
+/**
+ * Mock backend: each chunk reveals one more word of the transcript, so the same
+ * audio always yields the same partials. The words come from mockTranscript if the
+ * client sent one, otherwise from a phrase picked by a hash of the first chunk.
+ * The final transcript resolves like MockSTTProvider: mockTranscript, then WAV
+ * metadata / fixtures for the whole utterance, then the phrase the partials used.
+ */
+export class MockStreamingSTTSession extends StreamingSTTSession {
+    constructor(options) {
+        super(options);
+        /** @type {string[]} */
+        this.words = [];
+        this.revealed = 0;
+    }
+
+    onChunk(chunk) {
+        if (this.words.length === 0) {
+            this.words = (this.mockTranscript ?? phraseForAudio(chunk)).split(' ').filter(Boolean);
+        }
+        // The last word is left for the final transcript
+        if (this.revealed < this.words.length - 1) {
+            this.revealed++;
+            this.onPartial(this.words.slice(0, this.revealed).join(' '));
+        }
+    }
+
+    async finish() {
+        this.closed = true;
+        if (typeof this.mockTranscript === 'string') {
+            return { text: this.mockTranscript.trim(), provider: 'mock' };
+        }
+        const known = this.byteLength > 0 ? getProvider('mock').lookup(this.utteranceFile().audio) : null;
+        return { text: (known ?? this.words.join(' ')).trim(), provider: 'mock' };
+    }
+}
+
+/**
+ * Buffered backend: the providers (Whisper and compatibles) only take whole files,
+ * so the utterance is buffered and the audio so far is re-sent every
+ * getPartialInterval() ms for a partial.
+ */
+export class BufferedStreamingSTTSession extends StreamingSTTSession {
+    constructor(options) {
+        super(options);
+        this.partialTimer = null;
+        this.partialInFlight = false;
+        this.partialBytes = 0;
+        // Cancels in-flight provider requests (and their retries) when the session is dropped
+        this.requests = new AbortController();
+
+        const interval = getPartialInterval();
+        if (interval > 0) {
+            this.partialTimer = setInterval(() => this.transcribePartial(), interval);
+        }
+    }
+
+    async transcribePartial() {
+        if (this.closed || this.partialInFlight || this.byteLength === this.partialBytes) {
+            return;
+        }
+        this.partialInFlight = true;
+        this.partialBytes = this.byteLength;
+
+        try {
+            const { text } = await this.transcribe();
+            // A partial that lands after stop would overwrite the final on the client
+            if (!this.closed && text) {
+                this.onPartial(text);
+            }
+        } catch (err) {
+            // Partials are best-effort; the final transcript reports errors
+            this.logger?.warn({ correlation_id: this.correlationId, err: err.message }, '[stt] partial transcription failed');
+        } finally {
+            this.partialInFlight = false;
+        }
+    }
+
+    /**
+     * @returns {Promise<import('./types.mjs').STTResult>}
+     */
+    async transcribe() {
+        return transcribeWithFallback({
+            ...this.utteranceFile(),
+            logger: this.logger,
+            correlationId: this.correlationId,
+            signal: this.requests.signal
+        });
+    }
+
+    async finish() {
+        this.stopPartials();
+        if (this.byteLength === 0) {
+            this.closed = true;
+            return { text: '', provider: 'none' };
+        }
+        try {
+            const { text, provider } = await this.transcribe();
+            return { text: text.trim(), provider };
+        } finally {
+            this.closed = true;
+        }
+    }
+
+    abort() {
+        this.stopPartials();
+        this.requests.abort();
+        super.abort();
+    }
+
+    stopPartials() {
+        if (this.partialTimer) {
+            clearInterval(this.partialTimer);
+            this.partialTimer = null;
+        }
+    }
+}
+
+/**
+ * Wrap raw 16-bit PCM in a WAV header so it can be uploaded as a file
+ * @param {Buffer} pcm
+ * @param {number} sampleRate
+ * @param {number} channels
+ * @returns {Buffer}
+ */
+export function pcmToWav(pcm, sampleRate, channels) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);          // fmt chunk size
+    header.writeUInt16LE(1, 20);           // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * 2, 32); // block align
+    header.writeUInt16LE(16, 34);          // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Start a streaming STT session with the configured backend
+ * @param {StreamingSTTOptions} options
+ * @returns {StreamingSTTSession}
+ */
+export function createStreamingSTTSession(options) {
+    if (process.env.STT_MOCK_MODE === 'true') {
+        return new MockStreamingSTTSession(options);
+    }
+    return new BufferedStreamingSTTSession(options);
+}
@@ -0,0 +1,55 @@
+/**
+ * STT Provider Types and Interfaces
+ * @module stt/types
+ */
+
+/**
+ * STT transcription options
+ * @typedef {Object} STTTranscribeOptions
+ * @property {Buffer} audio - Complete audio file (or raw PCM wrapped as WAV)
+ * @property {string} filename - Original filename; its extension tells providers the container
+ * @property {string} [correlationId] - Correlation ID for logging
+ * @property {Object} [logger] - Logger instance for structured logging
+ * @property {string} [mockTranscript] - Transcript the mock provider returns as-is (ignored by real providers)
+ * @property {AbortSignal} [signal] - Cancels the request (no fallback); the abort reason is thrown
+ */
+
+/**
+ * Result of transcribeWithFallback()
+ * @typedef {Object} STTResult
+ * @property {string} text - Transcript
+ * @property {string} provider - Provider that produced it
+ * @property {boolean} fallback_used - Whether an earlier provider in the chain failed
+ * @property {string|null} correlation_id
+ */
+
+/**
+ * STT Provider interface
+ * All providers must implement this interface
+ */
+export class STTProvider {
+    /**
+     * Provider name
+     * @type {string}
+     */
+    name = 'base';
+
+    /**
+     * Check if provider is configured and available
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        return false;
+    }
+
+    /**
+     * Transcribe a complete audio file
+     * @param {STTTranscribeOptions} options
+     * @returns {Promise<string>}
+     */
+    async transcribe(options) {
+        throw new Error('transcribe() must be implemented by provider');
+    }
+}
+
+export default STTProvider;
@@ -0,0 +1,156 @@
+/**
+ * Tool Registry
+ * Tools the assistant can call during a turn
+ * @module tools/index
+ *
+ * Each tool is a JSON-schema signature plus an async handler (see
+ * tools/types). The registry hands the signatures to the LLM request and runs
+ * the calls the model makes. A call that can't run (unknown tool, arguments
+ * that don't match the schema, handler error) still produces a result: the
+ * error goes back to the model, which can correct itself or tell the user.
+ *
+ * Built-in tools:
+ * - remember_fact / forget_fact (tools/memory)
+ * - create_reminder / list_reminders / cancel_reminder (tools/reminders)
+ */
+
+import memoryTools from './memory.mjs';
+import reminderTools from './reminders.mjs';
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+/**
+ * Registered tools, by name
+ * @type {Map<string, import('./types.mjs').Tool>}
+ */
+const tools = new Map();
+
+/**
+ * Add a tool to the registry
+ * @param {import('./types.mjs').Tool} tool
+ * @throws {Error} If the name is invalid or already taken, or the tool is incomplete
+ */
+export function registerTool(tool) {
+    if (!TOOL_NAME_PATTERN.test(tool?.name ?? '')) {
+        throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+    if (tools.has(tool.name)) {
+        throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    if (typeof tool.handler !== 'function' || tool.parameters?.type !== 'object') {
+        throw new Error(`Tool ${tool.name} needs an object parameters schema and a handler`);
+    }
+    tools.set(tool.name, tool);
+}
+
+/**
+ * Remove a tool from the registry
+ * @param {string} name
+ * @returns {boolean} Whether it was registered
+ */
+export function unregisterTool(name) {
+    return tools.delete(name);
+}
+
+/**
+ * Get a tool by name
+ * @param {string} name
+ * @returns {import('./types.mjs').Tool | null}
+ */
+export function getTool(name) {
+    return tools.get(name) || null;
+}
+
+/**
+ * Signatures of every registered tool, for an LLM request
+ * @returns {import('../llm/providers/types.mjs').LLMToolDefinition[]}
+ */
+export function getToolDefinitions() {
+    return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * JSON type of a value, as a schema would name it
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against the subset of JSON schema tool signatures use:
+ * type, properties, required, additionalProperties, items, enum, minimum, maximum
+ * @param {Object} schema
+ * @param {unknown} value
+ * @param {string} [path]
+ * @returns {string[]} Problems found ([] if valid)
+ */
+export function validateArguments(schema, value, path = 'arguments') {
+    const type = typeOf(value);
+    if (schema.type && !(schema.type === type || (schema.type === 'number' && type === 'integer'))) {
+        return [`${path} must be ${schema.type}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of ${schema.enum.join(', ')}`];
+    }
+
+    const problems = [];
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (type === 'array' && schema.items) {
+        value.forEach((item, i) => problems.push(...validateArguments(schema.items, item, `${path}[${i}]`)));
+    }
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) problems.push(`${path}.${key} is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                problems.push(...validateArguments(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Run one tool call; never throws
+ * @param {import('../llm/providers/types.mjs').LLMToolCall} call
+ * @param {import('./types.mjs').ToolContext} context
+ * @returns {Promise<import('./types.mjs').ToolResult>}
+ */
+export async function executeToolCall(call, context) {
+    const outcome = { id: call.id, name: call.name, arguments: call.arguments };
+    const tool = tools.get(call.name);
+    if (!tool) {
+        return { ...outcome, ok: false, error: `Unknown tool: ${call.name}` };
+    }
+    if (call.arguments === null) {
+        return { ...outcome, ok: false, error: 'Arguments were not valid JSON' };
+    }
+
+    const problems = validateArguments(tool.parameters, call.arguments);
+    if (problems.length > 0) {
+        return { ...outcome, ok: false, error: `Invalid arguments: ${problems.join('; ')}` };
+    }
+
+    try {
+        return { ...outcome, ok: true, result: await tool.handler(call.arguments, context) };
+    } catch (err) {
+        console.warn(`[Tools:${context.correlationId || '-'}] ${call.name} failed: ${err.message}`);
+        return { ...outcome, ok: false, error: err.message };
+    }
+}
+
+for (const tool of [...memoryTools, ...reminderTools]) {
+    registerTool(tool);
+}
@@ -0,0 +1,146 @@
+/**
+ * Tool Loop - Generate a reply, running the tools the model calls on the way
+ * @module tools/loop
+ *
+ * Each round sends the conversation plus the tool signatures through the LLM
+ * fallback chain. If the model calls tools, they run (in order), the calls and
+ * their results are appended to the conversation, and the next round goes out.
+ * The first reply without tool calls is the answer. After LLM_MAX_TOOL_ROUNDS
+ * rounds of calls, one last request without tools makes the model answer with
+ * what it has. streamWithTools() does the same for the voice path, streaming
+ * every round, so a reply without tool calls is spoken as it is written.
+ *
+ * Config:
+ *   LLM_MAX_TOOL_ROUNDS  rounds of tool calls per turn (default: 5; 0 = never offer tools)
+ */
+
+import { generateWithFallback, streamWithFallback } from '../llm/index.mjs';
+import { executeToolCall, getToolDefinitions } from './index.mjs';
+
+const DEFAULT_MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Rounds of tool calls allowed per turn, read at call time
+ * @returns {number}
+ */
+export function getMaxToolRounds() {
+    const value = parseInt(process.env.LLM_MAX_TOOL_ROUNDS ?? '', 10);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_TOOL_ROUNDS;
+}
+
+/**
+ * Tool results go back to the model as JSON text
+ * @param {import('./types.mjs').ToolResult} result
+ * @returns {string}
+ */
+function toToolContent(result) {
+    return JSON.stringify(result.ok ? result.result ?? null : { error: result.error });
+}
+
+/**
+ * Run rounds of tool calls until the model answers without calling any
+ * @param {import('../llm/providers/types.mjs').LLMRequest} request
+ * @param {Parameters<typeof generateWithTools>[1]} options
+ * @returns {Promise<{ answer: Awaited<ReturnType<typeof generateWithFallback>> | null, messages: Object[], toolResults: import('./types.mjs').ToolResult[], correlationId: string | undefined }>}
+ *   answer is null when the rounds ran out (or no tools are offered) and a final request without tools is still due
+ */
+async function resolveToolCalls(request, { context, forceProvider, correlationId, signal }) {
+    const maxRounds = getMaxToolRounds();
+    const tools = request.tools ?? getToolDefinitions();
+    const messages = [...request.messages];
+    /** @type {import('./types.mjs').ToolResult[]} */
+    const toolResults = [];
+
+    for (let round = 0; round < maxRounds && tools.length > 0; round++) {
+        const response = await generateWithFallback(
+            { ...request, messages, tools },
+            { forceProvider, correlationId, signal }
+        );
+        correlationId = response.correlation_id;
+
+        if (!response.tool_calls?.length) {
+            return { answer: response, messages, toolResults, correlationId };
+        }
+
+        messages.push({ role: 'assistant', content: response.content, tool_calls: response.tool_calls });
+        for (const call of response.tool_calls) {
+            const result = await executeToolCall(call, { ...context, correlationId });
+            console.log(`[Tools:${correlationId}] ${call.name} ok=${result.ok}`);
+            toolResults.push(result);
+            messages.push({ role: 'tool', tool_call_id: call.id, name: call.name, content: toToolContent(result) });
+        }
+    }
+
+    return { answer: null, messages, toolResults, correlationId };
+}
+
+/**
+ * Generate a final answer, running tool calls until the model stops making them
+ * @param {import('../llm/providers/types.mjs').LLMRequest} request - Tools default to the whole registry
+ * @param {Object} options
+ * @param {import('./types.mjs').ToolContext} options.context - Who the tools act for
+ * @param {string} [options.forceProvider] - See generateWithFallback
+ * @param {string} [options.correlationId] - Shared by every round
+ * @param {AbortSignal} [options.signal] - Cancels the current round and any after it
+ * @returns {Promise<Awaited<ReturnType<typeof generateWithFallback>> & { tool_results: import('./types.mjs').ToolResult[] }>}
+ * @throws {Error} If the LLM chain fails (tool failures are fed back, not thrown)
+ */
+export async function generateWithTools(request, options) {
+    const { answer, messages, toolResults, correlationId } = await resolveToolCalls(request, options);
+    if (answer) {
+        return { ...answer, tool_results: toolResults };
+    }
+
+    const response = await generateWithFallback(
+        { ...request, messages, tools: undefined },
+        { forceProvider: options.forceProvider, correlationId, signal: options.signal }
+    );
+    return { ...response, tool_results: toolResults };
+}
+
+/**
+ * Stream a final answer, running the tool calls the model makes on the way
+ * Every round streams with the tools offered: text deltas pass straight
+ * through, and only a round whose done event carries tool calls runs them and
+ * goes on to the next round. Text the model writes alongside its calls is
+ * yielded too, so the answer may be preceded by a sentence like "One moment".
+ * @param {import('../llm/providers/types.mjs').LLMRequest} request - Tools default to the whole registry
+ * @param {Parameters<typeof generateWithTools>[1]} options
+ * @yields {import('../llm/providers/types.mjs').LLMStreamEvent & { fallback_used?: boolean, correlation_id?: string, tool_results?: import('./types.mjs').ToolResult[] }}
+ *   One done event at the end, carrying tool_results
+ * @throws {Error} If the LLM chain fails
+ */
+export async function* streamWithTools(request, { context, forceProvider, correlationId, signal }) {
+    const maxRounds = getMaxToolRounds();
+    const tools = request.tools ?? getToolDefinitions();
+    const messages = [...request.messages];
+    /** @type {import('./types.mjs').ToolResult[]} */
+    const toolResults = [];
+
+    for (let round = 0; ; round++) {
+        // After the last round of calls the model must answer with what it has
+        const offered = round < maxRounds && tools.length > 0 ? tools : undefined;
+        let done = null;
+        for await (const event of streamWithFallback({ ...request, messages, tools: offered }, { forceProvider, correlationId, signal })) {
+            if (event.type === 'done') {
+                done = event;
+            } else {
+                yield event;
+            }
+        }
+        correlationId = done.correlation_id;
+
+        if (!offered || !done.tool_calls?.length) {
+            yield { ...done, tool_results: toolResults };
+            return;
+        }
+
+        messages.push({ role: 'assistant', content: done.content, tool_calls: done.tool_calls });
+        for (const call of done.tool_calls) {
+            const result = await executeToolCall(call, { ...context, correlationId });
+            console.log(`[Tools:${correlationId}] ${call.name} ok=${result.ok}`);
+            toolResults.push(result);
+            messages.push({ role: 'tool', tool_call_id: call.id, name: call.name, content: toToolContent(result) });
+        }
+    }
+}
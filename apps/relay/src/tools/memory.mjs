@@ -0,0 +1,66 @@
+/**
+ * Memory Tools - Let the assistant write to the user's memory mid-turn
+ * @module tools/memory
+ *
+ * Writes are recorded in the fact's history with actor 'assistant'.
+ */
+
+import { deleteFact, upsertFact } from '../services/memory.mjs';
+import { normalizeFactKey } from '../services/fact-extraction.mjs';
+
+/**
+ * Normalize a key argument, rejecting one with nothing usable left
+ * @param {string} key
+ * @returns {string}
+ * @throws {Error}
+ */
+function toFactKey(key) {
+    const factKey = normalizeFactKey(key);
+    if (!factKey) {
+        throw new Error(`Invalid fact key: ${key}`);
+    }
+    return factKey;
+}
+
+/** @type {import('./types.mjs').Tool} */
+export const rememberFact = {
+    name: 'remember_fact',
+    description: 'Store a lasting fact about the user in long-term memory, or update one you already know. Use when the user tells you something about themselves worth remembering, or asks you to remember something.',
+    parameters: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: 'Short snake_case name for the fact, e.g. "home_city" or "favorite_drink". Reuse a known key to update it.' },
+            value: { type: 'string', description: 'The fact as a short phrase, in the user\'s words where possible.' },
+            confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure you are this is true and lasting (default 1).' }
+        },
+        required: ['key', 'value'],
+        additionalProperties: false
+    },
+    async handler({ key, value, confidence = 1 }, { userId }) {
+        if (!value.trim()) {
+            throw new Error('Fact value is empty');
+        }
+        const fact = await upsertFact(userId, toFactKey(key), value.trim(), Math.round(confidence * 100) / 100, { actor: 'assistant' });
+        return { remembered: true, fact_key: fact.fact_key, fact_value: fact.fact_value };
+    }
+};
+
+/** @type {import('./types.mjs').Tool} */
+export const forgetFact = {
+    name: 'forget_fact',
+    description: 'Delete a fact from the user\'s long-term memory. Use when the user asks you to forget something or says a fact no longer holds.',
+    parameters: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: 'Key of the fact to forget, as shown in User Memory.' }
+        },
+        required: ['key'],
+        additionalProperties: false
+    },
+    async handler({ key }, { userId }) {
+        const factKey = toFactKey(key);
+        return { forgotten: await deleteFact(userId, factKey, { actor: 'assistant' }), fact_key: factKey };
+    }
+};
+
+export default [rememberFact, forgetFact];
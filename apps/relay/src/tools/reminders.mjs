@@ -0,0 +1,117 @@
+/**
+ * Reminder Tools - Timers and reminders the assistant can set, list and cancel
+ * @module tools/reminders
+ *
+ * Due reminders are spoken to the user by the voice WebSocket (see
+ * services/reminder-scheduler).
+ */
+
+import { cancelReminder, createReminder, listReminders } from '../services/reminders.mjs';
+
+/**
+ * Furthest ahead a reminder can be set: one year
+ */
+const MAX_DELAY_SECONDS = 365 * 24 * 60 * 60;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * A reminder as the model sees it
+ * @param {import('../services/reminders.mjs').Reminder} reminder
+ * @param {number} now - Epoch ms
+ * @returns {{ reminder_id: string, text: string, due_at: string, due_in_seconds: number }}
+ */
+function describeReminder(reminder, now) {
+    return {
+        reminder_id: reminder.id,
+        text: reminder.text,
+        due_at: reminder.due_at.toISOString(),
+        due_in_seconds: Math.max(0, Math.round((reminder.due_at.getTime() - now) / 1000))
+    };
+}
+
+/**
+ * Work out when a reminder is due from exactly one of delay_seconds / due_at
+ * @param {{ delay_seconds?: number, due_at?: string }} args
+ * @param {number} now - Epoch ms
+ * @returns {Date}
+ * @throws {Error} If neither or both are given, or the time is in the past or too far ahead
+ */
+function resolveDueAt({ delay_seconds, due_at }, now) {
+    if ((delay_seconds === undefined) === (due_at === undefined)) {
+        throw new Error('Give exactly one of delay_seconds or due_at');
+    }
+
+    const dueAt = delay_seconds !== undefined ? new Date(now + delay_seconds * 1000) : new Date(due_at);
+    if (Number.isNaN(dueAt.getTime())) {
+        throw new Error(`Invalid due_at: ${due_at}`);
+    }
+    if (dueAt.getTime() <= now) {
+        throw new Error(`due_at is in the past (now is ${new Date(now).toISOString()})`);
+    }
+    if (dueAt.getTime() > now + MAX_DELAY_SECONDS * 1000) {
+        throw new Error('Reminders can be set at most a year ahead');
+    }
+    return dueAt;
+}
+
+/** @type {import('./types.mjs').Tool} */
+export const createReminderTool = {
+    name: 'create_reminder',
+    description: 'Set a timer or reminder. When it is due you will announce the text to the user, so phrase it as what to tell them. Use delay_seconds for timers and relative times ("in 10 minutes"), due_at for a set time.',
+    parameters: {
+        type: 'object',
+        properties: {
+            text: { type: 'string', description: 'What to remind the user of, e.g. "Take the tea out" or "Your 10 minute timer is done".' },
+            delay_seconds: { type: 'integer', minimum: 1, maximum: MAX_DELAY_SECONDS, description: 'Seconds from now until it is due.' },
+            due_at: { type: 'string', description: 'When it is due, as an ISO 8601 timestamp with a timezone offset.' }
+        },
+        required: ['text'],
+        additionalProperties: false
+    },
+    async handler(args, { userId, sessionId }) {
+        const text = args.text.trim();
+        if (!text) {
+            throw new Error('Reminder text is empty');
+        }
+        const now = Date.now();
+        const reminder = await createReminder(userId, { text, dueAt: resolveDueAt(args, now), sessionId });
+        return { created: true, ...describeReminder(reminder, now) };
+    }
+};
+
+/** @type {import('./types.mjs').Tool} */
+export const listRemindersTool = {
+    name: 'list_reminders',
+    description: 'List the user\'s timers and reminders that have not gone off yet, soonest first.',
+    parameters: {
+        type: 'object',
+        properties: {},
+        additionalProperties: false
+    },
+    async handler(args, { userId }) {
+        const now = Date.now();
+        const reminders = await listReminders(userId);
+        return { now: new Date(now).toISOString(), reminders: reminders.map(r => describeReminder(r, now)) };
+    }
+};
+
+/** @type {import('./types.mjs').Tool} */
+export const cancelReminderTool = {
+    name: 'cancel_reminder',
+    description: 'Cancel a timer or reminder that has not gone off yet. Call list_reminders first to find its reminder_id.',
+    parameters: {
+        type: 'object',
+        properties: {
+            reminder_id: { type: 'string', description: 'reminder_id from list_reminders or create_reminder.' }
+        },
+        required: ['reminder_id'],
+        additionalProperties: false
+    },
+    async handler({ reminder_id }, { userId }) {
+        const reminder = UUID_PATTERN.test(reminder_id) ? await cancelReminder(userId, reminder_id) : null;
+        return { cancelled: Boolean(reminder), reminder_id };
+    }
+};
+
+export default [createReminderTool, listRemindersTool, cancelReminderTool];
@@ -0,0 +1,36 @@
+/**
+ * Tool Types
+ * @module tools/types
+ */
+
+/**
+ * Who a tool runs for, passed to every handler
+ * @typedef {Object} ToolContext
+ * @property {string} userId - Internal user UUID
+ * @property {string} [sessionId]
+ * @property {string} [correlationId]
+ */
+
+/**
+ * A tool the assistant can call
+ * The name, description and parameters are sent to the model as-is, so
+ * they should read as instructions to it.
+ * @typedef {Object} Tool
+ * @property {string} name - snake_case, unique in the registry
+ * @property {string} description
+ * @property {Object} parameters - JSON schema of the arguments object
+ * @property {(args: Object, context: ToolContext) => Promise<Object>} handler - Result is sent back to the model as JSON
+ */
+
+/**
+ * Outcome of one tool call, fed back to the model
+ * @typedef {Object} ToolResult
+ * @property {string} id - The call's ID
+ * @property {string} name
+ * @property {Object|null} arguments
+ * @property {boolean} ok
+ * @property {Object} [result] - Handler result, when ok
+ * @property {string} [error] - Why the call failed, when not ok
+ */
+
+export {};
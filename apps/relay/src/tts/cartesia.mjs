@@ -7,9 +7,13 @@
  * 
  * Auth: X-API-Key header
  * Versioning: Cartesia-Version header (2024-06-10)
+ *
+ * Timeouts come from the tts:cartesia request policy: connect_ms for the
+ * socket to open, first_byte_ms for the first audio chunk, total_ms overall.
  */
 
 import { TTSProvider } from './types.mjs';
+import { getRequestPolicy, policyTimeoutError } from '../services/request-policy.mjs';
 import { randomUUID } from 'crypto';
 
 const CARTESIA_WS_URL = 'wss://api.cartesia.ai/tts/websocket';
@@ -24,6 +28,7 @@ export class CartesiaTTSProvider extends TTSProvider {
         // Trim values to ensure no trailing newlines from secret injection
         this.apiKey = process.env.CARTESIA_API_KEY_MVP?.trim();
         this.voiceId = process.env.CARTESIA_VOICE_ID_MVP?.trim();
+        this.model = DEFAULT_MODEL;
 
         // Diagnostic logging (no secrets, just configuration status)
         console.log(`[Cartesia] Provider initialized - voice_id: ${this.voiceId || 'NOT SET'} (len=${this.voiceId?.length || 0}), api_key_configured: ${!!this.apiKey}`);
@@ -61,6 +66,8 @@ export class CartesiaTTSProvider extends TTSProvider {
         let error = null;
         let done = false;
         let contextId = randomUUID();
+        const policy = getRequestPolicy('tts:cartesia');
+        const startedAt = Date.now();
 
         // Create WebSocket connection
         const { default: WebSocket } = await import('ws');
@@ -73,15 +80,25 @@ export class CartesiaTTSProvider extends TTSProvider {
         // Promise-based event handlers
         const wsReady = new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
-                reject(new Error(`[${correlationId}] Cartesia WS connection timeout`));
-            }, 10000);
+                reject(policyTimeoutError('tts:cartesia', 'connect', policy.connect_ms));
+            }, policy.connect_ms);
+            const onAbort = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            if (options.signal?.aborted) {
+                onAbort();
+            }
+            options.signal?.addEventListener('abort', onAbort, { once: true });
 
             ws.once('open', () => {
                 clearTimeout(timeout);
+                options.signal?.removeEventListener('abort', onAbort);
                 resolve();
             });
             ws.once('error', (e) => {
                 clearTimeout(timeout);
+                options.signal?.removeEventListener('abort', onAbort);
                 reject(new Error(`[${correlationId}] Cartesia WS error: ${e.message}`));
             });
         });
@@ -146,13 +163,25 @@ export class CartesiaTTSProvider extends TTSProvider {
             done = true;
         });
 
+        // Barge-in: tell Cartesia to stop generating this context, then drop the socket
+        const onAbort = () => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ context_id: contextId, cancel: true }));
+            }
+            done = true;
+        };
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+
         try {
             await wsReady;
+            if (options.signal?.aborted) {
+                return;
+            }
 
             // Send synthesis request per Cartesia API spec
             ws.send(JSON.stringify({
                 context_id: contextId,
-                model_id: DEFAULT_MODEL,
+                model_id: this.model,
                 transcript: options.text,
                 voice: {
                     mode: 'id',
@@ -165,13 +194,26 @@ export class CartesiaTTSProvider extends TTSProvider {
                 },
                 continue: false
             }));
+            const connectedMs = Date.now() - startedAt;
 
             // Yield chunks as they arrive
             while (!done || chunks.length > 0) {
+                if (options.signal?.aborted) {
+                    return;
+                }
+
                 if (error) {
                     throw error;
                 }
 
+                const elapsed = Date.now() - startedAt;
+                if (elapsed > policy.total_ms) {
+                    throw policyTimeoutError('tts:cartesia', 'total', policy.total_ms);
+                }
+                if (seq === 0 && elapsed - connectedMs > policy.first_byte_ms) {
+                    throw policyTimeoutError('tts:cartesia', 'first_byte', policy.first_byte_ms);
+                }
+
                 if (chunks.length > 0) {
                     yield chunks.shift();
                 } else if (!done) {
@@ -184,6 +226,7 @@ export class CartesiaTTSProvider extends TTSProvider {
                 throw error;
             }
         } finally {
+            options.signal?.removeEventListener('abort', onAbort);
             if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
                 ws.close(1000);
             }
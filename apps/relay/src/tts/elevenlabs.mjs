@@ -6,6 +6,7 @@
  */
 
 import { TTSProvider } from './types.mjs';
+import { fetchWithPolicy } from '../services/request-policy.mjs';
 
 const ELEVENLABS_API_BASE = 'https://api.elevenlabs.io/v1';
 const DEFAULT_MODEL = 'eleven_turbo_v2_5';
@@ -23,6 +24,7 @@ export class ElevenLabsTTSProvider extends TTSProvider {
         this.apiKey = apiKey || null;
         // Only use custom voice ID if explicitly set, do NOT fall back to default
         this.voiceId = voiceId || null;
+        this.model = DEFAULT_MODEL;
 
         // Diagnostic logging (no secrets)
         console.log(`[ElevenLabs] Provider initialized - voice_id: ${this.voiceId ? this.voiceId.substring(0, 8) + '...' : 'NOT SET'} (len=${this.voiceId?.length || 0}), api_key_configured: ${!!this.apiKey}`);
@@ -59,22 +61,31 @@ export class ElevenLabsTTSProvider extends TTSProvider {
         // Text-to-Speech streaming endpoint (NOT Agents Platform)
         const url = `${ELEVENLABS_API_BASE}/text-to-speech/${voiceId}/stream`;
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Accept': 'audio/mpeg',
-                'Content-Type': 'application/json',
-                'xi-api-key': this.apiKey
-            },
-            body: JSON.stringify({
-                text: options.text,
-                model_id: DEFAULT_MODEL,
-                voice_settings: {
-                    stability: 0.5,
-                    similarity_boost: 0.75
-                }
-            })
-        });
+        let response;
+        try {
+            response = await fetchWithPolicy(url, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'audio/mpeg',
+                    'Content-Type': 'application/json',
+                    'xi-api-key': this.apiKey
+                },
+                body: JSON.stringify({
+                    text: options.text,
+                    model_id: this.model,
+                    voice_settings: {
+                        stability: 0.5,
+                        similarity_boost: 0.75
+                    }
+                })
+            }, { provider: 'tts:elevenlabs', signal: options.signal });
+        } catch (fetchErr) {
+            if (options.signal?.aborted) {
+                console.log(`[TTS:${correlationId}] ElevenLabs request aborted`);
+                return;
+            }
+            throw fetchErr;
+        }
 
         if (!response.ok) {
             const errText = await response.text().catch(() => 'Unknown error');
@@ -84,12 +95,26 @@ export class ElevenLabsTTSProvider extends TTSProvider {
 
         const reader = response.body.getReader();
         let seq = 0;
+        let finished = false;
 
         try {
             while (true) {
-                const { done, value } = await reader.read();
+                let done, value;
+                try {
+                    ({ done, value } = await reader.read());
+                } catch (readErr) {
+                    if (options.signal?.aborted) {
+                        console.log(`[TTS:${correlationId}] ElevenLabs stream aborted after ${seq} chunks`);
+                        finished = true;
+                        return;
+                    }
+                    throw readErr;
+                }
 
-                if (done) break;
+                if (done) {
+                    finished = true;
+                    break;
+                }
 
                 // Yield audio chunk with full codec metadata
                 yield {
@@ -101,6 +126,10 @@ export class ElevenLabsTTSProvider extends TTSProvider {
                 };
             }
         } finally {
+            // Consumer stopped early - stop the upstream download too
+            if (!finished) {
+                await reader.cancel().catch(() => { });
+            }
             reader.releaseLock();
         }
     }
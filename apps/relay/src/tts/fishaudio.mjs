@@ -13,6 +13,7 @@
  */
 
 import { TTSProvider } from './types.mjs';
+import { fetchWithPolicy } from '../services/request-policy.mjs';
 import { randomUUID } from 'crypto';
 
 const FISH_AUDIO_API_URL = 'https://api.fish.audio/v1/tts';
@@ -29,6 +30,7 @@ export class FishAudioTTSProvider extends TTSProvider {
         this.apiKey = process.env.FISH_AUDIO_API_KEY_MVP?.trim();
         // Voice ID is optional - if not provided, Fish Audio uses default voice
         this.voiceId = process.env.FISH_AUDIO_VOICE_ID_MVP?.trim() || null;
+        this.model = DEFAULT_MODEL;
 
         // Diagnostic logging for voice model configuration (ID only, no secrets)
         console.log(`[FishAudio] Provider initialized - voice_model_id: ${this.voiceId || 'DEFAULT'} (len=${this.voiceId?.length || 0}), api_key_len: ${this.apiKey?.length || 0}`);
@@ -43,7 +45,7 @@ export class FishAudioTTSProvider extends TTSProvider {
      * Make TTS request to Fish Audio
      * @private
      */
-    async _makeTTSRequest(text, format, voiceId, correlationId) {
+    async _makeTTSRequest(text, format, voiceId, correlationId, signal) {
         const requestBody = {
             text: text,
             format: format,
@@ -55,16 +57,16 @@ export class FishAudioTTSProvider extends TTSProvider {
             requestBody.reference_id = voiceId;
         }
 
-        const response = await fetch(FISH_AUDIO_API_URL, {
+        const response = await fetchWithPolicy(FISH_AUDIO_API_URL, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${this.apiKey}`,
                 'Content-Type': 'application/json',
                 'Accept': 'audio/mpeg',
-                'model': DEFAULT_MODEL  // REQUIRED header per OpenAPI spec
+                'model': this.model  // REQUIRED header per OpenAPI spec
             },
             body: JSON.stringify(requestBody)
-        });
+        }, { provider: 'tts:fishaudio', signal });
 
         return response;
     }
@@ -92,7 +94,7 @@ export class FishAudioTTSProvider extends TTSProvider {
         try {
             // First attempt with reference_id (if configured)
             console.log(`[${correlationId}] Fish Audio TTS request - reference_id: "${voiceId || 'NONE'}", text_length: ${options.text?.length}`);
-            response = await this._makeTTSRequest(options.text, format, voiceId, correlationId);
+            response = await this._makeTTSRequest(options.text, format, voiceId, correlationId, options.signal);
 
             // If reference_id fails with 400, retry without it (default voice)
             if (!response.ok && response.status === 400 && voiceId) {
@@ -107,11 +109,15 @@ export class FishAudioTTSProvider extends TTSProvider {
                 if (errorBody.includes('Reference not found')) {
                     console.warn(`[${correlationId}] Fish Audio reference_id invalid, retrying with default voice`);
                     usedDefaultVoice = true;
-                    response = await this._makeTTSRequest(options.text, format, null, correlationId);
+                    response = await this._makeTTSRequest(options.text, format, null, correlationId, options.signal);
                 }
             }
         } catch (fetchErr) {
-            throw new Error(`[${correlationId}] Fish Audio fetch error: ${fetchErr.message}`);
+            if (options.signal?.aborted) {
+                console.log(`[${correlationId}] Fish Audio request aborted`);
+                return;
+            }
+            throw new Error(`[${correlationId}] Fish Audio fetch error: ${fetchErr.message}`, { cause: fetchErr });
         }
 
         if (!response.ok) {
@@ -133,10 +139,21 @@ export class FishAudioTTSProvider extends TTSProvider {
         const reader = response.body.getReader();
         let seq = 0;
         let buffer = new Uint8Array(0);
+        let finished = false;
 
         try {
             while (true) {
-                const { done, value } = await reader.read();
+                let done, value;
+                try {
+                    ({ done, value } = await reader.read());
+                } catch (readErr) {
+                    if (options.signal?.aborted) {
+                        console.log(`[${correlationId}] Fish Audio stream aborted after ${seq} chunks`);
+                        finished = true;
+                        return;
+                    }
+                    throw readErr;
+                }
 
                 if (done) {
                     // Yield any remaining data in buffer
@@ -149,6 +166,7 @@ export class FishAudioTTSProvider extends TTSProvider {
                             channels: 1
                         };
                     }
+                    finished = true;
                     break;
                 }
 
@@ -173,6 +191,10 @@ export class FishAudioTTSProvider extends TTSProvider {
                 }
             }
         } finally {
+            // Consumer stopped early - stop the upstream download too
+            if (!finished) {
+                await reader.cancel().catch(() => { });
+            }
             reader.releaseLock();
         }
     }
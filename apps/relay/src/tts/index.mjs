@@ -8,12 +8,27 @@
  * 2. cartesia (1st fallback)
  * 3. elevenlabs (last resort)
  * 4. mock (test/dev only)
+ *
+ * The "tts" section of the provider chain config (config/provider-chains)
+ * replaces this order and TTS_PROVIDER, and sets each entry's voice, model,
+ * timeout and fallback rules.
+ *
+ * Providers whose circuit breaker is open (services/provider-health) are
+ * skipped until their cooldown allows a probe.
+ *
+ * Text is normalized for speech (tts/normalize), then synthesized segment by
+ * segment (see streamWithFallback), so a fallback takes over mid-utterance
+ * instead of starting the text again.
  */
 
 import { CartesiaTTSProvider } from './cartesia.mjs';
 import { FishAudioTTSProvider } from './fishaudio.mjs';
 import { ElevenLabsTTSProvider } from './elevenlabs.mjs';
 import { MockTTSProvider } from './mock.mjs';
+import { getProviderChains, shouldFallBack, withSettings, attemptTimeout, DEFAULT_FALLBACK_ON } from '../config/provider-chains.mjs';
+import { allowRequest, recordSuccess, recordFailure, getProviderHealth } from '../services/provider-health.mjs';
+import { segmentText, DEFAULT_MAX_SEGMENT_CHARS } from './segmenter.mjs';
+import { normalizeForSpeech, getNormalizationRules } from './normalize.mjs';
 
 /**
  * Provider instances (singletons)
@@ -48,6 +63,91 @@ export function getProvider(name) {
     return providers[name] || null;
 }
 
+/**
+ * @typedef {Object} ChainLink
+ * @property {string} name
+ * @property {import('./types.mjs').TTSProvider} provider - With the entry's voice and model applied
+ * @property {string[]} fallbackOn - Error classes that move on to the next link
+ * @property {number} [timeoutMs] - Abort the attempt after this long
+ */
+
+/**
+ * Links built from the config, per validated config section
+ * @type {WeakMap<Object[], ChainLink[]>}
+ */
+const configuredLinks = new WeakMap();
+
+/**
+ * Chain link for a provider with default settings
+ * @param {string} name
+ * @returns {ChainLink}
+ */
+function defaultLink(name) {
+    return { name, provider: providers[name], fallbackOn: DEFAULT_FALLBACK_ON.tts };
+}
+
+/**
+ * The full TTS chain: the configured one, else TTS_PROVIDER followed by FALLBACK_ORDER
+ * @returns {ChainLink[]}
+ * @throws {Error} If the config names an unknown provider
+ */
+export function getChain() {
+    const { tts } = getProviderChains();
+    if (!tts) {
+        const primaryName = getPrimaryProviderName();
+        const names = providers[primaryName] ? [primaryName, ...getFallbackChain(primaryName)] : FALLBACK_ORDER;
+        return names.map(defaultLink);
+    }
+
+    if (!configuredLinks.has(tts)) {
+        configuredLinks.set(tts, tts.map((entry) => {
+            const provider = providers[entry.provider];
+            if (!provider || entry.provider === 'mock') {
+                throw new Error(`Unknown TTS provider in provider chains: ${entry.provider}`);
+            }
+            return {
+                name: entry.provider,
+                provider: withSettings(provider, { voiceId: entry.voice, model: entry.model }),
+                fallbackOn: entry.fallback_on,
+                timeoutMs: entry.timeout_ms
+            };
+        }));
+    }
+    return configuredLinks.get(tts);
+}
+
+/**
+ * Chain for one request
+ * @param {Object} params
+ * @param {string} [params.forceProvider] - Only this provider, no fallback
+ * @param {string} [params.preferredProvider] - Start the chain here
+ * @returns {ChainLink[]}
+ * @throws {Error} If a forced provider is unknown
+ */
+function resolveChain({ forceProvider, preferredProvider }) {
+    const chain = getChain();
+
+    if (forceProvider) {
+        const link = chain.find(l => l.name === forceProvider)
+            ?? (providers[forceProvider] && forceProvider !== 'mock' ? defaultLink(forceProvider) : null);
+        if (!link) {
+            throw new Error(`Unknown TTS provider: ${forceProvider}`);
+        }
+        return [link];
+    }
+
+    if (preferredProvider) {
+        const index = chain.findIndex(l => l.name === preferredProvider);
+        if (index !== -1) {
+            return chain.slice(index);
+        }
+        // A provider outside the chain is used alone
+        return providers[preferredProvider] ? [defaultLink(preferredProvider)] : [];
+    }
+
+    return chain;
+}
+
 /**
  * Get the fallback order starting from a given provider
  * @param {string} startProvider - The provider that failed
@@ -72,19 +172,16 @@ export async function getActiveProvider() {
         return providers.mock;
     }
 
-    const primaryName = getPrimaryProviderName();
-    const primary = providers[primaryName];
+    const [primary, ...fallbacks] = getChain();
 
-    if (primary && await primary.isAvailable()) {
-        return primary;
+    if (await primary.provider.isAvailable()) {
+        return primary.provider;
     }
 
     // Try fallback chain in order
-    for (const providerName of FALLBACK_ORDER) {
-        if (providerName === primaryName) continue; // Already tried
-        const provider = providers[providerName];
-        if (provider && await provider.isAvailable()) {
-            console.warn(`[TTS] Primary provider '${primaryName}' unavailable, using '${providerName}'`);
+    for (const { name, provider } of fallbacks) {
+        if (await provider.isAvailable()) {
+            console.warn(`[TTS] Primary provider '${primary.name}' unavailable, using '${name}'`);
             return provider;
         }
     }
@@ -92,54 +189,208 @@ export async function getActiveProvider() {
     throw new Error('No TTS provider available. Configure FISH_AUDIO_API_KEY_MVP, CARTESIA_API_KEY_MVP, or ELEVENLABS_API_KEY_MVP');
 }
 
+/**
+ * Segments longer than this are split at clauses (TTS_SEGMENT_MAX_CHARS, 0 keeps whole sentences)
+ * @returns {number}
+ */
+function getSegmentMaxChars() {
+    const value = parseInt(process.env.TTS_SEGMENT_MAX_CHARS ?? '', 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_SEGMENT_CHARS;
+}
+
+/**
+ * Start synthesizing one segment, buffering its frames until they are read
+ * The request runs on its own, so the next segment can be prefetched while the
+ * current one is still being read. The segment ends with an error when the
+ * entry's timeout or the given signal fires, even if the provider ignores it.
+ * @param {ChainLink} link
+ * @param {import('./types.mjs').TTSStreamOptions} options - With the segment's text
+ * @param {AbortSignal} signal - Caller abort, or the run giving up on this provider
+ * @returns {{ startedAt: number, frames: () => AsyncGenerator<import('./types.mjs').AudioFrame> }}
+ */
+function startSegment({ name, provider, timeoutMs }, options, signal) {
+    // The entry's timeout aborts the provider like a caller abort would, so it is told apart afterwards
+    const timeout = attemptTimeout(timeoutMs, name);
+    const segmentSignal = timeout.signal ? AbortSignal.any([signal, timeout.signal]) : signal;
+
+    /** @type {import('./types.mjs').AudioFrame[]} */
+    const buffered = [];
+    let done = false;
+    let error = null;
+    let wake = null;
+
+    const finish = (reason) => {
+        if (done) return;
+        done = true;
+        error = reason;
+        timeout.clear();
+        segmentSignal.removeEventListener('abort', onAbort);
+        wake?.();
+    };
+    const onAbort = () => finish(timeout.signal?.aborted ? timeout.signal.reason : segmentSignal.reason);
+    segmentSignal.addEventListener('abort', onAbort, { once: true });
+
+    (async () => {
+        try {
+            for await (const frame of provider.stream({ ...options, signal: segmentSignal })) {
+                if (done) return;
+                buffered.push(frame);
+                wake?.();
+            }
+            finish(null);
+        } catch (caught) {
+            finish(caught);
+        }
+    })();
+
+    return {
+        startedAt: Date.now(),
+        async *frames() {
+            while (true) {
+                if (buffered.length > 0) {
+                    yield buffered.shift();
+                } else if (done) {
+                    if (error) throw error;
+                    return;
+                } else {
+                    await new Promise(resolve => { wake = resolve; });
+                    wake = null;
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Speak segments with one provider, starting at segments[from]
+ * The segment after the one being read is always in flight. Frame seq
+ * continues across segments, keeping any gaps a provider leaves. The attempt
+ * counts as one success for the provider's health (latency: its first frame)
+ * when it completes, or is aborted after audio; the caller records a failure.
+ * @param {ChainLink} link
+ * @param {string[]} segments
+ * @param {number} from
+ * @param {import('./types.mjs').TTSStreamOptions} options
+ * @returns {AsyncGenerator<Object, { status: 'completed' | 'aborted' | 'failed', frames: number, failedAt?: number, error?: Error }>}
+ */
+async function* speakSegments(link, segments, from, options) {
+    const run = new AbortController();
+    const signal = options.signal ? AbortSignal.any([options.signal, run.signal]) : run.signal;
+    const start = (index) => startSegment(link, { ...options, text: segments[index] }, signal);
+
+    let frames = 0;
+    let seqOffset = 0;
+    let firstFrameMs = null;
+    let current = start(from);
+    const aborted = () => {
+        if (frames > 0) recordSuccess('tts', link.name, firstFrameMs);
+        return { status: 'aborted', frames };
+    };
+    try {
+        for (let index = from; index < segments.length; index++) {
+            const next = index + 1 < segments.length ? start(index + 1) : null;
+            const segment = { index, text: segments[index] };
+            let lastSeq = -1;
+
+            try {
+                for await (const frame of current.frames()) {
+                    if (options.signal?.aborted) break;
+                    frames++;
+                    firstFrameMs ??= Date.now() - current.startedAt;
+                    lastSeq = frame.seq;
+                    yield { type: 'audio', frame: { ...frame, seq: seqOffset + frame.seq }, provider: link.name, segment };
+                }
+            } catch (error) {
+                return options.signal?.aborted
+                    ? aborted()
+                    : { status: 'failed', frames, failedAt: index, error };
+            }
+            if (options.signal?.aborted) {
+                return aborted();
+            }
+
+            seqOffset += lastSeq + 1;
+            current = next;
+        }
+        recordSuccess('tts', link.name, firstFrameMs);
+        return { status: 'completed', frames };
+    } finally {
+        // Cancels the prefetched segment when the run stops early
+        run.abort();
+    }
+}
+
 /**
  * Stream TTS with automatic fallback chain
- * If provider fails mid-stream, attempts next provider in chain
+ * The text is normalized for speech (markdown, URLs, numbers - see
+ * tts/normalize), then split into sentence and clause segments
+ * (tts/segmenter), each synthesized as its own request with the next one
+ * prefetched, so audio starts after the first segment rather than the whole
+ * text. If a provider fails, the
+ * next one in the chain takes over at a segment boundary, replaying the failed
+ * segment (provider_switched names it) from its start, when the failing entry's fallback_on rules cover the
+ * error. Providers with an open circuit are skipped, except a forced one.
+ * An aborted options.signal ends the stream quietly - no fallback, no error event.
  * @param {import('./types.mjs').TTSStreamOptions} options - Text and voice options
  * @param {Object} [streamOptions] - Stream control options
- * @param {string} [streamOptions.preferredProvider] - Override provider selection
+ * @param {string} [streamOptions.forceProvider] - Use only this provider, no fallback
+ * @param {string} [streamOptions.preferredProvider] - Start the chain at this provider
  * @param {string[]} [streamOptions.tts_disable] - Providers to skip (for testing fallback)
  * @param {string} [streamOptions.correlation_id] - Correlation ID for logging
- * @yields {{ type: 'audio', frame: import('./types.mjs').AudioFrame, provider: string } | { type: 'provider_switched', from: string, to: string, correlation_id: string } | { type: 'error', error: Error, provider: string }}
+ * @yields {{ type: 'audio', frame: import('./types.mjs').AudioFrame, provider: string, segment: { index: number, text: string } } | { type: 'provider_switched', from: string, to: string, segment: { index: number, text: string }, correlation_id: string } | { type: 'error', error: Error, provider: string }}
  */
 export async function* streamWithFallback(options, streamOptions = {}) {
-    const { preferredProvider, tts_disable = [], correlation_id } = streamOptions;
+    const { forceProvider, preferredProvider, tts_disable = [], correlation_id } = streamOptions;
     const logPrefix = correlation_id ? `[TTS:${correlation_id}]` : '[TTS]';
 
-    // Mock mode takes priority for testing - bypass fallback chain entirely
-    if (await providers.mock.isAvailable()) {
-        console.log(`${logPrefix} Mock mode enabled, using mock provider`);
-        let frameCount = 0;
-        for await (const frame of providers.mock.stream(options)) {
-            frameCount++;
-            yield { type: 'audio', frame, provider: 'mock' };
-        }
+    let segments;
+    try {
+        const text = normalizeForSpeech(options.text ?? '', { rules: getNormalizationRules() });
+        segments = segmentText(text, { maxChars: getSegmentMaxChars() });
+    } catch (error) {
+        yield { type: 'error', error, provider: 'none' };
         return;
     }
-
-    const primaryName = preferredProvider || getPrimaryProviderName();
-
-    // Build the provider chain starting from primary
-    let providerChain = [primaryName, ...getFallbackChain(primaryName)];
-
-    // If preferred provider is not in standard chain, just use it alone
-    if (preferredProvider && !FALLBACK_ORDER.includes(preferredProvider)) {
-        providerChain = [preferredProvider];
+    if (segments.length === 0) {
+        return;
     }
 
-    // Filter out disabled providers (for per-request testing)
-    if (tts_disable && tts_disable.length > 0) {
-        const originalChain = [...providerChain];
-        providerChain = providerChain.filter(p => !tts_disable.includes(p));
-        console.log(`${logPrefix} Disabled providers: [${tts_disable.join(', ')}]. Chain: [${originalChain.join(' → ')}] → [${providerChain.join(' → ')}]`);
+    // Mock mode takes priority for testing - bypass the fallback chain entirely
+    const mockMode = await providers.mock.isAvailable();
+    let providerChain;
+    if (mockMode) {
+        console.log(`${logPrefix} Mock mode enabled, using mock provider`);
+        providerChain = [defaultLink('mock')];
+    } else {
+        try {
+            providerChain = resolveChain({ forceProvider, preferredProvider });
+        } catch (error) {
+            yield { type: 'error', error, provider: forceProvider || 'none' };
+            return;
+        }
+        if (forceProvider) {
+            console.log(`${logPrefix} Forcing provider: ${forceProvider}`);
+        }
+
+        // Filter out disabled providers (for per-request testing)
+        if (tts_disable && tts_disable.length > 0) {
+            const originalChain = providerChain.map(l => l.name);
+            providerChain = providerChain.filter(l => !tts_disable.includes(l.name));
+            console.log(`${logPrefix} Disabled providers: [${tts_disable.join(', ')}]. Chain: [${originalChain.join(' → ')}] → [${providerChain.map(l => l.name).join(' → ')}]`);
+        }
     }
 
     let lastError = null;
     let startProvider = null;
+    let resumeAt = 0;
+    const tripped = [];
 
-    for (const providerName of providerChain) {
-        const provider = providers[providerName];
-        if (!provider) continue;
+    for (const link of providerChain) {
+        const { name: providerName, provider, fallbackOn } = link;
+        if (options.signal?.aborted) {
+            console.log(`${logPrefix} Stream aborted before '${providerName}'`);
+            return;
+        }
 
         // Check availability
         if (!await provider.isAvailable()) {
@@ -147,33 +398,53 @@ export async function* streamWithFallback(options, streamOptions = {}) {
             continue;
         }
 
+        if (!forceProvider && !mockMode && !allowRequest('tts', providerName)) {
+            console.warn(`${logPrefix} Provider '${providerName}' circuit open, skipping`);
+            tripped.push(providerName);
+            continue;
+        }
+
         if (!startProvider) {
             startProvider = providerName;
         } else {
             // This is a fallback, notify
-            console.warn(`${logPrefix} Attempting fallback to '${providerName}'...`);
-            yield { type: 'provider_switched', from: startProvider, to: providerName, correlation_id: correlation_id || null };
+            console.warn(`${logPrefix} Attempting fallback to '${providerName}' from segment ${resumeAt + 1}/${segments.length}...`);
+            yield {
+                type: 'provider_switched',
+                from: startProvider,
+                to: providerName,
+                segment: { index: resumeAt, text: segments[resumeAt] },
+                correlation_id: correlation_id || null
+            };
         }
 
-        let frameCount = 0;
-        try {
-            for await (const frame of provider.stream(options)) {
-                frameCount++;
-                yield { type: 'audio', frame, provider: providerName };
-            }
-            // Success! Exit the loop
-            console.log(`${logPrefix} provider=${providerName} frames=${frameCount} status=success`);
+        const result = yield* speakSegments(link, segments, resumeAt, options);
+        if (result.status === 'aborted') {
+            console.log(`${logPrefix} provider=${providerName} frames=${result.frames} status=aborted`);
             return;
-        } catch (error) {
-            console.error(`${logPrefix} Provider '${providerName}' failed after ${frameCount} frames:`, error.message);
-            lastError = error;
-            // Continue to next provider in chain
         }
+        if (result.status === 'completed') {
+            console.log(`${logPrefix} provider=${providerName} segments=${segments.length - resumeAt} frames=${result.frames} status=success`);
+            return;
+        }
+
+        const { error } = result;
+        console.error(`${logPrefix} Provider '${providerName}' failed on segment ${result.failedAt + 1}/${segments.length} after ${result.frames} frames:`, error.message);
+        recordFailure('tts', providerName, error);
+        lastError = error;
+        resumeAt = result.failedAt;
+        if (!shouldFallBack(error, fallbackOn)) {
+            console.warn(`${logPrefix} '${providerName}' error is not covered by its fallback rules, stopping`);
+            break;
+        }
+        // Continue to next provider in chain
     }
 
     // All providers failed
     if (lastError) {
         yield { type: 'error', error: lastError, provider: 'all' };
+    } else if (tripped.length > 0) {
+        yield { type: 'error', error: new Error(`No TTS providers available (circuit open: ${tripped.join(', ')})`), provider: 'none' };
     } else {
         yield { type: 'error', error: new Error('No TTS providers available'), provider: 'none' };
     }
@@ -181,20 +452,32 @@ export async function* streamWithFallback(options, streamOptions = {}) {
 
 /**
  * Get provider status for health checks
+ * fallbackOrder and chain describe the resolved chain (config or env).
  * @returns {Promise<Object>}
  */
 export async function getProviderStatus() {
     const status = {};
+    const chain = getChain();
 
     for (const [name, provider] of Object.entries(providers)) {
         status[name] = {
             available: await provider.isAvailable(),
-            isPrimary: name === getPrimaryProviderName()
+            isPrimary: name === chain[0].name,
+            health: getProviderHealth('tts', name)
         };
     }
 
-    status.fallbackOrder = FALLBACK_ORDER;
-    status.activeFallback = process.env.TTS_MOCK_MODE === 'true' ? 'mock' : getPrimaryProviderName();
+    status.fallbackOrder = chain.map(l => l.name);
+    status.chain = await Promise.all(chain.map(async ({ name, provider, fallbackOn, timeoutMs }) => ({
+        provider: name,
+        available: await provider.isAvailable(),
+        model: provider.model ?? null,
+        timeout_ms: timeoutMs ?? null,
+        fallback_on: fallbackOn,
+        circuit: getProviderHealth('tts', name).circuit
+    })));
+    status.chainSource = getProviderChains().source;
+    status.activeFallback = process.env.TTS_MOCK_MODE === 'true' ? 'mock' : chain[0].name;
 
     return status;
 }
@@ -72,6 +72,10 @@ export class MockTTSProvider extends TTSProvider {
             // Simulate network latency (10-30ms)
             await new Promise(r => setTimeout(r, 10 + Math.random() * 20));
 
+            if (options.signal?.aborted) {
+                return;
+            }
+
             const samples = generateSineWave(frequency, CHUNK_SAMPLES, sampleOffset);
             sampleOffset += CHUNK_SAMPLES;
 
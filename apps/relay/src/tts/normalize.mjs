@@ -0,0 +1,447 @@
+/**
+ * Text Normalization - Make LLM output speakable before TTS
+ * @module tts/normalize
+ *
+ * streamWithFallback runs every text through normalizeForSpeech() before it is
+ * segmented, so no provider is handed markdown syntax, raw URLs or emoji, and
+ * numbers are read the same way whichever provider speaks them.
+ *
+ * Rules run in this order; each works on the previous one's output:
+ * - markdown: drop code blocks, struck-out text, formatting and link targets;
+ *   headings, list items and table rows become sentences of their own
+ * - urls: "https://www.stark.com/docs" → "stark dot com slash docs", e-mail addresses likewise
+ * - emoji: dropped
+ * - dates: ISO dates and clock times ("2026-10-19", "14:30", "9:05 pm")
+ * - currency: "$1,250.50" → "1,250 dollars and 50 cents", also €, £ and ¥
+ * - units: "5 km", "20°C", "50%" and the like spelled out
+ * - numbers: integers, decimals, ordinals and years in words
+ *
+ * Config (read at call time): TTS_NORMALIZE_RULES, a comma-separated list of
+ * the rules to run (default: all; "none" turns normalization off).
+ */
+
+/**
+ * @typedef {'markdown' | 'urls' | 'emoji' | 'dates' | 'currency' | 'units' | 'numbers'} NormalizationRule
+ */
+
+/** @type {NormalizationRule[]} */
+export const NORMALIZATION_RULES = ['markdown', 'urls', 'emoji', 'dates', 'currency', 'units', 'numbers'];
+
+/**
+ * Rules to run, from TTS_NORMALIZE_RULES
+ * @returns {NormalizationRule[]} In pipeline order
+ * @throws {Error} If the list names an unknown rule
+ */
+export function getNormalizationRules() {
+    const value = process.env.TTS_NORMALIZE_RULES?.trim().toLowerCase();
+    if (!value) {
+        return NORMALIZATION_RULES;
+    }
+    if (value === 'none') {
+        return [];
+    }
+
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !NORMALIZATION_RULES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`TTS normalization: unknown rule ${unknown.join(', ')} in TTS_NORMALIZE_RULES (expected ${NORMALIZATION_RULES.join(', ')} or none)`);
+    }
+    return NORMALIZATION_RULES.filter(rule => names.includes(rule));
+}
+
+// ─── Numbers ────────────────────────────────────────────────
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+/** Beyond this, digits are left for the provider to read */
+const MAX_SPOKEN_NUMBER = 1e15;
+
+const IRREGULAR_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+/**
+ * @param {number} n - 1 to 999
+ * @returns {string}
+ */
+function hundredsToWords(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Cardinal number in words, e.g. 1250 → "one thousand two hundred fifty"
+ * @param {number} n - Non-negative integer below MAX_SPOKEN_NUMBER
+ * @returns {string}
+ */
+export function numberToWords(n) {
+    if (n === 0) {
+        return ONES[0];
+    }
+    const parts = [];
+    for (let scale = 0; n > 0; scale++) {
+        const chunk = n % 1000;
+        if (chunk) {
+            parts.unshift(SCALES[scale] ? `${hundredsToWords(chunk)} ${SCALES[scale]}` : hundredsToWords(chunk));
+        }
+        n = Math.floor(n / 1000);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * @param {number} n
+ * @returns {string} e.g. 21 → "twenty-first"
+ */
+function ordinalToWords(n) {
+    return numberToWords(n).replace(/[a-z]+$/, (last) => IRREGULAR_ORDINALS[last]
+        ?? (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+}
+
+/**
+ * Year-style reading for 1100-2099: 1984 → "nineteen eighty-four", 1500 → "fifteen hundred"
+ * @param {number} n
+ * @returns {string}
+ */
+function yearToWords(n) {
+    if (n >= 2000 && n < 2010) {
+        return numberToWords(n);
+    }
+    const high = Math.floor(n / 100);
+    const low = n % 100;
+    if (low === 0) {
+        return `${numberToWords(high)} hundred`;
+    }
+    return `${numberToWords(high)} ${low < 10 ? `oh ${ONES[low]}` : numberToWords(low)}`;
+}
+
+/**
+ * @param {string} digits
+ * @returns {string} e.g. "07" → "zero seven"
+ */
+function digitsToWords(digits) {
+    return [...digits].map(d => ONES[Number(d)]).join(' ');
+}
+
+/**
+ * @param {number} n
+ * @returns {string} e.g. 22 → "22nd"
+ */
+function ordinalSuffix(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+    return `${n}${suffix}`;
+}
+
+const ORDINAL_PATTERN = /(?<![\w.,])(\d{1,3}(?:,\d{3})+|\d+)(st|nd|rd|th)\b/gi;
+
+/**
+ * A number not glued to letters, another number or a path; commas group thousands.
+ * A minus sign only counts at the start of a word.
+ */
+const NUMBER_PATTERN = /(?<![\w.,:/])(?:(?<=^|[\s(])(-))?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?![\w/]|[.,:]\d)/g;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function expandNumbers(text) {
+    return text
+        .replace(ORDINAL_PATTERN, (match, digits) => {
+            const n = Number(digits.replace(/,/g, ''));
+            return n < MAX_SPOKEN_NUMBER ? ordinalToWords(n) : match;
+        })
+        .replace(NUMBER_PATTERN, (match, minus, digits, fraction) => {
+            const n = Number(digits.replace(/,/g, ''));
+            if (n >= MAX_SPOKEN_NUMBER) {
+                return match;
+            }
+
+            let words;
+            if (/^0\d/.test(digits)) {
+                words = digitsToWords(digits);
+            } else if (!minus && !fraction && /^\d{4}$/.test(digits) && n >= 1100 && n < 2100) {
+                words = yearToWords(n);
+            } else {
+                words = numberToWords(n);
+            }
+            if (fraction) {
+                words += ` point ${digitsToWords(fraction)}`;
+            }
+            return minus ? `minus ${words}` : words;
+        });
+}
+
+// ─── Dates and times ────────────────────────────────────────
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+const TIME_PATTERN = /\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?(?:\s?([ap])(?:\.m\.|m\b))?(?!\d)/gi;
+
+/**
+ * "2026-10-19" → "October 19th, 2026"; "9:05 pm" → "9 oh 5 PM"; "14:00" → "14 hundred"
+ * The numbers rule then reads the digits.
+ * @param {string} text
+ * @returns {string}
+ */
+function expandDates(text) {
+    return text
+        .replace(ISO_DATE_PATTERN, (match, year, month, day) => {
+            const m = Number(month);
+            const d = Number(day);
+            if (m < 1 || m > 12 || d < 1 || d > 31) {
+                return match;
+            }
+            return `${MONTHS[m - 1]} ${ordinalSuffix(d)}, ${year}`;
+        })
+        .replace(TIME_PATTERN, (match, hours, minutes, meridiem, offset, whole) => {
+            const hour = Number(hours);
+            const minute = Number(minutes);
+            // "p.m." at the end of a sentence also carries its full stop
+            const rest = whole.slice(offset + match.length);
+            const stop = match.endsWith('.') && (!rest || /^\s+[A-Z]/.test(rest)) ? '.' : '';
+            const suffix = meridiem ? ` ${meridiem.toUpperCase()}M${stop}` : '';
+
+            if (minute === 0) {
+                // Afternoon 24-hour times read as "fourteen hundred", the rest as "nine o'clock"
+                if (suffix) return `${hour}${suffix}`;
+                return hour > 12 ? `${hour} hundred` : `${hour} o'clock`;
+            }
+            return `${hour} ${minute < 10 ? `oh ${minute}` : minute}${suffix}`;
+        });
+}
+
+// ─── Currency ───────────────────────────────────────────────
+
+/** @type {Record<string, { one: string, many: string, minorOne?: string, minorMany?: string }>} */
+const CURRENCIES = {
+    '$': { one: 'dollar', many: 'dollars', minorOne: 'cent', minorMany: 'cents' },
+    '€': { one: 'euro', many: 'euros', minorOne: 'cent', minorMany: 'cents' },
+    '£': { one: 'pound', many: 'pounds', minorOne: 'penny', minorMany: 'pence' },
+    '¥': { one: 'yen', many: 'yen' }
+};
+
+const CURRENCY_SCALES = { k: 'thousand', m: 'million', bn: 'billion', thousand: 'thousand', million: 'million', billion: 'billion', trillion: 'trillion' };
+
+const CURRENCY_PATTERN = /(?<!\w)([$€£¥])\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?(?:\s?(k|m|bn|thousand|million|billion|trillion)\b)?/gi;
+
+/**
+ * "$1,250.50" → "1,250 dollars and 50 cents"; "€2.5m" → "2.5 million euros"
+ * @param {string} text
+ * @returns {string}
+ */
+function expandCurrency(text) {
+    return text.replace(CURRENCY_PATTERN, (match, symbol, whole, fraction, scale) => {
+        const currency = CURRENCIES[symbol];
+        if (scale) {
+            return `${whole}${fraction ? `.${fraction}` : ''} ${CURRENCY_SCALES[scale.toLowerCase()]} ${currency.many}`;
+        }
+
+        const amount = Number(whole.replace(/,/g, ''));
+        let spoken = `${whole} ${amount === 1 ? currency.one : currency.many}`;
+        const minor = fraction ? Number(fraction.padEnd(2, '0')) : 0;
+        if (minor > 0 && currency.minorOne) {
+            spoken += ` and ${minor} ${minor === 1 ? currency.minorOne : currency.minorMany}`;
+        }
+        return spoken;
+    });
+}
+
+// ─── Units ──────────────────────────────────────────────────
+
+/** @type {Record<string, [string, string]>} Symbol → [singular, plural] */
+const UNITS = {
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '%': ['percent', 'percent'],
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    'mph': ['mile per hour', 'miles per hour'],
+    'km': ['kilometer', 'kilometers'],
+    'cm': ['centimeter', 'centimeters'],
+    'mm': ['millimeter', 'millimeters'],
+    'kg': ['kilogram', 'kilograms'],
+    'mg': ['milligram', 'milligrams'],
+    'lbs': ['pound', 'pounds'],
+    'lb': ['pound', 'pounds'],
+    'ft': ['foot', 'feet'],
+    'TB': ['terabyte', 'terabytes'],
+    'GB': ['gigabyte', 'gigabytes'],
+    'MB': ['megabyte', 'megabytes'],
+    'KB': ['kilobyte', 'kilobytes'],
+    'ms': ['millisecond', 'milliseconds'],
+    'kWh': ['kilowatt hour', 'kilowatt hours'],
+    'kW': ['kilowatt', 'kilowatts'],
+    'MW': ['megawatt', 'megawatts'],
+    'GW': ['gigawatt', 'gigawatts'],
+    'GHz': ['gigahertz', 'gigahertz'],
+    'MHz': ['megahertz', 'megahertz'],
+    'kHz': ['kilohertz', 'kilohertz'],
+    'Hz': ['hertz', 'hertz']
+};
+
+// Longest symbols first, so "kWh" is not read as "kW" followed by "h"
+const UNIT_PATTERN = new RegExp(
+    `(?<![\\w.])(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s?(${Object.keys(UNITS)
+        .sort((a, b) => b.length - a.length)
+        .map(unit => unit.replace(/[/%]/g, '\\$&'))
+        .join('|')})(?![\\w/])`,
+    'g'
+);
+
+/**
+ * "5km" → "5 kilometers"; "1 kg" → "1 kilogram"; "20°C" → "20 degrees Celsius"
+ * @param {string} text
+ * @returns {string}
+ */
+function expandUnits(text) {
+    return text.replace(UNIT_PATTERN, (match, number, unit) => {
+        const [one, many] = UNITS[unit];
+        return `${number} ${number === '1' ? one : many}`;
+    });
+}
+
+// ─── URLs ───────────────────────────────────────────────────
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"]+/gi;
+const EMAIL_PATTERN = /\b([\w.+-]+)@([a-z\d-]+(?:\.[a-z\d-]+)+)\b/gi;
+const DOMAIN_PATTERN = /(?<![\w.@/-])((?:[a-z\d-]+\.)+(?:com|org|net|io|ai|dev|app|co|uk|gov|edu))(?![\w/@-]|\.\w)/gi;
+const URL_TRAILING_PUNCTUATION = /[.,!?;:'"]+$/;
+
+/** Path segments read out after the host; the rest of a long URL is dropped */
+const MAX_URL_PATH_SEGMENTS = 2;
+
+/**
+ * @param {string} part
+ * @returns {string} "stark.com" → "stark dot com"
+ */
+function speakDots(part) {
+    return part.split('.').filter(Boolean).join(' dot ');
+}
+
+/**
+ * @param {string} url - Without trailing punctuation
+ * @returns {string} "https://www.stark.com/docs/suit-v2?x=1" → "stark dot com slash docs slash suit v2"
+ */
+function speakUrl(url) {
+    const [host, ...path] = url
+        .replace(/^https?:\/\//i, '')
+        .replace(/^www\./i, '')
+        .replace(/[?#].*$/, '')
+        .split('/')
+        .filter(Boolean);
+    const segments = path.slice(0, MAX_URL_PATH_SEGMENTS).map(segment => segment.replace(/[-_+]+/g, ' '));
+    return [speakDots(host), ...segments].join(' slash ');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function speakUrls(text) {
+    return text
+        .replace(URL_PATTERN, (match) => {
+            const url = match.replace(URL_TRAILING_PUNCTUATION, '');
+            return speakUrl(url) + match.slice(url.length);
+        })
+        .replace(EMAIL_PATTERN, (match, user, domain) => `${speakDots(user)} at ${speakDots(domain)}`)
+        .replace(DOMAIN_PATTERN, (match, domain) => speakDots(domain));
+}
+
+// ─── Emoji ──────────────────────────────────────────────────
+
+// Pictographs plus the joiners, variation selectors, skin tones and keycaps that build emoji sequences
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D\u20E3]/gu;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function dropEmoji(text) {
+    return text.replace(EMOJI_PATTERN, '');
+}
+
+// ─── Markdown ───────────────────────────────────────────────
+
+/**
+ * Close a heading, list item or table row as a sentence so it is spoken as one
+ * @param {string} line
+ * @returns {string}
+ */
+function endSentence(line) {
+    const trimmed = line.trim();
+    return !trimmed || /[.!?…:;]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+    return text
+        // Code blocks, closed or cut off
+        .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[^\n]*$|(?![\s\S]))/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`\n]+)`/g, '$1')
+        .replace(/^ {0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/gm, (match, heading) => endSentence(heading))
+        .replace(/^ {0,3}>\s?/gm, '')
+        // Horizontal rules and table separator rows
+        .replace(/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm, '')
+        .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$/gm, '')
+        .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => endSentence(cells.split('|').map(c => c.trim()).filter(Boolean).join(', ')))
+        .replace(/^[ \t]*(?:[-*+•]|\d{1,3}[.)])[ \t]+(.*)$/gm, (match, item) => endSentence(item))
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+        .replace(/(?<![\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![\w*])/g, '$1')
+        .replace(/(?<![\w_])_(?=\S)([^_\n]+?)(?<=\S)_(?![\w_])/g, '$1')
+        // Struck-out text was taken back, so it is not read
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '');
+}
+
+// ─── Pipeline ───────────────────────────────────────────────
+
+/** @type {Record<NormalizationRule, (text: string) => string>} */
+const RULES = {
+    markdown: stripMarkdown,
+    urls: speakUrls,
+    emoji: dropEmoji,
+    dates: expandDates,
+    currency: expandCurrency,
+    units: expandUnits,
+    numbers: expandNumbers
+};
+
+/**
+ * Rewrite text the way it should be spoken
+ * Line breaks and runs of spaces collapse to single spaces; a paragraph that
+ * ends without punctuation is closed with a period.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {NormalizationRule[]} [options.rules] - Defaults to getNormalizationRules()
+ * @returns {string}
+ */
+export function normalizeForSpeech(text, { rules = getNormalizationRules() } = {}) {
+    let spoken = text;
+    for (const rule of NORMALIZATION_RULES) {
+        if (rules.includes(rule)) {
+            spoken = RULES[rule](spoken);
+        }
+    }
+
+    return spoken
+        .replace(/([^\s.!?…:;,])[ \t]*\n(?:[ \t]*\n)+/g, '$1.\n')
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([.,!?;:])/g, '$1')
+        .trim();
+}
@@ -0,0 +1,231 @@
+/**
+ * Text Segmenter - Sentence and clause splitting for TTS
+ * @module tts/segmenter
+ *
+ * SentenceBuffer feeds TTS one sentence at a time while the LLM is still
+ * writing, so speech can start as soon as the first sentence is complete.
+ * segmentText() cuts a complete text into the segments streamWithFallback
+ * synthesizes one by one: sentences, with long ones split again at clause
+ * boundaries so the first audio comes sooner.
+ *
+ * A period only ends a sentence if it is followed by whitespace and does not
+ * close an abbreviation ("Mr.", "e.g.", an initial), and URLs and e-mail
+ * addresses are never split.
+ */
+
+/**
+ * Sentence terminator followed by optional closing quotes/brackets and whitespace.
+ * Requiring trailing whitespace means "3.14" or "example.com" never split, and a
+ * terminator at the very end of the buffer waits for more text before committing.
+ */
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+/g;
+
+/**
+ * Clause punctuation followed by whitespace ("1,000" and "https://" have none)
+ */
+const CLAUSE_BOUNDARY = /[,;:–—]["')\]]*\s+/g;
+
+/**
+ * URLs and e-mail addresses, minus trailing punctuation that belongs to the sentence
+ */
+const PROTECTED_PATTERN = /\b(?:https?:\/\/|www\.)\S+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+const TRAILING_PUNCTUATION = /[.,!?;:…"')\]]+$/;
+
+/**
+ * Abbreviations that never end a sentence (lowercase, without the final period)
+ */
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'vs',
+    'e.g', 'i.e', 'cf', 'approx', 'dept', 'fig', 'gen', 'gov', 'lt', 'col', 'sgt', 'capt', 'rev', 'hon'
+]);
+
+/**
+ * Abbreviations that end a sentence only when the next word is capitalized
+ * ("by 5 p.m. tomorrow" vs "by 5 p.m. Then")
+ */
+const TRAILING_ABBREVIATIONS = new Set(['etc', 'inc', 'ltd', 'co', 'corp', 'a.m', 'p.m', 'u.s', 'u.k', 'no']);
+
+/**
+ * Long sentences are split at clauses beyond this length
+ */
+export const DEFAULT_MAX_SEGMENT_CHARS = 160;
+
+/**
+ * Clause pieces shorter than this are merged with a neighbour, to keep prosody natural
+ */
+const MIN_CLAUSE_CHARS = 24;
+
+/**
+ * Blank out URLs and e-mail addresses so no boundary is found inside them
+ * The result has the same length, so indices still apply to the original.
+ * @param {string} text
+ * @returns {string}
+ */
+function maskProtected(text) {
+    return text.replace(PROTECTED_PATTERN, (match) => {
+        const kept = match.replace(TRAILING_PUNCTUATION, '');
+        return 'x'.repeat(kept.length) + match.slice(kept.length);
+    });
+}
+
+/**
+ * Whether a terminator match really ends a sentence
+ * @param {string} text - Masked text
+ * @param {RegExpExecArray} match
+ * @param {boolean} final - No more text will follow
+ * @returns {boolean | null} null: can't tell until more text arrives
+ */
+function isSentenceEnd(text, match, final) {
+    // Only a single period can close an abbreviation
+    if (!/^\.(?!\.)/.test(match[0])) {
+        return true;
+    }
+
+    const word = /(\S+)$/.exec(text.slice(0, match.index))?.[1].replace(/^["'(\[]+/, '') ?? '';
+    if (/^[A-Z]$/.test(word) || ABBREVIATIONS.has(word.toLowerCase())) {
+        return false;
+    }
+    if (!TRAILING_ABBREVIATIONS.has(word.toLowerCase())) {
+        return true;
+    }
+
+    const end = match.index + match[0].length;
+    if (end >= text.length) {
+        return final ? true : null;
+    }
+    const next = text[end];
+    // "No. 5" is a number; the rest end a sentence before a capital
+    return word.toLowerCase() === 'no' ? !/\d/.test(next) : /[A-Z"'(]/.test(next);
+}
+
+/**
+ * Accumulates streamed text and emits complete sentences
+ */
+export class SentenceBuffer {
+    constructor() {
+        /** @type {string} */
+        this.buffer = '';
+    }
+
+    /**
+     * Append a text delta and return any sentences it completed
+     * @param {string} text - Incoming text delta
+     * @returns {string[]} Complete, trimmed sentences (may be empty)
+     */
+    push(text) {
+        this.buffer += text;
+        return this._drain(false);
+    }
+
+    /**
+     * Return whatever text remains once the stream has ended
+     * @returns {string|null} Trailing text, or null if nothing is left
+     */
+    flush() {
+        const sentences = this._drain(true);
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        const all = rest ? [...sentences, rest] : sentences;
+        return all.length > 0 ? all.join(' ') : null;
+    }
+
+    /**
+     * Cut complete sentences off the front of the buffer
+     * @private
+     * @param {boolean} final - No more text will follow
+     * @returns {string[]}
+     */
+    _drain(final) {
+        const masked = maskProtected(this.buffer);
+        const sentences = [];
+        let consumed = 0;
+        SENTENCE_BOUNDARY.lastIndex = 0;
+
+        let match;
+        while ((match = SENTENCE_BOUNDARY.exec(masked)) !== null) {
+            const end = isSentenceEnd(masked, match, final);
+            if (end === null) {
+                break;
+            }
+            if (!end) {
+                continue;
+            }
+            const stop = match.index + match[0].length;
+            const sentence = this.buffer.slice(consumed, stop).trim();
+            if (sentence) {
+                sentences.push(sentence);
+            }
+            consumed = stop;
+        }
+
+        this.buffer = this.buffer.slice(consumed);
+        return sentences;
+    }
+}
+
+/**
+ * Split a complete text into sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    const buffer = new SentenceBuffer();
+    buffer.buffer = text;
+    const sentences = buffer._drain(true);
+    const rest = buffer.buffer.trim();
+    if (rest) {
+        sentences.push(rest);
+    }
+    return sentences;
+}
+
+/**
+ * Split a long sentence at clause boundaries into pieces of roughly maxChars
+ * @param {string} sentence
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitClauses(sentence, maxChars) {
+    const masked = maskProtected(sentence);
+    const pieces = [];
+    let start = 0;
+    CLAUSE_BOUNDARY.lastIndex = 0;
+
+    let match;
+    while ((match = CLAUSE_BOUNDARY.exec(masked)) !== null) {
+        const stop = match.index + match[0].length;
+        pieces.push(sentence.slice(start, stop).trim());
+        start = stop;
+    }
+    pieces.push(sentence.slice(start).trim());
+
+    const segments = [];
+    let current = '';
+    for (const piece of pieces.filter(Boolean)) {
+        if (current.length >= MIN_CLAUSE_CHARS && current.length + piece.length + 1 > maxChars) {
+            segments.push(current);
+            current = piece;
+        } else {
+            current = current ? `${current} ${piece}` : piece;
+        }
+    }
+    if (current.length < MIN_CLAUSE_CHARS && segments.length > 0) {
+        segments.push(`${segments.pop()} ${current}`);
+    } else if (current) {
+        segments.push(current);
+    }
+    return segments;
+}
+
+/**
+ * Split a complete text into TTS segments: sentences, with any sentence longer
+ * than maxChars split again at clause boundaries
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - 0 keeps whole sentences
+ * @returns {string[]}
+ */
+export function segmentText(text, { maxChars = DEFAULT_MAX_SEGMENT_CHARS } = {}) {
+    return splitSentences(text).flatMap(sentence =>
+        maxChars > 0 && sentence.length > maxChars ? splitClauses(sentence, maxChars) : [sentence]);
+}
@@ -24,6 +24,7 @@
  * @property {string} text - Text to synthesize
  * @property {string} [voiceId] - Voice ID override
  * @property {string} [format] - Audio format (default: pcm_16000)
+ * @property {AbortSignal} [signal] - Aborts synthesis; providers stop upstream work and return without error
  */
 
 /**
@@ -1,32 +1,113 @@
 /**
  * WebSocket Voice Handler
- * Handles real-time TTS streaming over WebSocket
+ * Handles real-time TTS streaming, streamed LLM turns, microphone input (streaming STT)
+ * and reminder notifications over WebSocket
  * @module ws/handler
  */
 
+import { randomUUID } from 'crypto';
 import { streamWithFallback, getProviderStatus } from '../tts/index.mjs';
+import { SentenceBuffer } from '../tts/segmenter.mjs';
+import { getContextBudget, isConfigured as isLLMConfigured } from '../llm/index.mjs';
+import { getTokenizer } from '../llm/tokenizers/index.mjs';
+import { buildLLMContext, validateContext } from '../llm/context-builder.mjs';
+import { streamWithTools } from '../tools/loop.mjs';
 import { appendMessage } from '../services/messages.mjs';
+import { ensureUser } from '../services/users.mjs';
+import { getSessionById } from '../services/sessions.mjs';
+import { buildBootstrapContext } from '../services/bootstrap.mjs';
+import { extractFactsFromTurn } from '../services/fact-extraction.mjs';
+import { claimDueReminders, unclaimReminder } from '../services/reminders.mjs';
+import { isConfigured as isSTTConfigured } from '../stt/index.mjs';
+import { createStreamingSTTSession, MAX_UTTERANCE_BYTES } from '../stt/streaming.mjs';
 import {
     parseClientMessage,
     createConnectedMessage,
     createSessionBoundMessage,
     createTranscriptDeltaMessage,
     createAudioFrameMessage,
+    createBinaryAudioFrame,
+    parseBinaryAudioFrame,
+    isBinaryCodec,
+    createUserTranscriptPartialMessage,
+    createUserTranscriptFinalMessage,
     createAudioEndMessage,
     createErrorMessage,
     createPongMessage,
     createProviderSwitchedMessage,
-    ClientMessageType
+    createAssistantResponseMessage,
+    createAssistantNotifyMessage,
+    ClientMessageType,
+    AUDIO_ENCODING
 } from './protocol.mjs';
 
+/**
+ * Session ids are UUIDs; anything else cannot exist (and would make Postgres throw)
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * WebSocket client state
  * @typedef {Object} ClientState
- * @property {string|null} userId
+ * @property {string|null} userId - Internal user UUID (resolved from the client's external id)
+ * @property {string|null} userExternalId - user_id as sent by the client
  * @property {string|null} sessionId
  * @property {boolean} isSpeaking
  * @property {AbortController|null} speakAbort
+ * @property {{ playedSeq: number|null }|null} bargeIn - Set when the client interrupts playback
+ * @property {string} audioEncoding - 'base64' (JSON audio.frame) or 'binary', negotiated in session.bind
+ * @property {AudioInputState|null} audioInput - Microphone utterance in progress (audio.input start..stop)
+ * @property {Set<import('../stt/streaming.mjs').StreamingSTTSession>} transcribing - Stopped utterances awaiting their final transcript
+ */
+
+/**
+ * @typedef {Object} AudioInputState
+ * @property {import('../stt/streaming.mjs').StreamingSTTSession} stt
+ * @property {string} codec
+ * @property {string} correlationId
+ * @property {Object|null} ask - assistant.ask fields to run with the final transcript (auto_ask), or null
+ */
+
+/**
+ * A connected socket and its state
+ * @typedef {Object} VoiceClient
+ * @property {WebSocket} socket
+ * @property {ClientState} state
+ */
+
+/**
+ * Bound sockets by internal user id, so the relay can reach a user unprompted
+ * @type {Map<string, Set<VoiceClient>>}
+ */
+const boundClients = new Map();
+
+/**
+ * Track a client under the user it is now bound to
+ * @param {VoiceClient} client
+ * @param {string|null} previousUserId - User it was bound to before, if any
  */
+function trackBoundClient(client, previousUserId) {
+    if (previousUserId) {
+        untrackBoundClient(client, previousUserId);
+    }
+    if (!boundClients.has(client.state.userId)) {
+        boundClients.set(client.state.userId, new Set());
+    }
+    boundClients.get(client.state.userId).add(client);
+}
+
+/**
+ * @param {VoiceClient} client
+ * @param {string|null} userId
+ */
+function untrackBoundClient(client, userId) {
+    const clients = boundClients.get(userId);
+    if (!clients) return;
+    clients.delete(client);
+    if (clients.size === 0) {
+        boundClients.delete(userId);
+    }
+}
 
 /**
  * Create WebSocket handler for Fastify
@@ -40,15 +121,29 @@ export function createVoiceHandler(app) {
         /** @type {ClientState} */
         const state = {
             userId: null,
+            userExternalId: null,
             sessionId: null,
             isSpeaking: false,
-            speakAbort: null
+            speakAbort: null,
+            bargeIn: null,
+            audioEncoding: AUDIO_ENCODING,
+            audioInput: null,
+            transcribing: new Set()
         };
 
+        /** @type {VoiceClient} */
+        const client = { socket, state };
+
         // Send connection confirmation
         socket.send(createConnectedMessage());
 
-        socket.on('message', async (raw) => {
+        socket.on('message', async (raw, isBinary) => {
+            // The only binary messages a client sends are audio.input chunks
+            if (isBinary) {
+                handleAudioInputFrame(socket, state, raw, app);
+                return;
+            }
+
             const data = raw.toString();
             app.log.debug({ clientId, msg: 'WS message received', length: data.length });
 
@@ -66,12 +161,25 @@ export function createVoiceHandler(app) {
                         break;
 
                     case ClientMessageType.SESSION_BIND:
-                        await handleSessionBind(socket, state, message, app);
+                        await handleSessionBind(client, message, app);
                         break;
 
                     case ClientMessageType.ASSISTANT_SPEAK:
                         await handleAssistantSpeak(socket, state, message, app);
                         break;
+
+                    case ClientMessageType.ASSISTANT_ASK:
+                        await handleAssistantAsk(socket, state, message, app);
+                        break;
+
+                    case ClientMessageType.ASSISTANT_CANCEL:
+                    case ClientMessageType.BARGE_IN:
+                        handleAssistantCancel(state, message, app);
+                        break;
+
+                    case ClientMessageType.AUDIO_INPUT:
+                        await handleAudioInput(socket, state, message, app);
+                        break;
                 }
             } catch (err) {
                 app.log.error({ clientId, err }, 'Error handling message');
@@ -81,10 +189,20 @@ export function createVoiceHandler(app) {
 
         socket.on('close', () => {
             app.log.info({ clientId }, 'Voice WebSocket client disconnected');
+            untrackBoundClient(client, state.userId);
             // Cancel any ongoing speech
             if (state.speakAbort) {
                 state.speakAbort.abort();
             }
+            // Drop any half-spoken utterance
+            if (state.audioInput) {
+                state.audioInput.stt.abort();
+                state.audioInput = null;
+            }
+            // Nobody is left to hear these transcripts
+            for (const stt of state.transcribing) {
+                stt.abort();
+            }
         });
 
         socket.on('error', (err) => {
@@ -95,25 +213,595 @@ export function createVoiceHandler(app) {
 
 /**
  * Handle session.bind message
- * @param {WebSocket} socket
- * @param {ClientState} state
+ * user_id is the external id (as in the x-jarvis-user-id header) and is resolved
+ * the same way as the REST middleware. The session must exist, belong to that user
+ * and still be active. A rejected bind leaves any previous binding in place.
+ * Reminders that came due while the user had no bound socket are delivered
+ * right after session.bound.
+ * @param {VoiceClient} client
  * @param {Object} message
  * @param {import('fastify').FastifyInstance} app
  */
-async function handleSessionBind(socket, state, message, app) {
-    state.userId = message.user_id;
-    state.sessionId = message.session_id;
+async function handleSessionBind(client, message, app) {
+    const { socket, state } = client;
+    const { user_id: externalId, session_id: sessionId } = message;
+
+    const user = await ensureUser(externalId);
+    const session = UUID_PATTERN.test(sessionId) ? await getSessionById(sessionId) : null;
+
+    if (!session) {
+        app.log.warn({ userId: user.id, sessionId }, 'Session bind rejected: not found');
+        socket.send(createErrorMessage('SESSION_NOT_FOUND', 'Session not found'));
+        return;
+    }
+    if (session.user_id !== user.id) {
+        app.log.warn({ userId: user.id, sessionId }, 'Session bind rejected: belongs to another user');
+        socket.send(createErrorMessage('SESSION_FORBIDDEN', 'Session does not belong to user'));
+        return;
+    }
+    if (session.ended_at) {
+        app.log.warn({ userId: user.id, sessionId }, 'Session bind rejected: session ended');
+        socket.send(createErrorMessage('SESSION_ENDED', 'Cannot bind to ended session'));
+        return;
+    }
+
+    const previousUserId = state.userId;
+    state.userId = user.id;
+    state.userExternalId = externalId;
+    state.sessionId = session.id;
+    state.audioEncoding = message.audio_encoding || AUDIO_ENCODING;
 
     app.log.info({
         userId: state.userId,
-        sessionId: state.sessionId
+        sessionId: state.sessionId,
+        audioEncoding: state.audioEncoding
     }, 'Session bound');
 
-    socket.send(createSessionBoundMessage(state.userId, state.sessionId));
+    socket.send(createSessionBoundMessage(externalId, state.sessionId, state.audioEncoding));
+    trackBoundClient(client, previousUserId);
+
+    try {
+        await deliverReminders([state.userId], app);
+    } catch (err) {
+        app.log.warn({ userId: state.userId, err: err.message }, '[reminders] delivery on bind failed');
+    }
+}
+
+/**
+ * How a reminder is announced
+ * @param {string} text - Reminder text
+ * @returns {string}
+ */
+function formatReminder(text) {
+    return `Reminder, Sir: ${text}${/[.!?]$/.test(text) ? '' : '.'}`;
+}
+
+/**
+ * Push due reminders of the given users to their bound sockets
+ * Every socket of the user gets an assistant.notify per reminder; sockets that
+ * aren't speaking then speak all of them as one turn. A reminder no socket
+ * could be sent is put back for the next bind.
+ * @param {string[]} userIds
+ * @param {import('fastify').FastifyInstance} app
+ * @returns {Promise<number>} Reminders delivered
+ */
+async function deliverReminders(userIds, app) {
+    const reminders = await claimDueReminders(userIds);
+    /** @type {Map<VoiceClient, { text: string, correlationId: string }[]>} */
+    const announcements = new Map();
+    let delivered = 0;
+
+    for (const reminder of reminders) {
+        const text = formatReminder(reminder.text);
+        const correlationId = `reminder-${reminder.id}`;
+        let reached = false;
+
+        for (const client of boundClients.get(reminder.user_id) || []) {
+            const spoken = !client.state.isSpeaking;
+            const sent = createSafeSend(client.socket, app)(createAssistantNotifyMessage({
+                kind: 'reminder',
+                text,
+                reminder_id: reminder.id,
+                due_at: reminder.due_at.toISOString(),
+                spoken,
+                correlation_id: correlationId
+            }));
+            if (!sent) continue;
+            reached = true;
+            if (spoken) {
+                if (!announcements.has(client)) announcements.set(client, []);
+                announcements.get(client).push({ text, correlationId });
+            }
+        }
+
+        if (reached) {
+            delivered++;
+            app.log.info({ reminder_id: reminder.id, userId: reminder.user_id, due_at: reminder.due_at }, '[reminders] delivered');
+        } else {
+            await unclaimReminder(reminder.id);
+        }
+    }
+
+    // Spoken in the background so one socket's speech doesn't hold up the rest
+    for (const [{ socket, state }, items] of announcements) {
+        // A turn may have started while the claims were settled
+        if (state.isSpeaking) continue;
+        const message = {
+            type: ClientMessageType.ASSISTANT_SPEAK,
+            text: items.map(item => item.text).join(' '),
+            correlation_id: items[0].correlationId
+        };
+        handleAssistantSpeak(socket, state, message, app).catch((err) => {
+            app.log.error({ err, correlation_id: message.correlation_id }, '[reminders] announcement failed');
+        });
+    }
+
+    return delivered;
+}
+
+/**
+ * Deliver due reminders to every user with a bound socket (see services/reminder-scheduler)
+ * @param {import('fastify').FastifyInstance} app
+ * @returns {Promise<number>} Reminders delivered
+ */
+export function deliverDueReminders(app) {
+    return deliverReminders([...boundClients.keys()], app);
+}
+
+/**
+ * Handle assistant.cancel / barge_in - stop the current spoken turn
+ * The speaking handler sees the abort, sends audio.end (interrupted) and
+ * persists only what was spoken. Ignored when nothing is playing.
+ * @param {ClientState} state
+ * @param {Object} message
+ * @param {import('fastify').FastifyInstance} app
+ */
+function handleAssistantCancel(state, message, app) {
+    if (!state.isSpeaking || !state.speakAbort) {
+        app.log.debug({ sessionId: state.sessionId, type: message.type }, 'Cancel received while idle, ignoring');
+        return;
+    }
+
+    state.bargeIn = { playedSeq: message.played_seq ?? null };
+    state.speakAbort.abort();
+
+    app.log.info({
+        sessionId: state.sessionId,
+        type: message.type,
+        played_seq: state.bargeIn.playedSeq
+    }, 'Barge-in: aborting speech');
+}
+
+/**
+ * Handle audio.input - microphone streaming into STT
+ * start opens an utterance, chunk adds audio (JSON data_b64; binary frames go
+ * through handleAudioInputFrame), stop sends transcript.user.final and, with
+ * auto_ask, runs the final transcript as an assistant.ask turn.
+ * start opens the utterance before its first await and chunk never awaits,
+ * so chunks are buffered in arrival order.
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {Object} message
+ * @param {import('fastify').FastifyInstance} app
+ */
+async function handleAudioInput(socket, state, message, app) {
+    switch (message.event) {
+        case 'start':
+            await startAudioInput(socket, state, message, app);
+            break;
+        case 'chunk':
+            pushAudioInput(socket, state, Buffer.from(message.data_b64, 'base64'), app);
+            break;
+        case 'stop':
+            await stopAudioInput(socket, state, app);
+            break;
+    }
+}
+
+/**
+ * Open an utterance for audio.input start
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {Object} message
+ * @param {import('fastify').FastifyInstance} app
+ */
+async function startAudioInput(socket, state, message, app) {
+    if (!state.sessionId) {
+        socket.send(createErrorMessage('NOT_BOUND', 'Call session.bind first'));
+        return;
+    }
+
+    if (state.audioInput) {
+        socket.send(createErrorMessage('AUDIO_INPUT_ACTIVE', 'audio.input already started, send stop first'));
+        return;
+    }
+
+    const correlationId = message.correlation_id || `stt-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const safeSend = createSafeSend(socket, app);
+
+    const stt = createStreamingSTTSession({
+        codec: message.codec,
+        correlationId,
+        logger: app.log,
+        mockTranscript: message.mock_transcript,
+        onPartial: (text) => safeSend(createUserTranscriptPartialMessage(text, correlationId))
+    });
+
+    const input = {
+        stt,
+        codec: message.codec,
+        correlationId,
+        ask: message.auto_ask ? {
+            voice_provider: message.voice_provider,
+            tts_provider: message.tts_provider,
+            tts_disable: message.tts_disable,
+            llm_provider: message.llm_provider
+        } : null
+    };
+    state.audioInput = input;
+
+    // Chunks that arrive during this check are buffered, then dropped with the utterance
+    if (!await isSTTConfigured()) {
+        stt.abort();
+        if (state.audioInput === input) {
+            state.audioInput = null;
+        }
+        socket.send(createErrorMessage('STT_NOT_CONFIGURED', 'STT not configured'));
+        return;
+    }
+
+    app.log.info({
+        sessionId: state.sessionId,
+        correlation_id: correlationId,
+        codec: message.codec,
+        auto_ask: Boolean(message.auto_ask)
+    }, '[stt] audio input started');
+}
+
+/**
+ * Handle a binary audio.input chunk (binary frame header + audio bytes)
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {Buffer} raw
+ * @param {import('fastify').FastifyInstance} app
+ */
+function handleAudioInputFrame(socket, state, raw, app) {
+    let frame;
+    try {
+        frame = parseBinaryAudioFrame(raw);
+    } catch (err) {
+        socket.send(createErrorMessage('INVALID_MESSAGE', err.message));
+        return;
+    }
+
+    if (state.audioInput && frame.codec !== state.audioInput.codec) {
+        socket.send(createErrorMessage('INVALID_MESSAGE', `Binary audio.input frame codec must match start codec ${state.audioInput.codec}`));
+        return;
+    }
+
+    pushAudioInput(socket, state, frame.data, app);
+}
+
+/**
+ * Add audio to the open utterance
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {Buffer} chunk
+ * @param {import('fastify').FastifyInstance} app
+ */
+function pushAudioInput(socket, state, chunk, app) {
+    const input = state.audioInput;
+    if (!input) {
+        socket.send(createErrorMessage('AUDIO_INPUT_NOT_STARTED', 'Send audio.input start first'));
+        return;
+    }
+
+    if (input.stt.byteLength + chunk.length > MAX_UTTERANCE_BYTES) {
+        app.log.warn({ correlation_id: input.correlationId, bytes: input.stt.byteLength }, '[stt] audio input too large, dropping utterance');
+        input.stt.abort();
+        state.audioInput = null;
+        socket.send(createErrorMessage('AUDIO_INPUT_TOO_LARGE', `Utterance exceeds ${MAX_UTTERANCE_BYTES} bytes`));
+        return;
+    }
+
+    input.stt.push(chunk);
+}
+
+/**
+ * Close the utterance: send the final transcript, then start the turn if auto_ask was set
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {import('fastify').FastifyInstance} app
+ */
+async function stopAudioInput(socket, state, app) {
+    const input = state.audioInput;
+    if (!input) {
+        socket.send(createErrorMessage('AUDIO_INPUT_NOT_STARTED', 'Send audio.input start first'));
+        return;
+    }
+    // Cleared before transcribing so the next utterance can start right away
+    state.audioInput = null;
+
+    const startTime = Date.now();
+    const safeSend = createSafeSend(socket, app);
+    let result;
+    state.transcribing.add(input.stt);
+    try {
+        result = await input.stt.finish();
+    } catch (err) {
+        const safeMessage = err.message?.replace(/Bearer\s+[^\s]+/g, 'Bearer [REDACTED]') || 'Transcription failed';
+        app.log.error({
+            correlation_id: input.correlationId,
+            error_status: err.status || null,
+            error_message: safeMessage
+        }, '[stt] streaming transcription failed');
+        safeSend(createErrorMessage('TRANSCRIPTION_FAILED', 'Transcription failed'));
+        return;
+    } finally {
+        state.transcribing.delete(input.stt);
+    }
+
+    // Contract log: [stt] provider=... elapsed_ms=... transcript_len=...
+    app.log.info(`[stt] correlation_id=${input.correlationId} provider=${result.provider} bytes=${input.stt.byteLength} elapsed_ms=${Date.now() - startTime} transcript_len=${result.text.length}`);
+
+    if (!safeSend(createUserTranscriptFinalMessage(result.text, result.provider, input.correlationId))) {
+        return;
+    }
+
+    if (input.ask && result.text) {
+        await handleAssistantAsk(socket, state, {
+            type: ClientMessageType.ASSISTANT_ASK,
+            text: result.text,
+            ...input.ask,
+            correlation_id: input.correlationId
+        }, app);
+    }
+}
+
+/**
+ * Create a send function that checks readyState before sending
+ * @param {WebSocket} socket
+ * @param {import('fastify').FastifyInstance} app
+ * @returns {(data: string|Buffer) => boolean} - returns true if sent, false if socket closed
+ */
+function createSafeSend(socket, app) {
+    return (data) => {
+        if (socket.readyState !== 1) { // 1 = OPEN
+            app.log.warn({ readyState: socket.readyState }, 'Socket not open, skipping send');
+            return false;
+        }
+        try {
+            socket.send(data);
+            return true;
+        } catch (err) {
+            app.log.error({ err: err.message }, 'Socket send error');
+            return false;
+        }
+    };
+}
+
+/**
+ * Audio telemetry for one spoken turn (may span several TTS segments)
+ * @typedef {Object} SpeechTelemetry
+ * @property {number} startTime
+ * @property {number} frameCount - Frames delivered; also the next outgoing seq
+ * @property {string|null} lastProvider
+ * @property {number|null} seqStart
+ * @property {number|null} seqEnd
+ * @property {number} missingSeqCount
+ * @property {string|null} lastCodec
+ * @property {number|null} lastSampleRate
+ * @property {number|null} lastChannels
+ * @property {{ text: string, seqStart: number }[]} segments - Text of each segment that produced audio, with its first seq
+ */
+
+/**
+ * @returns {SpeechTelemetry}
+ */
+function createSpeechTelemetry() {
+    return {
+        startTime: Date.now(),
+        frameCount: 0,
+        lastProvider: null,
+        seqStart: null,
+        seqEnd: null,
+        missingSeqCount: 0,
+        lastCodec: null,
+        lastSampleRate: null,
+        lastChannels: null,
+        segments: []
+    };
+}
+
+/**
+ * Stream TTS audio for a single piece of text to the socket
+ * Outgoing seq numbers continue across segments so the client sees one ordered stream.
+ * telemetry.segments gets an entry per TTS segment (sentence or clause) that started playing.
+ * @param {Object} params
+ * @param {WebSocket} params.socket
+ * @param {ClientState} params.state
+ * @param {string} params.text - Text to synthesize
+ * @param {Object} params.streamOptions - Options for tts streamWithFallback
+ * @param {SpeechTelemetry} params.telemetry
+ * @param {(data: string|Buffer) => boolean} params.safeSend
+ * @param {import('fastify').FastifyInstance} params.app
+ * @returns {Promise<'completed' | 'aborted' | 'send_failed'>}
+ */
+async function streamSpeechSegment({ socket, state, text, streamOptions, telemetry, safeSend, app }) {
+    const correlationId = streamOptions.correlation_id;
+    const signal = state.speakAbort.signal;
+    let lastProviderSeq = null;
+    // A fallback replays the failed segment; its first start is the one that counts
+    /** @type {Map<number, number>} Segment index → seq of its first frame */
+    const startedSegments = new Map();
+
+    for await (const event of streamWithFallback({ text, signal }, streamOptions)) {
+        // Check for abort
+        if (signal.aborted) {
+            app.log.info({ sessionId: state.sessionId }, 'TTS stream aborted');
+            return 'aborted';
+        }
+
+        // Check socket is still open before processing event
+        if (socket.readyState !== 1) {
+            app.log.info({ sessionId: state.sessionId, frameCount: telemetry.frameCount }, 'Socket closed mid-stream');
+            return 'aborted';
+        }
+
+        switch (event.type) {
+            case 'audio': {
+                // Detect missing sequences from the provider for audio cutting diagnosis
+                const providerSeq = event.frame.seq;
+                if (lastProviderSeq !== null && providerSeq !== lastProviderSeq + 1) {
+                    telemetry.missingSeqCount += (providerSeq - lastProviderSeq - 1);
+                    app.log.warn({ correlation_id: correlationId, expected: lastProviderSeq + 1, got: providerSeq }, 'Missing audio sequence detected');
+                }
+                lastProviderSeq = providerSeq;
+
+                const seq = telemetry.frameCount;
+                if (telemetry.seqStart === null) telemetry.seqStart = seq;
+
+                // Track codec info for audio.end
+                telemetry.lastCodec = event.frame.codec;
+                telemetry.lastSampleRate = event.frame.sample_rate_hz;
+                telemetry.lastChannels = event.frame.channels;
+
+                // Binary mode falls back to JSON for codecs the binary header can't describe
+                const frameArgs = [event.frame.data, seq, event.frame.codec, event.frame.sample_rate_hz, event.frame.channels];
+                const sent = safeSend(state.audioEncoding === 'binary' && isBinaryCodec(event.frame.codec)
+                    ? createBinaryAudioFrame(...frameArgs)
+                    : createAudioFrameMessage(...frameArgs));
+                if (!sent) {
+                    app.log.warn({ correlation_id: correlationId, frameCount: telemetry.frameCount }, 'Failed to send audio frame');
+                    return 'send_failed';
+                }
+                if (!startedSegments.has(event.segment.index)) {
+                    startedSegments.set(event.segment.index, seq);
+                    telemetry.segments.push({ text: event.segment.text, seqStart: seq });
+                }
+                telemetry.seqEnd = seq;
+                telemetry.frameCount++;
+                telemetry.lastProvider = event.provider;
+                break;
+            }
+
+            case 'provider_switched':
+                app.log.warn({
+                    from: event.from,
+                    to: event.to
+                }, 'TTS provider switched mid-stream');
+                // A new provider restarts its own numbering
+                lastProviderSeq = null;
+                // The client drops what it has not played of the failed segment's frames
+                safeSend(createProviderSwitchedMessage(event.from, event.to, correlationId, startedSegments.get(event.segment.index) ?? null));
+                break;
+
+            case 'error':
+                app.log.error({
+                    provider: event.provider,
+                    error: event.error.message
+                }, 'TTS stream error');
+                safeSend(createErrorMessage('TTS_ERROR', 'Voice synthesis failed'));
+                break;
+        }
+    }
+
+    // The TTS stream ends quietly when aborted, so check once more
+    if (signal.aborted) {
+        app.log.info({ sessionId: state.sessionId }, 'TTS stream aborted');
+        return 'aborted';
+    }
+
+    return 'completed';
+}
+
+/**
+ * Work out how much of a spoken turn the client actually heard
+ * On barge-in the client's played_seq is trusted, clamped to what was delivered;
+ * otherwise everything delivered counts as heard.
+ * @param {ClientState} state
+ * @param {SpeechTelemetry} telemetry
+ * @returns {{ interrupted: boolean, lastSeq: number|null, spokenText: string }}
+ */
+function resolvePlayback(state, telemetry) {
+    const interrupted = state.bargeIn !== null;
+    let lastSeq = telemetry.seqEnd;
+
+    const playedSeq = state.bargeIn?.playedSeq;
+    if (interrupted && playedSeq !== null && playedSeq !== undefined && lastSeq !== null) {
+        lastSeq = playedSeq < 0 ? null : Math.min(playedSeq, lastSeq);
+    }
+
+    const spokenText = lastSeq === null
+        ? ''
+        : telemetry.segments
+            .filter(segment => segment.seqStart <= lastSeq)
+            .map(segment => segment.text)
+            .join(' ');
+
+    return { interrupted, lastSeq, spokenText };
+}
+
+/**
+ * Clear the speaking flags for a turn, unless a newer turn already owns them
+ * Called right after audio.end so the client can start the next turn while
+ * this one is still being persisted.
+ * @param {ClientState} state
+ * @param {AbortController} controller - The turn's speakAbort
+ */
+function releaseSpeech(state, controller) {
+    if (state.speakAbort !== controller) {
+        return;
+    }
+    state.isSpeaking = false;
+    state.speakAbort = null;
+    state.bargeIn = null;
+}
+
+/**
+ * Send audio.end and log the stream summary for a spoken turn
+ * @param {Object} params
+ * @param {ClientState} params.state
+ * @param {SpeechTelemetry} params.telemetry
+ * @param {string} params.correlationId
+ * @param {{ interrupted: boolean, lastSeq: number|null }} params.playback - From resolvePlayback()
+ * @param {(data: string) => boolean} params.safeSend
+ * @param {import('fastify').FastifyInstance} params.app
+ */
+function finishSpeech({ state, telemetry, correlationId, playback, safeSend, app }) {
+    // Send audio end (only if socket still open) - enhanced with telemetry
+    safeSend(createAudioEndMessage(
+        telemetry.frameCount,
+        telemetry.lastProvider || 'unknown',
+        telemetry.lastCodec,
+        telemetry.lastSampleRate,
+        telemetry.lastChannels,
+        correlationId,
+        playback.interrupted,
+        playback.lastSeq
+    ));
+
+    // Stream summary log for audio cutting diagnosis
+    app.log.info({
+        correlation_id: correlationId,
+        sessionId: state.sessionId,
+        provider: telemetry.lastProvider,
+        codec: telemetry.lastCodec,
+        sample_rate_hz: telemetry.lastSampleRate,
+        seq_start: telemetry.seqStart,
+        seq_end: telemetry.seqEnd,
+        total_frames: telemetry.frameCount,
+        missing_seq_count: telemetry.missingSeqCount,
+        last_seq: playback.lastSeq,
+        elapsed_ms: Date.now() - telemetry.startTime,
+        status: playback.interrupted ? 'interrupted' : 'completed'
+    }, 'TTS stream summary');
 }
 
 /**
  * Handle assistant.speak message - stream TTS audio
+ * Text is spoken sentence by sentence so a barge-in can be mapped back to
+ * the sentences the user actually heard.
  * @param {WebSocket} socket
  * @param {ClientState} state
  * @param {Object} message
@@ -131,7 +819,13 @@ async function handleAssistantSpeak(socket, state, message, app) {
     }
 
     // Extract message fields
-    const { text, voice_provider: preferredProvider, tts_disable, correlation_id: providedCorrelationId } = message;
+    const {
+        text,
+        voice_provider: preferredProvider,
+        tts_provider: forceTTSProvider,
+        tts_disable,
+        correlation_id: providedCorrelationId
+    } = message;
 
     // Generate correlation_id if not provided
     const correlationId = providedCorrelationId || `tts-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
@@ -141,42 +835,18 @@ async function handleAssistantSpeak(socket, state, message, app) {
         correlation_id: correlationId,
         textLength: text.length,
         preferredProvider,
+        forceTTSProvider,
         tts_disable: tts_disable || []
     }, 'Starting TTS stream');
 
+    const speakAbort = new AbortController();
     state.isSpeaking = true;
-    state.speakAbort = new AbortController();
+    state.speakAbort = speakAbort;
+    state.bargeIn = null;
 
     // Telemetry for audio cutting diagnosis
-    const streamStartTime = Date.now();
-    let frameCount = 0;
-    let lastProvider = null;
-    let seqStart = null;
-    let seqEnd = null;
-    let lastSeq = null;
-    let missingSeqCount = 0;
-    let lastCodec = null;
-    let lastSampleRate = null;
-    let lastChannels = null;
-
-    /**
-     * Safe send that checks readyState before sending
-     * @param {string} data - JSON string to send
-     * @returns {boolean} - true if sent, false if socket closed
-     */
-    const safeSend = (data) => {
-        if (socket.readyState !== 1) { // 1 = OPEN
-            app.log.warn({ readyState: socket.readyState }, 'Socket not open, skipping send');
-            return false;
-        }
-        try {
-            socket.send(data);
-            return true;
-        } catch (err) {
-            app.log.error({ err: err.message }, 'Socket send error');
-            return false;
-        }
-    };
+    const telemetry = createSpeechTelemetry();
+    const safeSend = createSafeSend(socket, app);
 
     try {
         // Emit transcript delta immediately (full text, since we have it)
@@ -187,115 +857,289 @@ async function handleAssistantSpeak(socket, state, message, app) {
 
         // Stream audio frames
         const streamOptions = {
+            forceProvider: forceTTSProvider,
             preferredProvider,
             tts_disable: tts_disable || [],
             correlation_id: correlationId
         };
-        for await (const event of streamWithFallback({ text }, streamOptions)) {
-            // Check for abort
-            if (state.speakAbort.signal.aborted) {
-                app.log.info({ sessionId: state.sessionId }, 'TTS stream aborted');
-                break;
-            }
+        // streamWithFallback splits the text into segments itself, prefetching the next while one plays
+        const status = await streamSpeechSegment({ socket, state, text, streamOptions, telemetry, safeSend, app });
+        if (status === 'send_failed') {
+            return; // Exit early if can't send
+        }
 
-            // Check socket is still open before processing event
-            if (socket.readyState !== 1) {
-                app.log.info({ sessionId: state.sessionId, frameCount }, 'Socket closed mid-stream');
-                break;
+        const playback = resolvePlayback(state, telemetry);
+        finishSpeech({ state, telemetry, correlationId, playback, safeSend, app });
+        releaseSpeech(state, speakAbort);
+
+        // Persist assistant message to transcript - only the heard part if interrupted
+        const spoken = playback.interrupted ? playback.spokenText : text;
+        if (state.sessionId && spoken) {
+            try {
+                await appendMessage(state.sessionId, 'assistant', spoken);
+                app.log.debug({ sessionId: state.sessionId }, 'Assistant message persisted');
+            } catch (dbErr) {
+                app.log.error({ err: dbErr }, 'Failed to persist assistant message');
+                // Don't fail the stream for DB errors
             }
+        }
+    } finally {
+        releaseSpeech(state, speakAbort);
+    }
+}
+
+/**
+ * Handle assistant.ask message - stream LLM reply straight into TTS
+ *
+ * Flow:
+ * 1. Build LLM context (persona, memory, last session) as /assistant/respond does,
+ *    then persist the user message
+ * 2. Stream the reply's tokens, forwarding each as a non-final transcript.delta;
+ *    tool calls the model makes run in between rounds (tools/loop)
+ * 3. Split the reply into sentences as it arrives and queue them for TTS
+ * 4. Speak queued sentences in order while the LLM keeps writing
+ * 5. Send audio.end, then persist the assistant message and send assistant.response
+ *    (on barge-in only the sentences the user heard are kept; with nothing heard,
+ *    or if the LLM fails, no assistant message is stored)
+ * @param {WebSocket} socket
+ * @param {ClientState} state
+ * @param {Object} message
+ * @param {import('fastify').FastifyInstance} app
+ */
+async function handleAssistantAsk(socket, state, message, app) {
+    if (!state.sessionId) {
+        socket.send(createErrorMessage('NOT_BOUND', 'Call session.bind first'));
+        return;
+    }
+
+    if (!await isLLMConfigured()) {
+        socket.send(createErrorMessage('LLM_NOT_CONFIGURED', 'LLM not configured'));
+        return;
+    }
+
+    // Checked after the await above so the check and the flag update happen together
+    if (state.isSpeaking) {
+        socket.send(createErrorMessage('ALREADY_SPEAKING', 'Already speaking, wait for audio.end'));
+        return;
+    }
+
+    const {
+        text: userText,
+        voice_provider: preferredProvider,
+        tts_provider: forceTTSProvider,
+        tts_disable,
+        llm_provider: forceProvider,
+        correlation_id: providedCorrelationId
+    } = message;
+
+    const correlationId = providedCorrelationId || randomUUID();
+
+    const speakAbort = new AbortController();
+    state.isSpeaking = true;
+    state.speakAbort = speakAbort;
+    state.bargeIn = null;
+
+    const telemetry = createSpeechTelemetry();
+    const safeSend = createSafeSend(socket, app);
+    const streamOptions = {
+        forceProvider: forceTTSProvider,
+        preferredProvider,
+        tts_disable: tts_disable || [],
+        correlation_id: correlationId
+    };
+
+    try {
+        // Persona is ALWAYS jarvis (enforced at SYSTEM level)
+        const bootstrapContext = await buildBootstrapContext({
+            userId: state.userId,
+            personaId: 'jarvis',
+            kbPackId: 'none',
+            userInput: userText,
+            sessionId: state.sessionId
+        });
+
+        // Fit the prompt into the smallest context window the provider chain may use
+        const { model, budget } = getContextBudget(forceProvider || undefined);
+        const llmContext = buildLLMContext({
+            persona_prompt: bootstrapContext.persona_prompt,
+            memory_facts: bootstrapContext.memory_facts,
+            last_session_transcript: bootstrapContext.last_session_transcript,
+            session_summaries: bootstrapContext.session_summaries,
+            current_session_transcript: bootstrapContext.current_session_transcript,
+            token_budget: budget,
+            tokenizer: await getTokenizer(model),
+            user_input: userText
+        });
+        validateContext(llmContext);
 
-            switch (event.type) {
-                case 'audio':
-                    // Track sequence for audio cutting diagnosis
-                    const seq = event.frame.seq;
-                    if (seqStart === null) seqStart = seq;
-                    seqEnd = seq;
-
-                    // Detect missing sequences
-                    if (lastSeq !== null && seq !== lastSeq + 1) {
-                        missingSeqCount += (seq - lastSeq - 1);
-                        app.log.warn({ correlation_id: correlationId, expected: lastSeq + 1, got: seq }, 'Missing audio sequence detected');
+        app.log.info({
+            sessionId: state.sessionId,
+            correlation_id: correlationId,
+            memory_fact_count: bootstrapContext.memory_facts.length,
+            message_count: llmContext.messages.length,
+            prompt_tokens: llmContext.budget.used,
+            dropped: llmContext.dropped,
+            forceProvider
+        }, 'Starting streamed assistant turn');
+
+        // The user turn is kept whatever happens to the reply (LLM failure, barge-in before any audio).
+        // Stored once the context is built, so the prompt doesn't carry it twice
+        const userMessageTask = appendMessage(state.sessionId, 'user', userText).catch((dbErr) => {
+            app.log.error({ err: dbErr, correlation_id: correlationId }, 'Failed to persist user message');
+            return null;
+        });
+
+        // Sentences ready for TTS, filled by the LLM task and drained by the speech loop
+        const sentenceQueue = [];
+        const sentenceBuffer = new SentenceBuffer();
+        let llmDone = false;
+        let wakeSpeech = null;
+
+        const enqueueSentence = (sentence) => {
+            sentenceQueue.push(sentence);
+            wakeSpeech?.();
+        };
+
+        // A barge-in must not wait for the next LLM token to stop the speech loop
+        const signal = speakAbort.signal;
+        signal.addEventListener('abort', () => wakeSpeech?.(), { once: true });
+
+        /** @type {Promise<{ replyText: string, final: Object|null }|null>} */
+        const llmTask = (async () => {
+            let replyText = '';
+            let final = null;
+
+            try {
+                // Tool calls run between streamed rounds; a barge-in also cancels the upstream LLM request
+                const llmStream = streamWithTools(
+                    { messages: llmContext.messages },
+                    {
+                        context: { userId: state.userId, sessionId: state.sessionId },
+                        forceProvider: forceProvider || undefined,
+                        correlationId,
+                        signal
+                    }
+                );
+
+                for await (const event of llmStream) {
+                    if (signal.aborted) {
+                        break;
                     }
-                    lastSeq = seq;
-
-                    // Track codec info for audio.end
-                    lastCodec = event.frame.codec;
-                    lastSampleRate = event.frame.sample_rate_hz;
-                    lastChannels = event.frame.channels;
-
-                    const sent = safeSend(createAudioFrameMessage(
-                        event.frame.data,
-                        event.frame.seq,
-                        event.frame.codec,
-                        event.frame.sample_rate_hz,
-                        event.frame.channels
-                    ));
-                    if (!sent) {
-                        app.log.warn({ correlation_id: correlationId, frameCount }, 'Failed to send audio frame');
-                        return; // Exit early if can't send
+
+                    if (event.type === 'delta') {
+                        replyText += event.text;
+                        safeSend(createTranscriptDeltaMessage(event.text, false));
+                        for (const sentence of sentenceBuffer.push(event.text)) {
+                            enqueueSentence(sentence);
+                        }
+                    } else if (event.type === 'done') {
+                        final = event;
                     }
-                    frameCount++;
-                    lastProvider = event.provider;
-                    break;
-
-                case 'provider_switched':
-                    app.log.warn({
-                        from: event.from,
-                        to: event.to
-                    }, 'TTS provider switched mid-stream');
-                    safeSend(createProviderSwitchedMessage(event.from, event.to, correlationId));
-                    break;
-
-                case 'error':
-                    app.log.error({
-                        provider: event.provider,
-                        error: event.error.message
-                    }, 'TTS stream error');
-                    safeSend(createErrorMessage('TTS_ERROR', 'Voice synthesis failed'));
-                    break;
+                }
+
+                const rest = sentenceBuffer.flush();
+                if (rest) {
+                    enqueueSentence(rest);
+                }
+                safeSend(createTranscriptDeltaMessage('', true));
+
+                return { replyText, final };
+            } catch (err) {
+                if (signal.aborted) {
+                    return { replyText, final };
+                }
+                app.log.error({
+                    err,
+                    correlation_id: correlationId,
+                    provider_errors: err.provider_errors
+                }, 'Streamed LLM generation failed');
+                safeSend(createErrorMessage('LLM_ERROR', 'Failed to generate response'));
+                return null;
+            } finally {
+                llmDone = true;
+                wakeSpeech?.();
             }
+        })();
+
+        // Speak sentences in order as they become available
+        let status = 'completed';
+        while (status === 'completed') {
+            if (signal.aborted) {
+                status = 'aborted';
+                break;
+            }
+
+            if (sentenceQueue.length === 0) {
+                if (llmDone) break;
+                await new Promise(resolve => { wakeSpeech = resolve; });
+                wakeSpeech = null;
+                continue;
+            }
+
+            const sentence = sentenceQueue.shift();
+            status = await streamSpeechSegment({ socket, state, text: sentence, streamOptions, telemetry, safeSend, app });
         }
 
-        // Send audio end (only if socket still open) - enhanced with telemetry
-        safeSend(createAudioEndMessage(
-            frameCount,
-            lastProvider || 'unknown',
-            lastCodec,
-            lastSampleRate,
-            lastChannels,
-            correlationId
-        ));
-
-        // Persist assistant message to transcript
-        if (state.sessionId && text) {
+        // On barge-in the client gets audio.end right away, before the LLM stream winds down
+        const playback = resolvePlayback(state, telemetry);
+        if (status !== 'send_failed') {
+            finishSpeech({ state, telemetry, correlationId, playback, safeSend, app });
+        }
+        releaseSpeech(state, speakAbort);
+
+        const result = await llmTask;
+        const userMessage = await userMessageTask;
+
+        // Only what the user heard becomes part of the transcript
+        const final = result?.final ?? null;
+        const replyText = playback.interrupted ? playback.spokenText : (result?.replyText ?? '');
+        const hasReply = Boolean(result && replyText && (final || playback.interrupted));
+
+        let assistantMessage = null;
+        if (hasReply) {
             try {
-                await appendMessage(state.sessionId, 'assistant', text);
-                app.log.debug({ sessionId: state.sessionId }, 'Assistant message persisted');
+                assistantMessage = await appendMessage(state.sessionId, 'assistant', replyText);
             } catch (dbErr) {
-                app.log.error({ err: dbErr }, 'Failed to persist assistant message');
-                // Don't fail the stream for DB errors
+                app.log.error({ err: dbErr, correlation_id: correlationId }, 'Failed to persist assistant message');
             }
         }
 
-        // Stream summary log for audio cutting diagnosis
-        const elapsed_ms = Date.now() - streamStartTime;
+        if (userMessage) {
+            extractFactsFromTurn({
+                userId: state.userId,
+                userMessage: { id: userMessage.id, role: 'user', content: userText },
+                assistantMessage: assistantMessage ? { id: assistantMessage.id, role: 'assistant', content: replyText } : undefined,
+                correlationId
+            }, app.log);
+        }
+
+        if (!hasReply) {
+            return;
+        }
+
         app.log.info({
-            correlation_id: correlationId,
             sessionId: state.sessionId,
-            provider: lastProvider,
-            codec: lastCodec,
-            sample_rate_hz: lastSampleRate,
-            seq_start: seqStart,
-            seq_end: seqEnd,
-            total_frames: frameCount,
-            missing_seq_count: missingSeqCount,
-            elapsed_ms,
-            status: 'completed'
-        }, 'TTS stream summary');
+            user_message_id: userMessage?.id,
+            assistant_message_id: assistantMessage?.id,
+            response_length: replyText.length,
+            generated_length: result.replyText.length,
+            interrupted: playback.interrupted,
+            provider: final?.provider,
+            fallback_used: final?.fallback_used,
+            correlation_id: correlationId
+        }, 'Streamed LLM response stored');
 
+        safeSend(createAssistantResponseMessage({
+            text: replyText,
+            provider: final?.provider || null,
+            fallback_used: final?.fallback_used || false,
+            correlation_id: correlationId,
+            message_id: assistantMessage?.id,
+            user_message_id: userMessage?.id,
+            interrupted: playback.interrupted
+        }));
     } finally {
-        state.isSpeaking = false;
-        state.speakAbort = null;
+        releaseSpeech(state, speakAbort);
     }
 }
 
@@ -13,6 +13,10 @@ export const PROTOCOL_VERSION = '1.0.0';
 export const ClientMessageType = {
     SESSION_BIND: 'session.bind',
     ASSISTANT_SPEAK: 'assistant.speak',
+    ASSISTANT_ASK: 'assistant.ask',
+    ASSISTANT_CANCEL: 'assistant.cancel',
+    BARGE_IN: 'barge_in',
+    AUDIO_INPUT: 'audio.input',
     PING: 'ping'
 };
 
@@ -30,18 +34,71 @@ export const RelayMessageType = {
     AUDIO_FRAME: 'audio.frame',
     AUDIO_END: 'audio.end',
 
+    // Microphone input (streaming STT)
+    TRANSCRIPT_USER_PARTIAL: 'transcript.user.partial',
+    TRANSCRIPT_USER_FINAL: 'transcript.user.final',
+
+    // Assistant turn
+    ASSISTANT_RESPONSE: 'assistant.response',
+
+    // Server-initiated (reminders)
+    ASSISTANT_NOTIFY: 'assistant.notify',
+
     // Status
     ERROR: 'error',
     PROVIDER_SWITCHED: 'provider.switched'
 };
 
 /**
- * Audio frame encoding mode
+ * Default audio frame encoding mode
  * Using base64 for JSON compatibility (vs binary frames)
  * Rationale: Simplifies debugging, compatible with all WS libs
  */
 export const AUDIO_ENCODING = 'base64';
 
+/**
+ * Audio encodings a client may request in session.bind
+ * - base64: audio.frame JSON messages with data_b64 (default, older clients)
+ * - binary: raw binary WS messages with a fixed header; control messages stay JSON
+ */
+export const AUDIO_ENCODINGS = ['base64', 'binary'];
+
+/**
+ * Binary audio frame header layout (all integers big-endian):
+ *   byte 0     version (BINARY_FRAME_VERSION)
+ *   byte 1     codec id (AUDIO_CODEC_IDS)
+ *   byte 2     channels
+ *   byte 3     reserved (0)
+ *   bytes 4-7  seq (uint32)
+ *   bytes 8-11 sample rate in Hz (uint32, 0 = unknown)
+ *   bytes 12+  audio payload
+ */
+export const BINARY_FRAME_VERSION = 1;
+export const BINARY_FRAME_HEADER_BYTES = 12;
+
+/**
+ * Codec ids used in binary frame headers
+ * Codecs without an id are always sent as JSON audio.frame messages.
+ */
+export const AUDIO_CODEC_IDS = {
+    pcm_16000: 1,
+    mp3: 2,
+    webm_opus: 3
+};
+
+/**
+ * Codecs a client may stream in audio.input
+ * - pcm_16000: raw 16-bit little-endian PCM, mono, 16 kHz
+ * - webm_opus: Opus in a WebM container, as produced by MediaRecorder
+ */
+export const AUDIO_INPUT_CODECS = ['pcm_16000', 'webm_opus'];
+
+/**
+ * audio.input events: start/stop mark the utterance, chunk carries audio
+ * (chunks may also be sent as binary frames using the header above)
+ */
+export const AUDIO_INPUT_EVENTS = ['start', 'chunk', 'stop'];
+
 /**
  * Validate and parse client message
  * @param {string} raw - Raw message string
@@ -61,6 +118,9 @@ export function parseClientMessage(raw) {
                 if (!msg.user_id || !msg.session_id) {
                     return { valid: false, error: 'session.bind requires user_id and session_id' };
                 }
+                if (msg.audio_encoding !== undefined && !AUDIO_ENCODINGS.includes(msg.audio_encoding)) {
+                    return { valid: false, error: `session.bind audio_encoding must be one of: ${AUDIO_ENCODINGS.join(', ')}` };
+                }
                 break;
 
             case ClientMessageType.ASSISTANT_SPEAK:
@@ -69,6 +129,37 @@ export function parseClientMessage(raw) {
                 }
                 break;
 
+            case ClientMessageType.ASSISTANT_ASK:
+                if (!msg.text || typeof msg.text !== 'string') {
+                    return { valid: false, error: 'assistant.ask requires text string' };
+                }
+                break;
+
+            case ClientMessageType.ASSISTANT_CANCEL:
+            case ClientMessageType.BARGE_IN:
+                if (msg.played_seq !== undefined && (!Number.isInteger(msg.played_seq) || msg.played_seq < -1)) {
+                    return { valid: false, error: `${msg.type} played_seq must be an integer >= -1` };
+                }
+                break;
+
+            case ClientMessageType.AUDIO_INPUT:
+                if (!AUDIO_INPUT_EVENTS.includes(msg.event)) {
+                    return { valid: false, error: `audio.input event must be one of: ${AUDIO_INPUT_EVENTS.join(', ')}` };
+                }
+                if (msg.event === 'start' && !AUDIO_INPUT_CODECS.includes(msg.codec)) {
+                    return { valid: false, error: `audio.input start codec must be one of: ${AUDIO_INPUT_CODECS.join(', ')}` };
+                }
+                if (msg.event === 'start' && msg.auto_ask !== undefined && typeof msg.auto_ask !== 'boolean') {
+                    return { valid: false, error: 'audio.input auto_ask must be a boolean' };
+                }
+                if (msg.event === 'start' && msg.mock_transcript !== undefined && typeof msg.mock_transcript !== 'string') {
+                    return { valid: false, error: 'audio.input mock_transcript must be a string' };
+                }
+                if (msg.event === 'chunk' && (!msg.data_b64 || typeof msg.data_b64 !== 'string')) {
+                    return { valid: false, error: 'audio.input chunk requires data_b64 string' };
+                }
+                break;
+
             case ClientMessageType.PING:
                 // No additional validation
                 break;
@@ -91,6 +182,8 @@ export function createConnectedMessage() {
     return JSON.stringify({
         type: RelayMessageType.CONNECTED,
         version: PROTOCOL_VERSION,
+        audio_encodings: AUDIO_ENCODINGS,
+        audio_input_codecs: AUDIO_INPUT_CODECS,
         timestamp: new Date().toISOString()
     });
 }
@@ -99,13 +192,15 @@ export function createConnectedMessage() {
  * Create a session bound message
  * @param {string} userId
  * @param {string} sessionId
+ * @param {string} [audioEncoding] - Negotiated audio encoding for this socket
  * @returns {string}
  */
-export function createSessionBoundMessage(userId, sessionId) {
+export function createSessionBoundMessage(userId, sessionId, audioEncoding = AUDIO_ENCODING) {
     return JSON.stringify({
         type: RelayMessageType.SESSION_BOUND,
         user_id: userId,
         session_id: sessionId,
+        audio_encoding: audioEncoding,
         timestamp: new Date().toISOString()
     });
 }
@@ -125,6 +220,38 @@ export function createTranscriptDeltaMessage(text, isFinal = false) {
     });
 }
 
+/**
+ * Create a partial user transcript message (words recognized so far)
+ * @param {string} text - Transcript so far; replaces any earlier partial
+ * @param {string} correlation_id - Correlation ID of the audio.input utterance
+ * @returns {string}
+ */
+export function createUserTranscriptPartialMessage(text, correlation_id) {
+    return JSON.stringify({
+        type: RelayMessageType.TRANSCRIPT_USER_PARTIAL,
+        text,
+        correlation_id,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Create a final user transcript message (sent once per audio.input utterance)
+ * @param {string} text - Final transcript ('' if no speech was recognized)
+ * @param {string} provider - STT backend that produced it
+ * @param {string} correlation_id - Correlation ID of the audio.input utterance
+ * @returns {string}
+ */
+export function createUserTranscriptFinalMessage(text, provider, correlation_id) {
+    return JSON.stringify({
+        type: RelayMessageType.TRANSCRIPT_USER_FINAL,
+        text,
+        provider,
+        correlation_id,
+        timestamp: new Date().toISOString()
+    });
+}
+
 /**
  * Create an audio frame message
  * @param {Uint8Array} data - Raw audio bytes
@@ -157,6 +284,56 @@ export function createAudioFrameMessage(data, seq, codec, sampleRateHz, channels
     return JSON.stringify(message);
 }
 
+/**
+ * Whether a codec can be carried in a binary audio frame
+ * @param {string} codec
+ * @returns {boolean}
+ */
+export function isBinaryCodec(codec) {
+    return Object.hasOwn(AUDIO_CODEC_IDS, codec);
+}
+
+/**
+ * Create a binary audio frame (header + raw audio bytes)
+ * @param {Uint8Array} data - Raw audio bytes
+ * @param {number} seq - Sequence number
+ * @param {string} codec - Audio codec identifier; must satisfy isBinaryCodec()
+ * @param {number} [sampleRateHz] - Sample rate in Hz
+ * @param {number} [channels] - Number of audio channels
+ * @returns {Buffer}
+ */
+export function createBinaryAudioFrame(data, seq, codec, sampleRateHz, channels) {
+    const frame = Buffer.allocUnsafe(BINARY_FRAME_HEADER_BYTES + data.byteLength);
+    frame.writeUInt8(BINARY_FRAME_VERSION, 0);
+    frame.writeUInt8(AUDIO_CODEC_IDS[codec], 1);
+    frame.writeUInt8(channels || 0, 2);
+    frame.writeUInt8(0, 3);
+    frame.writeUInt32BE(seq, 4);
+    frame.writeUInt32BE(sampleRateHz || 0, 8);
+    frame.set(data, BINARY_FRAME_HEADER_BYTES);
+    return frame;
+}
+
+/**
+ * Parse a binary audio frame back into its fields
+ * @param {Buffer} frame
+ * @returns {{ seq: number, codec: string|null, sample_rate_hz: number|null, channels: number|null, data: Buffer }}
+ */
+export function parseBinaryAudioFrame(frame) {
+    if (frame.length < BINARY_FRAME_HEADER_BYTES || frame.readUInt8(0) !== BINARY_FRAME_VERSION) {
+        throw new Error('Invalid binary audio frame');
+    }
+    const codecId = frame.readUInt8(1);
+    const codec = Object.keys(AUDIO_CODEC_IDS).find(name => AUDIO_CODEC_IDS[name] === codecId) || null;
+    return {
+        seq: frame.readUInt32BE(4),
+        codec,
+        sample_rate_hz: frame.readUInt32BE(8) || null,
+        channels: frame.readUInt8(2) || null,
+        data: frame.subarray(BINARY_FRAME_HEADER_BYTES)
+    };
+}
+
 /**
  * Create an audio end message
  * @param {number} totalFrames - Total frames sent
@@ -165,9 +342,11 @@ export function createAudioFrameMessage(data, seq, codec, sampleRateHz, channels
  * @param {number} [sample_rate_hz] - Sample rate in Hz
  * @param {number} [channels] - Number of audio channels
  * @param {string} [correlation_id] - Correlation ID for tracing
+ * @param {boolean} [interrupted] - Whether playback was cut short by assistant.cancel / barge_in
+ * @param {number|null} [lastSeq] - Last frame seq the client actually received/played
  * @returns {string}
  */
-export function createAudioEndMessage(totalFrames, provider, codec, sample_rate_hz, channels, correlation_id) {
+export function createAudioEndMessage(totalFrames, provider, codec, sample_rate_hz, channels, correlation_id, interrupted = false, lastSeq = null) {
     return JSON.stringify({
         type: RelayMessageType.AUDIO_END,
         total_frames: totalFrames,
@@ -176,6 +355,59 @@ export function createAudioEndMessage(totalFrames, provider, codec, sample_rate_
         sample_rate_hz: sample_rate_hz || null,
         channels: channels || null,
         correlation_id: correlation_id || null,
+        interrupted,
+        last_seq: lastSeq ?? null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Create an assistant response message (sent once the LLM reply is complete)
+ * @param {Object} params
+ * @param {string} params.text - Full assistant reply
+ * @param {string} params.provider - LLM provider that produced the reply
+ * @param {boolean} params.fallback_used - Whether LLM fallback was used
+ * @param {string} params.correlation_id - Correlation ID for tracing
+ * @param {string|null} [params.message_id] - Persisted assistant message ID
+ * @param {string|null} [params.user_message_id] - Persisted user message ID
+ * @param {boolean} [params.interrupted] - True if the user barged in; text is then only the spoken part
+ * @returns {string}
+ */
+export function createAssistantResponseMessage({ text, provider, fallback_used, correlation_id, message_id, user_message_id, interrupted = false }) {
+    return JSON.stringify({
+        type: RelayMessageType.ASSISTANT_RESPONSE,
+        text,
+        provider,
+        fallback_used,
+        correlation_id,
+        interrupted,
+        message_id: message_id || null,
+        user_message_id: user_message_id || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Create an assistant notify message (something the relay raises on its own,
+ * not in reply to the client)
+ * @param {Object} params
+ * @param {'reminder'} params.kind
+ * @param {string} params.text - What the user is told
+ * @param {string} params.reminder_id
+ * @param {string} params.due_at - ISO timestamp; earlier than now if it came due while the user was offline
+ * @param {boolean} params.spoken - Whether the text is about to be spoken (false if the socket was already speaking)
+ * @param {string} params.correlation_id - Correlation ID of the spoken turn
+ * @returns {string}
+ */
+export function createAssistantNotifyMessage({ kind, text, reminder_id, due_at, spoken, correlation_id }) {
+    return JSON.stringify({
+        type: RelayMessageType.ASSISTANT_NOTIFY,
+        kind,
+        text,
+        reminder_id,
+        due_at,
+        spoken,
+        correlation_id,
         timestamp: new Date().toISOString()
     });
 }
@@ -211,13 +443,15 @@ export function createPongMessage() {
  * @param {string} from - Previous provider
  * @param {string} to - New provider
  * @param {string} [correlation_id] - Correlation ID for tracing
+ * @param {number|null} [discard_from_seq] - First frame of the segment the new provider replays, if any was sent
  * @returns {string}
  */
-export function createProviderSwitchedMessage(from, to, correlation_id) {
+export function createProviderSwitchedMessage(from, to, correlation_id, discard_from_seq = null) {
     return JSON.stringify({
         type: RelayMessageType.PROVIDER_SWITCHED,
         from,
         to,
+        discard_from_seq,
         correlation_id: correlation_id || null,
         timestamp: new Date().toISOString()
     });
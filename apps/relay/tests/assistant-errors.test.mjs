@@ -0,0 +1,93 @@
+/**
+ * Assistant Route Error Tests
+ * Tests how /assistant/respond reports LLM failures: 502 when the provider
+ * chain fails, whichever provider it was, and 500 for the relay's own errors
+ * CI-safe: stubbed mock LLM, no live API calls; needs DATABASE_URL for sessions
+ * @module tests/assistant-errors.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+// Keep the background work these routes start out of the way
+process.env.MEMORY_EXTRACTION_MODE = 'off';
+
+const { getProvider } = await import('../src/llm/index.mjs');
+const { resetProviderHealth } = await import('../src/services/provider-health.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('LLM Errors via /assistant/respond', { skip: SKIP_REASON }, () => {
+    let app;
+    let sessionId;
+    const mock = getProvider('mock');
+    const generate = mock.generate;
+    const externalId = `assistant-errors-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerSessionRoutes } = await import('../src/routes/session.mjs');
+        const { registerAssistantRoutes } = await import('../src/routes/assistant.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerSessionRoutes(app);
+        registerAssistantRoutes(app);
+        await app.ready();
+        sessionId = (await post('/session/start', {})).json().session_id;
+    });
+
+    afterEach(() => {
+        mock.generate = generate;
+        resetProviderHealth();
+    });
+
+    after(async () => {
+        delete process.env.MEMORY_EXTRACTION_MODE;
+        await post('/session/end', { session_id: sessionId });
+        const { waitForSessionSummaries } = await import('../src/services/session-summaries.mjs');
+        await waitForSessionSummaries();
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    const post = (url, payload) => app.inject({ method: 'POST', url, headers: { 'x-jarvis-user-id': externalId }, payload });
+
+    /**
+     * Make the mock provider fail every request
+     * @param {Error} error
+     */
+    const failWith = (error) => {
+        mock.generate = async () => { throw error; };
+    };
+
+    it('reports a chain that ran out of providers as 502', async () => {
+        failWith(Object.assign(new Error('Mock API error: 503'), { status: 503 }));
+        const res = await post('/assistant/respond', { session_id: sessionId, user_text: 'Status report.' });
+
+        assert.strictEqual(res.statusCode, 502);
+        assert.strictEqual(res.json().error, 'All LLM providers failed');
+        assert.ok(res.json().correlation_id);
+    });
+
+    it('reports a provider error the chain does not fall back from as 502, whatever the vendor', async () => {
+        failWith(Object.assign(new Error('Some Vendor API error: 400'), { status: 400 }));
+        const rejected = await post('/assistant/respond', { session_id: sessionId, user_text: 'Status report.' });
+
+        assert.strictEqual(rejected.statusCode, 502);
+        assert.strictEqual(rejected.json().error, 'LLM service error');
+        assert.strictEqual(rejected.json().provider, 'mock');
+
+        resetProviderHealth();
+        failWith(new Error('Some Vendor returned no choices'));
+        const unreadable = await post('/assistant/respond', { session_id: sessionId, user_text: 'Status report.' });
+        assert.strictEqual(unreadable.statusCode, 502);
+        assert.strictEqual(unreadable.json().error, 'LLM service error');
+    });
+});
+
+console.log('Running Assistant Route Error Tests...');
@@ -0,0 +1,164 @@
+/**
+ * Context Token Budget Tests
+ * Tests the tokenizers, model context windows, and how buildLLMContext trims
+ * to a token budget and reports what it dropped
+ * CI-safe: no live API calls, no database
+ * @module tests/context-budget.test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+
+const { buildLLMContext, validateContext } = await import('../src/llm/context-builder.mjs');
+const { getContextBudget } = await import('../src/llm/index.mjs');
+const { getContextWindow } = await import('../src/llm/context-window.mjs');
+const { BpeTokenizer, HeuristicTokenizer, countMessageTokens, encodingForModel, getDefaultTokenizer, getTokenizer } = await import('../src/llm/tokenizers/index.mjs');
+
+afterEach(() => {
+    delete process.env.CONTEXT_TOKENIZER;
+    delete process.env.CONTEXT_WINDOW_TOKENS;
+});
+
+describe('Tokenizers', () => {
+    const sentence = 'Good evening, Sir. The Mark VII suit is ready.';
+
+    it('estimates ~4 characters per token by default', async () => {
+        const tokenizer = await getTokenizer('gpt-4o');
+
+        assert.ok(tokenizer instanceof HeuristicTokenizer);
+        assert.strictEqual(tokenizer.count(sentence), Math.ceil(sentence.length / 4));
+        assert.strictEqual(tokenizer.count(''), 0);
+    });
+
+    it('counts exactly with the model vocabulary when CONTEXT_TOKENIZER=bpe', async () => {
+        process.env.CONTEXT_TOKENIZER = 'bpe';
+        const tokenizer = await getTokenizer('gpt-4o');
+
+        assert.ok(tokenizer instanceof BpeTokenizer);
+        assert.strictEqual(tokenizer.encoding, 'o200k_base');
+        assert.strictEqual(tokenizer.count(sentence), 12);
+        assert.ok(tokenizer.count('<|endoftext|>') > 1, 'special tokens count as text');
+        assert.strictEqual(await getTokenizer('gpt-4o-mini'), tokenizer, 'vocabularies are loaded once');
+    });
+
+    it('picks the vocabulary by model', () => {
+        assert.strictEqual(encodingForModel('gpt-4o-2024-08-06'), 'o200k_base');
+        assert.strictEqual(encodingForModel('o3-mini'), 'o200k_base');
+        assert.strictEqual(encodingForModel('gpt-4-turbo'), 'cl100k_base');
+        assert.strictEqual(encodingForModel('gemini-2.0-flash'), 'cl100k_base');
+    });
+
+    it('rejects an unknown tokenizer', async () => {
+        process.env.CONTEXT_TOKENIZER = 'sentencepiece';
+        await assert.rejects(() => getTokenizer('gpt-4o'), /Unknown tokenizer: sentencepiece/);
+    });
+
+    it('adds per-message overhead when counting a prompt', () => {
+        const tokenizer = getDefaultTokenizer();
+        const messages = [{ role: 'system', content: 'abcd' }, { role: 'user', content: 'abcdefgh' }];
+
+        assert.strictEqual(countMessageTokens(messages, tokenizer), 3 + (4 + 1) + (4 + 2));
+    });
+});
+
+describe('Context Windows', () => {
+    it('matches models by prefix', () => {
+        assert.strictEqual(getContextWindow('gpt-4o-mini'), 128000);
+        assert.strictEqual(getContextWindow('gpt-4-0613'), 8192);
+        assert.strictEqual(getContextWindow('gemini-2.0-flash'), 1048576);
+        assert.strictEqual(getContextWindow('some-local-model'), 8192);
+    });
+
+    it('budgets the smallest window in the chain minus the reply tokens', () => {
+        assert.deepStrictEqual(getContextBudget(), { model: 'mock-jarvis-v1', budget: 128000 - 1024 });
+        assert.deepStrictEqual(getContextBudget('openai'), { model: 'gpt-4o', budget: 128000 - 1024 });
+
+        process.env.CONTEXT_WINDOW_TOKENS = '4096';
+        assert.strictEqual(getContextBudget().budget, 4096 - 1024);
+    });
+});
+
+describe('Context Budget Trimming', () => {
+    const persona = 'You are JARVIS. '.repeat(25);
+    const facts = [
+        { fact_key: 'name', fact_value: 'Tony', confidence: 0.9 },
+        { fact_key: 'mood', fact_value: 'tired', confidence: 0.5 },
+        { fact_key: 'home_city', fact_value: 'Malibu', confidence: 0.7 }
+    ];
+    const transcript = ['first', 'second', 'third', 'fourth'].map((word, i) => ({
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `The ${word} message of the last session.`,
+        created_at: new Date(2026, 0, 1, 0, i).toISOString()
+    }));
+    const summaries = [{ session_id: 's1', summary: 'The user planned a trip to Berlin.' }];
+
+    /**
+     * @param {Object} overrides
+     */
+    const build = (overrides) => buildLLMContext({
+        persona_prompt: persona,
+        memory_facts: facts,
+        last_session_transcript: transcript,
+        session_summaries: summaries,
+        history_token_budget: 10_000,
+        user_input: 'Status report.',
+        ...overrides
+    });
+
+    /**
+     * Tokens used when the context holds exactly the given parts
+     * @param {Object} parts
+     */
+    const usedWith = parts => build({ token_budget: Infinity, ...parts }).budget.used;
+
+    it('keeps everything that fits and reports the usage', () => {
+        const full = build({ token_budget: Infinity });
+        const context = build({ token_budget: full.budget.used });
+
+        validateContext(context);
+        assert.deepStrictEqual(context.messages, full.messages);
+        assert.deepStrictEqual(context.budget, { limit: full.budget.used, used: countMessageTokens(full.messages), tokenizer: 'heuristic' });
+        assert.deepStrictEqual(context.dropped, { transcript_messages: 0, session_messages: 0, session_summaries: 0, memory_facts: [] });
+    });
+
+    it('drops the oldest transcript messages first', () => {
+        const context = build({ token_budget: usedWith({ last_session_transcript: transcript.slice(2) }) });
+
+        validateContext(context);
+        assert.deepStrictEqual(context.messages.slice(1, -1).map(m => m.content), transcript.slice(2).map(m => m.content));
+        assert.ok(context.messages[0].content.includes('Berlin'));
+        assert.deepStrictEqual(context.dropped, { transcript_messages: 2, session_messages: 0, session_summaries: 0, memory_facts: [] });
+    });
+
+    it('then session summaries, then the lowest-confidence facts', () => {
+        const budget = usedWith({ last_session_transcript: null, session_summaries: [], memory_facts: [facts[0]] });
+        const context = build({ token_budget: budget });
+
+        validateContext(context);
+        assert.strictEqual(context.messages.length, 2);
+        assert.ok(context.messages[0].content.includes('- name: "Tony"'));
+        assert.deepStrictEqual(context.dropped, { transcript_messages: 4, session_messages: 0, session_summaries: 1, memory_facts: ['mood', 'home_city'] });
+    });
+
+    it('never drops the persona, and rejects what still does not fit', () => {
+        const context = build({ token_budget: 10 });
+
+        assert.ok(context.messages[0].content.startsWith(persona));
+        assert.deepStrictEqual(context.dropped.memory_facts, ['mood', 'home_city', 'name']);
+        assert.strictEqual(context.messages.at(-1).content, 'Status report.');
+        assert.throws(() => validateContext(context), /tokens exceeds the budget of 10/);
+    });
+
+    it('counts with the tokenizer it is given', () => {
+        const words = { name: 'words', count: text => (text ? text.split(/\s+/).length : 0) };
+        const context = build({ token_budget: Infinity, tokenizer: words });
+
+        assert.strictEqual(context.budget.tokenizer, 'words');
+        assert.strictEqual(context.budget.used, countMessageTokens(context.messages, words));
+    });
+});
+
+console.log('Running Context Token Budget Tests...');
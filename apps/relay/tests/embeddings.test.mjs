@@ -0,0 +1,230 @@
+/**
+ * Embeddings and Memory Recall Tests
+ * Tests the hashing embedder, the OpenAI embedder against a local HTTP stand-in,
+ * and recallFacts / top-k bootstrap context with the hashing embedder
+ * CI-safe: no live API calls; the recall suite needs DATABASE_URL
+ * @module tests/embeddings.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+
+// The recall suite must rank with the deterministic local embedder
+process.env.EMBEDDINGS_PROVIDER = 'hash';
+
+const { HashEmbeddingProvider, OpenAIEmbeddingProvider, getEmbeddingProvider, embedTexts, cosineSimilarity } = await import('../src/embeddings/index.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Hash Embedding Provider', () => {
+    const provider = new HashEmbeddingProvider();
+
+    it('is deterministic and returns unit vectors', async () => {
+        const [a, b] = await provider.embed(['Favorite color: red', 'Favorite color: red']);
+
+        assert.strictEqual(a.length, 256);
+        assert.deepStrictEqual(a, b);
+        assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+    });
+
+    it('ignores case, accents and stopwords', async () => {
+        const [a, b] = await provider.embed(['What is my CAFÉ order?', 'cafe order']);
+        assert.ok(cosineSimilarity(a, b) > 0.999);
+    });
+
+    it('returns a zero vector for text without words', async () => {
+        const [vector] = await provider.embed(['  what is my ?! ']);
+        assert.ok(vector.every(v => v === 0));
+        assert.strictEqual(cosineSimilarity(vector, vector), 0);
+    });
+
+    it('ranks facts sharing words or word pieces with the query first', async () => {
+        const facts = ['home city: Malibu', 'favorite color: red', 'sister: Pepper'];
+        const [query, ...vectors] = await provider.embed(["What's my favourite colour?", ...facts]);
+        const ranked = facts
+            .map((fact, i) => ({ fact, score: cosineSimilarity(query, vectors[i]) }))
+            .sort((a, b) => b.score - a.score);
+
+        assert.strictEqual(ranked[0].fact, 'favorite color: red');
+    });
+});
+
+describe('Embedding Provider Selection', () => {
+    afterEach(() => {
+        process.env.EMBEDDINGS_PROVIDER = 'hash';
+    });
+
+    it('uses EMBEDDINGS_PROVIDER and reports the model with the vectors', async () => {
+        assert.strictEqual((await getEmbeddingProvider()).name, 'hash');
+
+        const { model, vectors } = await embedTexts(['one', 'two']);
+        assert.strictEqual(model, 'hash-v1-256');
+        assert.strictEqual(vectors.length, 2);
+    });
+
+    it('rejects an unknown provider', async () => {
+        process.env.EMBEDDINGS_PROVIDER = 'word2vec';
+        await assert.rejects(getEmbeddingProvider(), /Unknown embedding provider: word2vec/);
+    });
+});
+
+describe('OpenAI Embedding Provider', () => {
+    let server;
+    let received = null;
+    const saved = {};
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                received = { auth: req.headers.authorization, body: JSON.parse(body) };
+                if (received.body.input.includes('fail')) {
+                    res.writeHead(429).end('{"error":"rate limited"}');
+                    return;
+                }
+                // Deliberately out of order; results must be matched by index
+                const data = received.body.input.map((text, index) => ({ index, embedding: [index, text.length] })).reverse();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ data, model: received.body.model }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        for (const name of ['OPENAI_API_KEY', 'EMBEDDINGS_API_URL', 'EMBEDDINGS_MODEL']) {
+            saved[name] = process.env[name];
+        }
+        process.env.OPENAI_API_KEY = 'sk-test';
+        process.env.EMBEDDINGS_API_URL = `http://127.0.0.1:${server.address().port}/v1/embeddings`;
+        delete process.env.EMBEDDINGS_MODEL;
+    });
+
+    after(async () => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('sends the batch and returns vectors in input order', async () => {
+        const provider = new OpenAIEmbeddingProvider();
+        const vectors = await provider.embed(['a', 'bbb']);
+
+        assert.strictEqual(received.auth, 'Bearer sk-test');
+        assert.deepStrictEqual(received.body, { model: 'text-embedding-3-small', input: ['a', 'bbb'] });
+        assert.deepStrictEqual(vectors, [[0, 1], [1, 3]]);
+    });
+
+    it('surfaces API errors with their status', async () => {
+        await assert.rejects(new OpenAIEmbeddingProvider().embed(['fail']), (err) => {
+            assert.strictEqual(err.status, 429);
+            return true;
+        });
+    });
+});
+
+describe('Memory Recall', { skip: SKIP_REASON }, () => {
+    let userId;
+    let services;
+    let db;
+
+    before(async () => {
+        const { ensureUser } = await import('../src/services/users.mjs');
+        services = {
+            ...await import('../src/services/memory.mjs'),
+            ...await import('../src/services/bootstrap.mjs')
+        };
+        db = await import('../src/db-client.mjs');
+        userId = (await ensureUser(`recall-user-${Date.now()}`)).id;
+
+        await services.upsertFact(userId, 'home_city', 'Malibu');
+        await services.upsertFact(userId, 'favorite_color', 'red', 0.8);
+        await services.upsertFact(userId, 'sister', 'Pepper', 0.9);
+        await services.writeFacts(userId, [
+            { fact_key: 'coffee_order', fact_value: 'a flat white' },
+            { fact_key: 'workshop', fact_value: 'in the basement', confidence: 0.95 }
+        ]);
+        await services.upsertFact(userId, 'dentist', 'Doctor Park', 0.5, { status: 'pending' });
+    });
+
+    afterEach(() => {
+        process.env.EMBEDDINGS_PROVIDER = 'hash';
+        delete process.env.MEMORY_RECALL_K;
+    });
+
+    after(async () => {
+        await db.getPool().end();
+    });
+
+    it('stores an embedding with each written fact', async () => {
+        const result = await db.query(
+            'SELECT fact_key, embedding_model, array_length(embedding, 1) AS dims FROM memory_facts WHERE user_id = $1',
+            [userId]
+        );
+
+        assert.strictEqual(result.rows.length, 6);
+        for (const row of result.rows) {
+            assert.strictEqual(row.embedding_model, 'hash-v1-256', row.fact_key);
+            assert.strictEqual(row.dims, 256, row.fact_key);
+        }
+    });
+
+    it('returns the top-k active facts, best match first', async () => {
+        const facts = await services.recallFacts(userId, 'Where is my workshop?', 2);
+
+        assert.strictEqual(facts.length, 2);
+        assert.strictEqual(facts[0].fact_key, 'workshop');
+        assert.ok(facts[0].score > facts[1].score);
+        assert.strictEqual((await services.recallFacts(userId, 'Call my sister', 1))[0].fact_key, 'sister');
+    });
+
+    it('leaves pending facts out', async () => {
+        const facts = await services.recallFacts(userId, 'When is my dentist appointment?', 10);
+
+        assert.strictEqual(facts.length, 5);
+        assert.ok(!facts.some(f => f.fact_key === 'dentist'));
+    });
+
+    it('re-embeds facts that are missing an embedding or have another model in the sweeper, not on recall', async () => {
+        await db.query(`UPDATE memory_facts SET embedding = NULL, embedding_model = NULL WHERE user_id = $1 AND fact_key = 'home_city'`, [userId]);
+        await db.query(`UPDATE memory_facts SET embedding_model = 'retired-model' WHERE user_id = $1 AND fact_key = 'coffee_order'`, [userId]);
+
+        const before = (await services.recallFacts(userId, 'Which city is home? Make me a coffee', 10)).map(f => f.fact_key);
+        assert.ok(!before.includes('home_city') && !before.includes('coffee_order'), 'recall does not embed stale facts');
+
+        const { sweepStaleEmbeddings } = await import('../src/services/fact-sweeper.mjs');
+        assert.ok(await sweepStaleEmbeddings() >= 2);
+
+        assert.strictEqual((await services.recallFacts(userId, 'Which city is home?', 1))[0].fact_key, 'home_city');
+        assert.strictEqual((await services.recallFacts(userId, 'Make me a coffee', 1))[0].fact_key, 'coffee_order');
+
+        const stale = await db.query(
+            `SELECT count(*)::int AS n FROM memory_facts WHERE user_id = $1 AND status = 'active' AND embedding_model IS DISTINCT FROM 'hash-v1-256'`,
+            [userId]
+        );
+        assert.strictEqual(stale.rows[0].n, 0);
+    });
+
+    it('bootstraps a turn with only the facts relevant to the input', async () => {
+        process.env.MEMORY_RECALL_K = '2';
+        const turn = await services.buildBootstrapContext({ userId, userInput: "What's my favourite colour?" });
+
+        assert.strictEqual(turn.memory_facts.length, 2);
+        assert.deepStrictEqual(turn.memory_facts[0], { fact_key: 'favorite_color', fact_value: 'red', confidence: 0.8 });
+
+        const session = await services.buildBootstrapContext({ userId });
+        assert.strictEqual(session.memory_facts.length, 5);
+    });
+
+    it('falls back to the most confident facts when recall fails', async () => {
+        process.env.MEMORY_RECALL_K = '3';
+        process.env.EMBEDDINGS_PROVIDER = 'unavailable';
+        const turn = await services.buildBootstrapContext({ userId, userInput: 'Where is my workshop?' });
+
+        assert.deepStrictEqual(turn.memory_facts.map(f => f.confidence), [1, 1, 0.95]);
+    });
+});
+
+console.log('Running Embeddings and Memory Recall Tests...');
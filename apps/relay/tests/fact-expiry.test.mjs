@@ -0,0 +1,179 @@
+/**
+ * Memory Fact Expiry and Decay Tests
+ * Tests expires_at / decay_half_life on writes, effective confidence at read
+ * time, their effect on the bootstrap context, and the expired-fact sweeper
+ * CI-safe: no live API calls; needs DATABASE_URL
+ * @module tests/fact-expiry.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+// Recall must rank with the deterministic local embedder
+process.env.EMBEDDINGS_PROVIDER = 'hash';
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Memory Fact Expiry and Decay', { skip: SKIP_REASON }, () => {
+    let app;
+    let db;
+    let services;
+    let userId;
+    const externalId = `expiry-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerMemoryRoutes } = await import('../src/routes/memory.mjs');
+        const { ensureUser } = await import('../src/services/users.mjs');
+        db = await import('../src/db-client.mjs');
+        services = {
+            ...await import('../src/services/memory.mjs'),
+            ...await import('../src/services/bootstrap.mjs'),
+            ...await import('../src/services/fact-sweeper.mjs')
+        };
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerMemoryRoutes(app);
+        await app.ready();
+        userId = (await ensureUser(externalId)).id;
+    });
+
+    afterEach(() => {
+        delete process.env.MEMORY_MIN_EFFECTIVE_CONFIDENCE;
+    });
+
+    after(async () => {
+        await app.close();
+        await db.getPool().end();
+    });
+
+    const send = (method, url, payload) => app.inject({ method, url, headers: { 'x-jarvis-user-id': externalId }, payload });
+    const getFact = async (key, query = '') => (await send('GET', `/memory/facts${query}`)).json().facts.find(f => f.fact_key === key);
+    const promptKeys = async () => (await services.buildBootstrapContext({ userId })).memory_facts.map(f => f.fact_key);
+
+    /**
+     * Pretend a fact was last written some days ago
+     * @param {string} key
+     * @param {number} days
+     */
+    const age = (key, days) => db.query(
+        `UPDATE memory_facts SET updated_at = now() - make_interval(days => $3) WHERE user_id = $1 AND fact_key = $2`,
+        [userId, key, days]
+    );
+
+    it('accepts expires_at and decay_half_life on writes', async () => {
+        const expiresAt = new Date(Date.now() + 86_400_000).toISOString();
+        const res = await send('POST', '/memory/fact', {
+            fact_key: 'trip', fact_value: 'travelling to Berlin', confidence: 0.9, expires_at: expiresAt, decay_half_life: 'P14D'
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(new Date(res.json().expires_at).toISOString(), expiresAt);
+        assert.strictEqual(res.json().decay_half_life, 'P0Y0M14DT0H0M0S');
+        assert.ok(Math.abs(res.json().effective_confidence - 0.9) < 0.001);
+
+        const put = await send('PUT', '/memory/facts', { facts: [{ fact_key: 'mood', fact_value: 'tired', decay_half_life: 'PT12H' }] });
+        assert.strictEqual(put.json().facts[0].decay_half_life, 'P0Y0M0DT12H0M0S');
+    });
+
+    it('rejects malformed lifetimes', async () => {
+        const badExpiry = await send('POST', '/memory/fact', { fact_key: 'trip', fact_value: 'x', expires_at: 'tomorrow' });
+        const badHalfLife = await send('POST', '/memory/fact', { fact_key: 'trip', fact_value: 'x', decay_half_life: '14 days' });
+
+        assert.strictEqual(badExpiry.statusCode, 400);
+        assert.strictEqual(badHalfLife.statusCode, 400);
+    });
+
+    it('rejects a zero or negative decay_half_life with a 400', async () => {
+        for (const decay_half_life of ['PT0S', 'P0D', 'P0Y0M0DT0H0M0S', '-P1D']) {
+            const res = await send('POST', '/memory/fact', { fact_key: 'trip', fact_value: 'x', decay_half_life });
+            assert.strictEqual(res.statusCode, 400, decay_half_life);
+            assert.doesNotMatch(res.json().error ?? res.json().message, /memory_facts|constraint/);
+        }
+
+        const put = await send('PUT', '/memory/facts', { facts: [{ fact_key: 'trip', fact_value: 'x', decay_half_life: 'PT0S' }] });
+        assert.strictEqual(put.statusCode, 400);
+        assert.strictEqual(put.json().error, 'decay_half_life must be longer than zero');
+    });
+
+    it('keeps an omitted lifetime and clears a null one', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'trip', fact_value: 'travelling to Berlin by train', confidence: 0.9 });
+        const kept = await getFact('trip');
+        assert.ok(kept.expires_at);
+        assert.strictEqual(kept.decay_half_life, 'P0Y0M14DT0H0M0S');
+
+        await send('POST', '/memory/fact', { fact_key: 'mood', fact_value: 'tired', decay_half_life: null });
+        assert.strictEqual((await getFact('mood')).decay_half_life, null);
+    });
+
+    it('halves effective confidence every half-life and drops decayed facts from the prompt', async () => {
+        await age('trip', 28);
+
+        const trip = await getFact('trip');
+        assert.strictEqual(trip.confidence, 0.9);
+        assert.ok(Math.abs(trip.effective_confidence - 0.225) < 0.001, `effective ${trip.effective_confidence}`);
+        assert.ok(!(await promptKeys()).includes('trip'));
+
+        process.env.MEMORY_MIN_EFFECTIVE_CONFIDENCE = '0.2';
+        const context = await services.buildBootstrapContext({ userId });
+        assert.deepStrictEqual(context.memory_facts.find(f => f.fact_key === 'trip'), { fact_key: 'trip', fact_value: 'travelling to Berlin by train', confidence: 0.22 });
+    });
+
+    it('resets decay when the fact is written again', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'trip', fact_value: 'travelling to Berlin by train', confidence: 0.9 });
+        assert.ok((await promptKeys()).includes('trip'));
+    });
+
+    it('leaves expired facts out of the prompt and recall before they are swept', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'parking_spot', fact_value: 'level 2, bay 14', expires_at: new Date(Date.now() - 1000).toISOString() });
+
+        const parking = await getFact('parking_spot');
+        assert.strictEqual(parking.status, 'active');
+        assert.strictEqual(parking.effective_confidence, 0);
+        assert.ok(!(await promptKeys()).includes('parking_spot'));
+
+        const recalled = await services.recallFacts(userId, 'Where did I park? Which parking spot?', 10);
+        assert.ok(!recalled.some(f => f.fact_key === 'parking_spot'));
+    });
+
+    it('archives expired facts with a system revision', async () => {
+        assert.ok(await services.sweepExpiredFacts() >= 1);
+
+        assert.strictEqual(await getFact('parking_spot'), undefined);
+        assert.strictEqual((await getFact('parking_spot', '?status=archived')).fact_value, 'level 2, bay 14');
+
+        const revisions = await services.getFactHistory(userId, 'parking_spot');
+        const archive = revisions[revisions.length - 1];
+        assert.deepStrictEqual(
+            [archive.operation, archive.actor, archive.old_status, archive.new_status, archive.new_value],
+            ['archive', 'system', 'active', 'archived', 'level 2, bay 14']
+        );
+        assert.strictEqual(await services.sweepExpiredFacts(), 0);
+    });
+
+    it('revives an archived fact when it is stated again', async () => {
+        const res = await send('POST', '/memory/fact', { fact_key: 'parking_spot', fact_value: 'level 3, bay 2' });
+
+        assert.strictEqual(res.json().status, 'active');
+        assert.strictEqual(res.json().expires_at, null);
+        assert.ok((await promptKeys()).includes('parking_spot'));
+    });
+
+    it('sweeps on an interval until stopped', async () => {
+        await services.upsertFact(userId, 'umbrella', 'by the door', 1.0, { expiresAt: new Date(Date.now() - 1000) });
+        const stop = services.startFactSweeper(undefined, 20);
+
+        try {
+            for (let i = 0; i < 50 && (await getFact('umbrella')); i++) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        } finally {
+            stop();
+        }
+        assert.strictEqual((await getFact('umbrella', '?status=archived')).status, 'archived');
+    });
+});
+
+console.log('Running Memory Fact Expiry and Decay Tests...');
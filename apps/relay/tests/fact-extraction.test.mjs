@@ -0,0 +1,284 @@
+/**
+ * Memory Fact Extraction Tests
+ * Tests the extraction request/parsing, the mock LLM's structured output, and
+ * extraction after /assistant/respond and /session/end against mock LLM
+ * CI-safe: no live API calls; the storage suites need DATABASE_URL
+ * @module tests/fact-extraction.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+
+const { buildExtractionRequest, parseExtractedFacts, extractFacts, waitForFactExtraction } = await import('../src/services/fact-extraction.mjs');
+const { MockProvider } = await import('../src/llm/providers/mock.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Fact Extraction Request', () => {
+    it('numbers the conversation and maps user lines to message IDs', () => {
+        const { request, sources } = buildExtractionRequest([
+            { id: 'm1', role: 'user', content: 'My home city is Malibu.' },
+            { id: 'm2', role: 'assistant', content: 'Noted,\nSir.' },
+            { id: 'm3', role: 'system', content: 'ignored' },
+            { id: 'm4', role: 'user', content: 'Thanks.' }
+        ], [{ fact_key: 'name', fact_value: 'Tony' }]);
+
+        assert.strictEqual(request.response_format, 'json');
+        assert.strictEqual(request.messages[0].role, 'system');
+        assert.strictEqual(
+            request.messages[1].content,
+            'Known facts:\n- name: "Tony"\n\nConversation:\n[1] user: My home city is Malibu.\n[2] assistant: Noted, Sir.\n[3] user: Thanks.'
+        );
+        assert.deepStrictEqual([...sources], [[1, 'm1'], [3, 'm4']]);
+    });
+});
+
+describe('Fact Extraction Parsing', () => {
+    const sources = new Map([[1, 'm1'], [3, 'm3']]);
+
+    it('normalizes keys, clamps confidence and resolves sources', () => {
+        const facts = parseExtractedFacts('```json\n{"facts": [{"key": "Favorite Drink", "value": " espresso ", "confidence": 0.876, "source": 1}, {"key": "city", "value": "Malibu", "confidence": 3, "source": 99}]}\n```', sources);
+
+        assert.deepStrictEqual(facts, [
+            { fact_key: 'favorite_drink', fact_value: 'espresso', confidence: 0.88, source_message_id: 'm1' },
+            { fact_key: 'city', fact_value: 'Malibu', confidence: 1, source_message_id: 'm3' }
+        ]);
+    });
+
+    it('drops malformed proposals', () => {
+        const facts = parseExtractedFacts(JSON.stringify({
+            facts: [{ key: '', value: 'x', confidence: 1 }, { key: 'a', value: '', confidence: 1 }, { key: 'b', value: 'c' }, null]
+        }), sources);
+
+        assert.deepStrictEqual(facts, []);
+    });
+
+    it('rejects a reply that is not JSON', () => {
+        assert.throws(() => parseExtractedFacts('Certainly, Sir.', sources), /invalid JSON/);
+    });
+});
+
+describe('Mock LLM Structured Output', () => {
+    it('proposes "my X is Y" statements from user lines, hedged ones at low confidence', async () => {
+        const { request } = buildExtractionRequest([
+            { id: 'm1', role: 'user', content: 'My favorite color is red, and I think my lucky number is seven.' },
+            { id: 'm2', role: 'assistant', content: 'My pleasure is serving you, Sir.' },
+            { id: 'm3', role: 'user', content: 'My home city is Malibu.' }
+        ], []);
+
+        const response = await new MockProvider().generate(request);
+
+        assert.deepStrictEqual(JSON.parse(response.content).facts, [
+            { key: 'favorite_color', value: 'red', confidence: 0.5, source: 1 },
+            { key: 'lucky_number', value: 'seven', confidence: 0.5, source: 1 },
+            { key: 'home_city', value: 'Malibu', confidence: 0.9, source: 3 }
+        ]);
+    });
+});
+
+describe('Fact Extraction Storage', { skip: SKIP_REASON }, () => {
+    let userId;
+    let sessionId;
+    let services;
+
+    before(async () => {
+        const { ensureUser } = await import('../src/services/users.mjs');
+        const { createSession } = await import('../src/services/sessions.mjs');
+        services = {
+            ...await import('../src/services/memory.mjs'),
+            ...await import('../src/services/messages.mjs'),
+            ...await import('../src/services/bootstrap.mjs')
+        };
+        userId = (await ensureUser(`facts-user-${Date.now()}`)).id;
+        sessionId = (await createSession(userId)).id;
+    });
+
+    afterEach(() => {
+        delete process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE;
+        delete process.env.CONTEXT_WINDOW_TOKENS;
+    });
+
+    /**
+     * Store a user message and return it in extraction form
+     * @param {string} content
+     */
+    async function userMessage(content) {
+        const { id } = await services.appendMessage(sessionId, 'user', content);
+        return { id, role: 'user', content };
+    }
+
+    it('stores confident facts as active and hedged ones as pending', async () => {
+        const message = await userMessage('My coffee order is a flat white. Maybe my dentist is Doctor Park');
+        const stored = await extractFacts({ userId, messages: [message] });
+
+        assert.deepStrictEqual(
+            stored.map(f => [f.fact_key, f.fact_value, parseFloat(f.confidence), f.status, f.source_message_id]),
+            [
+                ['coffee_order', 'a flat white', 0.5, 'pending', message.id],
+                ['dentist', 'Doctor Park', 0.5, 'pending', message.id]
+            ]
+        );
+
+        const plain = await userMessage('My desk lamp is green.');
+        const [lamp] = await extractFacts({ userId, messages: [plain] });
+        assert.strictEqual(lamp.status, 'active');
+    });
+
+    it('records the extractor and source message in the fact history', async () => {
+        const [revision] = await services.getFactHistory(userId, 'desk_lamp');
+
+        assert.strictEqual(revision.operation, 'create');
+        assert.strictEqual(revision.actor, 'extractor');
+        assert.strictEqual(revision.new_value, 'green');
+        assert.ok(revision.source_message_id);
+    });
+
+    it('keeps pending facts out of the bootstrap context', async () => {
+        const context = await services.buildBootstrapContext({ userId });
+        const keys = context.memory_facts.map(f => f.fact_key);
+
+        assert.ok(keys.includes('desk_lamp'));
+        assert.ok(!keys.includes('coffee_order'));
+    });
+
+    it('promotes a pending fact when it is restated with confidence', async () => {
+        const message = await userMessage('My coffee order is a flat white.');
+        const [fact] = await extractFacts({ userId, messages: [message] });
+
+        assert.strictEqual(fact.status, 'active');
+        assert.strictEqual(fact.source_message_id, message.id);
+    });
+
+    it('does not overwrite a stronger active fact', async () => {
+        await services.upsertFact(userId, 'desk_lamp', 'blue', 1.0);
+        const stored = await extractFacts({ userId, messages: [await userMessage('My desk lamp is yellow.')] });
+
+        assert.deepStrictEqual(stored, []);
+        const facts = await services.getAllFacts(userId);
+        assert.strictEqual(facts.find(f => f.fact_key === 'desk_lamp').fact_value, 'blue');
+    });
+
+    it('never demotes an active fact to pending', async () => {
+        await services.upsertFact(userId, 'tailor_shop', 'Savile Row', 0.4);
+        const stored = await extractFacts({ userId, messages: [await userMessage('Maybe my tailor shop is Jermyn Street.')] });
+
+        assert.deepStrictEqual(stored, [], 'a 0.5 proposal beats 0.4 but is below the threshold');
+        const fact = (await services.getAllFacts(userId)).find(f => f.fact_key === 'tailor_shop');
+        assert.strictEqual(fact.status, 'active');
+        assert.strictEqual(fact.fact_value, 'Savile Row');
+    });
+
+    it('goes through a session too long for the prompt budget in chunks', async () => {
+        const { getProvider } = await import('../src/llm/index.mjs');
+        const { countMessageTokens } = await import('../src/llm/tokenizers/index.mjs');
+        const mock = getProvider('mock');
+        const generate = mock.generate;
+        const promptTokens = [];
+        mock.generate = function (request) {
+            promptTokens.push(countMessageTokens(request.messages));
+            return generate.call(this, request);
+        };
+
+        // 1024 reply tokens + 600 for the prompt
+        process.env.CONTEXT_WINDOW_TOKENS = '1624';
+        const messages = [await userMessage('My first gadget is a pocket watch.')];
+        for (let i = 0; i < 30; i++) {
+            messages.push({ id: `filler-${i}`, role: 'assistant', content: `Noted, Sir. ${'The workshop is quiet tonight. '.repeat(3)}` });
+        }
+        messages.push(await userMessage('My last gadget is a jet pack.'));
+
+        try {
+            const stored = await extractFacts({ userId, messages });
+
+            assert.deepStrictEqual(stored.map(f => [f.fact_key, f.fact_value, f.source_message_id]), [
+                ['first_gadget', 'a pocket watch', messages[0].id],
+                ['last_gadget', 'a jet pack', messages.at(-1).id]
+            ]);
+            assert.strictEqual(promptTokens.length, 2, 'chunks without user lines are skipped');
+            assert.ok(promptTokens.every(tokens => tokens <= 600), `prompts of ${promptTokens} tokens`);
+        } finally {
+            mock.generate = generate;
+        }
+    });
+
+    it('uses the configured confidence threshold', async () => {
+        process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE = '0.95';
+        const [fact] = await extractFacts({ userId, messages: [await userMessage('My car is a hot rod.')] });
+
+        assert.strictEqual(fact.status, 'pending');
+    });
+});
+
+describe('Fact Extraction Triggers', { skip: SKIP_REASON }, () => {
+    let app;
+    const externalId = `facts-route-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerSessionRoutes } = await import('../src/routes/session.mjs');
+        const { registerAssistantRoutes } = await import('../src/routes/assistant.mjs');
+        const { registerMemoryRoutes } = await import('../src/routes/memory.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerSessionRoutes(app);
+        registerAssistantRoutes(app);
+        registerMemoryRoutes(app);
+        await app.ready();
+    });
+
+    after(async () => {
+        delete process.env.MEMORY_EXTRACTION_MODE;
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    const post = (url, payload) => app.inject({ method: 'POST', url, headers: { 'x-jarvis-user-id': externalId }, payload });
+    const getFacts = async () => (await app.inject({ method: 'GET', url: '/memory/facts', headers: { 'x-jarvis-user-id': externalId } })).json().facts;
+
+    it('extracts after each /assistant/respond turn', async () => {
+        const { session_id } = (await post('/session/start', {})).json();
+        const res = await post('/assistant/respond', { session_id, user_text: 'My sister is Pepper.' });
+        assert.strictEqual(res.statusCode, 200);
+
+        await waitForFactExtraction();
+        const sister = (await getFacts()).find(f => f.fact_key === 'sister');
+
+        assert.strictEqual(sister.fact_value, 'Pepper');
+        assert.strictEqual(sister.status, 'active');
+        assert.strictEqual(sister.source_message_id, res.json().user_message_id);
+        await post('/session/end', { session_id });
+    });
+
+    it('extracts from the whole session on /session/end in session_end mode', async () => {
+        process.env.MEMORY_EXTRACTION_MODE = 'session_end';
+        const { session_id } = (await post('/session/start', {})).json();
+        await post('/assistant/respond', { session_id, user_text: 'My workshop is in the basement.' });
+
+        await waitForFactExtraction();
+        assert.ok(!(await getFacts()).some(f => f.fact_key === 'workshop'), 'No per-turn extraction in session_end mode');
+
+        await post('/session/end', { session_id });
+        await waitForFactExtraction();
+        assert.strictEqual((await getFacts()).find(f => f.fact_key === 'workshop').fact_value, 'in the basement');
+    });
+
+    it('confirms a pending fact through POST /memory/fact', async () => {
+        process.env.MEMORY_EXTRACTION_MODE = 'turn';
+        const { session_id } = (await post('/session/start', {})).json();
+        await post('/assistant/respond', { session_id, user_text: 'I think my tailor is Happy.' });
+        await waitForFactExtraction();
+        assert.strictEqual((await getFacts()).find(f => f.fact_key === 'tailor').status, 'pending');
+
+        const res = await post('/memory/fact', { fact_key: 'tailor', fact_value: 'Happy' });
+        assert.strictEqual(res.json().status, 'active');
+        await post('/session/end', { session_id });
+    });
+});
+
+console.log('Running Memory Fact Extraction Tests...');
@@ -1,8 +1,13 @@
 /**
  * Integration Test: Memory Recall (5/5 Hard Gate)
  * 
- * Tests that Session B can recall messages from Session A
+ * Tests that Session B can recall messages from Session A, and that within
+ * Session B an answer can draw on an earlier turn of the same session.
  * Must pass 5 out of 5 runs to be considered successful.
+ *
+ * The in-session check goes through /assistant/respond, so the server needs an
+ * LLM: LLM_MOCK_MODE=true (the mock answers "What did I just say?" from the
+ * prompt) or a live provider.
  * 
  * Usage:
  *   DATABASE_URL_MVP=<connection string> node tests/integration/memory-recall.test.mjs
@@ -119,7 +124,28 @@ async function runIteration(iteration) {
             throw new Error(`Marker not found in transcript. Transcript: [${transcriptContent}]`);
         }
 
-        log('green', `✓ Iteration ${iteration + 1} PASSED - Marker found in Session B bootstrap context`);
+        log('green', '   Marker found in Session B bootstrap context');
+
+        // Step 6: State a second marker in Session B
+        const turnMarker = generateMarker();
+        log('yellow', `6) Telling Session B: ${turnMarker}`);
+        await request('POST', '/assistant/respond', {
+            session_id: sessionBId,
+            user_text: `Please remember this code: ${turnMarker}`
+        });
+
+        // Step 7: Ask about it on the next turn
+        log('yellow', '7) Asking Session B to recall the previous turn...');
+        const recall = await request('POST', '/assistant/respond', {
+            session_id: sessionBId,
+            user_text: 'What did I just say? Repeat the code exactly.'
+        });
+
+        if (!recall.response_text.includes(turnMarker)) {
+            throw new Error(`Previous turn not recalled within Session B. Response: ${recall.response_text}`);
+        }
+
+        log('green', `✓ Iteration ${iteration + 1} PASSED - Markers recalled across sessions and across turns`);
 
         // Cleanup: End Session B
         await request('POST', '/session/end', { session_id: sessionBId });
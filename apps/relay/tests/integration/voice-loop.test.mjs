@@ -0,0 +1,236 @@
+/**
+ * Integration Test: Voice Loop (STT → LLM → TTS)
+ *
+ * Drives a fixed conversation through the whole voice loop against a running relay
+ * in mock mode and checks that every run hears and answers exactly the same:
+ *   1. POST /stt/transcribe with a fixture file returns the fixture transcript
+ *   2. POST /stt/transcribe with a mock_transcript field returns that field
+ *   3. Streaming the fixture PCM over audio.input (auto_ask) yields the fixture
+ *      transcript, a reply quoting it, and the reply audio
+ *
+ * The server must run with STT_MOCK_MODE, LLM_MOCK_MODE and TTS_MOCK_MODE set to
+ * true, and STT_MOCK_FIXTURES pointing at tests/fixtures/stt.
+ *
+ * Usage:
+ *   TEST_BASE_URL=http://localhost:8080 node tests/integration/voice-loop.test.mjs
+ */
+
+import { readFileSync } from 'fs';
+import { WebSocket } from 'ws';
+
+// Configuration
+const TEST_RUNS = 3;
+const BASE_URL = process.env.TEST_BASE_URL || 'http://localhost:8080';
+const FIXED_USER_ID = `test-user-voice-loop-${Date.now()}`;
+
+const FIXTURES_DIR = new URL('../fixtures/stt/', import.meta.url);
+const FIXTURE_WAV = readFileSync(new URL('systems-check.wav', FIXTURES_DIR));
+const FIXTURE_TEXT = readFileSync(new URL('systems-check.txt', FIXTURES_DIR), 'utf8').trim();
+const SIDECAR_TEXT = 'Remind me to call Pepper at noon.';
+
+// ANSI colors for output
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+    reset: '\x1b[0m'
+};
+
+function log(color, ...args) {
+    console.log(colors[color], ...args, colors.reset);
+}
+
+/**
+ * Make JSON HTTP request
+ */
+async function request(method, path, body = null) {
+    const response = await fetch(`${BASE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-jarvis-user-id': FIXED_USER_ID
+        },
+        body: JSON.stringify(body || {})
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(`${method} ${path} failed: ${response.status} - ${JSON.stringify(data)}`);
+    }
+
+    return data;
+}
+
+/**
+ * Upload audio to POST /stt/transcribe
+ * @param {Buffer} audio
+ * @param {string} filename
+ * @param {Record<string, string>} [fields] - Extra form fields
+ * @returns {Promise<string>} transcript
+ */
+async function transcribe(audio, filename, fields = {}) {
+    const form = new FormData();
+    form.append('audio', new Blob([audio], { type: 'audio/wav' }), filename);
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+
+    const response = await fetch(`${BASE_URL}/stt/transcribe`, {
+        method: 'POST',
+        headers: { 'x-jarvis-user-id': FIXED_USER_ID },
+        body: form
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(`POST /stt/transcribe failed: ${response.status} - ${JSON.stringify(data)}`);
+    }
+
+    return data.transcript;
+}
+
+/**
+ * Stream the fixture PCM over the voice WebSocket with auto_ask and collect the turn
+ * @param {string} sessionId
+ * @returns {Promise<{ transcript: string, reply: string, audioFrames: number }>}
+ */
+function speak(sessionId) {
+    const ws = new WebSocket(`${BASE_URL.replace(/^http/, 'ws')}/ws`);
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            ws.close();
+            reject(new Error('Timeout waiting for the voice turn'));
+        }, 15000);
+        const result = { transcript: null, reply: null, audioFrames: null };
+        // assistant.response and audio.end may arrive in either order
+        const finishIfDone = () => {
+            if (result.reply === null || result.audioFrames === null) return;
+            clearTimeout(timer);
+            ws.close();
+            resolve(result);
+        };
+
+        ws.on('error', reject);
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            const msg = JSON.parse(data.toString());
+
+            switch (msg.type) {
+                case 'connected':
+                    ws.send(JSON.stringify({ type: 'session.bind', user_id: FIXED_USER_ID, session_id: sessionId }));
+                    break;
+                case 'session.bound': {
+                    ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000', auto_ask: true }));
+                    // 100ms chunks, as the mic would send them
+                    const pcm = FIXTURE_WAV.subarray(44);
+                    for (let offset = 0; offset < pcm.length; offset += 3200) {
+                        ws.send(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: pcm.subarray(offset, offset + 3200).toString('base64') }));
+                    }
+                    ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+                    break;
+                }
+                case 'transcript.user.final':
+                    result.transcript = msg.text;
+                    break;
+                case 'assistant.response':
+                    result.reply = msg.text;
+                    finishIfDone();
+                    break;
+                case 'audio.end':
+                    result.audioFrames = msg.total_frames;
+                    finishIfDone();
+                    break;
+                case 'error':
+                    clearTimeout(timer);
+                    ws.close();
+                    reject(new Error(`${msg.code}: ${msg.message}`));
+                    break;
+            }
+        });
+    });
+}
+
+/**
+ * Run single test iteration
+ * @param {number} iteration
+ * @returns {Promise<{passed: boolean, reply?: string, error?: string}>}
+ */
+async function runIteration(iteration) {
+    log('cyan', `\n=== Iteration ${iteration + 1}/${TEST_RUNS} ===`);
+
+    try {
+        log('yellow', '1) Transcribing fixture file...');
+        const fileTranscript = await transcribe(FIXTURE_WAV, 'systems-check.wav');
+        if (fileTranscript !== FIXTURE_TEXT) {
+            throw new Error(`Fixture transcript mismatch: "${fileTranscript}"`);
+        }
+
+        log('yellow', '2) Transcribing with mock_transcript...');
+        const sidecarTranscript = await transcribe(Buffer.from('not real audio'), 'clip.webm', { mock_transcript: SIDECAR_TEXT });
+        if (sidecarTranscript !== SIDECAR_TEXT) {
+            throw new Error(`Sidecar transcript mismatch: "${sidecarTranscript}"`);
+        }
+
+        log('yellow', '3) Speaking the fixture over the voice WebSocket...');
+        const session = await request('POST', '/session/start');
+        const turn = await speak(session.session_id);
+        await request('POST', '/session/end', { session_id: session.session_id });
+
+        if (turn.transcript !== FIXTURE_TEXT) {
+            throw new Error(`Streamed transcript mismatch: "${turn.transcript}"`);
+        }
+        if (!turn.reply?.includes(FIXTURE_TEXT)) {
+            throw new Error(`Reply does not answer the transcript: "${turn.reply}"`);
+        }
+        if (turn.audioFrames === 0) {
+            throw new Error('No reply audio');
+        }
+        log('yellow', `   Reply: ${turn.reply}`);
+
+        log('green', `✓ Iteration ${iteration + 1} PASSED`);
+        return { passed: true, reply: turn.reply };
+    } catch (error) {
+        log('red', `✗ Iteration ${iteration + 1} FAILED: ${error.message}`);
+        return { passed: false, error: error.message };
+    }
+}
+
+/**
+ * Main test runner
+ */
+async function main() {
+    console.log('\n' + '='.repeat(60));
+    log('cyan', 'JARVIS MVP - Voice Loop Integration Test');
+    log('cyan', `Target: ${BASE_URL}`);
+    log('cyan', `User ID: ${FIXED_USER_ID}`);
+    log('cyan', `Required: ${TEST_RUNS}/${TEST_RUNS} passes with identical replies`);
+    console.log('='.repeat(60));
+
+    const results = [];
+    for (let i = 0; i < TEST_RUNS; i++) {
+        results.push(await runIteration(i));
+    }
+
+    const passed = results.filter(r => r.passed).length;
+    const replies = new Set(results.filter(r => r.passed).map(r => r.reply));
+
+    console.log('\n' + '='.repeat(60));
+    log('cyan', 'RESULTS SUMMARY');
+    console.log('='.repeat(60));
+    log(passed === TEST_RUNS ? 'green' : 'red', `Final: ${passed}/${TEST_RUNS} passed, ${replies.size} distinct repl${replies.size === 1 ? 'y' : 'ies'}`);
+
+    if (passed === TEST_RUNS && replies.size === 1) {
+        log('green', '\n✓ Voice loop is reproducible');
+        process.exit(0);
+    } else {
+        log('red', '\n✗ Voice loop is NOT reproducible');
+        process.exit(1);
+    }
+}
+
+main().catch(err => {
+    log('red', 'Test runner error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,257 @@
+/**
+ * Anthropic Provider Tests
+ * Tests AnthropicProvider message conversion, generate() and generateStream()
+ * against a local HTTP stand-in for the Messages API, and the configurable
+ * LLM_FALLBACK_ORDER chain
+ * CI-safe: no live API calls
+ * @module tests/llm-anthropic.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+
+const request = {
+    messages: [
+        { role: 'system', content: 'You are JARVIS.' },
+        { role: 'user', content: 'Status report' }
+    ]
+};
+
+/**
+ * Behaviour of the stand-in Anthropic API for the next request
+ * @type {{ anthropic: 'ok' | 'overloaded' | 'stream_error' | 'tools' }}
+ */
+const scenario = { anthropic: 'ok' };
+const received = { anthropic: null, openai: null };
+
+function sse(res, events) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+    res.end();
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('Anthropic Provider', () => {
+    let server;
+    let llm;
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                if (req.url.startsWith('/openai')) {
+                    received.openai = JSON.parse(body);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        model: 'gpt-4o-stub',
+                        choices: [{ message: { content: 'OpenAI here, Sir.' } }],
+                        usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 }
+                    }));
+                    return;
+                }
+
+                received.anthropic = { headers: req.headers, body: JSON.parse(body) };
+                if (scenario.anthropic === 'overloaded') {
+                    res.writeHead(529).end('{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}');
+                    return;
+                }
+
+                if (received.anthropic.body.stream && scenario.anthropic === 'tools') {
+                    sse(res, [
+                        { type: 'message_start', message: { model: 'claude-stub', usage: { input_tokens: 11, output_tokens: 1 } } },
+                        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'One moment, Sir.' } },
+                        { type: 'content_block_stop', index: 0 },
+                        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'remember_fact', input: {} } },
+                        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"key":"home_city",' } },
+                        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"value":"Malibu"}' } },
+                        { type: 'content_block_stop', index: 1 },
+                        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+                        { type: 'message_stop' }
+                    ]);
+                    return;
+                }
+
+                if (received.anthropic.body.stream) {
+                    const events = [
+                        { type: 'message_start', message: { model: 'claude-stub', usage: { input_tokens: 11, output_tokens: 1 } } },
+                        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Very good, Sir. ' } }
+                    ];
+                    if (scenario.anthropic === 'stream_error') {
+                        events.push({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+                    } else {
+                        events.push(
+                            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'All systems nominal.' } },
+                            { type: 'content_block_stop', index: 0 },
+                            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } },
+                            { type: 'message_stop' }
+                        );
+                    }
+                    sse(res, events);
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: 'claude-stub',
+                    content: [
+                        { type: 'text', text: 'One moment, Sir.' },
+                        { type: 'tool_use', id: 'toolu_1', name: 'remember_fact', input: { key: 'home_city', value: 'Malibu' } }
+                    ],
+                    usage: { input_tokens: 20, output_tokens: 12 }
+                }));
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+        process.env.ANTHROPIC_API_URL = `http://127.0.0.1:${port}/anthropic/v1/messages`;
+        process.env.OPENAI_API_KEY = 'test-openai-key';
+        process.env.OPENAI_API_URL = `http://127.0.0.1:${port}/openai/v1/chat/completions`;
+        delete process.env.LLM_MOCK_MODE;
+
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    afterEach(() => {
+        scenario.anthropic = 'ok';
+        delete process.env.LLM_FALLBACK_ORDER;
+    });
+
+    after(async () => {
+        for (const key of ['ANTHROPIC_API_KEY', 'ANTHROPIC_API_URL', 'OPENAI_API_KEY', 'OPENAI_API_URL']) {
+            delete process.env[key];
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('moves system messages to the system field and merges same-role turns', () => {
+        const provider = new llm.AnthropicProvider();
+        const { system, messages } = provider._convertMessages([
+            { role: 'system', content: 'You are JARVIS.' },
+            { role: 'system', content: 'Be brief.' },
+            { role: 'assistant', content: 'Welcome back, Sir.' },
+            { role: 'user', content: 'Hello' },
+            { role: 'user', content: 'Status?' },
+            { role: 'assistant', content: '', tool_calls: [{ id: 'toolu_1', name: 'list_reminders', arguments: {} }] },
+            { role: 'tool', tool_call_id: 'toolu_1', name: 'list_reminders', content: '{"reminders":[]}' }
+        ]);
+
+        assert.strictEqual(system, 'You are JARVIS.\n\nBe brief.');
+        assert.deepStrictEqual(messages, [
+            { role: 'user', content: [{ type: 'text', text: '(conversation resumed)' }] },
+            { role: 'assistant', content: [{ type: 'text', text: 'Welcome back, Sir.' }] },
+            { role: 'user', content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: 'Status?' }] },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'list_reminders', input: {} }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"reminders":[]}' }] }
+        ]);
+    });
+
+    it('generates with the Messages API and reports usage and tool calls', async () => {
+        const tools = [{ name: 'remember_fact', description: 'Store a fact.', parameters: { type: 'object', properties: {} } }];
+        const response = await new llm.AnthropicProvider().generate({ ...request, tools });
+
+        assert.strictEqual(received.anthropic.headers['x-api-key'], 'test-anthropic-key');
+        assert.strictEqual(received.anthropic.headers['anthropic-version'], '2023-06-01');
+        assert.strictEqual(received.anthropic.body.system, 'You are JARVIS.');
+        assert.deepStrictEqual(received.anthropic.body.messages, [{ role: 'user', content: [{ type: 'text', text: 'Status report' }] }]);
+        assert.deepStrictEqual(received.anthropic.body.tools, [{ name: 'remember_fact', description: 'Store a fact.', input_schema: { type: 'object', properties: {} } }]);
+        assert.strictEqual(received.anthropic.body.max_tokens, 1024);
+
+        assert.strictEqual(response.content, 'One moment, Sir.');
+        assert.strictEqual(response.provider, 'anthropic');
+        assert.strictEqual(response.model, 'claude-stub');
+        assert.deepStrictEqual(response.usage, { prompt_tokens: 20, completion_tokens: 12 });
+        assert.deepStrictEqual(response.tool_calls, [{ id: 'toolu_1', name: 'remember_fact', arguments: { key: 'home_city', value: 'Malibu' } }]);
+    });
+
+    it('asks for JSON in the system prompt for structured output', async () => {
+        await new llm.AnthropicProvider().generate({ ...request, response_format: 'json' });
+
+        assert.strictEqual(received.anthropic.body.system, 'You are JARVIS.\n\nRespond with only a single JSON object, no other text.');
+    });
+
+    it('streams text deltas and reports usage at the end', async () => {
+        const events = await collect(new llm.AnthropicProvider().generateStream(request));
+
+        assert.deepStrictEqual(events.filter(e => e.type === 'delta').map(e => e.text), ['Very good, Sir. ', 'All systems nominal.']);
+        const done = events[events.length - 1];
+        assert.strictEqual(done.type, 'done');
+        assert.strictEqual(done.content, 'Very good, Sir. All systems nominal.');
+        assert.strictEqual(done.model, 'claude-stub');
+        assert.deepStrictEqual(done.usage, { prompt_tokens: 11, completion_tokens: 9 });
+        assert.strictEqual(received.anthropic.body.stream, true);
+    });
+
+    it('streams tool_use blocks as tool calls on the done event', async () => {
+        scenario.anthropic = 'tools';
+        const events = await collect(new llm.AnthropicProvider().generateStream(request));
+
+        assert.deepStrictEqual(events.filter(e => e.type === 'delta').map(e => e.text), ['One moment, Sir.']);
+        assert.deepStrictEqual(events.at(-1).tool_calls, [
+            { id: 'toolu_1', name: 'remember_fact', arguments: { key: 'home_city', value: 'Malibu' } }
+        ]);
+    });
+
+    it('throws on a mid-stream error event', async () => {
+        scenario.anthropic = 'stream_error';
+        await assert.rejects(
+            () => collect(new llm.AnthropicProvider().generateStream(request)),
+            (err) => err.message === 'Anthropic stream error: Overloaded' && err.status === 529
+        );
+    });
+
+    it('follows LLM_FALLBACK_ORDER and falls back when Anthropic is overloaded', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'anthropic, openai';
+
+        const first = await llm.generateWithFallback(request);
+        assert.strictEqual(first.provider, 'anthropic');
+        assert.strictEqual(first.fallback_used, false);
+
+        scenario.anthropic = 'overloaded';
+        const second = await llm.generateWithFallback(request);
+        assert.strictEqual(second.provider, 'openai');
+        assert.strictEqual(second.fallback_used, true);
+    });
+
+    it('reports the configured chain in getProviderStatus', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'openai,anthropic,gemini';
+        const status = await llm.getProviderStatus();
+
+        assert.deepStrictEqual(status.fallback_order, ['openai', 'anthropic', 'gemini']);
+        assert.deepStrictEqual(Object.keys(status.providers), ['openai', 'anthropic', 'gemini']);
+        assert.strictEqual(status.primary, 'openai');
+        assert.strictEqual(status.fallback, 'anthropic');
+        assert.strictEqual(status.providers.anthropic.isPrimary, false);
+        assert.strictEqual(status.providers.anthropic.model, 'claude-sonnet-4-5');
+    });
+
+    it('validates LLM_FALLBACK_ORDER', () => {
+        assert.deepStrictEqual(llm.getFallbackOrder(), ['openai', 'gemini']);
+
+        process.env.LLM_FALLBACK_ORDER = ' Anthropic ,gemini,anthropic';
+        assert.deepStrictEqual(llm.getFallbackOrder(), ['anthropic', 'gemini']);
+
+        process.env.LLM_FALLBACK_ORDER = 'anthropic,claude';
+        assert.throws(() => llm.getFallbackOrder(), /Unknown LLM provider in LLM_FALLBACK_ORDER: claude/);
+
+        process.env.LLM_FALLBACK_ORDER = ' , ';
+        assert.throws(() => llm.getFallbackOrder(), /LLM_FALLBACK_ORDER names no providers/);
+    });
+});
+
+console.log('Running Anthropic Provider Tests...');
@@ -223,6 +223,35 @@ describe('LLM Mock Mode Tests', () => {
         });
     });
 
+    describe('Streaming', () => {
+        it('generateStream yields deltas then a done event matching generate()', async () => {
+            process.env.LLM_MOCK_MODE = 'true';
+            const { MockProvider } = await import('../src/llm/providers/mock.mjs');
+            const provider = new MockProvider();
+
+            const request = {
+                messages: [
+                    { role: 'system', content: 'You are JARVIS.' },
+                    { role: 'user', content: 'Hello' }
+                ]
+            };
+
+            const events = [];
+            for await (const event of provider.generateStream(request)) {
+                events.push(event);
+            }
+
+            const text = events.filter(e => e.type === 'delta').map(e => e.text).join('');
+            const done = events[events.length - 1];
+            const response = await provider.generate(request);
+
+            assert.strictEqual(done.type, 'done');
+            assert.strictEqual(text, response.content);
+            assert.strictEqual(done.content, response.content);
+            assert.strictEqual(done.provider, 'mock');
+        });
+    });
+
     describe('Error Handling', () => {
         it('Throws error when generating without mock mode enabled', async () => {
             process.env.LLM_MOCK_MODE = 'false';
@@ -0,0 +1,196 @@
+/**
+ * OpenAI-Compatible Provider Tests
+ * Tests named OpenAICompatibleProvider instances from LLM_OPENAI_COMPATIBLE
+ * against a local stand-in for a self-hosted chat completions server
+ * CI-safe: no live API calls
+ * @module tests/llm-openai-compatible.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { parseCompatibleInstances } from '../src/llm/providers/openai-compatible.mjs';
+
+const request = {
+    messages: [
+        { role: 'system', content: 'You are JARVIS.' },
+        { role: 'user', content: 'Status report' }
+    ]
+};
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('LLM_OPENAI_COMPATIBLE parsing', () => {
+    it('builds provider options from named instances', () => {
+        process.env.TEST_VLLM_KEY = ' vllm-secret\n';
+        const [local, vllm] = parseCompatibleInstances(JSON.stringify({
+            local: { base_url: 'http://127.0.0.1:11434/v1/', model: 'llama3.1:8b', context_window: 131072 },
+            vllm: { base_url: 'https://gpu.example.net/v1', model: 'qwen2.5', api_key_env: 'TEST_VLLM_KEY', headers: { 'X-Team': 'jarvis' } }
+        }));
+        delete process.env.TEST_VLLM_KEY;
+
+        assert.strictEqual(local.name, 'local');
+        assert.strictEqual(local.apiUrl, 'http://127.0.0.1:11434/v1/chat/completions');
+        assert.strictEqual(local.apiKey, undefined);
+        assert.strictEqual(local.contextWindow, 131072);
+        assert.strictEqual(vllm.apiKey, 'vllm-secret');
+        assert.deepStrictEqual(vllm.headers, { 'X-Team': 'jarvis' });
+        assert.deepStrictEqual(parseCompatibleInstances(undefined), []);
+    });
+
+    it('rejects invalid config with the instance at fault', () => {
+        const parse = config => () => parseCompatibleInstances(typeof config === 'string' ? config : JSON.stringify(config), ['openai', 'mock']);
+
+        assert.throws(parse('{local'), /LLM_OPENAI_COMPATIBLE is not valid JSON/);
+        assert.throws(parse([]), /must be a JSON object/);
+        assert.throws(parse({ openai: { base_url: 'http://x/v1', model: 'm' } }), /LLM_OPENAI_COMPATIBLE\.openai: name is taken/);
+        assert.throws(parse({ 'My Server': { base_url: 'http://x/v1', model: 'm' } }), /name must be lowercase/);
+        assert.throws(parse({ local: { base_url: 'localhost:8080', model: 'm' } }), /LLM_OPENAI_COMPATIBLE\.local: base_url must be an http\(s\) URL/);
+        assert.throws(parse({ local: { base_url: 'http://x/v1' } }), /model is required/);
+        assert.throws(parse({ local: { base_url: 'http://x/v1', model: 'm', apikey: 'k' } }), /unknown setting apikey/);
+        assert.throws(parse({ local: { base_url: 'http://x/v1', model: 'm', headers: { 'X-N': 1 } } }), /headers must map names to strings/);
+        assert.throws(parse({ local: { base_url: 'http://x/v1', model: 'm', max_tokens: '512' } }), /max_tokens must be a number/);
+    });
+});
+
+describe('OpenAI-Compatible Provider', () => {
+    let server;
+    let llm;
+    /** @type {Array<{ instance: string, headers: Object, body: Object }>} */
+    const received = [];
+    const failing = new Set();
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                const instance = req.url.split('/')[1];
+                const parsed = JSON.parse(body);
+                received.push({ instance, headers: req.headers, body: parsed });
+
+                if (failing.has(instance)) {
+                    res.writeHead(503).end('model loading');
+                    return;
+                }
+
+                if (parsed.stream) {
+                    // Like llama.cpp: no usage chunk, no [DONE]
+                    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                    for (const text of ['Running ', 'locally, Sir.']) {
+                        res.write(`data: ${JSON.stringify({ model: parsed.model, choices: [{ delta: { content: text } }] })}\n\n`);
+                    }
+                    res.end();
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: parsed.model,
+                    choices: [{ message: { content: `${instance} online, Sir.` } }],
+                    usage: { prompt_tokens: 7, completion_tokens: 4, total_tokens: 11 }
+                }));
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        process.env.TEST_VLLM_KEY = 'vllm-secret';
+        process.env.LLM_OPENAI_COMPATIBLE = JSON.stringify({
+            local: { base_url: `${base}/local/v1`, model: 'llama3.1:8b', headers: { 'X-Client': 'jarvis-relay' }, context_window: 32768 },
+            vllm: { base_url: `${base}/vllm/v1`, model: 'qwen2.5-7b-instruct', api_key_env: 'TEST_VLLM_KEY', max_tokens: 512 }
+        });
+        delete process.env.LLM_MOCK_MODE;
+        // No retries: a failing instance hands over to the next one straight away
+        process.env.PROVIDER_REQUEST_POLICY = JSON.stringify({ llm: { retries: 0 } });
+
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    afterEach(() => {
+        received.length = 0;
+        failing.clear();
+        delete process.env.LLM_FALLBACK_ORDER;
+    });
+
+    after(async () => {
+        delete process.env.LLM_OPENAI_COMPATIBLE;
+        delete process.env.TEST_VLLM_KEY;
+        delete process.env.PROVIDER_REQUEST_POLICY;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('registers each instance by name', () => {
+        assert.ok(llm.getProvider('local') instanceof llm.OpenAICompatibleProvider);
+        assert.ok(llm.getProvider('vllm') instanceof llm.OpenAICompatibleProvider);
+        assert.ok(llm.getProvider('openai') instanceof llm.OpenAICompatibleProvider);
+    });
+
+    it('calls a keyless local server with its model and headers', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'local';
+        const response = await llm.generateWithFallback(request);
+
+        assert.strictEqual(response.provider, 'local');
+        assert.strictEqual(response.content, 'local online, Sir.');
+        assert.strictEqual(response.model, 'llama3.1:8b');
+        assert.deepStrictEqual(response.usage, { prompt_tokens: 7, completion_tokens: 4 });
+
+        const [{ headers, body }] = received;
+        assert.strictEqual(headers.authorization, undefined);
+        assert.strictEqual(headers['x-client'], 'jarvis-relay');
+        assert.strictEqual(body.model, 'llama3.1:8b');
+        assert.deepStrictEqual(body.messages, request.messages);
+    });
+
+    it('sends the key from api_key_env and the instance max_tokens', async () => {
+        await llm.generateWithFallback(request, { forceProvider: 'vllm' });
+
+        assert.strictEqual(received[0].headers.authorization, 'Bearer vllm-secret');
+        assert.strictEqual(received[0].body.max_tokens, 512);
+    });
+
+    it('falls back between instances in LLM_FALLBACK_ORDER', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'local,vllm';
+        failing.add('local');
+
+        const response = await llm.generateWithFallback(request);
+
+        assert.strictEqual(response.provider, 'vllm');
+        assert.strictEqual(response.fallback_used, true);
+        assert.deepStrictEqual(received.map(r => r.instance), ['local', 'vllm']);
+    });
+
+    it('streams from servers that send no usage or [DONE]', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'local';
+        const events = await collect(llm.streamWithFallback(request));
+
+        assert.deepStrictEqual(events.filter(e => e.type === 'delta').map(e => e.text), ['Running ', 'locally, Sir.']);
+        const done = events[events.length - 1];
+        assert.strictEqual(done.provider, 'local');
+        assert.strictEqual(done.content, 'Running locally, Sir.');
+        assert.deepStrictEqual(done.usage, { prompt_tokens: 0, completion_tokens: 0 });
+    });
+
+    it('reports instances in status and budgets with their context_window', async () => {
+        process.env.LLM_FALLBACK_ORDER = 'local,vllm';
+        const status = await llm.getProviderStatus();
+
+        assert.deepStrictEqual(Object.keys(status.providers), ['local', 'vllm']);
+        assert.strictEqual(status.primary, 'local');
+        assert.strictEqual(status.providers.vllm.model, 'qwen2.5-7b-instruct');
+        assert.strictEqual(await llm.isConfigured(), true);
+
+        // 32768 - 1024 for local; vllm's unknown model gets the 8192 default - 512
+        assert.deepStrictEqual(llm.getContextBudget('local'), { model: 'llama3.1:8b', budget: 31744 });
+        assert.deepStrictEqual(llm.getContextBudget(), { model: 'llama3.1:8b', budget: 7680 });
+    });
+});
+
+console.log('Running OpenAI-Compatible Provider Tests...');
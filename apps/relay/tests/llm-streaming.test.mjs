@@ -0,0 +1,265 @@
+/**
+ * LLM Streaming Tests
+ * Tests generateStream() for OpenAI/Gemini against local HTTP stand-ins,
+ * and streamWithFallback() fallback semantics
+ * CI-safe: no live API calls
+ * @module tests/llm-streaming.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+
+const request = {
+    messages: [
+        { role: 'system', content: 'You are JARVIS.' },
+        { role: 'user', content: 'Status report' }
+    ]
+};
+
+/**
+ * Behaviour of the stand-in API for the next request
+ * @type {{ openai: 'ok' | 'fail' | 'break' | 'tools', gemini: 'ok' | 'fail' | 'tools' }}
+ */
+const scenario = { openai: 'ok', gemini: 'ok' };
+const received = { openai: null, gemini: null };
+
+function sse(res, payloads) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const p of payloads) {
+        res.write(`data: ${typeof p === 'string' ? p : JSON.stringify(p)}\n\n`);
+    }
+    res.end();
+}
+
+function openaiChunk(content) {
+    return { model: 'gpt-4o-stub', choices: [{ index: 0, delta: { content } }] };
+}
+
+function geminiChunk(text, usage) {
+    const chunk = { candidates: [{ content: { role: 'model', parts: [{ text }] } }] };
+    if (usage) chunk.usageMetadata = usage;
+    return chunk;
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('LLM Streaming', () => {
+    let server;
+    let llm;
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                if (req.url.startsWith('/openai')) {
+                    received.openai = { url: req.url, body: JSON.parse(body) };
+                    if (scenario.openai === 'fail') {
+                        res.writeHead(503).end('{"error":"overloaded"}');
+                        return;
+                    }
+                    if (scenario.openai === 'break') {
+                        // One token, then a malformed event mid-stream
+                        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                        res.write(`data: ${JSON.stringify(openaiChunk('Very'))}\n\n`);
+                        res.end('data: {not json\n\n');
+                        return;
+                    }
+                    if (scenario.openai === 'tools') {
+                        // A call's ID and name come first, its arguments in pieces after
+                        const call = (index, fn, id) => ({ model: 'gpt-4o-stub', choices: [{ index: 0, delta: { tool_calls: [{ index, ...(id && { id, type: 'function' }), function: fn }] } }] });
+                        sse(res, [
+                            openaiChunk('One moment, Sir. '),
+                            call(0, { name: 'remember_fact', arguments: '' }, 'call_a'),
+                            call(0, { arguments: '{"key":"home_' }),
+                            call(1, { name: 'forget_fact', arguments: '{"key":' }, 'call_b'),
+                            call(0, { arguments: 'city","value":"Malibu"}' }),
+                            call(1, { arguments: '"mood"}' }),
+                            '[DONE]'
+                        ]);
+                        return;
+                    }
+                    sse(res, [
+                        openaiChunk('Very good'),
+                        openaiChunk(', Sir. '),
+                        openaiChunk('All systems nominal.'),
+                        { model: 'gpt-4o-stub', choices: [], usage: { prompt_tokens: 12, completion_tokens: 7 } },
+                        '[DONE]'
+                    ]);
+                    return;
+                }
+
+                if (req.url.startsWith('/gemini')) {
+                    received.gemini = { url: req.url, body: JSON.parse(body) };
+                    if (scenario.gemini === 'fail') {
+                        res.writeHead(500).end('{}');
+                        return;
+                    }
+                    if (scenario.gemini === 'tools') {
+                        sse(res, [{ candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'forget_fact', args: { key: 'mood' } } }] } }] }]);
+                        return;
+                    }
+                    sse(res, [
+                        geminiChunk('Certainly, Sir. ', { promptTokenCount: 9, candidatesTokenCount: 4 }),
+                        geminiChunk('Diagnostics complete.', { promptTokenCount: 9, candidatesTokenCount: 8 })
+                    ]);
+                    return;
+                }
+
+                res.writeHead(404).end();
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        process.env.OPENAI_API_KEY = 'test-openai-key';
+        process.env.OPENAI_API_URL = `http://127.0.0.1:${port}/openai/v1/chat/completions`;
+        process.env.GEMINI_API_KEY = 'test-gemini-key';
+        process.env.GEMINI_API_URL = `http://127.0.0.1:${port}/gemini/models`;
+        delete process.env.LLM_MOCK_MODE;
+
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('OpenAI streams deltas and reports usage at the end', async () => {
+        scenario.openai = 'ok';
+        const provider = new llm.OpenAIProvider();
+        const events = await collect(provider.generateStream(request));
+
+        const deltas = events.filter(e => e.type === 'delta').map(e => e.text);
+        assert.deepStrictEqual(deltas, ['Very good', ', Sir. ', 'All systems nominal.']);
+
+        const done = events[events.length - 1];
+        assert.strictEqual(done.type, 'done');
+        assert.strictEqual(done.content, 'Very good, Sir. All systems nominal.');
+        assert.strictEqual(done.model, 'gpt-4o-stub');
+        assert.deepStrictEqual(done.usage, { prompt_tokens: 12, completion_tokens: 7 });
+
+        assert.strictEqual(received.openai.body.stream, true);
+        assert.deepStrictEqual(received.openai.body.stream_options, { include_usage: true });
+    });
+
+    it('Gemini streams deltas from streamGenerateContent', async () => {
+        scenario.gemini = 'ok';
+        const provider = new llm.GeminiProvider();
+        const events = await collect(provider.generateStream(request));
+
+        const text = events.filter(e => e.type === 'delta').map(e => e.text).join('');
+        assert.strictEqual(text, 'Certainly, Sir. Diagnostics complete.');
+
+        const done = events[events.length - 1];
+        assert.strictEqual(done.provider, 'gemini');
+        assert.deepStrictEqual(done.usage, { prompt_tokens: 9, completion_tokens: 8 });
+
+        assert.match(received.gemini.url, /:streamGenerateContent\?alt=sse&key=/);
+        assert.strictEqual(received.gemini.body.systemInstruction.parts[0].text, 'You are JARVIS.');
+    });
+
+    it('asks each API for JSON when response_format is json', async () => {
+        scenario.openai = 'ok';
+        scenario.gemini = 'ok';
+        const jsonRequest = { ...request, response_format: 'json' };
+        await collect(new llm.OpenAIProvider().generateStream(jsonRequest));
+        await collect(new llm.GeminiProvider().generateStream(jsonRequest));
+
+        assert.deepStrictEqual(received.openai.body.response_format, { type: 'json_object' });
+        assert.strictEqual(received.gemini.body.generationConfig.responseMimeType, 'application/json');
+
+        await collect(new llm.OpenAIProvider().generateStream(request));
+        assert.strictEqual(received.openai.body.response_format, undefined);
+    });
+
+    it('reports streamed tool calls on the done event', async () => {
+        scenario.openai = 'tools';
+        scenario.gemini = 'tools';
+
+        const openai = await collect(new llm.OpenAIProvider().generateStream(request));
+        assert.deepStrictEqual(openai.filter(e => e.type === 'delta').map(e => e.text), ['One moment, Sir. ']);
+        assert.deepStrictEqual(openai.at(-1).tool_calls, [
+            { id: 'call_a', name: 'remember_fact', arguments: { key: 'home_city', value: 'Malibu' } },
+            { id: 'call_b', name: 'forget_fact', arguments: { key: 'mood' } }
+        ]);
+
+        const gemini = await collect(new llm.GeminiProvider().generateStream(request));
+        assert.strictEqual(gemini.length, 1);
+        assert.strictEqual(gemini[0].tool_calls[0].name, 'forget_fact');
+        assert.deepStrictEqual(gemini[0].tool_calls[0].arguments, { key: 'mood' });
+
+        scenario.openai = 'ok';
+        assert.strictEqual((await collect(new llm.OpenAIProvider().generateStream(request))).at(-1).tool_calls, undefined);
+    });
+
+    it('streamWithFallback falls back when the primary fails before the first token', async () => {
+        scenario.openai = 'fail';
+        scenario.gemini = 'ok';
+
+        const events = await collect(llm.streamWithFallback(request, { correlationId: 'stream-fallback-test' }));
+        const done = events[events.length - 1];
+
+        assert.strictEqual(done.type, 'done');
+        assert.strictEqual(done.provider, 'gemini');
+        assert.strictEqual(done.fallback_used, true);
+        assert.strictEqual(done.correlation_id, 'stream-fallback-test');
+        assert.strictEqual(events.filter(e => e.type === 'delta').map(e => e.text).join(''), done.content);
+    });
+
+    it('streamWithFallback does not switch providers after output has started', async () => {
+        scenario.openai = 'break';
+        scenario.gemini = 'ok';
+        received.gemini = null;
+
+        const deltas = [];
+        await assert.rejects(async () => {
+            for await (const event of llm.streamWithFallback(request)) {
+                if (event.type === 'delta') deltas.push(event.text);
+            }
+        });
+
+        assert.deepStrictEqual(deltas, ['Very']);
+        assert.strictEqual(received.gemini, null, 'Gemini should not have been called');
+    });
+
+    it('streamWithFallback aggregates errors when every provider fails', async () => {
+        scenario.openai = 'fail';
+        scenario.gemini = 'fail';
+
+        await assert.rejects(
+            () => collect(llm.streamWithFallback(request)),
+            (err) => {
+                assert.strictEqual(err.message, 'All LLM providers failed');
+                assert.deepStrictEqual(err.provider_errors.map(e => e.provider), ['openai', 'gemini']);
+                return true;
+            }
+        );
+    });
+});
+
+describe('Mock LLM Streaming', () => {
+    it('streams word-sized chunks that join to the generate() reply', async () => {
+        process.env.LLM_MOCK_MODE = 'true';
+        const { MockProvider } = await import('../src/llm/providers/mock.mjs');
+        const provider = new MockProvider();
+
+        const events = await collect(provider.generateStream(request));
+        const deltas = events.filter(e => e.type === 'delta');
+        const response = await provider.generate(request);
+
+        assert.ok(deltas.length > 1, 'Should stream more than one chunk');
+        assert.strictEqual(deltas.map(e => e.text).join(''), response.content);
+        assert.deepStrictEqual(events[events.length - 1].usage, response.usage);
+    });
+});
+
+console.log('Running LLM Streaming Tests...');
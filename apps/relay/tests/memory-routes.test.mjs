@@ -0,0 +1,210 @@
+/**
+ * Memory Route Tests
+ * Tests DELETE /memory/fact/:key, PUT /memory/facts, the GET /memory/facts filters,
+ * and fact history / rollback
+ * CI-safe: no live API calls; needs DATABASE_URL
+ * @module tests/memory-routes.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Memory Routes', { skip: SKIP_REASON }, () => {
+    let app;
+    const owner = `memory-owner-${Date.now()}`;
+    const other = `memory-other-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerMemoryRoutes } = await import('../src/routes/memory.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerMemoryRoutes(app);
+        await app.ready();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    const send = (method, url, payload, user = owner) => app.inject({ method, url, headers: { 'x-jarvis-user-id': user }, payload });
+    // Facts written in one transaction share created_at, so compare keys as a set
+    const keysOf = (res) => res.json().facts.map(f => f.fact_key).sort();
+
+    it('PUT /memory/facts merges a set of facts', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'name', fact_value: 'Tony' });
+        const res = await send('PUT', '/memory/facts', {
+            facts: [
+                { fact_key: 'home.city', fact_value: 'Malibu', confidence: 0.9 },
+                { fact_key: 'home.garage', fact_value: 'Six cars', confidence: 0.4 }
+            ]
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.json().deleted, []);
+        assert.deepStrictEqual(res.json().facts.map(f => [f.fact_key, f.confidence, f.status]), [['home.city', 0.9, 'active'], ['home.garage', 0.4, 'active']]);
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts')), ['home.city', 'home.garage', 'name']);
+    });
+
+    it('GET /memory/facts filters by prefix, confidence and update time', async () => {
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts?prefix=home.')), ['home.city', 'home.garage']);
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts?min_confidence=0.5')), ['home.city', 'name']);
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts?prefix=home.&min_confidence=0.5')), ['home.city']);
+
+        const future = new Date(Date.now() + 60_000).toISOString();
+        assert.deepStrictEqual(keysOf(await send('GET', `/memory/facts?updated_since=${encodeURIComponent(future)}`)), []);
+        const past = new Date(Date.now() - 60_000).toISOString();
+        assert.strictEqual(keysOf(await send('GET', `/memory/facts?updated_since=${encodeURIComponent(past)}`)).length, 3);
+    });
+
+    it('GET /memory/facts treats the prefix literally', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'home_x', fact_value: 'wildcard bait' });
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts?prefix=home_')), ['home_x']);
+        await send('DELETE', '/memory/fact/home_x');
+    });
+
+    it('GET /memory/facts validates its filters', async () => {
+        assert.strictEqual((await send('GET', '/memory/facts?min_confidence=2')).statusCode, 400);
+        assert.strictEqual((await send('GET', '/memory/facts?updated_since=yesterday')).statusCode, 400);
+    });
+
+    it('PUT /memory/facts with mode=replace drops facts not in the set', async () => {
+        const res = await send('PUT', '/memory/facts', {
+            mode: 'replace',
+            facts: [{ fact_key: 'name', fact_value: 'Anthony' }, { fact_key: 'home.city', fact_value: 'Malibu', confidence: 0.9 }]
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.json().deleted, ['home.garage']);
+        const facts = (await send('GET', '/memory/facts')).json().facts;
+        assert.deepStrictEqual(Object.fromEntries(facts.map(f => [f.fact_key, f.fact_value])), { name: 'Anthony', 'home.city': 'Malibu' });
+    });
+
+    it('PUT /memory/facts rejects duplicate keys and invalid facts without writing', async () => {
+        const duplicate = await send('PUT', '/memory/facts', {
+            mode: 'replace',
+            facts: [{ fact_key: 'name', fact_value: 'A' }, { fact_key: 'name', fact_value: 'B' }]
+        });
+        assert.strictEqual(duplicate.statusCode, 400);
+
+        const invalid = await send('PUT', '/memory/facts', { facts: [{ fact_key: 'name', fact_value: 'A', confidence: 7 }] });
+        assert.strictEqual(invalid.statusCode, 400);
+
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts')), ['home.city', 'name']);
+    });
+
+    it('DELETE /memory/fact/:key forgets a fact', async () => {
+        const res = await send('DELETE', '/memory/fact/home.city');
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepStrictEqual(res.json(), { fact_key: 'home.city', deleted: true });
+        assert.deepStrictEqual(keysOf(await send('GET', '/memory/facts')), ['name']);
+        assert.strictEqual((await send('DELETE', '/memory/fact/home.city')).statusCode, 404);
+    });
+
+    it('keeps every route scoped to the calling user', async () => {
+        assert.strictEqual((await send('DELETE', '/memory/fact/name', undefined, other)).statusCode, 404);
+        await send('PUT', '/memory/facts', { mode: 'replace', facts: [{ fact_key: 'name', fact_value: 'Pepper' }] }, other);
+
+        assert.deepStrictEqual((await send('GET', '/memory/facts')).json().facts.map(f => f.fact_value), ['Anthony']);
+        assert.deepStrictEqual((await send('GET', '/memory/facts', undefined, other)).json().facts.map(f => f.fact_value), ['Pepper']);
+    });
+});
+
+describe('Memory Fact History', { skip: SKIP_REASON }, () => {
+    let app;
+    const owner = `history-owner-${Date.now()}`;
+    const other = `history-other-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerMemoryRoutes } = await import('../src/routes/memory.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerMemoryRoutes(app);
+        await app.ready();
+    });
+
+    after(async () => {
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    const send = (method, url, payload, user = owner) => app.inject({ method, url, headers: { 'x-jarvis-user-id': user }, payload });
+    const history = async (key, user) => (await send('GET', `/memory/fact/${key}/history`, undefined, user)).json().revisions;
+    const currentValue = async (key) => (await send('GET', '/memory/facts')).json().facts.find(f => f.fact_key === key)?.fact_value;
+
+    it('records a revision for every upsert and delete', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'suit', fact_value: 'Mark III', confidence: 0.8 });
+        await send('PUT', '/memory/facts', { facts: [{ fact_key: 'suit', fact_value: 'Mark V' }] });
+        await send('DELETE', '/memory/fact/suit');
+
+        const revisions = await history('suit');
+
+        assert.deepStrictEqual(
+            revisions.map(r => [r.operation, r.actor, r.old_value, r.new_value, r.old_confidence, r.new_confidence, r.new_status]),
+            [
+                ['create', 'user', null, 'Mark III', null, 0.8, 'active'],
+                ['update', 'user', 'Mark III', 'Mark V', 0.8, 1, 'active'],
+                ['delete', 'user', 'Mark V', null, 1, null, null]
+            ]
+        );
+    });
+
+    it('records deletions made by a replace write', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'armor.color', fact_value: 'red and gold' });
+        await send('PUT', '/memory/facts', { mode: 'replace', facts: [{ fact_key: 'ai', fact_value: 'JARVIS' }] });
+
+        const [, removed] = await history('armor.color');
+        assert.strictEqual(removed.operation, 'delete');
+        assert.strictEqual(removed.old_value, 'red and gold');
+    });
+
+    it('rolls a fact back to an earlier revision', async () => {
+        await send('POST', '/memory/fact', { fact_key: 'ai', fact_value: 'FRIDAY', confidence: 0.9 });
+        const [first] = await history('ai');
+
+        const res = await send('POST', '/memory/fact/ai/rollback', { revision_id: first.id });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.json().fact.fact_value, 'JARVIS');
+        assert.strictEqual(res.json().fact.confidence, 1);
+        assert.deepStrictEqual(
+            [res.json().revision.operation, res.json().revision.old_value, res.json().revision.new_value, res.json().revision.rollback_of],
+            ['rollback', 'FRIDAY', 'JARVIS', first.id]
+        );
+        assert.strictEqual(await currentValue('ai'), 'JARVIS');
+        assert.strictEqual((await history('ai')).length, 3);
+    });
+
+    it('recreates a deleted fact, and deletes it again by rolling back to the delete', async () => {
+        const [, update, deletion] = await history('suit');
+
+        const restored = await send('POST', '/memory/fact/suit/rollback', { revision_id: update.id });
+        assert.strictEqual(restored.json().fact.fact_value, 'Mark V');
+        assert.strictEqual(await currentValue('suit'), 'Mark V');
+
+        const deleted = await send('POST', '/memory/fact/suit/rollback', { revision_id: deletion.id });
+        assert.strictEqual(deleted.statusCode, 200);
+        assert.strictEqual(deleted.json().fact, null);
+        assert.strictEqual(deleted.json().revision.old_value, 'Mark V');
+        assert.strictEqual(await currentValue('suit'), undefined);
+    });
+
+    it('keeps history and rollback scoped to the user and key', async () => {
+        const [first] = await history('ai');
+
+        assert.strictEqual((await send('GET', '/memory/fact/ai/history', undefined, other)).statusCode, 404);
+        assert.strictEqual((await send('POST', '/memory/fact/ai/rollback', { revision_id: first.id }, other)).statusCode, 404);
+        assert.strictEqual((await send('POST', '/memory/fact/suit/rollback', { revision_id: first.id })).statusCode, 404);
+        assert.strictEqual((await send('POST', '/memory/fact/ai/rollback', { revision_id: 'not-a-uuid' })).statusCode, 400);
+    });
+});
+
+console.log('Running Memory Route Tests...');
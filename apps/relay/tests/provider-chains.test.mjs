@@ -0,0 +1,377 @@
+/**
+ * Provider Chain Config Tests
+ * Tests validation of the TTS/LLM chain config, per-error fallback rules,
+ * entry timeouts and force_provider, with stubbed TTS providers and a local
+ * stand-in for OpenAI-compatible servers
+ * CI-safe: no live API calls
+ * @module tests/provider-chains.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { writeFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+delete process.env.TTS_MOCK_MODE;
+delete process.env.LLM_MOCK_MODE;
+
+const {
+    validateProviderChains,
+    getProviderChains,
+    classifyProviderError,
+    shouldFallBack
+} = await import('../src/config/provider-chains.mjs');
+
+/**
+ * Set the inline chain config for the next call
+ * @param {Object} config
+ */
+const useChains = (config) => { process.env.PROVIDER_CHAINS = JSON.stringify(config); };
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('Provider Chain Config', () => {
+    afterEach(() => {
+        delete process.env.PROVIDER_CHAINS;
+        delete process.env.PROVIDER_CHAINS_FILE;
+    });
+
+    it('validates entries and fills in default fallback rules', () => {
+        const chains = validateProviderChains({
+            tts: [{ provider: 'cartesia', voice: 'v1', timeout_ms: 5000 }],
+            llm: [{ provider: 'openai', fallback_on: ['timeout'] }, { provider: 'gemini' }]
+        });
+
+        assert.deepStrictEqual(chains.tts, [{ provider: 'cartesia', voice: 'v1', timeout_ms: 5000, fallback_on: ['any'] }]);
+        assert.deepStrictEqual(chains.llm[0].fallback_on, ['timeout']);
+        assert.deepStrictEqual(chains.llm[1].fallback_on, ['auth', 'rate_limit', 'server_error', 'timeout', 'network', 'not_configured']);
+        assert.strictEqual(validateProviderChains({ llm: [{ provider: 'openai' }] }).tts, null);
+    });
+
+    it('rejects invalid config, naming the entry at fault', () => {
+        const invalid = [
+            [[], /config must be an object/],
+            [{ stt: [] }, /unknown section stt/],
+            [{ tts: [] }, /tts must be a non-empty list/],
+            [{ tts: [{ voice: 'v1' }] }, /tts\[0\]: provider must be a lowercase name/],
+            [{ tts: [{ provider: 'cartesia', base_url: 'http://x' }] }, /tts\[0\]: unknown setting base_url/],
+            [{ llm: [{ provider: 'openai' }, { provider: 'gemini', timeout_ms: 0 }] }, /llm\[1\]: timeout_ms must be a positive integer/],
+            [{ llm: [{ provider: 'openai', fallback_on: ['overload'] }] }, /llm\[0\]: unknown error class overload/],
+            [{ llm: [{ provider: 'openai', fallback_on: [] }] }, /fallback_on must be a non-empty list/],
+            [{ llm: [{ provider: 'openai', type: 'anthropic' }] }, /type must be openai_compatible/],
+            [{ tts: [{ provider: 'cartesia' }, { provider: 'cartesia' }] }, /tts lists cartesia twice/]
+        ];
+        for (const [config, message] of invalid) {
+            assert.throws(() => validateProviderChains(config), message);
+        }
+    });
+
+    it('reads the config from a file or the environment, not both', () => {
+        assert.strictEqual(getProviderChains().source, 'default');
+
+        const dir = mkdtempSync(join(tmpdir(), 'chains-'));
+        try {
+            const file = join(dir, 'chains.json');
+            writeFileSync(file, JSON.stringify({ tts: [{ provider: 'elevenlabs' }] }));
+            process.env.PROVIDER_CHAINS_FILE = file;
+            const fromFile = getProviderChains();
+            assert.strictEqual(fromFile.source, 'file');
+            assert.deepStrictEqual(fromFile.tts.map(e => e.provider), ['elevenlabs']);
+            assert.strictEqual(fromFile.llm, null);
+
+            useChains({ llm: [{ provider: 'gemini' }] });
+            assert.throws(() => getProviderChains(), /not both/);
+
+            delete process.env.PROVIDER_CHAINS_FILE;
+            assert.strictEqual(getProviderChains().source, 'env');
+
+            process.env.PROVIDER_CHAINS = '{"llm": [';
+            assert.throws(() => getProviderChains(), /PROVIDER_CHAINS is not valid JSON/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('classifies provider errors for fallback rules', () => {
+        assert.strictEqual(classifyProviderError(httpError(401)), 'auth');
+        assert.strictEqual(classifyProviderError(httpError(429)), 'rate_limit');
+        assert.strictEqual(classifyProviderError(httpError(529)), 'server_error');
+        assert.strictEqual(classifyProviderError(httpError(400)), 'client_error');
+        assert.strictEqual(classifyProviderError(new DOMException('slow', 'TimeoutError')), 'timeout');
+        assert.strictEqual(classifyProviderError(new Error('fetch failed')), 'network');
+        assert.strictEqual(classifyProviderError(new Error('Gemini not configured')), 'not_configured');
+        assert.strictEqual(classifyProviderError(new Error('Gemini blocked the reply')), 'unknown');
+
+        assert.strictEqual(shouldFallBack(httpError(400), ['any']), true);
+        assert.strictEqual(shouldFallBack(httpError(400), ['server_error']), false);
+    });
+});
+
+describe('TTS Chain from Config', () => {
+    let tts;
+    /** @type {Record<string, { fail?: Error, hang?: boolean }>} */
+    const behaviour = {};
+    /** @type {Array<{ name: string, voiceId: string, model: string }>} */
+    const calls = [];
+    const originals = new Map();
+
+    before(async () => {
+        tts = await import('../src/tts/index.mjs');
+
+        // Stand-in streams on the registry singletons; configured copies inherit them
+        for (const name of ['fishaudio', 'cartesia', 'elevenlabs']) {
+            const provider = tts.getProvider(name);
+            originals.set(name, { isAvailable: provider.isAvailable, stream: provider.stream });
+            provider.isAvailable = async () => true;
+            provider.stream = async function* (options) {
+                calls.push({ name, voiceId: this.voiceId, model: this.model });
+                const { fail, hang } = behaviour[name] || {};
+                if (fail) throw fail;
+                if (hang) {
+                    // Like the real providers: an abort ends the stream quietly
+                    await new Promise(resolve => options.signal.addEventListener('abort', resolve, { once: true }));
+                    return;
+                }
+                yield { data: new Uint8Array(4), seq: 0, codec: 'pcm_16000' };
+            };
+        }
+    });
+
+    afterEach(() => {
+        calls.length = 0;
+        for (const name of Object.keys(behaviour)) delete behaviour[name];
+        delete process.env.PROVIDER_CHAINS;
+    });
+
+    after(() => {
+        for (const [name, methods] of originals) {
+            Object.assign(tts.getProvider(name), methods);
+        }
+    });
+
+    it('walks the configured order with each entry voice and model', async () => {
+        useChains({ tts: [{ provider: 'cartesia', voice: 'voice-1', model: 'sonic-2' }, { provider: 'fishaudio' }] });
+        behaviour.cartesia = { fail: httpError(503) };
+
+        const events = await collect(tts.streamWithFallback({ text: 'Good evening, Sir.' }));
+
+        assert.deepStrictEqual(calls.map(c => [c.name, c.voiceId, c.model]), [
+            ['cartesia', 'voice-1', 'sonic-2'],
+            ['fishaudio', tts.getProvider('fishaudio').voiceId, 's1']
+        ]);
+        assert.deepStrictEqual(events.map(e => e.type), ['provider_switched', 'audio']);
+        assert.strictEqual(events[1].provider, 'fishaudio');
+        assert.strictEqual(tts.getProvider('cartesia').model, 'sonic-english', 'registry singleton untouched');
+    });
+
+    it('stops on errors outside an entry fallback_on', async () => {
+        useChains({ tts: [{ provider: 'cartesia', fallback_on: ['server_error'] }, { provider: 'elevenlabs' }] });
+        behaviour.cartesia = { fail: httpError(400) };
+
+        const events = await collect(tts.streamWithFallback({ text: 'Hello' }));
+
+        assert.deepStrictEqual(calls.map(c => c.name), ['cartesia']);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].type, 'error');
+        assert.strictEqual(events[0].error.status, 400);
+    });
+
+    it('falls back when an entry times out', async () => {
+        useChains({ tts: [{ provider: 'fishaudio', timeout_ms: 50 }, { provider: 'elevenlabs' }] });
+        behaviour.fishaudio = { hang: true };
+
+        const events = await collect(tts.streamWithFallback({ text: 'Hello' }));
+
+        assert.deepStrictEqual(calls.map(c => c.name), ['fishaudio', 'elevenlabs']);
+        assert.strictEqual(events.at(-1).provider, 'elevenlabs');
+    });
+
+    it('forces one provider with no fallback', async () => {
+        useChains({ tts: [{ provider: 'fishaudio' }, { provider: 'cartesia', voice: 'voice-1' }, { provider: 'elevenlabs' }] });
+
+        const forced = await collect(tts.streamWithFallback({ text: 'Hello' }, { forceProvider: 'cartesia' }));
+        assert.deepStrictEqual(calls.map(c => [c.name, c.voiceId]), [['cartesia', 'voice-1']]);
+        assert.strictEqual(forced[0].provider, 'cartesia');
+
+        calls.length = 0;
+        behaviour.elevenlabs = { fail: httpError(503) };
+        const failed = await collect(tts.streamWithFallback({ text: 'Hello' }, { forceProvider: 'elevenlabs' }));
+        assert.deepStrictEqual(calls.map(c => c.name), ['elevenlabs']);
+        assert.deepStrictEqual(failed.map(e => e.type), ['error']);
+
+        const unknown = await collect(tts.streamWithFallback({ text: 'Hello' }, { forceProvider: 'polly' }));
+        assert.strictEqual(unknown[0].error.message, 'Unknown TTS provider: polly');
+    });
+
+    it('reports the resolved chain in status', async () => {
+        const defaults = await tts.getProviderStatus();
+        assert.strictEqual(defaults.chainSource, 'default');
+        assert.deepStrictEqual(defaults.fallbackOrder, ['fishaudio', 'cartesia', 'elevenlabs']);
+
+        useChains({ tts: [{ provider: 'elevenlabs', timeout_ms: 8000 }, { provider: 'cartesia' }] });
+        const status = await tts.getProviderStatus();
+
+        assert.strictEqual(status.chainSource, 'env');
+        assert.deepStrictEqual(status.fallbackOrder, ['elevenlabs', 'cartesia']);
+        assert.strictEqual(status.activeFallback, 'elevenlabs');
+        assert.strictEqual(status.elevenlabs.isPrimary, true);
+        assert.deepStrictEqual(status.chain[0], {
+            provider: 'elevenlabs',
+            available: true,
+            model: 'eleven_turbo_v2_5',
+            timeout_ms: 8000,
+            fallback_on: ['any'],
+            circuit: 'closed'
+        });
+    });
+
+    it('rejects unknown providers in the config', async () => {
+        useChains({ tts: [{ provider: 'polly' }] });
+        assert.throws(() => tts.getChain(), /Unknown TTS provider in provider chains: polly/);
+    });
+});
+
+describe('LLM Chain from Config', () => {
+    let server;
+    let base;
+    let llm;
+    /** @type {Array<{ instance: string, model: string }>} */
+    const received = [];
+
+    before(async () => {
+        // /<instance>/<behaviour>/v1/chat/completions - behaviour: ok | 503 | 400 | hang
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                const [, instance, behaviour] = req.url.split('/');
+                const { model } = JSON.parse(body);
+                received.push({ instance, model });
+
+                if (behaviour === 'hang') {
+                    return; // Never answers
+                }
+                if (behaviour !== 'ok') {
+                    res.writeHead(Number(behaviour)).end('upstream error');
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ model, choices: [{ message: { content: `${instance} here, Sir.` } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+
+        process.env.OPENAI_API_KEY = 'test-openai-key';
+        process.env.OPENAI_API_URL = `${base}/openai/ok/v1/chat/completions`;
+        // Each entry gets one attempt, so fallback is what the tests see
+        process.env.PROVIDER_REQUEST_POLICY = JSON.stringify({ llm: { retries: 0 } });
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    afterEach(() => {
+        received.length = 0;
+        delete process.env.PROVIDER_CHAINS;
+    });
+
+    after(async () => {
+        delete process.env.OPENAI_API_KEY;
+        delete process.env.OPENAI_API_URL;
+        delete process.env.PROVIDER_REQUEST_POLICY;
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * An openai_compatible chain entry served by the stand-in
+     * @param {string} name
+     * @param {string} behaviour
+     * @param {Object} [extra]
+     */
+    const local = (name, behaviour, extra = {}) => ({
+        provider: name, type: 'openai_compatible', base_url: `${base}/${name}/${behaviour}/v1`, model: `${name}-model`, ...extra
+    });
+
+    const request = { messages: [{ role: 'user', content: 'Status?' }] };
+
+    it('builds the chain from config, with model overrides on built-in providers', async () => {
+        useChains({ llm: [local('first', '503'), { provider: 'openai', model: 'gpt-4o-mini' }] });
+
+        const response = await llm.generateWithFallback(request);
+
+        assert.strictEqual(response.provider, 'openai');
+        assert.strictEqual(response.fallback_used, true);
+        assert.deepStrictEqual(received, [{ instance: 'first', model: 'first-model' }, { instance: 'openai', model: 'gpt-4o-mini' }]);
+        assert.strictEqual(llm.OpenAIProvider.prototype.isPrototypeOf(llm.getProvider('openai')), true);
+    });
+
+    it('rethrows errors outside an entry fallback_on', async () => {
+        useChains({ llm: [local('strict', '503', { fallback_on: ['timeout'] }), local('spare', 'ok')] });
+
+        await assert.rejects(() => llm.generateWithFallback(request), (err) => err.status === 503);
+        assert.deepStrictEqual(received.map(r => r.instance), ['strict']);
+    });
+
+    it('times out a hanging entry and moves on', async () => {
+        useChains({ llm: [local('slow', 'hang', { timeout_ms: 100 }), local('spare', 'ok')] });
+
+        const started = Date.now();
+        const response = await llm.generateWithFallback(request);
+
+        assert.strictEqual(response.provider, 'spare');
+        assert.ok(Date.now() - started < 2000, 'did not wait on the hung server');
+    });
+
+    it('forces a provider from the chain or the registry, and rejects unknown ones', async () => {
+        useChains({ llm: [local('first', 'ok'), local('second', 'ok', { model: 'tuned' })] });
+
+        const forced = await llm.generateWithFallback(request, { forceProvider: 'second' });
+        assert.strictEqual(forced.provider, 'second');
+        assert.strictEqual(forced.model, 'tuned');
+
+        const registry = await llm.generateWithFallback(request, { forceProvider: 'openai' });
+        assert.strictEqual(registry.provider, 'openai');
+
+        assert.strictEqual(llm.hasProvider('nope'), false);
+        await assert.rejects(() => llm.generateWithFallback(request, { forceProvider: 'nope' }), /Unknown LLM provider: nope/);
+    });
+
+    it('reports the resolved chain in status', async () => {
+        useChains({ llm: [local('first', 'ok', { timeout_ms: 5000 }), { provider: 'gemini' }] });
+        const status = await llm.getProviderStatus();
+
+        assert.strictEqual(status.chain_source, 'env');
+        assert.deepStrictEqual(status.fallback_order, ['first', 'gemini']);
+        assert.deepStrictEqual(status.chain[0], {
+            provider: 'first',
+            available: true,
+            model: 'first-model',
+            timeout_ms: 5000,
+            fallback_on: ['auth', 'rate_limit', 'server_error', 'timeout', 'network', 'not_configured'],
+            circuit: 'closed'
+        });
+    });
+
+    it('rejects entries it cannot build', async () => {
+        useChains({ llm: [{ provider: 'llama' }] });
+        await assert.rejects(() => llm.generateWithFallback(request), /Unknown LLM provider in provider chains: llama/);
+
+        useChains({ llm: [{ provider: 'openai', base_url: 'http://127.0.0.1:1/v1' }] });
+        await assert.rejects(() => llm.generateWithFallback(request), /llm openai: base_url needs type openai_compatible/);
+
+        useChains({ llm: [{ provider: 'gemini', type: 'openai_compatible', base_url: 'http://127.0.0.1:1/v1', model: 'm' }] });
+        await assert.rejects(() => llm.generateWithFallback(request), /name is taken by a built-in provider/);
+    });
+});
+
+console.log('Running Provider Chain Config Tests...');
@@ -0,0 +1,331 @@
+/**
+ * Provider Health Tests
+ * Tests the circuit breaker and health scores of services/provider-health,
+ * and that the TTS and LLM chains skip providers with an open circuit
+ * CI-safe: stubbed TTS providers and a local OpenAI-compatible stand-in
+ * @module tests/provider-health.test
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+
+delete process.env.TTS_MOCK_MODE;
+delete process.env.LLM_MOCK_MODE;
+
+const {
+    allowRequest,
+    recordSuccess,
+    recordFailure,
+    getProviderHealth,
+    resetProviderHealth
+} = await import('../src/services/provider-health.mjs');
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+/**
+ * Fail a provider enough times in a row to open its circuit
+ * @param {'tts' | 'llm'} kind
+ * @param {string} name
+ */
+function trip(kind, name) {
+    for (let i = 0; i < 3; i++) {
+        recordFailure(kind, name, httpError(503));
+    }
+}
+
+beforeEach(() => {
+    process.env.PROVIDER_BREAKER_FAILURES = '3';
+    process.env.PROVIDER_BREAKER_COOLDOWN_MS = '40';
+    resetProviderHealth();
+});
+
+afterEach(() => {
+    delete process.env.PROVIDER_BREAKER_FAILURES;
+    delete process.env.PROVIDER_BREAKER_COOLDOWN_MS;
+    delete process.env.PROVIDER_BREAKER_ERROR_RATE;
+});
+
+describe('Provider Circuit Breaker', () => {
+    it('opens after consecutive failures and reports it', () => {
+        recordSuccess('tts', 'cartesia', 120);
+        recordFailure('tts', 'cartesia', httpError(503));
+        recordFailure('tts', 'cartesia', httpError(503));
+        assert.strictEqual(allowRequest('tts', 'cartesia'), true);
+
+        recordFailure('tts', 'cartesia', Object.assign(new Error('timed out'), { name: 'TimeoutError' }));
+        assert.strictEqual(allowRequest('tts', 'cartesia'), false);
+
+        const health = getProviderHealth('tts', 'cartesia');
+        assert.strictEqual(health.circuit, 'open');
+        assert.strictEqual(health.score, 0);
+        assert.strictEqual(health.requests, 4);
+        assert.strictEqual(health.error_rate, 0.75);
+        assert.strictEqual(health.consecutive_failures, 3);
+        assert.deepStrictEqual(health.latency_ms, { avg: 120, p95: 120 });
+        assert.strictEqual(health.last_error.class, 'timeout');
+        assert.ok(health.retry_at);
+
+        // Breakers are per kind and name
+        assert.strictEqual(allowRequest('llm', 'cartesia'), true);
+        assert.strictEqual(allowRequest('tts', 'elevenlabs'), true);
+    });
+
+    it('counts client errors as a working provider', () => {
+        for (let i = 0; i < 5; i++) {
+            recordFailure('llm', 'openai', httpError(400));
+        }
+
+        const health = getProviderHealth('llm', 'openai');
+        assert.strictEqual(health.circuit, 'closed');
+        assert.strictEqual(health.error_rate, 0);
+        assert.strictEqual(health.consecutive_failures, 0);
+    });
+
+    it('opens on a high error rate without consecutive failures', () => {
+        process.env.PROVIDER_BREAKER_ERROR_RATE = '0.5';
+        for (let i = 0; i < 5; i++) {
+            recordSuccess('llm', 'gemini', 300);
+            recordFailure('llm', 'gemini', httpError(500));
+        }
+
+        assert.strictEqual(getProviderHealth('llm', 'gemini').circuit, 'open');
+    });
+
+    it('lets one probe through after the cooldown, then closes on success', async () => {
+        trip('tts', 'fishaudio');
+        await sleep(50);
+
+        assert.strictEqual(getProviderHealth('tts', 'fishaudio').circuit, 'half_open');
+        assert.strictEqual(allowRequest('tts', 'fishaudio'), true);
+        assert.strictEqual(allowRequest('tts', 'fishaudio'), false, 'only one probe at a time');
+
+        recordSuccess('tts', 'fishaudio', 90);
+        assert.strictEqual(getProviderHealth('tts', 'fishaudio').circuit, 'closed');
+        assert.strictEqual(allowRequest('tts', 'fishaudio'), true);
+    });
+
+    it('reopens when the probe fails, and replaces a probe that never reports back', async () => {
+        trip('llm', 'anthropic');
+        await sleep(50);
+
+        assert.strictEqual(allowRequest('llm', 'anthropic'), true);
+        recordFailure('llm', 'anthropic', httpError(529));
+        assert.strictEqual(getProviderHealth('llm', 'anthropic').circuit, 'open');
+        assert.strictEqual(allowRequest('llm', 'anthropic'), false);
+
+        await sleep(50);
+        assert.strictEqual(allowRequest('llm', 'anthropic'), true);
+        // The probe was abandoned; after another cooldown a new one goes through
+        await sleep(50);
+        assert.strictEqual(allowRequest('llm', 'anthropic'), true);
+    });
+});
+
+describe('TTS Chain with Circuit Breakers', () => {
+    let tts;
+    /** @type {string[]} */
+    const calls = [];
+    const failing = new Set();
+    const originals = new Map();
+
+    before(async () => {
+        tts = await import('../src/tts/index.mjs');
+
+        for (const name of ['fishaudio', 'cartesia', 'elevenlabs']) {
+            const provider = tts.getProvider(name);
+            originals.set(name, { isAvailable: provider.isAvailable, stream: provider.stream });
+            provider.isAvailable = async () => true;
+            provider.stream = async function* () {
+                calls.push(name);
+                if (failing.has(name)) throw httpError(503);
+                yield { data: new Uint8Array(4), seq: 0, codec: 'pcm_16000' };
+            };
+        }
+    });
+
+    afterEach(() => {
+        calls.length = 0;
+        failing.clear();
+    });
+
+    after(() => {
+        for (const [name, methods] of originals) {
+            Object.assign(tts.getProvider(name), methods);
+        }
+    });
+
+    it('skips a tripped primary after repeated failures', async () => {
+        failing.add('fishaudio');
+        for (let i = 0; i < 3; i++) {
+            await collect(tts.streamWithFallback({ text: 'Hello' }));
+        }
+        assert.strictEqual(calls.filter(name => name === 'fishaudio').length, 3);
+
+        calls.length = 0;
+        const events = await collect(tts.streamWithFallback({ text: 'Hello' }));
+
+        assert.deepStrictEqual(calls, ['cartesia']);
+        assert.deepStrictEqual(events.map(e => e.type), ['audio']);
+        assert.strictEqual(events[0].provider, 'cartesia');
+    });
+
+    it('counts a multi-segment reply as one attempt towards the error rate', async () => {
+        process.env.PROVIDER_BREAKER_ERROR_RATE = '0.5';
+        for (let i = 0; i < 5; i++) {
+            await collect(tts.streamWithFallback({ text: 'One. Two. Three. Four.' }));
+            failing.add('fishaudio');
+            await collect(tts.streamWithFallback({ text: 'One. Two. Three. Four.' }));
+            failing.delete('fishaudio');
+        }
+
+        // Five good replies of four segments and five failed ones: 50%, not 20%
+        const health = getProviderHealth('tts', 'fishaudio');
+        assert.strictEqual(health.error_rate, 0.5);
+        assert.strictEqual(health.circuit, 'open');
+    });
+
+    it('probes a tripped provider again once the cooldown has passed', async () => {
+        trip('tts', 'fishaudio');
+        await collect(tts.streamWithFallback({ text: 'Hello' }));
+        assert.deepStrictEqual(calls, ['cartesia']);
+
+        await sleep(50);
+        calls.length = 0;
+        await collect(tts.streamWithFallback({ text: 'Hello' }));
+
+        assert.deepStrictEqual(calls, ['fishaudio']);
+        assert.strictEqual(getProviderHealth('tts', 'fishaudio').circuit, 'closed');
+    });
+
+    it('fails fast when every circuit is open, but still tries a forced provider', async () => {
+        for (const name of ['fishaudio', 'cartesia', 'elevenlabs']) {
+            trip('tts', name);
+        }
+
+        const [event] = await collect(tts.streamWithFallback({ text: 'Hello' }));
+        assert.deepStrictEqual(calls, []);
+        assert.strictEqual(event.type, 'error');
+        assert.match(event.error.message, /circuit open: fishaudio, cartesia, elevenlabs/);
+
+        const forced = await collect(tts.streamWithFallback({ text: 'Hello' }, { forceProvider: 'cartesia' }));
+        assert.strictEqual(forced[0].provider, 'cartesia');
+        assert.strictEqual(getProviderHealth('tts', 'cartesia').circuit, 'closed');
+    });
+
+    it('shows circuit state in provider status', async () => {
+        trip('tts', 'fishaudio');
+        const status = await tts.getProviderStatus();
+
+        assert.strictEqual(status.fishaudio.health.circuit, 'open');
+        assert.strictEqual(status.cartesia.health.circuit, 'closed');
+        assert.deepStrictEqual(status.chain.map(l => [l.provider, l.circuit]), [
+            ['fishaudio', 'open'], ['cartesia', 'closed'], ['elevenlabs', 'closed']
+        ]);
+    });
+});
+
+describe('LLM Chain with Circuit Breakers', () => {
+    let server;
+    let llm;
+    /** @type {string[]} */
+    const received = [];
+    const failing = new Set();
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                const instance = req.url.split('/')[1];
+                received.push(instance);
+                if (failing.has(instance)) {
+                    res.writeHead(503).end('unavailable');
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ choices: [{ message: { content: `${instance} here, Sir.` } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        process.env.LLM_OPENAI_COMPATIBLE = JSON.stringify({
+            primary: { base_url: `${base}/primary/v1`, model: 'primary-model' },
+            backup: { base_url: `${base}/backup/v1`, model: 'backup-model' }
+        });
+        process.env.LLM_FALLBACK_ORDER = 'primary,backup';
+        // One request per attempt, so the stand-in sees each breaker decision
+        process.env.PROVIDER_REQUEST_POLICY = JSON.stringify({ llm: { retries: 0 } });
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    afterEach(() => {
+        received.length = 0;
+        failing.clear();
+    });
+
+    after(async () => {
+        delete process.env.LLM_OPENAI_COMPATIBLE;
+        delete process.env.LLM_FALLBACK_ORDER;
+        delete process.env.PROVIDER_REQUEST_POLICY;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const request = { messages: [{ role: 'user', content: 'Status?' }] };
+
+    it('stops calling a tripped primary until it is probed', async () => {
+        failing.add('primary');
+        for (let i = 0; i < 3; i++) {
+            await llm.generateWithFallback(request);
+        }
+        assert.deepStrictEqual(received, ['primary', 'backup', 'primary', 'backup', 'primary', 'backup']);
+
+        received.length = 0;
+        const response = await llm.generateWithFallback(request);
+        assert.strictEqual(response.provider, 'backup');
+        assert.deepStrictEqual(received, ['backup']);
+
+        failing.clear();
+        await sleep(50);
+        received.length = 0;
+        const probed = await llm.generateWithFallback(request);
+        assert.strictEqual(probed.provider, 'primary');
+        assert.strictEqual(probed.fallback_used, false);
+    });
+
+    it('skips tripped providers when streaming and lists them when none is left', async () => {
+        trip('llm', 'primary');
+        const events = await collect(llm.streamWithFallback(request));
+        assert.strictEqual(events.at(-1).provider, 'backup');
+
+        trip('llm', 'backup');
+        await assert.rejects(
+            () => llm.generateWithFallback(request),
+            (err) => err.message === 'All LLM providers failed'
+                && err.provider_errors.every(e => e.error === 'circuit open')
+        );
+    });
+
+    it('shows health and circuit state in provider status', async () => {
+        recordSuccess('llm', 'backup', 250);
+        trip('llm', 'primary');
+        const status = await llm.getProviderStatus();
+
+        assert.deepStrictEqual(status.chain.map(l => [l.provider, l.circuit]), [['primary', 'open'], ['backup', 'closed']]);
+        assert.strictEqual(status.providers.primary.health.score, 0);
+        assert.strictEqual(status.providers.backup.health.score, 100);
+        assert.deepStrictEqual(status.providers.backup.health.latency_ms, { avg: 250, p95: 250 });
+    });
+});
+
+console.log('Running Provider Health Tests...');
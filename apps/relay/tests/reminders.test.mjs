@@ -0,0 +1,296 @@
+/**
+ * Reminder Tests
+ * Tests the reminder tools, the scheduler, and assistant.notify delivery to
+ * bound sockets (right away, or on the next session.bind) against mock TTS,
+ * including a reminder the mock LLM sets from a voice assistant.ask
+ * CI-safe: no live API calls; the storage and WebSocket suites need DATABASE_URL
+ * @module tests/reminders.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { WebSocket } from 'ws';
+import Fastify from 'fastify';
+import websocket from '@fastify/websocket';
+
+// TTS and LLM providers read mock mode on construction
+process.env.TTS_MOCK_MODE = 'true';
+process.env.LLM_MOCK_MODE = 'true';
+// Keep the background work assistant.ask starts out of the way
+process.env.MEMORY_EXTRACTION_MODE = 'off';
+
+const { executeToolCall } = await import('../src/tools/index.mjs');
+const { getReminderPollInterval, startReminderScheduler } = await import('../src/services/reminder-scheduler.mjs');
+const { createAssistantNotifyMessage } = await import('../src/ws/protocol.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+/**
+ * Run a tool call for a user
+ * @param {string} name
+ * @param {Object} args
+ * @param {Object} context
+ */
+const callTool = (name, args, context) => executeToolCall({ id: 'call_1', name, arguments: args }, context);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Reminder Scheduler', () => {
+    it('reads REMINDER_POLL_INTERVAL_MS', () => {
+        assert.strictEqual(getReminderPollInterval(), 1000);
+        process.env.REMINDER_POLL_INTERVAL_MS = '0';
+        assert.strictEqual(getReminderPollInterval(), 0);
+        delete process.env.REMINDER_POLL_INTERVAL_MS;
+    });
+
+    it('does nothing when disabled', async () => {
+        let polls = 0;
+        const stop = startReminderScheduler(async () => polls++, null, 0);
+        await sleep(30);
+        stop();
+
+        assert.strictEqual(polls, 0);
+    });
+
+    it('polls until stopped and survives a failed poll', async () => {
+        const warnings = [];
+        let polls = 0;
+        const stop = startReminderScheduler(async () => {
+            polls++;
+            if (polls === 1) throw new Error('database down');
+            return 0;
+        }, { warn: (...args) => warnings.push(args), info: () => {} }, 10);
+
+        await sleep(60);
+        stop();
+        const stoppedAt = polls;
+        await sleep(30);
+
+        assert.ok(stoppedAt >= 2, `expected several polls, got ${stoppedAt}`);
+        assert.strictEqual(polls, stoppedAt);
+        assert.strictEqual(warnings[0][0].err, 'database down');
+    });
+});
+
+describe('Reminder Tool Arguments', () => {
+    it('needs exactly one of delay_seconds or due_at', async () => {
+        const neither = await callTool('create_reminder', { text: 'Tea' }, { userId: 'u1' });
+        const both = await callTool('create_reminder', { text: 'Tea', delay_seconds: 60, due_at: '2030-01-01T00:00:00Z' }, { userId: 'u1' });
+
+        assert.strictEqual(neither.error, 'Give exactly one of delay_seconds or due_at');
+        assert.strictEqual(both.error, 'Give exactly one of delay_seconds or due_at');
+    });
+
+    it('rejects times in the past, unreadable or over a year ahead', async () => {
+        const past = await callTool('create_reminder', { text: 'Tea', due_at: '2001-01-01T00:00:00Z' }, { userId: 'u1' });
+        const garbled = await callTool('create_reminder', { text: 'Tea', due_at: 'teatime' }, { userId: 'u1' });
+        const tooFar = await callTool('create_reminder', { text: 'Tea', delay_seconds: 400 * 86400 }, { userId: 'u1' });
+
+        assert.match(past.error, /^due_at is in the past \(now is /);
+        assert.strictEqual(garbled.error, 'Invalid due_at: teatime');
+        assert.match(tooFar.error, /arguments\.delay_seconds must be <= 31536000/);
+    });
+
+    it('formats the notification', () => {
+        const message = JSON.parse(createAssistantNotifyMessage({
+            kind: 'reminder',
+            text: 'Reminder, Sir: Tea.',
+            reminder_id: 'r1',
+            due_at: '2026-01-01T00:00:00.000Z',
+            spoken: true,
+            correlation_id: 'reminder-r1'
+        }));
+
+        assert.strictEqual(message.type, 'assistant.notify');
+        assert.strictEqual(message.kind, 'reminder');
+        assert.strictEqual(message.spoken, true);
+        assert.ok(message.timestamp);
+    });
+});
+
+describe('Reminder Storage', { skip: SKIP_REASON }, () => {
+    let services;
+    let userId;
+
+    before(async () => {
+        services = {
+            ...await import('../src/services/reminders.mjs'),
+            ...await import('../src/services/users.mjs')
+        };
+        userId = (await services.ensureUser(`reminder-tools-user-${Date.now()}`)).id;
+    });
+
+    it('creates, lists and cancels reminders through the tools', async () => {
+        const tea = await callTool('create_reminder', { text: ' Take the tea out ', delay_seconds: 300 }, { userId });
+        const meeting = await callTool('create_reminder', { text: 'Board meeting', due_at: new Date(Date.now() + 60_000).toISOString() }, { userId });
+
+        assert.strictEqual(tea.ok, true);
+        assert.strictEqual(tea.result.text, 'Take the tea out');
+        assert.ok(Math.abs(tea.result.due_in_seconds - 300) <= 1);
+
+        const listed = await callTool('list_reminders', {}, { userId });
+        assert.deepStrictEqual(listed.result.reminders.map(r => r.text), ['Board meeting', 'Take the tea out']);
+
+        const cancelled = await callTool('cancel_reminder', { reminder_id: meeting.result.reminder_id }, { userId });
+        const again = await callTool('cancel_reminder', { reminder_id: meeting.result.reminder_id }, { userId });
+        const unknown = await callTool('cancel_reminder', { reminder_id: 'not-a-uuid' }, { userId });
+
+        assert.strictEqual(cancelled.result.cancelled, true);
+        assert.strictEqual(again.result.cancelled, false);
+        assert.strictEqual(unknown.result.cancelled, false);
+        assert.deepStrictEqual((await services.listReminders(userId)).map(r => r.text), ['Take the tea out']);
+    });
+
+    it('claims due reminders once, and can hand them back', async () => {
+        const due = await services.createReminder(userId, { text: 'Stretch', dueAt: new Date(Date.now() - 1000) });
+
+        const [claimed] = await services.claimDueReminders([userId]);
+        assert.strictEqual(claimed.id, due.id);
+        assert.strictEqual(claimed.user_id, userId);
+        assert.strictEqual(claimed.status, 'delivered');
+        assert.deepStrictEqual(await services.claimDueReminders([userId]), []);
+
+        await services.unclaimReminder(due.id);
+        assert.deepStrictEqual((await services.claimDueReminders([userId])).map(r => r.id), [due.id]);
+    });
+});
+
+describe('Reminder Delivery over WebSocket', { skip: SKIP_REASON }, () => {
+    let app;
+    let baseUrl;
+    let handler;
+    let services;
+
+    before(async () => {
+        handler = await import('../src/ws/handler.mjs');
+        services = {
+            ...await import('../src/services/reminders.mjs'),
+            ...await import('../src/services/messages.mjs'),
+            ...await import('../src/services/sessions.mjs'),
+            ...await import('../src/services/users.mjs')
+        };
+
+        app = Fastify({ logger: false });
+        await app.register(websocket);
+        handler.registerVoiceWebSocket(app);
+
+        await app.listen({ port: 0, host: '127.0.0.1' });
+        baseUrl = `ws://127.0.0.1:${app.server.address().port}`;
+    });
+
+    after(async () => {
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    /**
+     * Open a socket for a user, collecting every message, and bind a new session
+     * @param {string} externalId
+     */
+    const connectBound = async (externalId) => {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+        const messages = [];
+        ws.on('message', data => messages.push(JSON.parse(data.toString())));
+
+        const waitFor = async (predicate, timeoutMs = 10000) => {
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline) {
+                const found = messages.find(predicate);
+                if (found) return found;
+                await sleep(10);
+            }
+            throw new Error('Timeout waiting for message');
+        };
+
+        const session = await services.createSession((await services.ensureUser(externalId)).id);
+        await waitFor(m => m.type === 'connected');
+        ws.send(JSON.stringify({ type: 'session.bind', user_id: externalId, session_id: session.id }));
+        await waitFor(m => m.type === 'session.bound');
+
+        return { ws, messages, waitFor, sessionId: session.id };
+    };
+
+    it('speaks a reminder that comes due while the user is connected', async () => {
+        const externalId = `reminder-online-user-${Date.now()}`;
+        const { ws, messages, waitFor, sessionId } = await connectBound(externalId);
+        const userId = (await services.ensureUser(externalId)).id;
+        const reminder = await services.createReminder(userId, { text: 'Take the tea out', dueAt: new Date(Date.now() + 100) });
+
+        const stop = startReminderScheduler(() => handler.deliverDueReminders(app), null, 25);
+        try {
+            const notify = await waitFor(m => m.type === 'assistant.notify');
+            const end = await waitFor(m => m.type === 'audio.end');
+
+            assert.strictEqual(notify.reminder_id, reminder.id);
+            assert.strictEqual(notify.text, 'Reminder, Sir: Take the tea out.');
+            assert.strictEqual(notify.spoken, true);
+            assert.strictEqual(end.correlation_id, `reminder-${reminder.id}`);
+            assert.ok(messages.some(m => m.type === 'transcript.delta' && m.text === notify.text));
+            assert.strictEqual(messages.filter(m => m.type === 'assistant.notify').length, 1, 'delivered once');
+        } finally {
+            stop();
+            ws.close();
+        }
+
+        await sleep(100);
+        const transcript = await services.getSessionMessages(sessionId);
+        assert.deepStrictEqual(transcript.map(m => [m.role, m.content]), [['assistant', 'Reminder, Sir: Take the tea out.']]);
+    });
+
+    it('holds reminders for offline users until their next session.bind', async () => {
+        const externalId = `reminder-offline-user-${Date.now()}`;
+        const userId = (await services.ensureUser(externalId)).id;
+        await services.createReminder(userId, { text: 'Call Pepper', dueAt: new Date(Date.now() - 60_000) });
+        await services.createReminder(userId, { text: 'Order parts!', dueAt: new Date(Date.now() - 30_000) });
+
+        assert.strictEqual(await handler.deliverDueReminders(app), 0);
+        assert.strictEqual((await services.listReminders(userId)).length, 2);
+
+        const { ws, waitFor } = await connectBound(externalId);
+        try {
+            const end = await waitFor(m => m.type === 'audio.end');
+            const delta = await waitFor(m => m.type === 'transcript.delta');
+
+            assert.strictEqual(delta.text, 'Reminder, Sir: Call Pepper. Reminder, Sir: Order parts!');
+            assert.ok(end.total_frames > 0);
+            assert.deepStrictEqual(await services.listReminders(userId), []);
+            assert.strictEqual((await services.listReminders(userId, { status: 'delivered' })).length, 2);
+        } finally {
+            ws.close();
+        }
+    });
+
+    it('sets a reminder asked for by voice and delivers it when due', async () => {
+        const { getProvider } = await import('../src/llm/index.mjs');
+        const externalId = `reminder-voice-user-${Date.now()}`;
+        const { ws, messages, waitFor } = await connectBound(externalId);
+        const userId = (await services.ensureUser(externalId)).id;
+
+        getProvider('mock').scriptToolCalls([{ name: 'create_reminder', arguments: { text: 'Check the oven', delay_seconds: 1 } }]);
+        let stop = () => {};
+        try {
+            ws.send(JSON.stringify({ type: 'assistant.ask', text: 'Remind me in a second to check the oven.' }));
+            const response = await waitFor(m => m.type === 'assistant.response');
+
+            assert.strictEqual(response.text, 'Very good, Sir. I\'ve run create_reminder.');
+            const [reminder] = await services.listReminders(userId);
+            assert.strictEqual(reminder.text, 'Check the oven');
+
+            stop = startReminderScheduler(() => handler.deliverDueReminders(app), null, 25);
+            const notify = await waitFor(m => m.type === 'assistant.notify');
+
+            assert.strictEqual(notify.reminder_id, reminder.id);
+            assert.strictEqual(notify.text, 'Reminder, Sir: Check the oven.');
+            assert.strictEqual(notify.spoken, true);
+            assert.ok(messages.indexOf(notify) > messages.indexOf(response), 'delivered after the turn that set it');
+            assert.deepStrictEqual((await services.listReminders(userId, { status: 'delivered' })).map(r => r.id), [reminder.id]);
+        } finally {
+            stop();
+            getProvider('mock').clearToolScript();
+            ws.close();
+        }
+    });
+});
+
+console.log('Running Reminder Tests...');
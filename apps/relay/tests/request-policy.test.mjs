@@ -0,0 +1,296 @@
+/**
+ * Request Policy Tests
+ * Tests connect/first-byte/total timeouts, jittered retries and caller aborts
+ * in services/request-policy, and the providers that use it, against a local
+ * stub server that hangs, stalls, drips or fails on request
+ * CI-safe: no live API calls
+ * @module tests/request-policy.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+
+delete process.env.LLM_MOCK_MODE;
+
+const {
+    fetchWithPolicy,
+    getRequestPolicy,
+    getRequestPolicyOverrides
+} = await import('../src/services/request-policy.mjs');
+const { resetProviderHealth } = await import('../src/services/provider-health.mjs');
+
+/**
+ * Small limits so the timeouts fire quickly
+ * @param {Object} [extra] - More PROVIDER_REQUEST_POLICY keys
+ */
+const usePolicy = (extra = {}) => {
+    process.env.PROVIDER_REQUEST_POLICY = JSON.stringify({
+        llm: { connect_ms: 150, first_byte_ms: 150, total_ms: 1500, retries: 2, retry_base_ms: 10, retry_max_ms: 20 },
+        ...extra
+    });
+};
+
+/** @type {Map<string, number>} Requests per path */
+const hits = new Map();
+let server;
+let base;
+
+before(async () => {
+    // /<behaviour>/<id>/... - behaviour:
+    //   ok | hang (no headers) | stall (headers, no body) | drip (a chunk every 100ms)
+    //   | flaky-<n> (503 n times, then ok) | busy-<n> (429 n times, then ok)
+    //   | reset (destroy the socket) | 400
+    server = createServer((req, res) => {
+        const [, behaviour, id] = req.url.split('/');
+        const key = `${behaviour}/${id}`;
+        hits.set(key, (hits.get(key) ?? 0) + 1);
+        req.resume();
+
+        const ok = () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                text: 'Transcribed, Sir.',
+                choices: [{ message: { content: `${behaviour} answered, Sir.` } }]
+            }));
+        };
+
+        if (behaviour === 'hang') {
+            return;
+        }
+        if (behaviour === 'stall') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.flushHeaders();
+            return;
+        }
+        if (behaviour === 'drip') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            const timer = setInterval(() => res.write('.'), 100);
+            res.on('close', () => clearInterval(timer));
+            return;
+        }
+        if (behaviour === 'reset') {
+            req.socket.destroy();
+            return;
+        }
+        if (behaviour.startsWith('flaky-') && hits.get(key) <= Number(behaviour.slice(6))) {
+            res.writeHead(503, { 'Retry-After': '0' }).end('overloaded');
+            return;
+        }
+        if (behaviour.startsWith('busy-') && hits.get(key) <= Number(behaviour.slice(5))) {
+            res.writeHead(429, { 'Retry-After': '0' }).end('rate limited');
+            return;
+        }
+                if (behaviour === '400') {
+            res.writeHead(400).end('bad request');
+            return;
+        }
+        ok();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+    hits.clear();
+    delete process.env.PROVIDER_REQUEST_POLICY;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+const post = (path, options = {}) => fetchWithPolicy(`${base}${path}`, { method: 'POST', body: '{}' }, { provider: 'llm:stub', ...options });
+
+describe('Request Policy Config', () => {
+    it('layers kind and kind:name overrides on the built-in defaults', () => {
+        assert.strictEqual(getRequestPolicy('llm:openai').connect_ms, 60000);
+        assert.strictEqual(getRequestPolicy('tts:fishaudio').retries, 1);
+
+        process.env.PROVIDER_REQUEST_POLICY = JSON.stringify({
+            tts: { retries: 0, total_ms: 20000 },
+            'tts:fishaudio': { connect_ms: 5000 }
+        });
+        assert.deepStrictEqual(getRequestPolicy('tts:fishaudio'), {
+            connect_ms: 5000, first_byte_ms: 10000, total_ms: 20000, retries: 0, retry_base_ms: 250, retry_max_ms: 2000
+        });
+        assert.strictEqual(getRequestPolicy('tts:cartesia').connect_ms, 10000);
+        assert.strictEqual(getRequestPolicy('tts:cartesia').retries, 0);
+    });
+
+    it('rejects invalid settings, naming the key at fault', () => {
+        const check = (value) => () => {
+            process.env.PROVIDER_REQUEST_POLICY = typeof value === 'string' ? value : JSON.stringify(value);
+            getRequestPolicyOverrides();
+        };
+
+        assert.throws(check('{llm'), /PROVIDER_REQUEST_POLICY is not valid JSON/);
+        assert.throws(check({ speech: {} }), /Request policy: speech: key must be/);
+        assert.throws(check({ llm: { timeout_ms: 5 } }), /llm: unknown setting timeout_ms/);
+        assert.throws(check({ 'llm:openai': { connect_ms: 0 } }), /connect_ms must be a positive integer/);
+        assert.throws(check({ stt: { retries: 9 } }), /retries must be an integer from 0 to 5/);
+    });
+});
+
+describe('fetchWithPolicy', () => {
+    it('retries a hanging connect, then fails with a connect timeout', async () => {
+        usePolicy();
+
+        await assert.rejects(() => post('/hang/a'), (err) => err.name === 'TimeoutError' && err.phase === 'connect');
+        assert.strictEqual(hits.get('hang/a'), 3, 'first attempt plus 2 retries');
+    });
+
+    it('retries 429s until one succeeds', async () => {
+        usePolicy();
+
+        const response = await post('/busy-2/b');
+        assert.strictEqual(response.status, 200);
+        assert.match(await response.text(), /answered/);
+        assert.strictEqual(hits.get('busy-2/b'), 3);
+    });
+
+    it('retries 503s only for idempotent callers', async () => {
+        usePolicy();
+
+        const once = await post('/flaky-2/b2');
+        assert.strictEqual(once.status, 503, 'the upstream may have done the work');
+        assert.strictEqual(hits.get('flaky-2/b2'), 1);
+
+        const retried = await post('/flaky-2/b3', { idempotent: true });
+        assert.strictEqual(retried.status, 200);
+        assert.strictEqual(hits.get('flaky-2/b3'), 3);
+    });
+
+    it('hands back the last retryable response once retries run out', async () => {
+        usePolicy({ 'llm:stub': { retries: 0 } });
+
+        const response = await post('/flaky-5/c', { idempotent: true });
+        assert.strictEqual(response.status, 503);
+        assert.strictEqual(await response.text(), 'overloaded');
+        assert.strictEqual(hits.get('flaky-5/c'), 1);
+    });
+
+    it('retries dropped connections but not client errors', async () => {
+        usePolicy();
+
+        await assert.rejects(() => post('/reset/d'), TypeError);
+        assert.strictEqual(hits.get('reset/d'), 3);
+
+        const response = await post('/400/d');
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(hits.get('400/d'), 1);
+    });
+
+    it('times out a body that never starts, without retrying', async () => {
+        usePolicy();
+
+        const response = await post('/stall/e');
+        await assert.rejects(() => response.text(), (err) => err.name === 'TimeoutError' && err.phase === 'first_byte');
+        assert.strictEqual(hits.get('stall/e'), 1);
+    });
+
+    it('times out a body that drips past total_ms', async () => {
+        usePolicy({ 'llm:stub': { total_ms: 400 } });
+
+        const response = await post('/drip/f');
+        await assert.rejects(() => response.text(), (err) => err.name === 'TimeoutError' && err.phase === 'total');
+    });
+
+    it('leaves no timer holding the process for a response that is dropped or aborted', async () => {
+        usePolicy({ 'llm:stub': { total_ms: 60000 } });
+        // Timers that keep the event loop alive
+        const timers = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+
+        // Headers arrive, the body never does, and the caller walks away
+        let before = timers();
+        await post('/stall/h');
+        assert.ok(timers() <= before, 'a dropped response');
+
+        const caller = new AbortController();
+        before = timers();
+        const response = await post('/stall/h2', { signal: caller.signal });
+        caller.abort(new Error('barge-in'));
+        assert.ok(timers() <= before, 'an aborted one');
+        await assert.rejects(() => response.text(), { message: 'barge-in' });
+    });
+
+    it('stops at once when the caller aborts, with the caller reason', async () => {
+        usePolicy({ 'llm:stub': { connect_ms: 5000 } });
+        const caller = new AbortController();
+        setTimeout(() => caller.abort(new Error('barge-in')), 50);
+
+        const startedAt = Date.now();
+        await assert.rejects(() => post('/hang/g', { signal: caller.signal }), { message: 'barge-in' });
+        assert.ok(Date.now() - startedAt < 1000);
+        assert.strictEqual(hits.get('hang/g'), 1);
+
+        await assert.rejects(() => post('/ok/g', { signal: caller.signal }), { message: 'barge-in' });
+        assert.strictEqual(hits.get('ok/g'), undefined);
+    });
+});
+
+describe('Providers under the request policy', () => {
+    let llm;
+
+    before(async () => {
+        process.env.LLM_OPENAI_COMPATIBLE = JSON.stringify({
+            stalled: { base_url: `${base}/stall/llm/v1`, model: 'stalled-model' },
+            hanging: { base_url: `${base}/hang/llm/v1`, model: 'hanging-model' },
+            healthy: { base_url: `${base}/ok/llm/v1`, model: 'healthy-model' }
+        });
+        llm = await import('../src/llm/index.mjs');
+    });
+
+    afterEach(() => {
+        delete process.env.LLM_FALLBACK_ORDER;
+        resetProviderHealth();
+    });
+
+    after(() => {
+        delete process.env.LLM_OPENAI_COMPATIBLE;
+    });
+
+    it('falls back from a provider that stalls mid-response', async () => {
+        usePolicy();
+        process.env.LLM_FALLBACK_ORDER = 'stalled,healthy';
+
+        const response = await llm.generateWithFallback({ messages: [{ role: 'user', content: 'Status?' }] });
+
+        assert.strictEqual(response.provider, 'healthy');
+        assert.strictEqual(response.fallback_used, true);
+        assert.strictEqual((await llm.getProviderStatus()).providers.stalled.health.last_error.class, 'timeout');
+    });
+
+    it('cancels the chain, without fallback, when the caller aborts', async () => {
+        usePolicy({ llm: { connect_ms: 5000, retries: 0 } });
+        process.env.LLM_FALLBACK_ORDER = 'hanging,healthy';
+        const caller = new AbortController();
+        setTimeout(() => caller.abort(new Error('Client closed the request')), 50);
+
+        await assert.rejects(
+            () => llm.generateWithFallback({ messages: [{ role: 'user', content: 'Status?' }] }, { signal: caller.signal }),
+            { message: 'Client closed the request' }
+        );
+        assert.strictEqual(hits.get('ok/llm'), undefined, 'no fallback after a caller abort');
+        assert.strictEqual((await llm.getProviderStatus()).providers.hanging.health.requests, 0, 'not held against the provider');
+    });
+
+    it('bounds STT uploads to a hanging server', async () => {
+        usePolicy({ stt: { connect_ms: 100, retries: 1, retry_base_ms: 10 } });
+        process.env.OPENAI_API_KEY = 'test-key';
+        process.env.OPENAI_STT_API_URL = `${base}/hang/stt/v1/audio/transcriptions`;
+        const { OpenAISTTProvider } = await import('../src/stt/openai.mjs');
+        const stt = new OpenAISTTProvider();
+        delete process.env.OPENAI_API_KEY;
+        delete process.env.OPENAI_STT_API_URL;
+
+        await assert.rejects(
+            () => stt.transcribe({ audio: Buffer.from('RIFF'), filename: 'turn.wav' }),
+            (err) => err.name === 'TimeoutError' && err.phase === 'connect'
+        );
+        assert.strictEqual(hits.get('hang/stt'), 2);
+    });
+});
+
+console.log('Running Request Policy Tests...');
@@ -0,0 +1,108 @@
+/**
+ * Text Segmenter Unit Tests
+ * Tests incremental sentence splitting used to feed TTS while the LLM streams,
+ * and the sentence/clause segments streamWithFallback synthesizes one by one
+ * @module tests/segmenter.test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SentenceBuffer, splitSentences, segmentText } from '../src/tts/segmenter.mjs';
+
+describe('SentenceBuffer', () => {
+    it('emits a sentence only once its boundary is confirmed', () => {
+        const buffer = new SentenceBuffer();
+
+        assert.deepStrictEqual(buffer.push('Good evening, Sir.'), []);
+        assert.deepStrictEqual(buffer.push(' All systems'), ['Good evening, Sir.']);
+        assert.deepStrictEqual(buffer.push(' are online! Shall'), ['All systems are online!']);
+        assert.strictEqual(buffer.flush(), 'Shall');
+    });
+
+    it('handles token-sized deltas', () => {
+        const buffer = new SentenceBuffer();
+        const tokens = ['Right', ' away', ',', ' Sir', '.', ' Anything', ' else', '?'];
+        const sentences = tokens.flatMap(t => buffer.push(t));
+
+        assert.deepStrictEqual(sentences, ['Right away, Sir.']);
+        assert.strictEqual(buffer.flush(), 'Anything else?');
+    });
+
+    it('does not split inside decimals', () => {
+        const buffer = new SentenceBuffer();
+        assert.deepStrictEqual(buffer.push('Reactor output is 3.14 gigawatts. '), ['Reactor output is 3.14 gigawatts.']);
+    });
+
+    it('keeps closing quotes with their sentence', () => {
+        assert.deepStrictEqual(
+            splitSentences('He said "Indeed." Then left.'),
+            ['He said "Indeed."', 'Then left.']
+        );
+    });
+
+    it('flush returns null when nothing is buffered', () => {
+        const buffer = new SentenceBuffer();
+        buffer.push('Done. ');
+        assert.strictEqual(buffer.flush(), null);
+    });
+
+    it('does not end a sentence at titles, initials or e.g.', () => {
+        assert.deepStrictEqual(
+            splitSentences('Dr. Banner and J. A. R. V. I. S. are here, e.g. in the lab. Mr. Stark is not.'),
+            ['Dr. Banner and J. A. R. V. I. S. are here, e.g. in the lab.', 'Mr. Stark is not.']
+        );
+    });
+
+    it('waits for the next word after an ambiguous abbreviation', () => {
+        const buffer = new SentenceBuffer();
+
+        assert.deepStrictEqual(buffer.push('Suits, boots, etc. '), []);
+        assert.deepStrictEqual(buffer.push('Ready at 5 p.m. today'), ['Suits, boots, etc.']);
+        assert.deepStrictEqual(buffer.push('. Shall I'), ['Ready at 5 p.m. today.']);
+        assert.deepStrictEqual(splitSentences('Order No. 7 shipped. Stark Industries Inc. Done.'), ['Order No. 7 shipped.', 'Stark Industries Inc.', 'Done.']);
+    });
+
+    it('never splits URLs or e-mail addresses', () => {
+        assert.deepStrictEqual(
+            splitSentences('See https://stark.com/docs/v2.1/?q=a. Or write to tony.stark@stark.com. Thanks!'),
+            ['See https://stark.com/docs/v2.1/?q=a.', 'Or write to tony.stark@stark.com.', 'Thanks!']
+        );
+    });
+
+    it('holds a trailing ambiguous abbreviation until flush', () => {
+        const buffer = new SentenceBuffer();
+        assert.deepStrictEqual(buffer.push('Shipped from the U.S. '), []);
+        assert.strictEqual(buffer.flush(), 'Shipped from the U.S.');
+    });
+});
+
+describe('segmentText', () => {
+    const long = 'The suit is fully charged, the repulsors have been recalibrated for the new alloy, '
+        + 'the flight stabilisers passed every test in the wind tunnel this morning; '
+        + 'and the backup reactor is ready should you need it, Sir.';
+
+    it('keeps short sentences whole', () => {
+        assert.deepStrictEqual(segmentText('Good evening, Sir. All systems are online.'), ['Good evening, Sir.', 'All systems are online.']);
+    });
+
+    it('splits long sentences at clause boundaries', () => {
+        const segments = segmentText(`${long} Anything else?`, { maxChars: 100 });
+
+        assert.deepStrictEqual(segments, [
+            'The suit is fully charged, the repulsors have been recalibrated for the new alloy,',
+            'the flight stabilisers passed every test in the wind tunnel this morning;',
+            'and the backup reactor is ready should you need it, Sir.',
+            'Anything else?'
+        ]);
+        assert.strictEqual(segments.slice(0, 3).join(' '), long);
+    });
+
+    it('merges short clauses and leaves sentences whole with maxChars 0', () => {
+        const text = 'Yes, Sir, at once, as you wish, right away, consider it done, the suit is on its way to you now.';
+
+        assert.ok(segmentText(text, { maxChars: 40 }).every(segment => segment.length >= 24));
+        assert.deepStrictEqual(segmentText(long, { maxChars: 0 }), [long]);
+    });
+});
+
+console.log('Running Text Segmenter Tests...');
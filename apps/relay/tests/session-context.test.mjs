@@ -0,0 +1,132 @@
+/**
+ * Current Session Context Tests
+ * Tests that turns already in the active session reach the LLM context, after
+ * the previous session and before the new input, and that /assistant/respond
+ * stays coherent across turns of one session against mock LLM
+ * CI-safe: no live API calls; the route suite needs DATABASE_URL
+ * @module tests/session-context.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+// Keep the background work these routes start out of the way
+process.env.MEMORY_EXTRACTION_MODE = 'off';
+
+const { buildLLMContext, validateContext } = await import('../src/llm/context-builder.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Current Session Turns in Context', () => {
+    const previous = [
+        { role: 'user', content: 'Yesterday: check the reactor.', created_at: '2026-01-01T00:00:00Z' },
+        { role: 'assistant', content: 'Reactor nominal, Sir.', created_at: '2026-01-01T00:00:01Z' }
+    ];
+    const current = [
+        { role: 'user', content: 'Today: prep the suit.', created_at: '2026-01-02T00:00:00Z' },
+        { role: 'system', content: 'ignored', created_at: '2026-01-02T00:00:01Z' },
+        { role: 'assistant', content: 'Suit prepped, Sir.', created_at: '2026-01-02T00:00:02Z' }
+    ];
+    const build = (overrides) => buildLLMContext({
+        persona_prompt: 'You are JARVIS.',
+        memory_facts: [],
+        last_session_transcript: previous,
+        current_session_transcript: current,
+        user_input: 'What did I just say?',
+        ...overrides
+    });
+
+    it('places the session turns after the previous session and before the input', () => {
+        const context = build({});
+
+        validateContext(context);
+        assert.deepStrictEqual(context.messages.slice(1).map(m => m.content), [
+            'Yesterday: check the reactor.',
+            'Reactor nominal, Sir.',
+            'Today: prep the suit.',
+            'Suit prepped, Sir.',
+            'What did I just say?'
+        ]);
+    });
+
+    it('is not limited by the history budget', () => {
+        const context = build({ history_token_budget: 0 });
+
+        assert.deepStrictEqual(context.messages.slice(1, -1).map(m => m.content), ['Today: prep the suit.', 'Suit prepped, Sir.']);
+        assert.strictEqual(context.dropped.transcript_messages, 2);
+        assert.strictEqual(context.dropped.session_messages, 0);
+    });
+
+    it('is trimmed after the previous session, oldest turn first', () => {
+        const budget = build({ token_budget: Infinity, last_session_transcript: null, current_session_transcript: current.slice(2) }).budget.used;
+        const context = build({ token_budget: budget });
+
+        validateContext(context);
+        assert.deepStrictEqual(context.messages.slice(1, -1).map(m => m.content), ['Suit prepped, Sir.']);
+        assert.strictEqual(context.dropped.transcript_messages, 2);
+        assert.strictEqual(context.dropped.session_messages, 1);
+    });
+});
+
+describe('Multi-turn Coherence', { skip: SKIP_REASON }, () => {
+    let app;
+    const externalId = `session-context-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerSessionRoutes } = await import('../src/routes/session.mjs');
+        const { registerAssistantRoutes } = await import('../src/routes/assistant.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerSessionRoutes(app);
+        registerAssistantRoutes(app);
+        await app.ready();
+    });
+
+    afterEach(async () => {
+        const { waitForSessionSummaries } = await import('../src/services/session-summaries.mjs');
+        await waitForSessionSummaries();
+    });
+
+    after(async () => {
+        delete process.env.MEMORY_EXTRACTION_MODE;
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    const post = (url, payload) => app.inject({ method: 'POST', url, headers: { 'x-jarvis-user-id': externalId }, payload });
+
+    it('answers from an earlier turn of the same session', async () => {
+        const { session_id } = (await post('/session/start', {})).json();
+        await post('/assistant/respond', { session_id, user_text: 'The code word is MARIGOLD-7.' });
+
+        const res = await post('/assistant/respond', { session_id, user_text: 'What did I just say?' });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.json().response_text, 'You said "The code word is MARIGOLD-7.", Sir.');
+        await post('/session/end', { session_id });
+    });
+
+    it('loads the active session turns into the bootstrap context', async () => {
+        const { buildBootstrapContext } = await import('../src/services/bootstrap.mjs');
+        const { ensureUser } = await import('../src/services/users.mjs');
+        const { session_id } = (await post('/session/start', {})).json();
+        await post('/assistant/respond', { session_id, user_text: 'Open the garage.' });
+
+        const userId = (await ensureUser(externalId)).id;
+        const context = await buildBootstrapContext({ userId, sessionId: session_id });
+
+        assert.deepStrictEqual(context.current_session_transcript.map(m => m.role), ['user', 'assistant']);
+        assert.strictEqual(context.current_session_transcript[0].content, 'Open the garage.');
+        assert.ok(context.last_session_transcript.some(m => m.content === 'The code word is MARIGOLD-7.'));
+        assert.deepStrictEqual((await buildBootstrapContext({ userId })).current_session_transcript, []);
+        await post('/session/end', { session_id });
+    });
+});
+
+console.log('Running Current Session Context Tests...');
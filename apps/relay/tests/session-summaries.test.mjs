@@ -0,0 +1,230 @@
+/**
+ * Session Summary Tests
+ * Tests the summary request, the mock LLM's recap, token-budgeted history in
+ * buildLLMContext, and summaries written on /session/end against mock LLM
+ * CI-safe: no live API calls; the storage suite needs DATABASE_URL
+ * @module tests/session-summaries.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Fastify from 'fastify';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+
+const { buildSummaryRequest, getSummarySessionCount } = await import('../src/services/session-summaries.mjs');
+const { buildLLMContext, validateContext } = await import('../src/llm/context-builder.mjs');
+const { getDefaultTokenizer } = await import('../src/llm/tokenizers/index.mjs');
+const { MockProvider } = await import('../src/llm/providers/mock.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Session Summary Request', () => {
+    it('numbers the user and assistant lines', () => {
+        const request = buildSummaryRequest([
+            { role: 'system', content: 'ignored' },
+            { role: 'user', content: 'Book the\nworkshop.' },
+            { role: 'assistant', content: 'Done, Sir.' }
+        ]);
+
+        assert.strictEqual(request.response_format, undefined);
+        assert.strictEqual(request.messages[0].role, 'system');
+        assert.strictEqual(request.messages[1].content, 'Summarize this conversation:\n[1] user: Book the workshop.\n[2] assistant: Done, Sir.');
+    });
+
+    it('gets a deterministic recap from the mock provider', async () => {
+        const request = buildSummaryRequest([
+            { role: 'user', content: 'Book the workshop.' },
+            { role: 'assistant', content: 'Done, Sir.' },
+            { role: 'user', content: 'And order parts.' }
+        ]);
+        const response = await new MockProvider().generate(request);
+
+        assert.strictEqual(response.content, 'The user spoke 2 time(s) in this session: "Book the workshop."; "And order parts.".');
+    });
+
+    it('reads CONTEXT_SUMMARY_SESSIONS', () => {
+        assert.strictEqual(getSummarySessionCount(), 3);
+        process.env.CONTEXT_SUMMARY_SESSIONS = '0';
+        assert.strictEqual(getSummarySessionCount(), 0);
+        delete process.env.CONTEXT_SUMMARY_SESSIONS;
+    });
+});
+
+describe('Context History Budget', () => {
+    const estimateTokens = text => getDefaultTokenizer().count(text);
+    const transcript = Array.from({ length: 10 }, (_, i) => ({
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `message ${i} `.padEnd(40, '.'),
+        created_at: new Date(2026, 0, 1, 0, i).toISOString()
+    }));
+    const summaries = [
+        { session_id: 's1', summary: 'The user planned a trip to Berlin.' },
+        { session_id: 's2', summary: 'The user asked about the workshop.' }
+    ];
+    const build = (overrides) => buildLLMContext({
+        persona_prompt: 'You are JARVIS.',
+        memory_facts: [],
+        last_session_transcript: transcript,
+        session_summaries: summaries,
+        user_input: 'Hello',
+        ...overrides
+    });
+
+    it('puts the summaries in the system message, oldest first', () => {
+        const context = build({ history_token_budget: 10_000 });
+
+        validateContext(context);
+        assert.ok(context.messages[0].content.endsWith(
+            '## Previous Conversations\nRecaps of your recent conversations with the user, oldest first:\n- The user planned a trip to Berlin.\n- The user asked about the workshop.'
+        ));
+        assert.strictEqual(context.messages.length, 12);
+    });
+
+    it('keeps only the newest transcript messages that fit after the summaries', () => {
+        const summaryTokens = summaries.reduce((sum, s) => sum + estimateTokens(s.summary), 0);
+        const context = build({ history_token_budget: summaryTokens + 3 * estimateTokens(transcript[0].content) });
+
+        validateContext(context);
+        assert.deepStrictEqual(context.messages.slice(1, -1).map(m => m.content), transcript.slice(-3).map(m => m.content));
+        assert.ok(context.messages[0].content.includes('Berlin'));
+    });
+
+    it('drops the oldest summaries first when they alone exceed the budget', () => {
+        const context = build({ history_token_budget: estimateTokens(summaries[1].summary) });
+
+        assert.ok(context.messages[0].content.includes('workshop'));
+        assert.ok(!context.messages[0].content.includes('Berlin'));
+        assert.strictEqual(context.messages.length, 2);
+    });
+
+    it('leaves history out entirely with a zero budget', () => {
+        const context = build({ history_token_budget: 0 });
+
+        assert.strictEqual(context.messages[0].content, 'You are JARVIS.');
+        assert.deepStrictEqual(context.messages.slice(1), [{ role: 'user', content: 'Hello' }]);
+    });
+
+    it('reads CONTEXT_HISTORY_TOKEN_BUDGET when no budget is passed', () => {
+        process.env.CONTEXT_HISTORY_TOKEN_BUDGET = '0';
+        try {
+            assert.strictEqual(build({}).messages.length, 2);
+        } finally {
+            delete process.env.CONTEXT_HISTORY_TOKEN_BUDGET;
+        }
+    });
+});
+
+describe('Session Summary Storage', { skip: SKIP_REASON }, () => {
+    let app;
+    let services;
+    const externalId = `summary-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerSessionRoutes } = await import('../src/routes/session.mjs');
+        services = {
+            ...await import('../src/services/session-summaries.mjs'),
+            ...await import('../src/services/users.mjs')
+        };
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerSessionRoutes(app);
+        await app.ready();
+    });
+
+    afterEach(() => {
+        delete process.env.CONTEXT_SUMMARY_SESSIONS;
+        delete process.env.CONTEXT_WINDOW_TOKENS;
+    });
+
+    after(async () => {
+        await app.close();
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    });
+
+    const post = (url, payload) => app.inject({ method: 'POST', url, headers: { 'x-jarvis-user-id': externalId }, payload });
+
+    /**
+     * Run a session with the given user lines and end it
+     * @param {string[]} lines
+     * @returns {Promise<string>} Session ID
+     */
+    const runSession = async (lines) => {
+        const { session_id } = (await post('/session/start', {})).json();
+        for (const content of lines) {
+            await post(`/session/${session_id}/message`, { role: 'user', content });
+        }
+        await post('/session/end', { session_id });
+        await services.waitForSessionSummaries();
+        return session_id;
+    };
+
+    it('summarizes a session when it ends', async () => {
+        const sessionId = await runSession(['Remind me about the Berlin trip.']);
+        const userId = (await services.ensureUser(externalId)).id;
+        const [summary] = await services.getRecentSessionSummaries(userId);
+
+        assert.strictEqual(summary.session_id, sessionId);
+        assert.strictEqual(summary.summary, 'The user spoke 1 time(s) in this session: "Remind me about the Berlin trip.".');
+        assert.strictEqual(summary.message_count, 1);
+        assert.strictEqual(summary.provider, 'mock');
+    });
+
+    it('skips sessions without user messages', async () => {
+        await runSession([]);
+        const userId = (await services.ensureUser(externalId)).id;
+
+        assert.strictEqual((await services.getRecentSessionSummaries(userId)).length, 1);
+    });
+
+    it('bootstraps with the last CONTEXT_SUMMARY_SESSIONS summaries and the last transcript', async () => {
+        await runSession(['Order new gauntlet parts.']);
+        await runSession(['Cancel the board meeting.']);
+        process.env.CONTEXT_SUMMARY_SESSIONS = '2';
+
+        const { bootstrap_context: context } = (await post('/session/start', {})).json();
+
+        assert.deepStrictEqual(context.session_summaries.map(s => s.summary), [
+            'The user spoke 1 time(s) in this session: "Order new gauntlet parts.".',
+            'The user spoke 1 time(s) in this session: "Cancel the board meeting.".'
+        ]);
+        assert.deepStrictEqual(context.last_session_transcript.map(m => m.content), ['Cancel the board meeting.']);
+    });
+
+    it('summarizes a session over the prompt budget chunk by chunk', async () => {
+        const { getProvider } = await import('../src/llm/index.mjs');
+        const { countMessageTokens } = await import('../src/llm/tokenizers/index.mjs');
+        const mock = getProvider('mock');
+        const generate = mock.generate;
+        const promptTokens = [];
+        mock.generate = function (request) {
+            promptTokens.push(countMessageTokens(request.messages));
+            return generate.call(this, request);
+        };
+
+        // 1024 reply tokens + 600 for the prompt
+        process.env.CONTEXT_WINDOW_TOKENS = '1624';
+        const lines = Array.from({ length: 30 }, (_, i) => `Item ${i + 1}: ${'check the flight systems and the armor plating. '.repeat(3)}`);
+        try {
+            const sessionId = await runSession(lines);
+            const userId = (await services.ensureUser(externalId)).id;
+            const summary = (await services.getRecentSessionSummaries(userId)).at(-1);
+
+            assert.strictEqual(summary.session_id, sessionId);
+            assert.strictEqual(summary.message_count, 30);
+            assert.ok(promptTokens.length > 1, 'more than one request');
+            assert.ok(promptTokens.every(tokens => tokens <= 600), `prompts of ${promptTokens} tokens`);
+            assert.ok(summary.summary.startsWith('The user spoke'), 'the first recap is carried forward');
+            assert.ok(summary.summary.includes('"Item 1: '));
+            assert.ok(summary.summary.includes('"Item 30: '));
+        } finally {
+            mock.generate = generate;
+        }
+    });
+});
+
+console.log('Running Session Summary Tests...');
@@ -0,0 +1,371 @@
+/**
+ * STT Provider Tests
+ * Tests the mock provider, transcribeWithFallback() against local HTTP stand-ins,
+ * and the /stt routes
+ * CI-safe: no live API calls
+ * @module tests/stt.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { mkdtempSync, writeFileSync, copyFileSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Fastify from 'fastify';
+import multipart from '@fastify/multipart';
+
+/**
+ * Build a WAV file with the transcript in a LIST/INFO ICMT tag
+ * @param {string} comment
+ * @param {Buffer} [pcm]
+ * @returns {Buffer}
+ */
+function wavWithComment(comment, pcm = Buffer.alloc(320)) {
+    let text = Buffer.from(`${comment}\0`, 'utf8');
+    if (text.length % 2) text = Buffer.concat([text, Buffer.alloc(1)]);
+
+    const icmt = Buffer.alloc(8);
+    icmt.write('ICMT', 0);
+    icmt.writeUInt32LE(text.length, 4);
+    const listBody = Buffer.concat([Buffer.from('INFO'), icmt, text]);
+    const listHeader = Buffer.alloc(8);
+    listHeader.write('LIST', 0);
+    listHeader.writeUInt32LE(listBody.length, 4);
+
+    const fmt = Buffer.alloc(24);
+    fmt.write('fmt ', 0);
+    fmt.writeUInt32LE(16, 4);
+    fmt.writeUInt16LE(1, 8);
+    fmt.writeUInt16LE(1, 10);
+    fmt.writeUInt32LE(16000, 12);
+    fmt.writeUInt32LE(32000, 16);
+    fmt.writeUInt16LE(2, 20);
+    fmt.writeUInt16LE(16, 22);
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0);
+    dataHeader.writeUInt32LE(pcm.length, 4);
+
+    const body = Buffer.concat([Buffer.from('WAVE'), fmt, listHeader, listBody, dataHeader, pcm]);
+    const riff = Buffer.alloc(8);
+    riff.write('RIFF', 0);
+    riff.writeUInt32LE(body.length, 4);
+    return Buffer.concat([riff, body]);
+}
+
+/**
+ * Behaviour of the stand-in transcription APIs for the next request
+ * @type {{ openai: 'ok' | 'fail' | 'unauthorized' | 'hang', compat: 'ok' | 'fail' }}
+ */
+const scenario = { openai: 'ok', compat: 'ok' };
+const received = { openai: null, compat: null };
+
+/** Resolves a held ('hang') request once it arrives, with a promise for its connection closing */
+let onHeld = null;
+
+const FIXTURES_DIR = new URL('./fixtures/stt/', import.meta.url).pathname;
+
+describe('Mock STT Provider', () => {
+    it('returns the transcript embedded in WAV metadata', async () => {
+        const { MockSTTProvider } = await import('../src/stt/mock.mjs');
+        const provider = new MockSTTProvider();
+
+        const text = await provider.transcribe({ audio: wavWithComment('Open the pod bay doors.'), filename: 'a.wav' });
+        assert.strictEqual(text, 'Open the pod bay doors.');
+    });
+
+    it('looks up the fixture map by audio hash', async () => {
+        const { MockSTTProvider, hashAudio } = await import('../src/stt/mock.mjs');
+        const audio = Buffer.from('not really webm');
+        const provider = new MockSTTProvider({ fixtures: { [hashAudio(audio)]: 'Status report, please.' } });
+
+        assert.strictEqual(await provider.transcribe({ audio, filename: 'a.webm' }), 'Status report, please.');
+    });
+
+    it('falls back to a stock phrase picked by the audio hash', async () => {
+        const { MockSTTProvider, MOCK_PHRASES } = await import('../src/stt/mock.mjs');
+        const provider = new MockSTTProvider({ fixtures: {} });
+        const transcribe = (bytes) => provider.transcribe({ audio: Buffer.from(bytes), filename: 'a.webm' });
+
+        const text = await transcribe('??');
+        assert.ok(MOCK_PHRASES.includes(text));
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual(await transcribe('??'), text);
+        }
+    });
+
+    it('prefers the mockTranscript option over anything in the audio', async () => {
+        const { MockSTTProvider } = await import('../src/stt/mock.mjs');
+        const provider = new MockSTTProvider({ fixtures: {} });
+
+        const text = await provider.transcribe({ audio: wavWithComment('Embedded.'), filename: 'a.wav', mockTranscript: 'Sidecar wins.' });
+        assert.strictEqual(text, 'Sidecar wins.');
+    });
+
+    it('loads a fixture directory of audio files with .txt sidecars', async () => {
+        const { loadFixtures, hashAudio } = await import('../src/stt/mock.mjs');
+        const dir = mkdtempSync(join(tmpdir(), 'stt-fixtures-'));
+        copyFileSync(join(FIXTURES_DIR, 'systems-check.wav'), join(dir, 'systems-check.wav'));
+        writeFileSync(join(dir, 'systems-check.txt'), 'Run the diagnostics.\n');
+        writeFileSync(join(dir, 'no-sidecar.webm'), 'orphan');
+
+        const fixtures = loadFixtures(dir);
+        const audio = readFileSync(join(dir, 'systems-check.wav'));
+
+        assert.deepStrictEqual(fixtures, { [hashAudio(audio)]: 'Run the diagnostics.' });
+    });
+
+    it('loads a JSON fixture map', async () => {
+        const { loadFixtures } = await import('../src/stt/mock.mjs');
+        const file = join(mkdtempSync(join(tmpdir(), 'stt-fixtures-')), 'fixtures.json');
+        writeFileSync(file, JSON.stringify({ abc123: 'From the manifest.' }));
+
+        assert.deepStrictEqual(loadFixtures(file), { abc123: 'From the manifest.' });
+    });
+
+    it('ignores non-WAV and comment-less files when reading metadata', async () => {
+        const { readWavComment } = await import('../src/stt/mock.mjs');
+        const withoutComment = wavWithComment('x');
+        withoutComment.write('JUNK', withoutComment.indexOf('LIST'));
+
+        assert.strictEqual(readWavComment(Buffer.from('OggS....')), null);
+        assert.strictEqual(readWavComment(withoutComment), null);
+    });
+});
+
+describe('STT Transcribe With Fallback', () => {
+    let server;
+    let stt;
+
+    before(async () => {
+        server = createServer((req, res) => {
+            const chunks = [];
+            req.on('data', c => chunks.push(c));
+            req.on('end', () => {
+                const info = { url: req.url, authorization: req.headers.authorization || null, body: Buffer.concat(chunks).toString('latin1') };
+
+                if (req.url.startsWith('/openai')) {
+                    received.openai = info;
+                    if (scenario.openai === 'fail') return res.writeHead(503).end('{"error":"overloaded"}');
+                    if (scenario.openai === 'unauthorized') return res.writeHead(401).end('{"error":"bad key"}');
+                    if (scenario.openai === 'hang') {
+                        const closed = new Promise(resolve => res.on('close', resolve));
+                        return onHeld?.({ closed });
+                    }
+                    return res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"text":"Whisper heard you, Sir."}');
+                }
+
+                if (req.url.startsWith('/compat')) {
+                    received.compat = info;
+                    if (scenario.compat === 'fail') return res.writeHead(500).end('{}');
+                    return res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"text":"Local whisper heard you."}');
+                }
+
+                res.writeHead(404).end();
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        process.env.OPENAI_API_KEY = 'test-openai-key';
+        process.env.OPENAI_STT_API_URL = `http://127.0.0.1:${port}/openai/v1/audio/transcriptions`;
+        process.env.STT_COMPAT_API_URL = `http://127.0.0.1:${port}/compat/v1/`;
+        process.env.STT_COMPAT_MODEL = 'base.en';
+        delete process.env.STT_COMPAT_API_KEY;
+        delete process.env.STT_MOCK_MODE;
+
+        // Import after env is set - providers read their config on construction
+        stt = await import('../src/stt/index.mjs');
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const audio = { audio: Buffer.from('fake webm bytes'), filename: 'recording.webm' };
+
+    it('uses the primary provider when it succeeds', async () => {
+        scenario.openai = 'ok';
+        const result = await stt.transcribeWithFallback(audio, {});
+
+        assert.deepStrictEqual(
+            { text: result.text, provider: result.provider, fallback_used: result.fallback_used },
+            { text: 'Whisper heard you, Sir.', provider: 'openai', fallback_used: false }
+        );
+        assert.strictEqual(received.openai.authorization, 'Bearer test-openai-key');
+        assert.match(received.openai.body, /name="model"\r\n\r\nwhisper-1/);
+        assert.match(received.openai.body, /filename="recording.webm"/);
+    });
+
+    it('falls back to the OpenAI-compatible endpoint', async () => {
+        scenario.openai = 'fail';
+        scenario.compat = 'ok';
+        const result = await stt.transcribeWithFallback({ ...audio, correlationId: 'stt-fallback-test' });
+
+        assert.strictEqual(result.text, 'Local whisper heard you.');
+        assert.strictEqual(result.provider, 'openai_compatible');
+        assert.strictEqual(result.fallback_used, true);
+        assert.strictEqual(result.correlation_id, 'stt-fallback-test');
+        assert.strictEqual(received.compat.url, '/compat/v1/audio/transcriptions');
+        assert.strictEqual(received.compat.authorization, null, 'No key configured, no Authorization header');
+        assert.match(received.compat.body, /name="model"\r\n\r\nbase.en/);
+    });
+
+    it('skips providers listed in stt_disable', async () => {
+        scenario.openai = 'ok';
+        received.openai = null;
+        const result = await stt.transcribeWithFallback(audio, { stt_disable: ['openai'] });
+
+        assert.strictEqual(result.provider, 'openai_compatible');
+        assert.strictEqual(received.openai, null);
+    });
+
+    it('aggregates errors when every provider fails', async () => {
+        scenario.openai = 'unauthorized';
+        scenario.compat = 'fail';
+
+        await assert.rejects(
+            () => stt.transcribeWithFallback(audio),
+            (err) => {
+                assert.strictEqual(err.message, 'All STT providers failed');
+                assert.deepStrictEqual(err.provider_errors.map(e => [e.provider, e.status]), [['openai', 401], ['openai_compatible', 500]]);
+                return true;
+            }
+        );
+    });
+
+    it('cancels the request without falling back when the session is aborted', async () => {
+        const { BufferedStreamingSTTSession } = await import('../src/stt/streaming.mjs');
+        scenario.openai = 'hang';
+        scenario.compat = 'ok';
+        received.compat = null;
+        const held = new Promise(resolve => { onHeld = resolve; });
+
+        const session = new BufferedStreamingSTTSession({ codec: 'webm_opus', correlationId: 'stt-abort-test' });
+        session.push(Buffer.from('fake webm bytes'));
+        const pending = session.finish();
+        const { closed } = await held;
+
+        session.abort();
+
+        await assert.rejects(pending, { name: 'AbortError' });
+        await closed;
+        assert.strictEqual(received.compat, null, 'No fallback after the caller is gone');
+        onHeld = null;
+    });
+
+    it('bypasses the chain in mock mode', async () => {
+        process.env.STT_MOCK_MODE = 'true';
+        try {
+            const result = await stt.transcribeWithFallback({ audio: wavWithComment('Mock mode, Sir.'), filename: 'a.wav' });
+            assert.strictEqual(result.provider, 'mock');
+            assert.strictEqual(result.text, 'Mock mode, Sir.');
+        } finally {
+            delete process.env.STT_MOCK_MODE;
+        }
+    });
+
+    it('reports every provider in the chain', async () => {
+        const status = await stt.getProviderStatus();
+
+        assert.deepStrictEqual(status.fallbackOrder, ['openai', 'openai_compatible']);
+        assert.strictEqual(status.openai.available, true);
+        assert.strictEqual(status.openai.isPrimary, true);
+        assert.strictEqual(status.openai_compatible.available, true);
+        assert.strictEqual(status.mock.available, false);
+        assert.strictEqual(status.activeFallback, 'openai');
+    });
+});
+
+describe('STT Routes (Mock Mode)', () => {
+    let app;
+
+    before(async () => {
+        process.env.STT_MOCK_MODE = 'true';
+        const { registerSTTRoutes } = await import('../src/routes/stt.mjs');
+
+        app = Fastify({ logger: false });
+        await app.register(multipart);
+        app.decorateRequest('userId', null);
+        app.addHook('onRequest', async (request) => {
+            request.userId = request.headers['x-jarvis-user-id'] || null;
+        });
+        registerSTTRoutes(app);
+        await app.ready();
+    });
+
+    after(async () => {
+        delete process.env.STT_MOCK_MODE;
+        await app.close();
+    });
+
+    it('POST /stt/transcribe returns the mock transcript and provider', async () => {
+        const boundary = '----stt-test';
+        const payload = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="audio"; filename="clip.wav"\r\nContent-Type: audio/wav\r\n\r\n`),
+            wavWithComment('What is on my calendar?'),
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]);
+
+        const res = await app.inject({
+            method: 'POST',
+            url: '/stt/transcribe',
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'x-jarvis-user-id': 'stt-route-user' },
+            payload
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        const body = res.json();
+        assert.strictEqual(body.transcript, 'What is on my calendar?');
+        assert.strictEqual(body.provider, 'mock');
+        assert.strictEqual(body.fallback_used, false);
+        assert.ok(body.correlation_id);
+    });
+
+    it('POST /stt/transcribe honors a mock_transcript field after the file', async () => {
+        const boundary = '----stt-test';
+        const payload = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="audio"; filename="clip.webm"\r\nContent-Type: audio/webm\r\n\r\n`),
+            Buffer.from('opaque webm bytes'),
+            Buffer.from(`\r\n--${boundary}\r\nContent-Disposition: form-data; name="mock_transcript"\r\n\r\nRemind me to call Pepper.`),
+            Buffer.from(`\r\n--${boundary}--\r\n`)
+        ]);
+
+        const res = await app.inject({
+            method: 'POST',
+            url: '/stt/transcribe',
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'x-jarvis-user-id': 'stt-route-user' },
+            payload
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.json().transcript, 'Remind me to call Pepper.');
+    });
+
+    it('POST /stt/transcribe rejects a form without a file', async () => {
+        const boundary = '----stt-test';
+        const res = await app.inject({
+            method: 'POST',
+            url: '/stt/transcribe',
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}`, 'x-jarvis-user-id': 'stt-route-user' },
+            payload: `--${boundary}\r\nContent-Disposition: form-data; name="mock_transcript"\r\n\r\nHello\r\n--${boundary}--\r\n`
+        });
+
+        assert.strictEqual(res.statusCode, 400);
+        assert.strictEqual(res.json().error.code, 'NO_AUDIO');
+    });
+
+    it('GET /stt/status reports the provider chain', async () => {
+        const res = await app.inject({ method: 'GET', url: '/stt/status' });
+        const body = res.json();
+
+        assert.strictEqual(body.configured, true);
+        assert.strictEqual(body.provider, 'mock');
+        assert.strictEqual(body.mock_mode, true);
+        assert.deepStrictEqual(body.providers.fallbackOrder, ['openai', 'openai_compatible']);
+        assert.ok('openai_compatible' in body.providers);
+    });
+});
+
+console.log('Running STT Provider Tests...');
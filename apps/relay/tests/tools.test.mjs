@@ -0,0 +1,447 @@
+/**
+ * Tool Calling Tests
+ * Tests the tool registry and argument validation, the OpenAI/Gemini tool wire
+ * formats against local HTTP stand-ins, the tool loop with scripted mock calls,
+ * and remember_fact / forget_fact through /assistant/respond and assistant.ask
+ * CI-safe: no live API calls; the memory tools suite needs DATABASE_URL
+ * @module tests/tools.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import Fastify from 'fastify';
+import websocket from '@fastify/websocket';
+import { WebSocket } from 'ws';
+
+// Providers read mock mode on construction
+process.env.LLM_MOCK_MODE = 'true';
+process.env.TTS_MOCK_MODE = 'true';
+// Keep the background work these routes start out of the way
+process.env.MEMORY_EXTRACTION_MODE = 'off';
+
+const tools = await import('../src/tools/index.mjs');
+const { generateWithTools, streamWithTools, getMaxToolRounds } = await import('../src/tools/loop.mjs');
+const { getProvider, OpenAIProvider, GeminiProvider } = await import('../src/llm/index.mjs');
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+/**
+ * Test tool that echoes its arguments, or fails on request
+ * @type {import('../src/tools/types.mjs').Tool}
+ */
+const echoTool = {
+    name: 'echo_test',
+    description: 'Echo the text back.',
+    parameters: {
+        type: 'object',
+        properties: {
+            text: { type: 'string' },
+            mode: { type: 'string', enum: ['plain', 'fail'] }
+        },
+        required: ['text'],
+        additionalProperties: false
+    },
+    async handler({ text, mode }, { userId }) {
+        if (mode === 'fail') throw new Error('echo failed on purpose');
+        return { text, userId };
+    }
+};
+
+const conversation = [
+    { role: 'system', content: 'You are JARVIS.' },
+    { role: 'user', content: 'Remember that I live in Malibu.' }
+];
+
+describe('Tool Registry', () => {
+    before(() => tools.registerTool(echoTool));
+    after(() => tools.unregisterTool(echoTool.name));
+
+    it('registers the memory tools with their signatures', () => {
+        const definitions = tools.getToolDefinitions();
+        const remember = definitions.find(d => d.name === 'remember_fact');
+
+        assert.ok(definitions.some(d => d.name === 'forget_fact'));
+        assert.deepStrictEqual(remember.parameters.required, ['key', 'value']);
+        assert.deepStrictEqual(Object.keys(remember), ['name', 'description', 'parameters']);
+    });
+
+    it('rejects duplicate and malformed tools', () => {
+        assert.throws(() => tools.registerTool(echoTool), /Tool already registered: echo_test/);
+        assert.throws(() => tools.registerTool({ ...echoTool, name: 'Echo Test' }), /Invalid tool name/);
+        assert.throws(() => tools.registerTool({ ...echoTool, name: 'no_handler', handler: null }), /needs an object parameters schema/);
+    });
+
+    it('validates arguments against the schema', () => {
+        assert.deepStrictEqual(tools.validateArguments(echoTool.parameters, { text: 'hi', mode: 'plain' }), []);
+        assert.deepStrictEqual(tools.validateArguments(echoTool.parameters, { mode: 'loud', extra: 1 }), [
+            'arguments.text is required',
+            'arguments.mode must be one of plain, fail',
+            'arguments.extra is not allowed'
+        ]);
+        assert.deepStrictEqual(tools.validateArguments({ type: 'number', minimum: 0, maximum: 1 }, 1.5, 'confidence'), ['confidence must be <= 1']);
+        assert.deepStrictEqual(tools.validateArguments({ type: 'array', items: { type: 'integer' } }, [1, 'two']), ['arguments[1] must be integer']);
+    });
+
+    it('runs a call with the context it is given', async () => {
+        const result = await tools.executeToolCall({ id: 'c1', name: 'echo_test', arguments: { text: 'hi' } }, { userId: 'u1' });
+
+        assert.deepStrictEqual(result, { id: 'c1', name: 'echo_test', arguments: { text: 'hi' }, ok: true, result: { text: 'hi', userId: 'u1' } });
+    });
+
+    it('turns every failure into an error result', async () => {
+        const run = call => tools.executeToolCall({ id: 'c1', ...call }, { userId: 'u1' });
+
+        assert.strictEqual((await run({ name: 'launch_missiles', arguments: {} })).error, 'Unknown tool: launch_missiles');
+        assert.strictEqual((await run({ name: 'echo_test', arguments: null })).error, 'Arguments were not valid JSON');
+        assert.strictEqual((await run({ name: 'echo_test', arguments: {} })).error, 'Invalid arguments: arguments.text is required');
+
+        const failed = await run({ name: 'echo_test', arguments: { text: 'hi', mode: 'fail' } });
+        assert.strictEqual(failed.ok, false);
+        assert.strictEqual(failed.error, 'echo failed on purpose');
+    });
+});
+
+describe('Provider Tool Wire Formats', () => {
+    let server;
+    const received = { openai: null, gemini: null };
+
+    const toolConversation = [
+        ...conversation,
+        { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', name: 'remember_fact', arguments: { key: 'home_city', value: 'Malibu' } }] },
+        { role: 'tool', tool_call_id: 'call_1', name: 'remember_fact', content: '{"remembered":true}' }
+    ];
+    const definitions = [{ name: 'remember_fact', description: 'Store a fact.', parameters: { type: 'object', properties: { key: { type: 'string' } }, additionalProperties: false } }];
+
+    before(async () => {
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', c => { body += c; });
+            req.on('end', () => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                if (req.url.startsWith('/openai')) {
+                    received.openai = JSON.parse(body);
+                    res.end(JSON.stringify({
+                        model: 'gpt-4o-stub',
+                        choices: [{ message: { content: null, tool_calls: [
+                            { id: 'call_a', type: 'function', function: { name: 'forget_fact', arguments: '{"key":"mood"}' } },
+                            { id: 'call_b', type: 'function', function: { name: 'forget_fact', arguments: '{not json' } }
+                        ] } }]
+                    }));
+                    return;
+                }
+                received.gemini = JSON.parse(body);
+                res.end(JSON.stringify({
+                    candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'forget_fact', args: { key: 'mood' } } }] } }]
+                }));
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+
+        process.env.OPENAI_API_KEY = 'test-openai-key';
+        process.env.OPENAI_API_URL = `http://127.0.0.1:${port}/openai/v1/chat/completions`;
+        process.env.GEMINI_API_KEY = 'test-gemini-key';
+        process.env.GEMINI_API_URL = `http://127.0.0.1:${port}/gemini/models`;
+    });
+
+    after(async () => {
+        for (const key of ['OPENAI_API_KEY', 'OPENAI_API_URL', 'GEMINI_API_KEY', 'GEMINI_API_URL']) {
+            delete process.env[key];
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('OpenAI sends function tools and parses tool_calls', async () => {
+        const response = await new OpenAIProvider().generate({ messages: toolConversation, tools: definitions });
+
+        assert.deepStrictEqual(received.openai.tools, [{ type: 'function', function: definitions[0] }]);
+        assert.deepStrictEqual(received.openai.messages.slice(2), [
+            {
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'remember_fact', arguments: '{"key":"home_city","value":"Malibu"}' } }]
+            },
+            { role: 'tool', tool_call_id: 'call_1', content: '{"remembered":true}' }
+        ]);
+        assert.deepStrictEqual(response.tool_calls, [
+            { id: 'call_a', name: 'forget_fact', arguments: { key: 'mood' } },
+            { id: 'call_b', name: 'forget_fact', arguments: null }
+        ]);
+    });
+
+    it('Gemini sends function declarations and parses functionCall parts', async () => {
+        const response = await new GeminiProvider().generate({ messages: toolConversation, tools: definitions });
+
+        assert.deepStrictEqual(received.gemini.tools, [{
+            functionDeclarations: [{ name: 'remember_fact', description: 'Store a fact.', parameters: { type: 'object', properties: { key: { type: 'string' } } } }]
+        }]);
+        assert.deepStrictEqual(received.gemini.contents.slice(1), [
+            { role: 'model', parts: [{ functionCall: { name: 'remember_fact', args: { key: 'home_city', value: 'Malibu' } } }] },
+            { role: 'user', parts: [{ functionResponse: { name: 'remember_fact', response: { remembered: true } } }] }
+        ]);
+        assert.strictEqual(response.content, '');
+        assert.strictEqual(response.tool_calls.length, 1);
+        assert.match(response.tool_calls[0].id, /^call_/);
+        assert.deepStrictEqual(response.tool_calls[0].arguments, { key: 'mood' });
+    });
+});
+
+describe('Tool Loop', () => {
+    const mock = getProvider('mock');
+
+    before(() => tools.registerTool(echoTool));
+    afterEach(() => {
+        mock.clearToolScript();
+        delete process.env.LLM_MAX_TOOL_ROUNDS;
+    });
+    after(() => tools.unregisterTool(echoTool.name));
+
+    it('answers directly when the model calls no tools', async () => {
+        const response = await generateWithTools({ messages: conversation }, { context: { userId: 'u1' } });
+
+        assert.deepStrictEqual(response.tool_results, []);
+        assert.ok(response.content.includes('Sir'));
+    });
+
+    it('runs scripted calls round by round and feeds the results back', async () => {
+        mock.scriptToolCalls(
+            [{ name: 'echo_test', arguments: { text: 'one' } }, { name: 'launch_missiles', arguments: {} }],
+            [{ name: 'echo_test', arguments: { text: 'two' } }]
+        );
+
+        const response = await generateWithTools({ messages: conversation }, { context: { userId: 'u1' } });
+
+        assert.deepStrictEqual(response.tool_results.map(r => [r.name, r.ok]), [['echo_test', true], ['launch_missiles', false], ['echo_test', true]]);
+        assert.strictEqual(response.content, 'Very good, Sir. I\'ve run echo_test.');
+        assert.strictEqual(mock.toolScript.length, 0);
+    });
+
+    it('stops offering tools after LLM_MAX_TOOL_ROUNDS', async () => {
+        process.env.LLM_MAX_TOOL_ROUNDS = '1';
+        mock.scriptToolCalls([{ name: 'echo_test', arguments: { text: 'one' } }], [{ name: 'echo_test', arguments: { text: 'two' } }]);
+
+        const response = await generateWithTools({ messages: conversation }, { context: { userId: 'u1' } });
+
+        assert.strictEqual(response.tool_results.length, 1);
+        assert.strictEqual(response.content, 'Very good, Sir. I\'ve run echo_test.');
+        assert.strictEqual(mock.toolScript.length, 1, 'the final request offers no tools');
+    });
+
+    it('streams every round, running tool calls between them', async () => {
+        const collect = async () => {
+            const events = [];
+            for await (const event of streamWithTools({ messages: conversation }, { context: { userId: 'u1' } })) {
+                events.push(event);
+            }
+            return events;
+        };
+
+        mock.scriptToolCalls([{ name: 'echo_test', arguments: { text: 'one' } }]);
+        const withTools = await collect();
+        const done = withTools.at(-1);
+
+        assert.strictEqual(withTools.filter(e => e.type === 'delta').map(e => e.text).join(''), 'Very good, Sir. I\'ve run echo_test.');
+        assert.strictEqual(done.type, 'done');
+        assert.strictEqual(done.provider, 'mock');
+        assert.deepStrictEqual(done.tool_results.map(r => [r.name, r.ok]), [['echo_test', true]]);
+
+        const plain = await collect();
+        assert.ok(plain.filter(e => e.type === 'delta').length > 1, 'no tool calls: the reply streams token by token');
+        assert.deepStrictEqual(plain.at(-1).tool_results, []);
+
+        process.env.LLM_MAX_TOOL_ROUNDS = '0';
+        const noTools = await collect();
+        assert.ok(noTools.filter(e => e.type === 'delta').length > 1);
+        assert.strictEqual(noTools.filter(e => e.type === 'done').length, 1);
+    });
+
+    it('reads LLM_MAX_TOOL_ROUNDS', () => {
+        assert.strictEqual(getMaxToolRounds(), 5);
+        process.env.LLM_MAX_TOOL_ROUNDS = '0';
+        assert.strictEqual(getMaxToolRounds(), 0);
+    });
+});
+
+describe('Memory Tools via /assistant/respond', { skip: SKIP_REASON }, () => {
+    let app;
+    let userId;
+    const mock = getProvider('mock');
+    const externalId = `tools-user-${Date.now()}`;
+
+    before(async () => {
+        const { registerUserIdentity } = await import('../src/middleware/user-identity.mjs');
+        const { registerSessionRoutes } = await import('../src/routes/session.mjs');
+        const { registerAssistantRoutes } = await import('../src/routes/assistant.mjs');
+        const { ensureUser } = await import('../src/services/users.mjs');
+
+        app = Fastify({ logger: false });
+        registerUserIdentity(app);
+        registerSessionRoutes(app);
+        registerAssistantRoutes(app);
+        await app.ready();
+        userId = (await ensureUser(externalId)).id;
+    });
+
+    afterEach(() => mock.clearToolScript());
+
+    after(async () => {
+        delete process.env.MEMORY_EXTRACTION_MODE;
+        await app.close();
+        const { waitForSessionSummaries } = await import('../src/services/session-summaries.mjs');
+        await waitForSessionSummaries();
+    });
+
+    const post = (url, payload) => app.inject({ method: 'POST', url, headers: { 'x-jarvis-user-id': externalId }, payload });
+
+    it('remembers and forgets facts when the model calls the tools', async () => {
+        const { getAllFacts, getFactHistory } = await import('../src/services/memory.mjs');
+        const { session_id } = (await post('/session/start', {})).json();
+
+        mock.scriptToolCalls([{ name: 'remember_fact', arguments: { key: 'Home City', value: 'Malibu', confidence: 0.95 } }]);
+        const remembered = await post('/assistant/respond', { session_id, user_text: 'Remember that I live in Malibu.' });
+
+        assert.strictEqual(remembered.statusCode, 200);
+        assert.deepStrictEqual(remembered.json().tool_calls, [{ name: 'remember_fact', ok: true }]);
+        assert.strictEqual(remembered.json().response_text, 'Very good, Sir. I\'ve run remember_fact.');
+        const [fact] = await getAllFacts(userId);
+        assert.strictEqual(fact.fact_key, 'home_city');
+        assert.strictEqual(fact.fact_value, 'Malibu');
+        assert.strictEqual(parseFloat(fact.confidence), 0.95);
+
+        mock.scriptToolCalls([{ name: 'forget_fact', arguments: { key: 'home_city' } }, { name: 'forget_fact', arguments: {} }]);
+        const forgotten = (await post('/assistant/respond', { session_id, user_text: 'Forget where I live.' })).json();
+
+        assert.deepStrictEqual(forgotten.tool_calls, [
+            { name: 'forget_fact', ok: true },
+            { name: 'forget_fact', ok: false, error: 'Invalid arguments: arguments.key is required' }
+        ]);
+        assert.deepStrictEqual(await getAllFacts(userId), []);
+        assert.deepStrictEqual((await getFactHistory(userId, 'home_city')).map(r => [r.operation, r.actor]), [['create', 'assistant'], ['delete', 'assistant']]);
+        await post('/session/end', { session_id });
+    });
+
+    it('reports no tool calls for a plain reply', async () => {
+        const { session_id } = (await post('/session/start', {})).json();
+        const res = await post('/assistant/respond', { session_id, user_text: 'Status report.' });
+
+        assert.deepStrictEqual(res.json().tool_calls, []);
+        await post('/session/end', { session_id });
+    });
+});
+
+describe('Memory Tools via assistant.ask', { skip: SKIP_REASON }, () => {
+    let app;
+    let baseUrl;
+    let services;
+    const mock = getProvider('mock');
+
+    before(async () => {
+        const { registerVoiceWebSocket } = await import('../src/ws/handler.mjs');
+        services = {
+            ...await import('../src/services/memory.mjs'),
+            ...await import('../src/services/sessions.mjs'),
+            ...await import('../src/services/users.mjs')
+        };
+
+        app = Fastify({ logger: false });
+        await app.register(websocket);
+        registerVoiceWebSocket(app);
+        await app.listen({ port: 0, host: '127.0.0.1' });
+        baseUrl = `ws://127.0.0.1:${app.server.address().port}`;
+    });
+
+    afterEach(() => mock.clearToolScript());
+
+    after(() => app.close());
+
+    /**
+     * Open a socket bound to a fresh user and session, collecting every message
+     * @returns {Promise<{ ws: WebSocket, messages: Object[], waitFor: (predicate: (m: Object) => boolean, timeoutMs?: number) => Promise<Object>, userId: string }>}
+     */
+    const connectBound = async () => {
+        const externalId = `tools-voice-user-${Date.now()}`;
+        const userId = (await services.ensureUser(externalId)).id;
+        const session = await services.createSession(userId);
+
+        const ws = new WebSocket(`${baseUrl}/ws`);
+        const messages = [];
+        ws.on('message', data => messages.push(JSON.parse(data.toString())));
+        const waitFor = async (predicate, timeoutMs = 10000) => {
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline) {
+                const found = messages.find(predicate);
+                if (found) return found;
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            throw new Error('Timeout waiting for message');
+        };
+
+        await waitFor(m => m.type === 'connected');
+        ws.send(JSON.stringify({ type: 'session.bind', user_id: externalId, session_id: session.id }));
+        await waitFor(m => m.type === 'session.bound');
+        return { ws, messages, waitFor, userId };
+    };
+
+    it('speaks the first sentence of a plain reply before the LLM has finished', async () => {
+        const original = mock.generateStream;
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        let finished = false;
+        mock.generateStream = async function* (request) {
+            assert.ok(request.tools?.length, 'the first round offers tools');
+            yield { type: 'delta', text: 'Good evening, Sir. ' };
+            await held;
+            yield { type: 'delta', text: 'All systems are nominal.' };
+            finished = true;
+            yield { type: 'done', content: 'Good evening, Sir. All systems are nominal.', model: 'mock-jarvis-v1', provider: 'mock', usage: { prompt_tokens: 0, completion_tokens: 0 } };
+        };
+
+        const { ws, waitFor } = await connectBound();
+        try {
+            ws.send(JSON.stringify({ type: 'assistant.ask', text: 'Status report.' }));
+            const delta = await waitFor(m => m.type === 'transcript.delta');
+            await waitFor(m => m.type === 'audio.frame');
+
+            assert.strictEqual(finished, false, 'speech starts while the LLM is still writing');
+            assert.strictEqual(delta.text, 'Good evening, Sir. ');
+
+            release();
+            const response = await waitFor(m => m.type === 'assistant.response');
+            assert.strictEqual(response.text, 'Good evening, Sir. All systems are nominal.');
+        } finally {
+            release();
+            mock.generateStream = original;
+            ws.close();
+        }
+    });
+
+    it('runs the tools the model calls before speaking the answer', async () => {
+        const { ws, messages, waitFor, userId } = await connectBound();
+
+        try {
+            mock.scriptToolCalls([{ name: 'remember_fact', arguments: { key: 'Favourite Drink', value: 'Earl Grey', confidence: 0.9 } }]);
+            ws.send(JSON.stringify({ type: 'assistant.ask', text: 'Remember that I drink Earl Grey.' }));
+            const response = await waitFor(m => m.type === 'assistant.response');
+
+            assert.strictEqual(response.text, 'Very good, Sir. I\'ve run remember_fact.');
+            assert.ok(messages.some(m => m.type === 'audio.frame'));
+            const [fact] = await services.getAllFacts(userId);
+            assert.strictEqual(fact.fact_key, 'favourite_drink');
+            assert.strictEqual(fact.fact_value, 'Earl Grey');
+        } finally {
+            ws.close();
+        }
+    });
+});
+
+// Both database suites share the pool
+after(async () => {
+    if (!SKIP_REASON) {
+        const { getPool } = await import('../src/db-client.mjs');
+        await getPool().end();
+    }
+});
+
+console.log('Running Tool Calling Tests...');
@@ -0,0 +1,141 @@
+/**
+ * TTS Text Normalization Tests
+ * Golden files in fixtures/tts-normalization hold an LLM-style input above the
+ * "==== spoken ====" line and what TTS should be given below it. Run with
+ * UPDATE_GOLDEN=1 to rewrite the spoken halves after an intended change.
+ * Also tests rule selection, and that streamWithFallback hands providers the
+ * normalized text
+ * CI-safe: no live API calls
+ * @module tests/tts-normalize.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+
+delete process.env.TTS_MOCK_MODE;
+
+const {
+    normalizeForSpeech,
+    getNormalizationRules,
+    numberToWords,
+    NORMALIZATION_RULES
+} = await import('../src/tts/normalize.mjs');
+
+const GOLDEN_DIR = new URL('./fixtures/tts-normalization/', import.meta.url).pathname;
+const SEPARATOR = '\n==== spoken ====\n';
+
+afterEach(() => {
+    delete process.env.TTS_NORMALIZE_RULES;
+});
+
+describe('TTS Normalization Golden Files', () => {
+    for (const file of readdirSync(GOLDEN_DIR).filter(name => name.endsWith('.txt')).sort()) {
+        it(file.replace(/\.txt$/, ''), () => {
+            const content = readFileSync(GOLDEN_DIR + file, 'utf8');
+            const [input, expected = ''] = content.includes(SEPARATOR) ? content.split(SEPARATOR) : [content.trimEnd()];
+            const spoken = normalizeForSpeech(input, { rules: NORMALIZATION_RULES });
+
+            if (process.env.UPDATE_GOLDEN === '1') {
+                writeFileSync(GOLDEN_DIR + file, `${input}${SEPARATOR}${spoken}\n`);
+                return;
+            }
+            assert.strictEqual(spoken, expected.trimEnd());
+        });
+    }
+});
+
+describe('TTS Normalization Rules', () => {
+    it('runs every rule by default, a chosen subset, or none', () => {
+        assert.deepStrictEqual(getNormalizationRules(), NORMALIZATION_RULES);
+
+        process.env.TTS_NORMALIZE_RULES = 'numbers, Markdown';
+        assert.deepStrictEqual(getNormalizationRules(), ['markdown', 'numbers'], 'pipeline order, whatever the list order');
+
+        process.env.TTS_NORMALIZE_RULES = 'none';
+        assert.deepStrictEqual(getNormalizationRules(), []);
+
+        process.env.TTS_NORMALIZE_RULES = 'markdown,emojis';
+        assert.throws(() => getNormalizationRules(), /unknown rule emojis in TTS_NORMALIZE_RULES/);
+    });
+
+    it('applies only the rules it is given', () => {
+        const text = '**Ready** in 5 km 🚀';
+
+        assert.strictEqual(normalizeForSpeech(text, { rules: ['markdown'] }), 'Ready in 5 km 🚀');
+        assert.strictEqual(normalizeForSpeech(text, { rules: ['units', 'emoji'] }), '**Ready** in 5 kilometers');
+        assert.strictEqual(normalizeForSpeech(text, { rules: [] }), text);
+    });
+
+    it('reads numbers up to the trillions and leaves larger ones alone', () => {
+        assert.strictEqual(numberToWords(0), 'zero');
+        assert.strictEqual(numberToWords(1_000_001), 'one million one');
+        assert.strictEqual(numberToWords(999_999_999_999_999), 'nine hundred ninety-nine trillion nine hundred ninety-nine billion nine hundred ninety-nine million nine hundred ninety-nine thousand nine hundred ninety-nine');
+        assert.strictEqual(normalizeForSpeech('About 12345678901234567 atoms.'), 'About 12345678901234567 atoms.');
+    });
+
+    it('leaves identifiers, ratios and arithmetic readable', () => {
+        assert.strictEqual(
+            normalizeForSpeech('Set max_retries to 2 * 3 for the 16:9 display.'),
+            'Set max_retries to two * three for the 16:9 display.'
+        );
+    });
+});
+
+describe('TTS Normalization in streamWithFallback', () => {
+    let tts;
+    /** @type {string[]} */
+    const received = [];
+    let original;
+
+    before(async () => {
+        tts = await import('../src/tts/index.mjs');
+        const provider = tts.getProvider('fishaudio');
+        original = { isAvailable: provider.isAvailable, stream: provider.stream };
+        provider.isAvailable = async () => true;
+        provider.stream = async function* ({ text }) {
+            received.push(text);
+            yield { data: new Uint8Array(4), seq: 0, codec: 'pcm_16000' };
+        };
+    });
+
+    afterEach(() => {
+        received.length = 0;
+    });
+
+    after(() => {
+        Object.assign(tts.getProvider('fishaudio'), original);
+    });
+
+    const collect = async (text) => {
+        const events = [];
+        for await (const event of tts.streamWithFallback({ text }, { forceProvider: 'fishaudio' })) {
+            events.push(event);
+        }
+        return events;
+    };
+
+    it('hands the provider normalized segments', async () => {
+        const events = await collect('**Done**, Sir. It took 2.5 hours 🎉');
+
+        assert.deepStrictEqual(received, ['Done, Sir.', 'It took two point five hours']);
+        assert.deepStrictEqual(events.map(e => e.segment.text), received);
+    });
+
+    it('passes text through untouched with TTS_NORMALIZE_RULES=none', async () => {
+        process.env.TTS_NORMALIZE_RULES = 'none';
+        await collect('**Done**, Sir.');
+        assert.deepStrictEqual(received, ['**Done**, Sir.']);
+    });
+
+    it('reports a bad rule list as a stream error', async () => {
+        process.env.TTS_NORMALIZE_RULES = 'markdwn';
+        const [event] = await collect('Hello');
+
+        assert.strictEqual(event.type, 'error');
+        assert.match(event.error.message, /unknown rule markdwn/);
+        assert.deepStrictEqual(received, []);
+    });
+});
+
+console.log('Running TTS Normalization Tests...');
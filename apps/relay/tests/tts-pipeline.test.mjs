@@ -0,0 +1,136 @@
+/**
+ * TTS Segment Pipeline Tests
+ * Tests that streamWithFallback synthesizes text segment by segment with the
+ * next segment prefetched, and falls back at a segment boundary
+ * CI-safe: stubbed providers, no live API calls
+ * @module tests/tts-pipeline.test
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+delete process.env.TTS_MOCK_MODE;
+
+const tts = await import('../src/tts/index.mjs');
+const { resetProviderHealth } = await import('../src/services/provider-health.mjs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+describe('TTS Segment Pipeline', () => {
+    /** @type {string[]} Request and completion log, e.g. 'fishaudio start First.' */
+    const log = [];
+    /** @type {Map<string, AbortSignal>} Signal each request got, by "provider:text" */
+    const signals = new Map();
+    /** @type {Map<string, string>} Provider → text of the segment it fails on */
+    const failOn = new Map();
+    const originals = new Map();
+
+    before(() => {
+        for (const name of ['fishaudio', 'cartesia', 'elevenlabs']) {
+            const provider = tts.getProvider(name);
+            originals.set(name, { isAvailable: provider.isAvailable, stream: provider.stream });
+            provider.isAvailable = async () => true;
+            provider.stream = async function* ({ text, signal }) {
+                log.push(`${name} start ${text}`);
+                signals.set(`${name}:${text}`, signal);
+                for (let seq = 0; seq < 3; seq++) {
+                    await sleep(15);
+                    if (failOn.get(name) === text && seq === 1) {
+                        throw Object.assign(new Error('HTTP 503'), { status: 503 });
+                    }
+                    yield { data: new Uint8Array(4), seq, codec: 'pcm_16000' };
+                }
+                log.push(`${name} end ${text}`);
+            };
+        }
+    });
+
+    afterEach(() => {
+        log.length = 0;
+        signals.clear();
+        failOn.clear();
+        resetProviderHealth();
+        delete process.env.TTS_SEGMENT_MAX_CHARS;
+    });
+
+    after(() => {
+        for (const [name, methods] of originals) {
+            Object.assign(tts.getProvider(name), methods);
+        }
+    });
+
+    it('requests one segment at a time, prefetching the next', async () => {
+        const events = await collect(tts.streamWithFallback({ text: 'First. Second. Third.' }));
+
+        assert.deepStrictEqual(events.map(e => [e.segment.index, e.segment.text, e.frame.seq]), [
+            [0, 'First.', 0], [0, 'First.', 1], [0, 'First.', 2],
+            [1, 'Second.', 3], [1, 'Second.', 4], [1, 'Second.', 5],
+            [2, 'Third.', 6], [2, 'Third.', 7], [2, 'Third.', 8]
+        ]);
+        assert.ok(events.every(e => e.type === 'audio' && e.provider === 'fishaudio'));
+
+        // Second is already in flight before First has finished, but Third waits its turn
+        assert.ok(log.indexOf('fishaudio start Second.') < log.indexOf('fishaudio end First.'));
+        assert.ok(log.indexOf('fishaudio start Third.') > log.indexOf('fishaudio start Second.'));
+        assert.ok(log.indexOf('fishaudio start Third.') < log.indexOf('fishaudio end Second.'));
+    });
+
+    it('falls back at a segment boundary, replaying the failed segment', async () => {
+        failOn.set('fishaudio', 'Second.');
+
+        const events = await collect(tts.streamWithFallback({ text: 'First. Second. Third.' }));
+        const spoken = events.filter(e => e.type === 'audio').map(e => `${e.provider}:${e.segment.text}:${e.frame.seq}`);
+
+        assert.deepStrictEqual(spoken, [
+            'fishaudio:First.:0', 'fishaudio:First.:1', 'fishaudio:First.:2',
+            'fishaudio:Second.:3',
+            'cartesia:Second.:0', 'cartesia:Second.:1', 'cartesia:Second.:2',
+            'cartesia:Third.:3', 'cartesia:Third.:4', 'cartesia:Third.:5'
+        ]);
+        // The frame fishaudio got out of "Second." is replayed; the switch names the segment so clients can drop it
+        assert.deepStrictEqual(events.find(e => e.type === 'provider_switched'), {
+            type: 'provider_switched', from: 'fishaudio', to: 'cartesia', segment: { index: 1, text: 'Second.' }, correlation_id: null
+        });
+        assert.ok(!log.includes('cartesia start First.'), 'the fallback does not start over');
+        assert.strictEqual(signals.get('fishaudio:Third.').aborted, true, 'the prefetch is cancelled');
+    });
+
+    it('cancels the prefetched segment when the caller aborts', async () => {
+        const controller = new AbortController();
+        const events = [];
+
+        for await (const event of tts.streamWithFallback({ text: 'First. Second.', signal: controller.signal })) {
+            events.push(event);
+            if (events.length === 1) controller.abort();
+        }
+
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(signals.get('fishaudio:Second.').aborted, true);
+    });
+
+    it('splits long sentences at clauses per TTS_SEGMENT_MAX_CHARS', async () => {
+        const text = 'The suit is charged and ready, the repulsors are calibrated, and the reactor is stable.';
+
+        await collect(tts.streamWithFallback({ text }));
+        assert.deepStrictEqual(log.filter(l => l.includes('start')), [`fishaudio start ${text}`]);
+
+        log.length = 0;
+        process.env.TTS_SEGMENT_MAX_CHARS = '40';
+        await collect(tts.streamWithFallback({ text }));
+        assert.deepStrictEqual(log.filter(l => l.includes('start')), [
+            'fishaudio start The suit is charged and ready,',
+            'fishaudio start the repulsors are calibrated,',
+            'fishaudio start and the reactor is stable.'
+        ]);
+    });
+});
+
+console.log('Running TTS Segment Pipeline Tests...');
@@ -81,6 +81,20 @@ describe('TTS Stream With Fallback (Mock Mode)', () => {
         assert.ok(audioEvents.length > 0, 'Should have audio events');
         assert.strictEqual(audioEvents[0].provider, 'mock');
     });
+
+    it('should stop quietly when the abort signal fires', async () => {
+        const { streamWithFallback } = await import('../src/tts/index.mjs');
+        const controller = new AbortController();
+
+        const events = [];
+        for await (const event of streamWithFallback({ text: 'One two three four five six seven eight', signal: controller.signal })) {
+            events.push(event);
+            if (events.length === 2) controller.abort();
+        }
+
+        assert.strictEqual(events.length, 2, 'No events after abort');
+        assert.ok(events.every(e => e.type === 'audio'), 'Abort is not reported as an error or fallback');
+    });
 });
 
 describe('Provider Interface', () => {
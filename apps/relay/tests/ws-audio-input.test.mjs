@@ -0,0 +1,323 @@
+/**
+ * Microphone Streaming Tests
+ * Tests audio.input → streaming STT → transcript.user.partial/final (and auto_ask) against mock STT/LLM/TTS
+ * CI-safe: no live API calls; the WebSocket suite needs DATABASE_URL since session.bind checks session ownership
+ * @module tests/ws-audio-input.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'node:fs';
+import { WebSocket } from 'ws';
+import Fastify from 'fastify';
+import websocket from '@fastify/websocket';
+import { ensureUser } from '../src/services/users.mjs';
+import { createSession } from '../src/services/sessions.mjs';
+import { getSessionMessages } from '../src/services/messages.mjs';
+import { getPool } from '../src/db-client.mjs';
+import { parseClientMessage, createBinaryAudioFrame } from '../src/ws/protocol.mjs';
+import { MockStreamingSTTSession, BufferedStreamingSTTSession, getPartialInterval, pcmToWav } from '../src/stt/streaming.mjs';
+import { MOCK_PHRASES } from '../src/stt/mock.mjs';
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+/** 100ms of 16 kHz PCM; the fill byte decides which phrase the mock hears */
+const chunk = (n) => Buffer.alloc(3200, n);
+
+// Fixtures load on first use, so setting this before any test runs is enough
+const FIXTURES_DIR = new URL('./fixtures/stt/', import.meta.url).pathname;
+process.env.STT_MOCK_FIXTURES = FIXTURES_DIR;
+
+/** PCM samples of the systems-check fixture, as a mic would stream them */
+const fixturePcm = readFileSync(`${FIXTURES_DIR}systems-check.wav`).subarray(44);
+const fixtureText = readFileSync(`${FIXTURES_DIR}systems-check.txt`, 'utf8').trim();
+
+/**
+ * Split audio into 100ms chunks
+ * @param {Buffer} audio
+ * @returns {Buffer[]}
+ */
+const chunksOf = (audio) => Array.from({ length: Math.ceil(audio.length / 3200) }, (_, i) => audio.subarray(i * 3200, (i + 1) * 3200));
+
+describe('audio.input Validation', () => {
+    it('requires a known event', () => {
+        const { valid, error } = parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'pause' }));
+        assert.strictEqual(valid, false);
+        assert.match(error, /event must be one of/);
+    });
+
+    it('requires a supported codec on start', () => {
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000' })).valid, true);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'webm_opus', auto_ask: true })).valid, true);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'mp3' })).valid, false);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000', auto_ask: 'yes' })).valid, false);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000', mock_transcript: 'Hi' })).valid, true);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000', mock_transcript: 42 })).valid, false);
+    });
+
+    it('requires data_b64 on chunk', () => {
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'chunk' })).valid, false);
+        assert.strictEqual(parseClientMessage(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: 'AAAA' })).valid, true);
+    });
+});
+
+describe('Mock Streaming STT', () => {
+    it('reveals one word per chunk and finishes with the whole phrase', async () => {
+        const partials = [];
+        const session = new MockStreamingSTTSession({ codec: 'pcm_16000', onPartial: (text) => partials.push(text) });
+        for (let i = 0; i < 20; i++) session.push(chunk(1));
+
+        const { text, provider } = await session.finish();
+
+        assert.strictEqual(provider, 'mock');
+        assert.ok(MOCK_PHRASES.includes(text));
+        assert.strictEqual(partials.length, text.split(' ').length - 1);
+        partials.forEach(partial => assert.ok(text.startsWith(partial), `"${partial}" should prefix "${text}"`));
+    });
+
+    it('is deterministic for the same audio', async () => {
+        const run = async () => {
+            const session = new MockStreamingSTTSession({ codec: 'pcm_16000' });
+            session.push(chunk(7));
+            return (await session.finish()).text;
+        };
+        assert.strictEqual(await run(), await run());
+    });
+
+    it('streams the mockTranscript word by word', async () => {
+        const partials = [];
+        const session = new MockStreamingSTTSession({
+            codec: 'webm_opus',
+            mockTranscript: 'Lights to forty percent.',
+            onPartial: (text) => partials.push(text)
+        });
+        for (let i = 0; i < 5; i++) session.push(chunk(5));
+
+        assert.deepStrictEqual(partials, ['Lights', 'Lights to', 'Lights to forty']);
+        assert.strictEqual((await session.finish()).text, 'Lights to forty percent.');
+    });
+
+    it('finishes with the fixture transcript for streamed fixture audio', async () => {
+        const session = new MockStreamingSTTSession({ codec: 'pcm_16000' });
+        chunksOf(fixturePcm).forEach(c => session.push(c));
+
+        assert.strictEqual((await session.finish()).text, fixtureText);
+    });
+
+    it('returns an empty transcript when no audio was sent', async () => {
+        const session = new MockStreamingSTTSession({ codec: 'webm_opus' });
+        assert.strictEqual((await session.finish()).text, '');
+    });
+});
+
+describe('Buffered Streaming STT Partials', () => {
+    it('are off by default for the per-minute provider and on for a self-hosted one', () => {
+        assert.strictEqual(getPartialInterval(), 0);
+
+        process.env.STT_PROVIDER = 'openai_compatible';
+        assert.strictEqual(getPartialInterval(), 1500);
+
+        process.env.STT_PARTIAL_INTERVAL_MS = '0';
+        assert.strictEqual(getPartialInterval(), 0);
+
+        delete process.env.STT_PROVIDER;
+        process.env.STT_PARTIAL_INTERVAL_MS = '2000';
+        assert.strictEqual(getPartialInterval(), 2000);
+        delete process.env.STT_PARTIAL_INTERVAL_MS;
+    });
+
+    it('never re-sends the utterance when off', () => {
+        const session = new BufferedStreamingSTTSession({ codec: 'pcm_16000' });
+        assert.strictEqual(session.partialTimer, null);
+        session.abort();
+    });
+});
+
+describe('pcmToWav', () => {
+    it('writes a 44-byte PCM header', () => {
+        const wav = pcmToWav(Buffer.alloc(320), 16000, 1);
+        assert.strictEqual(wav.length, 44 + 320);
+        assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+        assert.strictEqual(wav.toString('ascii', 8, 12), 'WAVE');
+        assert.strictEqual(wav.readUInt32LE(24), 16000);
+        assert.strictEqual(wav.readUInt32LE(40), 320);
+    });
+});
+
+describe('audio.input Streaming (Mock STT)', { skip: SKIP_REASON }, () => {
+    let app;
+    let baseUrl;
+
+    before(async () => {
+        process.env.STT_MOCK_MODE = 'true';
+        process.env.LLM_MOCK_MODE = 'true';
+        process.env.TTS_MOCK_MODE = 'true';
+
+        // Import after env is set - providers read their config on construction
+        const { registerVoiceWebSocket } = await import('../src/ws/handler.mjs');
+
+        app = Fastify({ logger: false });
+        await app.register(websocket);
+        registerVoiceWebSocket(app);
+
+        await app.listen({ port: 0, host: '127.0.0.1' });
+        baseUrl = `ws://127.0.0.1:${app.server.address().port}`;
+    });
+
+    after(async () => {
+        await app.close();
+        await getPool().end();
+    });
+
+    /**
+     * Open a socket and bind a fresh session
+     * @returns {Promise<{ ws: WebSocket, sessionId: string, messages: Object[], waitFor: (predicate: (m: Object) => boolean) => Promise<Object> }>}
+     */
+    async function connectBound() {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+        const messages = [];
+        const waiters = [];
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            const msg = JSON.parse(data.toString());
+            messages.push(msg);
+            for (const waiter of [...waiters]) {
+                if (waiter.predicate(msg)) {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    waiter.resolve(msg);
+                }
+            }
+        });
+
+        const waitFor = (predicate) => {
+            const existing = messages.find(predicate);
+            if (existing) return Promise.resolve(existing);
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Timeout waiting for message')), 10000);
+                waiters.push({ predicate, resolve: (msg) => { clearTimeout(timer); resolve(msg); } });
+            });
+        };
+
+        const externalId = `mic-user-${Date.now()}`;
+        const session = await createSession((await ensureUser(externalId)).id);
+
+        await waitFor(m => m.type === 'connected');
+        ws.send(JSON.stringify({ type: 'session.bind', user_id: externalId, session_id: session.id }));
+        await waitFor(m => m.type === 'session.bound');
+
+        return { ws, sessionId: session.id, messages, waitFor };
+    }
+
+    it('advertises input codecs on connect', async () => {
+        const { ws, messages } = await connectBound();
+        ws.close();
+        assert.deepStrictEqual(messages.find(m => m.type === 'connected').audio_input_codecs, ['pcm_16000', 'webm_opus']);
+    });
+
+    it('streams partial transcripts and a final one on stop', async () => {
+        const { ws, messages, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000', correlation_id: 'mic-test-1' }));
+        for (let i = 0; i < 3; i++) {
+            ws.send(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: chunk(2).toString('base64') }));
+        }
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+
+        const final = await waitFor(m => m.type === 'transcript.user.final');
+        ws.close();
+
+        const partials = messages.filter(m => m.type === 'transcript.user.partial');
+        assert.strictEqual(partials.length, 3);
+        assert.ok(MOCK_PHRASES.includes(final.text));
+        assert.strictEqual(final.provider, 'mock');
+        assert.strictEqual(final.correlation_id, 'mic-test-1');
+        partials.forEach(p => {
+            assert.strictEqual(p.correlation_id, 'mic-test-1');
+            assert.ok(final.text.startsWith(p.text));
+        });
+        assert.ok(!messages.some(m => m.type === 'audio.end'), 'No assistant turn without auto_ask');
+    });
+
+    it('accepts binary chunks with the audio frame header', async () => {
+        const { ws, messages, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000' }));
+        ws.send(createBinaryAudioFrame(chunk(3), 0, 'pcm_16000', 16000, 1));
+        ws.send(createBinaryAudioFrame(chunk(3), 1, 'pcm_16000', 16000, 1));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+
+        const final = await waitFor(m => m.type === 'transcript.user.final');
+        ws.close();
+
+        assert.strictEqual(messages.filter(m => m.type === 'transcript.user.partial').length, 2);
+        assert.ok(MOCK_PHRASES.includes(final.text));
+    });
+
+    it('runs the final transcript as an assistant turn with auto_ask', async () => {
+        const { ws, sessionId, messages, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'webm_opus', auto_ask: true }));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: chunk(4).toString('base64') }));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+
+        const final = await waitFor(m => m.type === 'transcript.user.final');
+        const response = await waitFor(m => m.type === 'assistant.response');
+        ws.close();
+
+        assert.ok(messages.indexOf(final) < messages.findIndex(m => m.type === 'audio.frame'), 'Final transcript precedes the reply audio');
+        assert.strictEqual(response.correlation_id, final.correlation_id);
+
+        const stored = await getSessionMessages(sessionId);
+        assert.deepStrictEqual(stored.map(m => m.role), ['user', 'assistant']);
+        assert.strictEqual(stored[0].content, final.text);
+    });
+
+    it('drives a fixed conversation from mock_transcript through to the stored turn', async () => {
+        const { ws, sessionId, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'webm_opus', auto_ask: true, mock_transcript: 'What time is my flight?' }));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: chunk(6).toString('base64') }));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+
+        const final = await waitFor(m => m.type === 'transcript.user.final');
+        const response = await waitFor(m => m.type === 'assistant.response');
+        ws.close();
+
+        assert.strictEqual(final.text, 'What time is my flight?');
+        assert.match(response.text, /"What time is my flight\?"/, 'Mock LLM quotes the transcript');
+
+        const stored = await getSessionMessages(sessionId);
+        assert.deepStrictEqual(stored.map(m => m.content), ['What time is my flight?', response.text]);
+    });
+
+    it('transcribes streamed fixture audio with its fixture text', async () => {
+        const { ws, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000' }));
+        chunksOf(fixturePcm).forEach((c, seq) => ws.send(createBinaryAudioFrame(c, seq, 'pcm_16000', 16000, 1)));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+
+        const final = await waitFor(m => m.type === 'transcript.user.final');
+        ws.close();
+
+        assert.strictEqual(final.text, fixtureText);
+    });
+
+    it('rejects chunks outside an utterance and a second start', async () => {
+        const { ws, waitFor } = await connectBound();
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'chunk', data_b64: 'AAAA' }));
+        const notStarted = await waitFor(m => m.type === 'error');
+        assert.strictEqual(notStarted.code, 'AUDIO_INPUT_NOT_STARTED');
+
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000' }));
+        ws.send(JSON.stringify({ type: 'audio.input', event: 'start', codec: 'pcm_16000' }));
+        const active = await waitFor(m => m.type === 'error' && m !== notStarted);
+        ws.close();
+
+        assert.strictEqual(active.code, 'AUDIO_INPUT_ACTIVE');
+    });
+});
+
+console.log('Running Microphone Streaming Tests...');
@@ -0,0 +1,156 @@
+/**
+ * Binary Audio Frame Tests
+ * Tests the binary frame format and audio_encoding negotiation against mock TTS
+ * CI-safe: no live API calls; needs DATABASE_URL since session.bind checks session ownership
+ * @module tests/ws-binary-audio.test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { WebSocket } from 'ws';
+import Fastify from 'fastify';
+import websocket from '@fastify/websocket';
+import { ensureUser } from '../src/services/users.mjs';
+import { createSession } from '../src/services/sessions.mjs';
+import { getPool } from '../src/db-client.mjs';
+import {
+    createBinaryAudioFrame,
+    parseBinaryAudioFrame,
+    isBinaryCodec,
+    BINARY_FRAME_HEADER_BYTES
+} from '../src/ws/protocol.mjs';
+
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+describe('Binary Audio Frame Format', () => {
+    it('round-trips header fields and payload', () => {
+        const data = new Uint8Array([1, 2, 3, 250, 251]);
+        const frame = createBinaryAudioFrame(data, 70000, 'pcm_16000', 16000, 1);
+
+        assert.strictEqual(frame.length, BINARY_FRAME_HEADER_BYTES + data.length);
+
+        const parsed = parseBinaryAudioFrame(frame);
+        assert.strictEqual(parsed.seq, 70000);
+        assert.strictEqual(parsed.codec, 'pcm_16000');
+        assert.strictEqual(parsed.sample_rate_hz, 16000);
+        assert.strictEqual(parsed.channels, 1);
+        assert.deepStrictEqual([...parsed.data], [...data]);
+    });
+
+    it('reports unknown sample rate and channels as null', () => {
+        const parsed = parseBinaryAudioFrame(createBinaryAudioFrame(new Uint8Array(4), 0, 'mp3'));
+        assert.strictEqual(parsed.codec, 'mp3');
+        assert.strictEqual(parsed.sample_rate_hz, null);
+        assert.strictEqual(parsed.channels, null);
+    });
+
+    it('rejects truncated frames', () => {
+        assert.throws(() => parseBinaryAudioFrame(Buffer.alloc(4)), /Invalid binary audio frame/);
+    });
+
+    it('only describes known codecs', () => {
+        assert.strictEqual(isBinaryCodec('pcm_16000'), true);
+        assert.strictEqual(isBinaryCodec('mp3'), true);
+        assert.strictEqual(isBinaryCodec('opus'), false);
+        assert.strictEqual(isBinaryCodec('toString'), false);
+    });
+});
+
+describe('audio_encoding Negotiation (Mock TTS)', { skip: SKIP_REASON }, () => {
+    let app;
+    let baseUrl;
+    const userId = `binary-user-${Date.now()}`;
+    let sessionId;
+
+    before(async () => {
+        process.env.TTS_MOCK_MODE = 'true';
+
+        // Import after env is set - TTS providers read their config on construction
+        const { registerVoiceWebSocket } = await import('../src/ws/handler.mjs');
+        sessionId = (await createSession((await ensureUser(userId)).id)).id;
+
+        app = Fastify({ logger: false });
+        await app.register(websocket);
+        registerVoiceWebSocket(app);
+
+        await app.listen({ port: 0, host: '127.0.0.1' });
+        baseUrl = `ws://127.0.0.1:${app.server.address().port}`;
+    });
+
+    after(async () => {
+        await app.close();
+        await getPool().end();
+    });
+
+    /**
+     * Bind with the given encoding, speak, and collect everything until audio.end
+     * @param {string|undefined} audioEncoding
+     */
+    async function speakWith(audioEncoding) {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+        const json = [];
+        const binary = [];
+
+        const ended = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timeout waiting for audio.end')), 10000);
+            ws.on('message', (data, isBinary) => {
+                if (isBinary) {
+                    binary.push(parseBinaryAudioFrame(data));
+                    return;
+                }
+                const msg = JSON.parse(data.toString());
+                json.push(msg);
+
+                if (msg.type === 'connected') {
+                    const bind = { type: 'session.bind', user_id: userId, session_id: sessionId };
+                    if (audioEncoding) bind.audio_encoding = audioEncoding;
+                    ws.send(JSON.stringify(bind));
+                } else if (msg.type === 'session.bound') {
+                    ws.send(JSON.stringify({ type: 'assistant.speak', text: 'Binary frames, Sir.' }));
+                } else if (msg.type === 'audio.end') {
+                    clearTimeout(timer);
+                    resolve();
+                }
+            });
+        });
+
+        await ended;
+        ws.close();
+        return { json, binary };
+    }
+
+    it('advertises supported encodings on connect', async () => {
+        const { json } = await speakWith(undefined);
+        const connected = json.find(m => m.type === 'connected');
+        assert.deepStrictEqual(connected.audio_encodings, ['base64', 'binary']);
+    });
+
+    it('sends binary frames when negotiated, keeping control messages JSON', async () => {
+        const { json, binary } = await speakWith('binary');
+
+        assert.strictEqual(json.find(m => m.type === 'session.bound').audio_encoding, 'binary');
+        assert.strictEqual(json.filter(m => m.type === 'audio.frame').length, 0, 'No JSON frames in binary mode');
+        assert.ok(binary.length > 0, 'Should receive binary frames');
+
+        binary.forEach((frame, i) => {
+            assert.strictEqual(frame.seq, i);
+            assert.strictEqual(frame.codec, 'pcm_16000');
+            assert.strictEqual(frame.sample_rate_hz, 16000);
+            assert.strictEqual(frame.channels, 1);
+            assert.ok(frame.data.length > 0);
+        });
+
+        const end = json.find(m => m.type === 'audio.end');
+        assert.strictEqual(end.total_frames, binary.length);
+    });
+
+    it('defaults to base64 JSON frames for older clients', async () => {
+        const { json, binary } = await speakWith(undefined);
+
+        assert.strictEqual(json.find(m => m.type === 'session.bound').audio_encoding, 'base64');
+        assert.strictEqual(binary.length, 0);
+        assert.ok(json.filter(m => m.type === 'audio.frame').every(m => typeof m.data_b64 === 'string'));
+    });
+});
+
+console.log('Running Binary Audio Frame Tests...');
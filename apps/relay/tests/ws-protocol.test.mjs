@@ -5,14 +5,50 @@
 
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
+import { randomUUID } from 'crypto';
 import { WebSocket } from 'ws';
 import Fastify from 'fastify';
 import websocket from '@fastify/websocket';
 import { registerVoiceWebSocket } from '../src/ws/handler.mjs';
+import { ensureUser } from '../src/services/users.mjs';
+import { createSession, endSession } from '../src/services/sessions.mjs';
+import { getPool } from '../src/db-client.mjs';
 
 // Enable mock mode for testing
 process.env.TTS_MOCK_MODE = 'true';
 
+// session.bind checks the database, so binding tests need one
+const SKIP_REASON = !(process.env.DATABASE_URL || process.env.DATABASE_URL_MVP) ? 'DATABASE_URL not set' : false;
+
+after(async () => {
+    if (!SKIP_REASON) {
+        await getPool().end();
+    }
+});
+
+/**
+ * Connect, send session.bind and return the first reply
+ * @param {string} baseUrl
+ * @param {string} userId - External user id
+ * @param {string} sessionId
+ */
+async function bindAndReply(baseUrl, userId, sessionId) {
+    const ws = new WebSocket(`${baseUrl}/ws`);
+
+    // Wait for connected
+    await new Promise(resolve => ws.once('message', resolve));
+
+    ws.send(JSON.stringify({ type: 'session.bind', user_id: userId, session_id: sessionId }));
+
+    const response = await new Promise((resolve, reject) => {
+        ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+        setTimeout(() => reject(new Error('Timeout')), 5000);
+    });
+
+    ws.close();
+    return response;
+}
+
 describe('WebSocket Protocol', () => {
     let app;
     let baseUrl;
@@ -66,17 +102,17 @@ describe('WebSocket Protocol', () => {
         ws.close();
     });
 
-    it('should bind session successfully', async () => {
+    it('should reject an unknown audio_encoding in session.bind', async () => {
         const ws = new WebSocket(`${baseUrl}/ws`);
 
         // Wait for connected
         await new Promise(resolve => ws.once('message', resolve));
 
-        // Send session.bind
         ws.send(JSON.stringify({
             type: 'session.bind',
             user_id: 'test-user-123',
-            session_id: 'test-session-456'
+            session_id: 'test-session-456',
+            audio_encoding: 'opus'
         }));
 
         const response = await new Promise((resolve, reject) => {
@@ -84,9 +120,8 @@ describe('WebSocket Protocol', () => {
             setTimeout(() => reject(new Error('Timeout')), 5000);
         });
 
-        assert.strictEqual(response.type, 'session.bound');
-        assert.strictEqual(response.user_id, 'test-user-123');
-        assert.strictEqual(response.session_id, 'test-session-456');
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'INVALID_MESSAGE');
 
         ws.close();
     });
@@ -114,6 +149,48 @@ describe('WebSocket Protocol', () => {
         ws.close();
     });
 
+    it('should reject assistant.ask without session bind', async () => {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+
+        // Wait for connected
+        await new Promise(resolve => ws.once('message', resolve));
+
+        // Send ask without binding
+        ws.send(JSON.stringify({
+            type: 'assistant.ask',
+            text: 'What is the status?'
+        }));
+
+        const response = await new Promise((resolve, reject) => {
+            ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+            setTimeout(() => reject(new Error('Timeout')), 5000);
+        });
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'NOT_BOUND');
+
+        ws.close();
+    });
+
+    it('should reject assistant.ask without text', async () => {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+
+        // Wait for connected
+        await new Promise(resolve => ws.once('message', resolve));
+
+        ws.send(JSON.stringify({ type: 'assistant.ask' }));
+
+        const response = await new Promise((resolve, reject) => {
+            ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+            setTimeout(() => reject(new Error('Timeout')), 5000);
+        });
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'INVALID_MESSAGE');
+
+        ws.close();
+    });
+
     it('should return error for invalid message', async () => {
         const ws = new WebSocket(`${baseUrl}/ws`);
 
@@ -135,13 +212,113 @@ describe('WebSocket Protocol', () => {
     });
 });
 
-describe('Voice Streaming (Mock Mode)', () => {
+describe('Session Bind Validation', { skip: SKIP_REASON }, () => {
     let app;
     let baseUrl;
+    const ownerId = `ws-bind-owner-${Date.now()}`;
+    const otherId = `ws-bind-other-${Date.now()}`;
+    let activeSession;
+    let endedSession;
+
+    before(async () => {
+        app = Fastify({ logger: false });
+        await app.register(websocket);
+        registerVoiceWebSocket(app);
+
+        await app.listen({ port: 0, host: '127.0.0.1' });
+        const address = app.server.address();
+        baseUrl = `ws://127.0.0.1:${address.port}`;
+
+        const owner = await ensureUser(ownerId);
+        activeSession = await createSession(owner.id);
+        endedSession = await createSession(owner.id);
+        await endSession(endedSession.id);
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('should bind session successfully', async () => {
+        const response = await bindAndReply(baseUrl, ownerId, activeSession.id);
+
+        assert.strictEqual(response.type, 'session.bound');
+        assert.strictEqual(response.user_id, ownerId);
+        assert.strictEqual(response.session_id, activeSession.id);
+    });
+
+    it('should reject an unknown session with SESSION_NOT_FOUND', async () => {
+        const response = await bindAndReply(baseUrl, ownerId, randomUUID());
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'SESSION_NOT_FOUND');
+    });
+
+    it('should reject a malformed session id with SESSION_NOT_FOUND', async () => {
+        const response = await bindAndReply(baseUrl, ownerId, 'test-session-456');
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'SESSION_NOT_FOUND');
+    });
+
+    it("should reject another user's session with SESSION_FORBIDDEN", async () => {
+        const response = await bindAndReply(baseUrl, otherId, activeSession.id);
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'SESSION_FORBIDDEN');
+    });
+
+    it('should reject an ended session with SESSION_ENDED', async () => {
+        const response = await bindAndReply(baseUrl, ownerId, endedSession.id);
+
+        assert.strictEqual(response.type, 'error');
+        assert.strictEqual(response.code, 'SESSION_ENDED');
+    });
+
+    it('should keep connection unbound after a rejected bind', async () => {
+        const ws = new WebSocket(`${baseUrl}/ws`);
+        const messages = [];
+        ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+
+        const waitForErrors = (count) => new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Timeout')), 5000);
+            const check = () => {
+                if (messages.filter(m => m.type === 'error').length >= count) {
+                    clearTimeout(timeout);
+                    resolve();
+                } else {
+                    setTimeout(check, 10);
+                }
+            };
+            check();
+        });
+
+        await new Promise(resolve => ws.once('message', resolve));
+        ws.send(JSON.stringify({ type: 'session.bind', user_id: otherId, session_id: activeSession.id }));
+        await waitForErrors(1);
+        ws.send(JSON.stringify({ type: 'assistant.speak', text: 'Hello' }));
+        await waitForErrors(2);
+        ws.close();
+
+        assert.deepStrictEqual(
+            messages.filter(m => m.type === 'error').map(m => m.code),
+            ['SESSION_FORBIDDEN', 'NOT_BOUND']
+        );
+    });
+});
+
+describe('Voice Streaming (Mock Mode)', { skip: SKIP_REASON }, () => {
+    let app;
+    let baseUrl;
+    const userId = `ws-voice-user-${Date.now()}`;
+    let sessionId;
 
     before(async () => {
         process.env.TTS_MOCK_MODE = 'true';
 
+        const user = await ensureUser(userId);
+        sessionId = (await createSession(user.id)).id;
+
         app = Fastify({ logger: false });
         await app.register(websocket);
         registerVoiceWebSocket(app);
@@ -175,8 +352,8 @@ describe('Voice Streaming (Mock Mode)', () => {
         // Bind session
         ws.send(JSON.stringify({
             type: 'session.bind',
-            user_id: 'test-user',
-            session_id: 'test-session'
+            user_id: userId,
+            session_id: sessionId
         }));
 
         // Wait for bound
@@ -257,8 +434,8 @@ describe('Voice Streaming (Mock Mode)', () => {
         // Bind and speak
         ws.send(JSON.stringify({
             type: 'session.bind',
-            user_id: 'seq-test-user',
-            session_id: 'seq-test-session'
+            user_id: userId,
+            session_id: sessionId
         }));
 
         await new Promise(resolve => setTimeout(resolve, 100));
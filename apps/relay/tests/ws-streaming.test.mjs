@@ -8,8 +8,8 @@ import WebSocket from 'ws';
 
 // Configuration
 const WS_URL = process.env.WS_URL || 'ws://localhost:8080/ws';
+const API_URL = process.env.TEST_BASE_URL || WS_URL.replace(/^ws/, 'http').replace(/\/ws$/, '');
 const TEST_USER_ID = `test-ws-${Date.now()}`;
-const TEST_SESSION_ID = `session-${Date.now()}`;
 const TEST_TEXT = 'Hello JARVIS, this is a streaming test.';
 
 // ANSI colors
@@ -25,10 +25,32 @@ function log(color, ...args) {
     console.log(colors[color], ...args, colors.reset);
 }
 
+/**
+ * Start a real session for the test user (session.bind checks ownership)
+ * @returns {Promise<string>} session_id
+ */
+async function startSession() {
+    const response = await fetch(`${API_URL}/session/start`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-jarvis-user-id': TEST_USER_ID
+        },
+        body: '{}'
+    });
+    if (!response.ok) {
+        throw new Error(`POST /session/start failed: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.session_id;
+}
+
 /**
  * Run WebSocket streaming test
  */
 async function runTest() {
+    const TEST_SESSION_ID = await startSession();
+
     return new Promise((resolve, reject) => {
         const results = {
             connected: false,
@@ -27,7 +27,8 @@ const PushToTalk: React.FC<PushToTalkProps> = ({
     const [inputText, setInputText] = useState('');
 
     const handleMouseDown = () => {
-        if (status === 'idle' && onMicStart) {
+        // Allowed while speaking so the user can barge in
+        if ((status === 'idle' || status === 'speaking') && onMicStart) {
             onMicStart();
         }
     };
@@ -4,7 +4,8 @@ import {
     setLLMMode,
     getTTSMode,
     setTTSMode,
-    getTTSDisable,
+    getLLMChain,
+    BUILTIN_LLM_PROVIDERS,
     type LLMMode,
     type TTSMode
 } from '../hooks/useTestRouting';
@@ -17,21 +18,42 @@ const TestRoutingPanel: React.FC<TestRoutingPanelProps> = ({ onModeChange }) =>
     const [expanded, setExpanded] = useState(false);
     const [llmMode, setLLMModeState] = useState<LLMMode>(getLLMMode);
     const [ttsMode, setTTSModeState] = useState<TTSMode>(getTTSMode);
+    const [llmChain, setLLMChain] = useState<string[]>([]);
+
+    // Load the relay's LLM chain so named compatible instances can be forced too
+    useEffect(() => {
+        if (!expanded) return;
+        let cancelled = false;
+        getLLMChain()
+            .then((chain) => {
+                if (!cancelled) setLLMChain(chain);
+            })
+            .catch((err) => console.warn('[TestRouting] Could not load LLM chain:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [expanded]);
 
     // Save LLM mode to localStorage
     useEffect(() => {
         setLLMMode(llmMode);
-        console.log('[TestRouting] LLM mode changed:', llmMode);
         onModeChange?.();
     }, [llmMode, onModeChange]);
 
     // Save TTS mode to localStorage
     useEffect(() => {
         setTTSMode(ttsMode);
-        console.log('[TestRouting] TTS mode changed:', ttsMode, 'tts_disable:', getTTSDisable());
         onModeChange?.();
     }, [ttsMode, onModeChange]);
 
+    // Built-in providers first, then chain-only ones (named instances); keep a stored
+    // mode listed even if the relay no longer reports it
+    const llmProviders = [...new Set([
+        ...Object.keys(BUILTIN_LLM_PROVIDERS),
+        ...llmChain,
+        ...(llmMode === 'default' ? [] : [llmMode]),
+    ])];
+
     const panelStyle: React.CSSProperties = {
         position: 'fixed',
         top: '1rem',
@@ -88,8 +110,11 @@ const TestRoutingPanel: React.FC<TestRoutingPanelProps> = ({ onModeChange }) =>
                         onChange={(e) => setLLMModeState(e.target.value as LLMMode)}
                     >
                         <option value="default">Default (auto)</option>
-                        <option value="openai">Force OpenAI</option>
-                        <option value="gemini">Force Gemini</option>
+                        {llmProviders.map((name) => (
+                            <option key={name} value={name}>
+                                Force {BUILTIN_LLM_PROVIDERS[name] ?? name}
+                            </option>
+                        ))}
                     </select>
 
                     <label style={labelStyle}>TTS Provider</label>
@@ -98,7 +123,7 @@ const TestRoutingPanel: React.FC<TestRoutingPanelProps> = ({ onModeChange }) =>
                         value={ttsMode}
                         onChange={(e) => setTTSModeState(e.target.value as TTSMode)}
                     >
-                        <option value="default">Default chain (Fish→Cart→11L)</option>
+                        <option value="default">Default chain (relay config)</option>
                         <option value="force_fish">Force FishAudio</option>
                         <option value="force_cartesia">Force Cartesia</option>
                         <option value="force_elevenlabs">Force ElevenLabs</option>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback, useMemo } from 'react';
 import { useSession } from '../hooks/useSession';
 import { useJarvisWS } from '../hooks/useJarvisWS';
 import { useAudioStream } from '../hooks/useAudioStream';
@@ -41,7 +41,9 @@ const ConfigError: React.FC = () => (
 /**
  * VoiceHub - Main component for JARVIS voice interface
  * Implements the end-to-end loop:
- * Mic → STT → POST /assistant/respond → WS assistant.speak → streamed audio + transcript
+ * Mic → STT → WS assistant.ask → streamed LLM reply + audio + transcript
+ * When the relay supports it, the mic is streamed over the socket (audio.input)
+ * and the relay starts the reply as soon as the final transcript is in.
  */
 const VoiceHub: React.FC = () => {
     // All hooks must be called unconditionally (React rules of hooks)
@@ -49,25 +51,35 @@ const VoiceHub: React.FC = () => {
     const {
         state: wsState,
         transcript: assistantText,
+        userTranscript,
         lastProvider,
         streamInfo,
         llmInfo,
+        canStreamMic,
+        isAwaitingTranscript,
         ask,
+        cancel,
+        startAudioInput,
+        sendAudioChunk,
+        stopAudioInput,
         setAudioHandlers
     } = useJarvisWS(userId, session?.session_id || null);
-    const { feedFrame, endStream, isPlaying, initAudioContext } = useAudioStream();
+    const { feedFrame, endStream, stopAll, discardFrom, isPlaying, initAudioContext } = useAudioStream();
+    const micStream = useMemo(
+        () => canStreamMic ? { start: startAudioInput, chunk: sendAudioChunk, stop: stopAudioInput } : null,
+        [canStreamMic, startAudioInput, sendAudioChunk, stopAudioInput]
+    );
     const {
         isRecording,
-        isTranscribing,
+        isTranscribing: isUploading,
         error: micError,
         startRecording,
         stopRecording
-    } = useMicRecorder();
-
-    const [userTranscript, setUserTranscript] = useState('');
+    } = useMicRecorder(micStream);
+    const isTranscribing = isUploading || isAwaitingTranscript;
 
     // Derive internal status from hook states (useMemo instead of setState in effect)
-    const internalStatus = React.useMemo((): 'idle' | 'listening' | 'thinking' | 'speaking' => {
+    const internalStatus = useMemo((): 'idle' | 'listening' | 'thinking' | 'speaking' => {
         if (isRecording) return 'listening';
         if (isTranscribing || wsState === 'connecting') return 'thinking';
         if (isPlaying) return 'speaking';
@@ -77,10 +89,11 @@ const VoiceHub: React.FC = () => {
     // Connect audio handlers
     useEffect(() => {
         setAudioHandlers(
-            (frame) => feedFrame(frame.data_b64, frame.codec),
-            () => endStream()
+            (frame) => feedFrame(frame.data, frame.codec, frame.seq),
+            () => endStream(),
+            discardFrom
         );
-    }, [setAudioHandlers, feedFrame, endStream]);
+    }, [setAudioHandlers, feedFrame, endStream, discardFrom]);
 
     // Initial session start on load
     useEffect(() => {
@@ -98,7 +111,6 @@ const VoiceHub: React.FC = () => {
      */
     const handleSpeak = useCallback(async (text: string) => {
         initAudioContext(); // Ensure AudioContext is resumed on user action
-        setUserTranscript(text);
         // Status automatically updates to 'thinking' via derived state when wsState changes
 
         try {
@@ -111,16 +123,22 @@ const VoiceHub: React.FC = () => {
 
     /**
      * Handle mic start (push-to-talk pressed)
+     * Pressing while JARVIS is speaking barges in: local playback stops at once
+     * and the relay is told which frame was last heard.
      */
     const handleMicStart = useCallback(() => {
         console.log('[VoiceHub] Mic start');
         initAudioContext(); // Resume AudioContext on user gesture
+        if (isPlaying) {
+            cancel(stopAll());
+        }
         startRecording();
-    }, [startRecording, initAudioContext]);
+    }, [startRecording, initAudioContext, isPlaying, cancel, stopAll]);
 
     /**
      * Handle mic stop (push-to-talk released)
      * Gets transcript from STT and triggers respond flow
+     * (streamed mic input needs nothing here - the relay starts the reply itself)
      */
     const handleMicStop = useCallback(async () => {
         console.log('[VoiceHub] Mic stop, transcribing...');
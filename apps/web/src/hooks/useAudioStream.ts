@@ -1,5 +1,14 @@
 import { useRef, useCallback, useState } from 'react';
 
+/**
+ * A scheduled playback chunk, tagged with the relay frame seq it came from
+ */
+interface ScheduledSource {
+    node: AudioBufferSourceNode;
+    seq: number;
+    startTime: number;
+}
+
 /**
  * WebAudio streaming hook for JARVIS voice playback
  * Contract: WebSocket + WebAudio only (no downloads/files)
@@ -9,8 +18,10 @@ export function useAudioStream() {
     const audioContextRef = useRef<AudioContext | null>(null);
     const nextStartTimeRef = useRef<number>(0);
     const [isPlaying, setIsPlaying] = useState(false);
-    const sourceNodesRef = useRef<AudioBufferSourceNode[]>([]);
+    const sourceNodesRef = useRef<ScheduledSource[]>([]);
     const frameCountRef = useRef<number>(0);
+    // Highest seq that finished playing in the current stream (-1 = none yet)
+    const lastEndedSeqRef = useRef<number>(-1);
 
     /**
      * Initialize or resume AudioContext (must be called on user gesture)
@@ -32,7 +43,7 @@ export function useAudioStream() {
      * Schedule and play an AudioBuffer
      * Queues frames sequentially for gapless playback
      */
-    const playBuffer = (ctx: AudioContext, buffer: AudioBuffer) => {
+    const playBuffer = (ctx: AudioContext, buffer: AudioBuffer, seq: number) => {
         const source = ctx.createBufferSource();
         source.buffer = buffer;
         source.connect(ctx.destination);
@@ -44,9 +55,10 @@ export function useAudioStream() {
         source.start(startTime);
         nextStartTimeRef.current = startTime + buffer.duration;
 
-        sourceNodesRef.current.push(source);
+        sourceNodesRef.current.push({ node: source, seq, startTime });
         source.onended = () => {
-            sourceNodesRef.current = sourceNodesRef.current.filter(n => n !== source);
+            lastEndedSeqRef.current = Math.max(lastEndedSeqRef.current, seq);
+            sourceNodesRef.current = sourceNodesRef.current.filter(s => s.node !== source);
             if (sourceNodesRef.current.length === 0) {
                 setIsPlaying(false);
                 console.log('[audio] Playback queue empty');
@@ -58,15 +70,10 @@ export function useAudioStream() {
      * Decode and play PCM_16000 audio
      * Contract: pcm_16000 - convert Int16 PCM → Float32 → AudioBuffer
      */
-    const decodeAndPlayPCM = async (ctx: AudioContext, base64Data: string, sampleRate = 16000) => {
+    const decodeAndPlayPCM = async (ctx: AudioContext, bytes: Uint8Array, seq: number, sampleRate = 16000) => {
         try {
-            const raw = atob(base64Data);
-            const bytes = new Uint8Array(raw.length);
-            for (let i = 0; i < raw.length; i++) {
-                bytes[i] = raw.charCodeAt(i);
-            }
-
-            const int16 = new Int16Array(bytes.buffer);
+            // Copy out so the Int16 view is aligned (binary frames start after a 12-byte header)
+            const int16 = new Int16Array(bytes.slice().buffer, 0, bytes.byteLength >> 1);
             const float32 = new Float32Array(int16.length);
             for (let i = 0; i < int16.length; i++) {
                 float32[i] = int16[i] / 32768.0;
@@ -75,7 +82,7 @@ export function useAudioStream() {
             const buffer = ctx.createBuffer(1, float32.length, sampleRate);
             buffer.getChannelData(0).set(float32);
 
-            playBuffer(ctx, buffer);
+            playBuffer(ctx, buffer, seq);
         } catch (err) {
             console.error('[audio] PCM decode error:', err);
         }
@@ -85,18 +92,12 @@ export function useAudioStream() {
      * Decode and play MP3 audio
      * Contract: mp3 - decodeAudioData()
      */
-    const decodeAndPlayMP3 = async (ctx: AudioContext, base64Data: string) => {
+    const decodeAndPlayMP3 = async (ctx: AudioContext, bytes: Uint8Array, seq: number) => {
         try {
-            const raw = atob(base64Data);
-            const bytes = new Uint8Array(raw.length);
-            for (let i = 0; i < raw.length; i++) {
-                bytes[i] = raw.charCodeAt(i);
-            }
-
-            // Copy to ArrayBuffer for decodeAudioData
-            const arrayBuffer = bytes.buffer.slice(0);
+            // Copy to ArrayBuffer for decodeAudioData (it detaches the buffer it is given)
+            const arrayBuffer = bytes.slice().buffer;
             const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-            playBuffer(ctx, audioBuffer);
+            playBuffer(ctx, audioBuffer, seq);
         } catch (e) {
             console.error('[audio] MP3 decode error:', e);
         }
@@ -104,18 +105,22 @@ export function useAudioStream() {
 
     /**
      * Feed an audio frame for playback
-     * @param data_b64 Base64-encoded audio data
+     * @param data Raw audio bytes (decoded from base64 or taken from a binary frame)
      * @param codec Codec identifier (pcm_16000 | mp3)
+     * @param seq Relay frame sequence number (used to report playback position on barge-in)
      */
-    const feedFrame = useCallback(async (data_b64: string, codec: string) => {
+    const feedFrame = useCallback(async (data: Uint8Array, codec: string, seq: number) => {
         const ctx = initAudioContext();
         setIsPlaying(true);
         frameCountRef.current++;
+        if (seq === 0) {
+            lastEndedSeqRef.current = -1; // New stream
+        }
 
         if (codec.includes('pcm_16000') || codec === 'pcm') {
-            await decodeAndPlayPCM(ctx, data_b64, 16000);
+            await decodeAndPlayPCM(ctx, data, seq, 16000);
         } else if (codec === 'mp3') {
-            await decodeAndPlayMP3(ctx, data_b64);
+            await decodeAndPlayMP3(ctx, data, seq);
         } else {
             console.warn('[audio] Unsupported codec:', codec);
         }
@@ -131,23 +136,58 @@ export function useAudioStream() {
     }, []);
 
     /**
-     * Stop all audio immediately
+     * Stop all audio immediately, including chunks queued for later
+     * @returns Seq of the last frame the user actually heard (-1 if none)
      */
-    const stopAll = useCallback(() => {
-        console.log('[audio] Stopping all playback');
-        sourceNodesRef.current.forEach(node => {
+    const stopAll = useCallback((): number => {
+        const now = audioContextRef.current?.currentTime ?? 0;
+        let playedSeq = lastEndedSeqRef.current;
+
+        sourceNodesRef.current.forEach(({ node, seq, startTime }) => {
+            if (startTime <= now) {
+                playedSeq = Math.max(playedSeq, seq);
+            }
+            node.onended = null;
             try { node.stop(); } catch { /* ignore already stopped */ }
         });
+        console.log(`[audio] Stopping all playback, queued=${sourceNodesRef.current.length}, played_seq=${playedSeq}`);
+
         sourceNodesRef.current = [];
         nextStartTimeRef.current = 0;
         frameCountRef.current = 0;
+        lastEndedSeqRef.current = -1;
         setIsPlaying(false);
+        return playedSeq;
+    }, []);
+
+    /**
+     * Drop frames from seq on that have not played yet
+     * Sent on a mid-segment TTS failover: the new provider replays the segment
+     * @param fromSeq First seq to drop
+     */
+    const discardFrom = useCallback((fromSeq: number) => {
+        const now = audioContextRef.current?.currentTime ?? 0;
+        const kept: ScheduledSource[] = [];
+
+        sourceNodesRef.current.forEach((source) => {
+            if (source.seq < fromSeq) {
+                kept.push(source);
+                return;
+            }
+            source.node.onended = null;
+            try { source.node.stop(); } catch { /* ignore already stopped */ }
+        });
+        console.log(`[audio] Discarded ${sourceNodesRef.current.length - kept.length} frames from seq=${fromSeq}`);
+
+        sourceNodesRef.current = kept;
+        nextStartTimeRef.current = Math.max(now, ...kept.map(s => s.startTime + (s.node.buffer?.duration ?? 0)));
     }, []);
 
     return {
         feedFrame,
         endStream,
         stopAll,
+        discardFrom,
         isPlaying,
         initAudioContext
     };
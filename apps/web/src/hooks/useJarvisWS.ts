@@ -1,15 +1,61 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { CONFIG } from '../config';
-import { getLLMHeader, getTTSDisable } from './useTestRouting';
+import { getLLMHeader, getTTSDisable, getTTSProvider } from './useTestRouting';
 
 export type WSState = 'idle' | 'connecting' | 'connected' | 'bound' | 'error';
 
 export interface AudioFrame {
-    data_b64: string;
+    data: Uint8Array;
     codec: string;
     seq: number;
 }
 
+/**
+ * Binary audio frame header (see docs/WS-PROTOCOL.md)
+ * [version u8][codec id u8][channels u8][reserved u8][seq u32 BE][sample rate u32 BE][audio...]
+ */
+const BINARY_FRAME_VERSION = 1;
+const BINARY_FRAME_HEADER_BYTES = 12;
+const BINARY_CODECS: Record<number, string> = { 1: 'pcm_16000', 2: 'mp3', 3: 'webm_opus' };
+const WEBM_OPUS_CODEC_ID = 3;
+
+function parseBinaryFrame(buffer: ArrayBuffer): AudioFrame | null {
+    if (buffer.byteLength < BINARY_FRAME_HEADER_BYTES) return null;
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== BINARY_FRAME_VERSION) return null;
+    const codec = BINARY_CODECS[view.getUint8(1)];
+    if (!codec) return null;
+    return {
+        data: new Uint8Array(buffer, BINARY_FRAME_HEADER_BYTES),
+        codec,
+        seq: view.getUint32(4)
+    };
+}
+
+/**
+ * Wrap a microphone chunk in the binary frame header for audio.input
+ */
+function createBinaryFrame(data: ArrayBuffer, codecId: number, seq: number): ArrayBuffer {
+    const frame = new Uint8Array(BINARY_FRAME_HEADER_BYTES + data.byteLength);
+    const view = new DataView(frame.buffer);
+    view.setUint8(0, BINARY_FRAME_VERSION);
+    view.setUint8(1, codecId);
+    view.setUint8(2, 1); // mono
+    view.setUint32(4, seq);
+    view.setUint32(8, 0); // sample rate lives in the WebM container
+    frame.set(new Uint8Array(data), BINARY_FRAME_HEADER_BYTES);
+    return frame.buffer;
+}
+
+function decodeBase64(data_b64: string): Uint8Array {
+    const raw = atob(data_b64);
+    const bytes = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+        bytes[i] = raw.charCodeAt(i);
+    }
+    return bytes;
+}
+
 /**
  * WebSocket hook for JARVIS voice streaming
  * Contract-compliant implementation with required logging
@@ -20,14 +66,25 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
     const [lastProvider, setLastProvider] = useState<string | null>(null);
     const [streamInfo, setStreamInfo] = useState<{ codec?: string, sample_rate?: number, correlation_id?: string } | null>(null);
     const [llmInfo, setLLMInfo] = useState<{ provider?: string, correlation_id?: string } | null>(null);
+    // What the user said: typed text, or live STT partials replaced by the final transcript
+    const [userTranscript, setUserTranscript] = useState<string>('');
+    // Relay accepts audio.input (webm_opus) - older relays don't advertise audio_input_codecs
+    const [canStreamMic, setCanStreamMic] = useState<boolean>(false);
+    const [isAwaitingTranscript, setIsAwaitingTranscript] = useState<boolean>(false);
     const lastCorrelationIdRef = useRef<string | null>(null);
 
     const wsRef = useRef<WebSocket | null>(null);
     const onAudioFrameRef = useRef<((frame: AudioFrame) => void) | null>(null);
     const onAudioEndRef = useRef<((provider: string) => void) | null>(null);
+    const onAudioDiscardRef = useRef<((fromSeq: number) => void) | null>(null);
     const frameCountRef = useRef<number>(0);
+    // Set after a barge-in: frames already in flight are dropped until audio.end
+    const cancelledRef = useRef<boolean>(false);
     const connectingRef = useRef<boolean>(false);
     const pingIntervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
+    // Mic chunks are Blobs; reading them is async, so sends are chained to keep order
+    const micSendChainRef = useRef<Promise<void>>(Promise.resolve());
+    const micSeqRef = useRef<number>(0);
 
     // Ping interval: 30 seconds (well under Cloud Run's 60s timeout)
     const PING_INTERVAL_MS = 30000;
@@ -55,8 +112,27 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
         setState('connecting');
 
         const ws = new WebSocket(CONFIG.WS_URL);
+        ws.binaryType = 'arraybuffer';
         wsRef.current = ws;
 
+        const handleAudioFrame = (frame: AudioFrame) => {
+            if (cancelledRef.current) {
+                return;
+            }
+            // Don't call setStreamInfo here - it triggers re-render on every frame
+            // which can cause WS instability. Store in ref instead.
+            frameCountRef.current++;
+
+            // Contract log: Log every 25 frames
+            if (frameCountRef.current % 25 === 0 || frameCountRef.current === 1) {
+                console.log(`[audio] received seq=${frame.seq}`);
+            }
+
+            if (onAudioFrameRef.current) {
+                onAudioFrameRef.current(frame);
+            }
+        };
+
         ws.onopen = () => {
             console.log('[ws] WebSocket opened');
             setState('connected');
@@ -64,23 +140,39 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
         };
 
         ws.onmessage = (event) => {
+            // Binary messages are audio frames (audio_encoding: 'binary')
+            if (event.data instanceof ArrayBuffer) {
+                const frame = parseBinaryFrame(event.data);
+                if (frame) {
+                    handleAudioFrame(frame);
+                } else {
+                    console.warn('[ws] Ignoring malformed binary frame, bytes=' + event.data.byteLength);
+                }
+                return;
+            }
+
             try {
                 const msg = JSON.parse(event.data);
 
                 switch (msg.type) {
-                    case 'connected':
+                    case 'connected': {
                         // On 'connected', send session.bind
-                        console.log('[ws] Received connected, sending session.bind');
+                        // Ask for binary audio only if the relay advertises it (older relays don't)
+                        const audioEncoding = msg.audio_encodings?.includes('binary') ? 'binary' : 'base64';
+                        setCanStreamMic(Boolean(msg.audio_input_codecs?.includes('webm_opus')));
+                        console.log(`[ws] Received connected, sending session.bind audio_encoding=${audioEncoding}`);
                         ws.send(JSON.stringify({
                             type: 'session.bind',
                             user_id: userId,
-                            session_id: sessionId
+                            session_id: sessionId,
+                            audio_encoding: audioEncoding
                         }));
                         break;
+                    }
 
                     case 'session.bound':
                         // Contract log: [ws] bound user_id=<...> session_id=<...>
-                        console.log(`[ws] bound user_id=${userId} session_id=${sessionId}`);
+                        console.log(`[ws] bound user_id=${userId} session_id=${sessionId} audio_encoding=${msg.audio_encoding || 'base64'}`);
                         setState('bound');
                         // Start ping keepalive to prevent Cloud Run idle timeout
                         if (pingIntervalRef.current) {
@@ -98,23 +190,23 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
                         setTranscript(prev => prev + (msg.text || ''));
                         break;
 
-                    case 'audio.frame':
-                        // Don't call setStreamInfo here - it triggers re-render on every frame
-                        // which can cause WS instability. Store in ref instead.
-                        frameCountRef.current++;
+                    case 'transcript.user.partial':
+                        setUserTranscript(msg.text || '');
+                        break;
 
-                        // Contract log: Log every 25 frames
-                        if (frameCountRef.current % 25 === 0 || frameCountRef.current === 1) {
-                            console.log(`[audio] received seq=${msg.seq}`);
-                        }
+                    case 'transcript.user.final':
+                        // Contract log: [stt] final transcript_len=... provider=...
+                        console.log(`[stt] final transcript_len=${msg.text?.length || 0} provider=${msg.provider} corr=${msg.correlation_id}`);
+                        setUserTranscript(msg.text || '');
+                        setIsAwaitingTranscript(false);
+                        break;
 
-                        if (onAudioFrameRef.current) {
-                            onAudioFrameRef.current({
-                                data_b64: msg.data_b64,
-                                codec: msg.codec,
-                                seq: msg.seq
-                            });
-                        }
+                    case 'audio.frame':
+                        handleAudioFrame({
+                            data: decodeBase64(msg.data_b64),
+                            codec: msg.codec,
+                            seq: msg.seq
+                        });
                         break;
 
                     case 'audio.end':
@@ -128,6 +220,10 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
                         // Contract log: [audio] playing codec=... provider=...
                         console.log(`[audio] playing codec=${msg.codec || 'unknown'} provider=${msg.provider} corr=${msg.correlation_id || 'none'}`);
                         console.log(`[audio] stream ended, total frames: ${frameCountRef.current}`);
+                        if (msg.interrupted) {
+                            console.log(`[audio] stream interrupted, last_seq=${msg.last_seq}`);
+                        }
+                        cancelledRef.current = false;
 
                         setLastProvider(msg.provider);
                         frameCountRef.current = 0;
@@ -137,8 +233,29 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
                         }
                         break;
 
+                    case 'assistant.response':
+                        // Store LLM info for display
+                        setLLMInfo({ provider: msg.provider, correlation_id: msg.correlation_id });
+                        lastCorrelationIdRef.current = msg.correlation_id;
+
+                        // Contract log: [respond] assistant_text_len=...
+                        console.log(`[respond] assistant_text_len=${msg.text?.length || 0}, provider=${msg.provider}, fallback_used=${msg.fallback_used}, correlation_id=${msg.correlation_id}`);
+                        break;
+
+                    case 'assistant.notify':
+                        // A reminder came due; when spoken, its audio follows as a normal turn
+                        console.log(`[notify] kind=${msg.kind} reminder_id=${msg.reminder_id} spoken=${msg.spoken} corr=${msg.correlation_id}`);
+                        if (msg.spoken) {
+                            setTranscript('');
+                        }
+                        break;
+
                     case 'provider.switched':
                         console.log(`[ws] Provider switched from ${msg.from} to ${msg.to}`);
+                        // The new provider replays the failed segment; drop what is left of its first attempt
+                        if (typeof msg.discard_from_seq === 'number' && onAudioDiscardRef.current) {
+                            onAudioDiscardRef.current(msg.discard_from_seq);
+                        }
                         break;
 
                     case 'pong':
@@ -147,6 +264,14 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
 
                     case 'error':
                         console.error('[ws] Relay Error:', msg.code, msg.message);
+                        // Rejected session.bind (SESSION_NOT_FOUND / SESSION_FORBIDDEN / SESSION_ENDED)
+                        if (typeof msg.code === 'string' && msg.code.startsWith('SESSION_')) {
+                            setState('error');
+                        }
+                        // No transcript.user.final is coming for a failed utterance
+                        if (msg.code === 'TRANSCRIPTION_FAILED' || msg.code === 'STT_NOT_CONFIGURED' || (typeof msg.code === 'string' && msg.code.startsWith('AUDIO_INPUT_'))) {
+                            setIsAwaitingTranscript(false);
+                        }
                         break;
 
                     default:
@@ -203,19 +328,21 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
     /**
      * Send assistant.speak message to trigger TTS
      * Contract: WS send assistant.speak with assistant_text
-     * Now includes tts_disable and correlation_id from test routing
+     * Now includes tts_provider, tts_disable and correlation_id from test routing
      */
     const speak = useCallback((text: string, correlation_id?: string) => {
         if (wsRef.current?.readyState === WebSocket.OPEN) {
             setTranscript(''); // Clear for new response
             setLastProvider(null);
             frameCountRef.current = 0;
+            cancelledRef.current = false;
 
-            // Get TTS disable list from test routing
+            // Get forced TTS provider / disable list from test routing
+            const tts_provider = getTTSProvider();
             const tts_disable = getTTSDisable();
 
             // Contract log: [ws] assistant.speak sent
-            console.log('[ws] assistant.speak sent, text_length=' + text.length + ', tts_disable=' + JSON.stringify(tts_disable));
+            console.log('[ws] assistant.speak sent, text_length=' + text.length);
 
             const message: Record<string, unknown> = {
                 type: 'assistant.speak',
@@ -223,6 +350,9 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
             };
 
             // Only add optional fields if they have values
+            if (tts_provider) {
+                message.tts_provider = tts_provider;
+            }
             if (tts_disable.length > 0) {
                 message.tts_disable = tts_disable;
             }
@@ -237,11 +367,10 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
     }, []);
 
     /**
-     * Full respond flow:
-     * A) POST /assistant/respond
-     * B) Receive assistant_text
-     * C) WS send assistant.speak
-     * Now includes x-jarvis-test-llm header for forced provider
+     * Full respond flow over the socket:
+     * WS send assistant.ask → relay streams LLM reply into TTS sentence by sentence
+     * → transcript.delta + audio.frame as they arrive → assistant.response when the reply is stored
+     * Includes llm_provider for forced provider (replaces x-jarvis-test-llm header)
      */
     const ask = useCallback(async (userText: string) => {
         if (!userId || !sessionId) {
@@ -249,64 +378,148 @@ export function useJarvisWS(userId: string | null, sessionId: string | null) {
             return;
         }
 
+        if (wsRef.current?.readyState !== WebSocket.OPEN) {
+            console.error('[respond] Cannot ask: WebSocket not open, state:', wsRef.current?.readyState);
+            throw new Error('WebSocket not connected');
+        }
+
         // Contract log: [respond] user_text="..."
         console.log(`[respond] user_text="${userText}"`);
 
-        // Build headers with optional LLM force header
-        const headers: Record<string, string> = {
-            'Content-Type': 'application/json',
-            [CONFIG.USER_ID_HEADER]: userId
+        setUserTranscript(userText);
+        setTranscript(''); // Clear for new response
+        setLastProvider(null);
+        frameCountRef.current = 0;
+        cancelledRef.current = false;
+
+        const message: Record<string, unknown> = {
+            type: 'assistant.ask',
+            text: userText
         };
 
-        // Check test routing for forced LLM provider
+        // Check test routing for forced LLM / TTS providers and disabled TTS providers
         const llmHeader = getLLMHeader();
         if (llmHeader) {
-            headers['x-jarvis-test-llm'] = llmHeader;
-            console.log(`[respond] Forcing LLM provider via header: ${llmHeader}`);
+            message.llm_provider = llmHeader;
+            console.log(`[respond] Forcing LLM provider: ${llmHeader}`);
+        }
+        const tts_provider = getTTSProvider();
+        if (tts_provider) {
+            message.tts_provider = tts_provider;
+        }
+        const tts_disable = getTTSDisable();
+        if (tts_disable.length > 0) {
+            message.tts_disable = tts_disable;
         }
 
-        const response = await fetch(`${CONFIG.API_BASE_URL}/assistant/respond`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-                session_id: sessionId,
-                user_text: userText
-            })
-        });
+        // Contract log: [ws] assistant.ask sent
+        console.log('[ws] assistant.ask sent, text_length=' + userText.length);
+        wsRef.current.send(JSON.stringify(message));
+    }, [userId, sessionId]);
+
+    /**
+     * Barge-in: tell the relay to stop speaking
+     * Contract: WS send assistant.cancel with played_seq (last frame actually heard)
+     */
+    const cancel = useCallback((playedSeq: number) => {
+        if (wsRef.current?.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        cancelledRef.current = true;
+
+        // Contract log: [ws] assistant.cancel sent
+        console.log(`[ws] assistant.cancel sent, played_seq=${playedSeq}`);
+        wsRef.current.send(JSON.stringify({ type: 'assistant.cancel', played_seq: playedSeq }));
+    }, []);
 
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('[respond] API error:', error);
-            throw new Error(error.message || `HTTP ${response.status}`);
+    /**
+     * Microphone streaming: audio.input start → binary chunks → stop
+     * The relay answers with transcript.user.partial/final and, with auto_ask,
+     * runs the final transcript as an assistant.ask turn.
+     */
+    const startAudioInput = useCallback(() => {
+        if (wsRef.current?.readyState !== WebSocket.OPEN) {
+            console.error('[ws] Cannot stream mic: WebSocket not open, state:', wsRef.current?.readyState);
+            return;
         }
 
-        const data = await response.json();
+        setUserTranscript('');
+        setTranscript('');
+        setLastProvider(null);
+        frameCountRef.current = 0;
+        cancelledRef.current = false;
+        micSeqRef.current = 0;
+
+        const message: Record<string, unknown> = {
+            type: 'audio.input',
+            event: 'start',
+            codec: 'webm_opus',
+            auto_ask: true
+        };
+
+        const llmHeader = getLLMHeader();
+        if (llmHeader) {
+            message.llm_provider = llmHeader;
+        }
+        const tts_provider = getTTSProvider();
+        if (tts_provider) {
+            message.tts_provider = tts_provider;
+        }
+        const tts_disable = getTTSDisable();
+        if (tts_disable.length > 0) {
+            message.tts_disable = tts_disable;
+        }
 
-        // Store LLM info for display
-        setLLMInfo({ provider: data.provider, correlation_id: data.correlation_id });
-        lastCorrelationIdRef.current = data.correlation_id;
+        // Contract log: [ws] audio.input start sent
+        console.log('[ws] audio.input start sent, codec=webm_opus');
+        wsRef.current.send(JSON.stringify(message));
+    }, []);
 
-        // Contract log: [respond] assistant_text_len=...
-        console.log(`[respond] assistant_text_len=${data.response_text?.length || 0}, provider=${data.provider}, fallback_used=${data.fallback_used}, correlation_id=${data.correlation_id}`);
+    const sendAudioChunk = useCallback((chunk: Blob) => {
+        micSendChainRef.current = micSendChainRef.current.then(async () => {
+            const data = await chunk.arrayBuffer();
+            if (wsRef.current?.readyState === WebSocket.OPEN) {
+                wsRef.current.send(createBinaryFrame(data, WEBM_OPUS_CODEC_ID, micSeqRef.current++));
+            }
+        }).catch(err => {
+            console.error('[mic] chunk send failed:', err);
+        });
+    }, []);
 
-        // Pass correlation_id to speak for TTS tracking
-        speak(data.response_text, data.correlation_id);
-        return data;
-    }, [userId, sessionId, speak]);
+    const stopAudioInput = useCallback(() => {
+        setIsAwaitingTranscript(true);
+        micSendChainRef.current = micSendChainRef.current.then(() => {
+            if (wsRef.current?.readyState === WebSocket.OPEN) {
+                // Contract log: [ws] audio.input stop sent
+                console.log(`[ws] audio.input stop sent, chunks=${micSeqRef.current}`);
+                wsRef.current.send(JSON.stringify({ type: 'audio.input', event: 'stop' }));
+            } else {
+                setIsAwaitingTranscript(false);
+            }
+        });
+    }, []);
 
-    const setAudioHandlers = useCallback((onFrame: (f: AudioFrame) => void, onEnd: (p: string) => void) => {
+    const setAudioHandlers = useCallback((onFrame: (f: AudioFrame) => void, onEnd: (p: string) => void, onDiscard?: (fromSeq: number) => void) => {
         onAudioFrameRef.current = onFrame;
         onAudioEndRef.current = onEnd;
+        onAudioDiscardRef.current = onDiscard ?? null;
     }, []);
 
     return {
         state,
         transcript,
+        userTranscript,
         lastProvider,
         streamInfo,
         llmInfo,
+        canStreamMic,
+        isAwaitingTranscript,
         ask,
         speak,
+        cancel,
+        startAudioInput,
+        sendAudioChunk,
+        stopAudioInput,
         setAudioHandlers
     };
 }
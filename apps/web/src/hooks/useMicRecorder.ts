@@ -1,6 +1,7 @@
 /**
  * Microphone Recorder Hook for Push-to-Talk
- * Records audio while pressed, returns blob on release
+ * Records audio while pressed. With a stream sink, chunks go to the relay as they
+ * are recorded (audio.input); otherwise the blob is uploaded to /stt/transcribe on release
  * Implements VOICE-IN-013-R2 logging contract
  */
 
@@ -15,6 +16,20 @@ export interface UseMicRecorderResult {
     stopRecording: () => Promise<string | null>;
 }
 
+/**
+ * Where streamed chunks go (see useJarvisWS startAudioInput / sendAudioChunk / stopAudioInput)
+ */
+export interface MicStreamSink {
+    start: () => void;
+    chunk: (data: Blob) => void;
+    stop: () => void;
+}
+
+/**
+ * Streamed chunks are declared as webm_opus to the relay
+ */
+const STREAM_MIME_TYPE = 'audio/webm;codecs=opus';
+
 /**
  * MIME type priority order for audio recording
  * Best quality first, with fallbacks
@@ -39,8 +54,9 @@ function getBestMimeType(): string {
 
 /**
  * Hook for recording audio and transcribing via STT API
+ * @param sink - Stream chunks to the relay instead of uploading (null = REST upload)
  */
-export function useMicRecorder(): UseMicRecorderResult {
+export function useMicRecorder(sink: MicStreamSink | null = null): UseMicRecorderResult {
     const [isRecording, setIsRecording] = useState(false);
     const [isTranscribing, setIsTranscribing] = useState(false);
     const [error, setError] = useState<string | null>(null);
@@ -49,6 +65,7 @@ export function useMicRecorder(): UseMicRecorderResult {
     const chunksRef = useRef<Blob[]>([]);
     const streamRef = useRef<MediaStream | null>(null);
     const mimeTypeRef = useRef<string>('');
+    const streamSinkRef = useRef<MicStreamSink | null>(null);
 
     /**
      * Start recording from microphone
@@ -75,8 +92,12 @@ export function useMicRecorder(): UseMicRecorderResult {
             const mimeType = getBestMimeType();
             mimeTypeRef.current = mimeType;
 
+            // Only WebM/Opus can be streamed; anything else is uploaded on release
+            const streamSink = sink && mimeType === STREAM_MIME_TYPE ? sink : null;
+            streamSinkRef.current = streamSink;
+
             // Contract log: [mic] recorder start mime=<...>
-            console.log(`[mic] recorder start mime=${mimeType}`);
+            console.log(`[mic] recorder start mime=${mimeType} streaming=${Boolean(streamSink)}`);
 
             const mediaRecorder = new MediaRecorder(stream, { mimeType });
             mediaRecorderRef.current = mediaRecorder;
@@ -85,9 +106,11 @@ export function useMicRecorder(): UseMicRecorderResult {
             mediaRecorder.ondataavailable = (event) => {
                 if (event.data.size > 0) {
                     chunksRef.current.push(event.data);
+                    streamSink?.chunk(event.data);
                 }
             };
 
+            streamSink?.start();
             mediaRecorder.start(100); // Collect chunks every 100ms
             setIsRecording(true);
 
@@ -97,11 +120,12 @@ export function useMicRecorder(): UseMicRecorderResult {
             console.error('[mic] permission denied:', message);
             setError(`Mic permission denied: ${message}`);
         }
-    }, []);
+    }, [sink]);
 
     /**
      * Stop recording and transcribe via STT API
-     * @returns Transcribed text or null on error
+     * When streaming, the transcript arrives over the socket instead
+     * @returns Transcribed text or null on error / when streaming
      */
     const stopRecording = useCallback(async (): Promise<string | null> => {
         if (!mediaRecorderRef.current || !isRecording) {
@@ -123,6 +147,14 @@ export function useMicRecorder(): UseMicRecorderResult {
                 // Contract log: [mic] recorder stop size_bytes=<...>
                 console.log(`[mic] recorder stop size_bytes=${blob.size}`);
 
+                // The last chunk was delivered by ondataavailable before onstop
+                if (streamSinkRef.current) {
+                    streamSinkRef.current.stop();
+                    streamSinkRef.current = null;
+                    resolve(null);
+                    return;
+                }
+
                 if (blob.size === 0) {
                     console.error('[mic] recorder produced zero-byte blob');
                     setError('Recording produced no audio data');
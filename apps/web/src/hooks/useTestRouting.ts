@@ -1,6 +1,8 @@
 // Test Routing Storage and Helpers
 // Separated from component to avoid react-refresh/only-export-components lint error
 
+import { CONFIG } from '../config';
+
 // Storage keys for persistence
 export const STORAGE_KEYS = {
     LLM_MODE: 'jarvis_test_llm_mode',
@@ -8,7 +10,9 @@ export const STORAGE_KEYS = {
 };
 
 // Type definitions
-export type LLMMode = 'default' | 'openai' | 'gemini';
+// LLM mode is 'default' or the name of the provider to force: a built-in one or a
+// named OpenAI-compatible instance from the relay's chain (see getLLMChain)
+export type LLMMode = 'default' | string;
 export type TTSMode = 'default' | 'force_fish' | 'force_cartesia' | 'force_elevenlabs' | 'disable_fish' | 'disable_fish_cartesia';
 
 // Get current LLM mode from localStorage
@@ -16,12 +20,27 @@ export const getLLMMode = (): LLMMode => {
     return (localStorage.getItem(STORAGE_KEYS.LLM_MODE) as LLMMode) || 'default';
 };
 
+// Built-in LLM providers, offered even when the relay's chain can't be fetched
+export const BUILTIN_LLM_PROVIDERS: Record<string, string> = {
+    openai: 'OpenAI',
+    gemini: 'Gemini',
+    anthropic: 'Anthropic',
+};
+
 // Get LLM header value (or null if default)
 export const getLLMHeader = (): string | null => {
     const mode = getLLMMode();
-    if (mode === 'openai') return 'openai';
-    if (mode === 'gemini') return 'gemini';
-    return null;
+    return mode === 'default' ? null : mode;
+};
+
+// Fetch the relay's resolved LLM chain (provider names in fallback order) from /health
+export const getLLMChain = async (): Promise<string[]> => {
+    const response = await fetch(`${CONFIG.API_BASE_URL}/health`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return data.checks?.llm?.fallback_order ?? [];
 };
 
 // Get current TTS mode from localStorage
@@ -29,6 +48,20 @@ export const getTTSMode = (): TTSMode => {
     return (localStorage.getItem(STORAGE_KEYS.TTS_MODE) as TTSMode) || 'default';
 };
 
+// Get forced TTS provider (tts_provider) based on mode, or null to use the relay's chain
+export const getTTSProvider = (): string | null => {
+    switch (getTTSMode()) {
+        case 'force_fish':
+            return 'fishaudio';
+        case 'force_cartesia':
+            return 'cartesia';
+        case 'force_elevenlabs':
+            return 'elevenlabs';
+        default:
+            return null;
+    }
+};
+
 // Get tts_disable array based on mode
 export const getTTSDisable = (): string[] => {
     const mode = getTTSMode();
@@ -37,12 +70,6 @@ export const getTTSDisable = (): string[] => {
             return ['fishaudio'];
         case 'disable_fish_cartesia':
             return ['fishaudio', 'cartesia'];
-        case 'force_cartesia':
-            return ['fishaudio']; // Disable fish to force cartesia
-        case 'force_elevenlabs':
-            return ['fishaudio', 'cartesia']; // Disable both to force elevenlabs
-        case 'force_fish':
-        case 'default':
         default:
             return [];
     }